@@ -0,0 +1,82 @@
+/**
+ * Analysis progress events
+ *
+ * In-process pub/sub used by the analysis executor to broadcast step
+ * transitions, streamed token deltas and status changes to any open
+ * Server-Sent Events connections for the same session.
+ *
+ * With several backend instances, a relay (see createRedisEventRelay)
+ * forwards events to the other instances' subscribers.
+ */
+
+import { EventEmitter } from 'events'
+
+const emitter = new EventEmitter()
+
+// One listener per open SSE connection; do not warn on busy sessions
+emitter.setMaxListeners(0)
+
+let relay = null
+
+function channelFor(sessionId) {
+  return `analysis:${sessionId}`
+}
+
+/**
+ * Publish an analysis event for a session.
+ *
+ * @param {string} sessionId
+ * @param {string} type - Event type (step, delta, status)
+ * @param {object} data - JSON-serializable payload
+ */
+export function emitAnalysisEvent(sessionId, type, data) {
+  if (!sessionId) {
+    return
+  }
+  emitter.emit(channelFor(sessionId), { type, data })
+  relay?.publish(sessionId, { type, data })
+}
+
+/**
+ * Forward events to and from other instances.
+ *
+ * The relay's publish(sessionId, event) is called for every local event;
+ * events it delivers through subscribe() are emitted to local listeners
+ * only, so they are not published again.
+ *
+ * @param {{ publish: Function, subscribe: Function }|null} nextRelay
+ * @returns {Promise<void>} Resolves once the relay is subscribed
+ */
+export async function setAnalysisEventRelay(nextRelay) {
+  relay = nextRelay
+  if (relay) {
+    await relay.subscribe((sessionId, event) => {
+      emitter.emit(channelFor(sessionId), event)
+    })
+  }
+}
+
+/**
+ * Subscribe to analysis events for a session.
+ *
+ * @param {string} sessionId
+ * @param {(event: { type: string, data: object }) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToAnalysis(sessionId, listener) {
+  const channel = channelFor(sessionId)
+  emitter.on(channel, listener)
+  return () => {
+    emitter.off(channel, listener)
+  }
+}
+
+/**
+ * Number of active subscribers for a session (used by tests and stats).
+ *
+ * @param {string} sessionId
+ * @returns {number}
+ */
+export function getAnalysisSubscriberCount(sessionId) {
+  return emitter.listenerCount(channelFor(sessionId))
+}
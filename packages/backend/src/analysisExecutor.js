@@ -1,26 +1,215 @@
 /**
- * Sequential Analysis Execution Engine
+ * Analysis Execution Engine
  *
- * Runs all configured methodologies in order, using prompt templates
- * and the provider-agnostic llmService. Results and progress are
- * stored on the session in session.results.analysis.
+ * Runs the selected methodologies, in order or concurrently up to the
+ * provider's concurrency limit, using prompt templates
+ * and the provider-agnostic llmService. Progress is stored on the session
+ * in session.results.analysis and broadcast through analysisEvents for
+ * live (SSE) progress views; step content goes to the artifact store.
+ * Methodologies with an output schema also get a structured result,
+ * extracted from the prose by a second call (see structuredOutput.js).
  */
 
 import {
-  METHODOLOGY_STEPS,
+  getMethodologySteps,
   buildPrompt,
   extractContextFromSession
 } from './promptTemplates.js'
-import llmService from './llmService.js'
+import llmService, { isValidApiKey } from './llmService.js'
 import { writeMethodFilesForSession } from './fileOutputService.js'
+import { emitAnalysisEvent } from './analysisEvents.js'
+import { recordUsage, assertWithinBudget } from './usageService.js'
+import { getConcurrencyLimit, runWithConcurrency, createSerializedSave } from './concurrency.js'
+import { storeArtifact, shouldStoreRawResponses } from './artifactStore.js'
+import { getMethodologyDefinition } from './methodologyRegistry.js'
+import { generateStructuredOutput } from './structuredOutput.js'
+
+function createCancelledError() {
+  const err = new Error('Analysis was cancelled')
+  err.type = 'ANALYSIS_CANCELLED'
+  return err
+}
+
+/**
+ * Reset failed steps to pending so a later run retries only those steps.
+ * Completed steps keep their results and are skipped by runAnalysis.
+ *
+ * @param {object} analysis - session.results.analysis
+ * @returns {number} Number of steps that were reset
+ */
+export function resetFailedSteps(analysis) {
+  if (!analysis || !Array.isArray(analysis.steps)) {
+    return 0
+  }
+
+  let resetCount = 0
+  for (const step of analysis.steps) {
+    if (step.status === 'failed') {
+      step.status = 'pending'
+      step.result = null
+      resetCount++
+    }
+  }
+
+  if (resetCount > 0 || analysis.status === 'failed') {
+    analysis.status = 'pending'
+    analysis.error = null
+    analysis.completedAt = null
+  }
+
+  return resetCount
+}
+
+/**
+ * Extract the structured result of a step whose prose result is stored.
+ * A failure is recorded on the result instead of failing the step, since
+ * the prose analysis stands on its own; cancellation still propagates.
+ */
+async function runStructuredOutput(session, step, definition, content, { apiKey, timeoutMs, signal }) {
+  try {
+    assertWithinBudget(session)
+
+    const { data, attempts } = await generateStructuredOutput(
+      definition,
+      content,
+      {
+        provider: session.apiConfig.provider,
+        model: session.apiConfig.model,
+        baseUrl: session.apiConfig.baseUrl,
+        apiKey,
+        timeoutMs,
+        signal,
+        metadata: {
+          sessionId: session.id,
+          stepId: step.id,
+          kind: 'structured'
+        }
+      },
+      { onResult: result => recordUsage(step, result) }
+    )
+
+    step.result.structured = await storeArtifact(session, `analysis/${step.id}/structured`, data)
+    step.result.structuredAttempts = attempts
+    step.result.structuredError = null
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error
+    }
+
+    step.result.structured = null
+    step.result.structuredAttempts = error.attempts || 1
+    step.result.structuredError = error.message || 'Structured output failed'
+  }
+}
+
+/**
+ * Execute a single methodology step and store its result on the step.
+ * Throws on failure or cancellation; the caller records the outcome.
+ */
+async function runStep(session, step, stepMeta, index, { context, apiKey, timeoutMs, signal, save }) {
+  const analysis = session.results.analysis
+
+  if (signal?.aborted) {
+    throw createCancelledError()
+  }
+
+  // Stops the run (step and analysis fail) once the budget cap is reached
+  assertWithinBudget(session)
+
+  // Mark step as in-progress and update progress metadata
+  step.status = 'in-progress'
+  step.attempts = (step.attempts || 0) + 1
+  analysis.currentStep = step.id
+  analysis.currentStepLabel = stepMeta.progressLabel
+  analysis.currentStepIndex = index
+  analysis.error = null
+
+  await save()
+
+  emitAnalysisEvent(session.id, 'step', {
+    id: step.id,
+    name: step.name,
+    status: step.status,
+    index,
+    label: stepMeta.progressLabel
+  })
+
+  const prompt = buildPrompt(stepMeta.id, context)
+
+  const result = await llmService.analyze(prompt, {
+    provider: session.apiConfig.provider,
+    model: session.apiConfig.model,
+    baseUrl: session.apiConfig.baseUrl,
+    apiKey,
+    timeoutMs,
+    signal,
+    onDelta: (text) => {
+      emitAnalysisEvent(session.id, 'delta', { id: step.id, text })
+    },
+    onRetry: ({ attempt, maxAttempts, delayMs, error }) => {
+      // Each automatic retry counts as another attempt for this step
+      step.attempts += 1
+      step.lastError = error.message || 'LLM request failed'
+      emitAnalysisEvent(session.id, 'retry', {
+        id: step.id,
+        attempt,
+        maxAttempts,
+        delayMs,
+        attempts: step.attempts,
+        error: step.lastError
+      })
+    },
+    metadata: {
+      sessionId: session.id,
+      stepId: stepMeta.id
+    }
+  })
+
+  // Keep metadata on the step and the (possibly very long) content in the
+  // artifact store, so the session stays small
+  const { content, raw, ...metadata } = result
+  step.result = {
+    ...metadata,
+    content: await storeArtifact(session, `analysis/${step.id}/content`, content)
+  }
+  if (shouldStoreRawResponses()) {
+    step.result.raw = await storeArtifact(session, `analysis/${step.id}/raw`, raw ?? null)
+  }
+  recordUsage(step, result)
+
+  const definition = getMethodologyDefinition(stepMeta.id)
+  if (definition?.outputSchema) {
+    await runStructuredOutput(session, step, definition, content, { apiKey, timeoutMs, signal })
+  }
+
+  step.status = 'completed'
+
+  await save()
+
+  emitAnalysisEvent(session.id, 'step', {
+    id: step.id,
+    name: step.name,
+    status: step.status,
+    index,
+    usage: step.usage
+  })
+}
 
 /**
  * Run analysis for the given session using the provided API key.
  *
+ * Steps run concurrently up to the provider's concurrency limit (sequential
+ * by default). A cancelled run (options.signal aborted) leaves interrupted steps
+ * pending and the analysis in 'cancelled' status, so a later run resumes
+ * from the first incomplete step. A failed analysis must first go through
+ * resetFailedSteps() before it can be run again.
+ *
  * @param {object} session - Session object (from session middleware)
- * @param {string} apiKey - Provider API key (not stored in session)
+ * @param {string} [apiKey] - Provider API key (not stored in session; optional for local servers)
  * @param {object} [options]
  * @param {number} [options.timeoutMs] - Optional request timeout override
+ * @param {AbortSignal} [options.signal] - Cancels the run when aborted
+ * @param {number} [options.concurrency] - Steps run at once (defaults to getConcurrencyLimit)
  * @returns {Promise<object>} Updated analysis state
  */
 export async function runAnalysis(session, apiKey, options = {}) {
@@ -48,7 +237,7 @@ export async function runAnalysis(session, apiKey, options = {}) {
     throw err
   }
 
-  if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
+  if (!isValidApiKey(session.apiConfig.provider, apiKey)) {
     const err = new Error('A valid API key (>= 20 chars) is required')
     err.type = 'ANALYSIS_INPUT_ERROR'
     throw err
@@ -63,7 +252,7 @@ export async function runAnalysis(session, apiKey, options = {}) {
   }
 
   if (analysis.status === 'failed') {
-    const err = new Error('Analysis has failed and cannot be re-run for this session')
+    const err = new Error('Analysis has failed; reset failed steps before re-running')
     err.type = 'ANALYSIS_CONFLICT'
     throw err
   }
@@ -71,22 +260,30 @@ export async function runAnalysis(session, apiKey, options = {}) {
   // Extract prompt context from session
   const context = extractContextFromSession(session)
 
+  // Concurrent steps share one save queue so no write overtakes a later one
+  const save = createSerializedSave(session)
+
   const now = new Date().toISOString()
   if (!analysis.startedAt) {
     analysis.startedAt = now
   }
   analysis.status = 'in-progress'
 
-  if (typeof session.save === 'function') {
-    await session.save()
-  }
+  await save()
 
-  const timeoutMs = options.timeoutMs
+  emitAnalysisEvent(session.id, 'status', {
+    status: analysis.status,
+    startedAt: analysis.startedAt
+  })
 
-  // Iterate through methodologies in configured order
-  for (let index = 0; index < METHODOLOGY_STEPS.length; index++) {
-    const stepMeta = METHODOLOGY_STEPS[index]
+  const timeoutMs = options.timeoutMs
+  const signal = options.signal
+  const concurrency = options.concurrency || getConcurrencyLimit(session.apiConfig.provider)
 
+  // Resolve step state for each selected methodology; completed steps are
+  // skipped (supports resume). Sessions without a selection run all methods.
+  const pendingSteps = []
+  getMethodologySteps(analysis.methods).forEach((stepMeta, index) => {
     let step = Array.isArray(analysis.steps)
       ? analysis.steps.find(s => s.id === stepMeta.id)
       : null
@@ -105,56 +302,89 @@ export async function runAnalysis(session, apiKey, options = {}) {
       analysis.steps.push(step)
     }
 
-    // Skip already completed steps (supports resume)
-    if (step.status === 'completed') {
-      continue
+    if (step.status !== 'completed') {
+      pendingSteps.push({ stepMeta, step, index })
     }
+  })
 
-    try {
-      // Mark step as in-progress and update progress metadata
-      step.status = 'in-progress'
-      analysis.currentStep = step.id
-      analysis.currentStepLabel = stepMeta.progressLabel
-      analysis.currentStepIndex = index
-      analysis.error = null
-
-      if (typeof session.save === 'function') {
-        await session.save()
-      }
+  let failure = null
 
-      const prompt = buildPrompt(stepMeta.id, context)
+  // Steps are independent prompts; run up to `concurrency` at once. After
+  // a failure or cancellation no new steps start, running ones settle.
+  await runWithConcurrency(
+    pendingSteps,
+    concurrency,
+    async ({ stepMeta, step, index }) => {
+      try {
+        await runStep(session, step, stepMeta, index, {
+          context,
+          apiKey,
+          timeoutMs,
+          signal,
+          save
+        })
+      } catch (error) {
+        if (signal?.aborted) {
+          // Cancellation is not a failure: keep the step resumable
+          step.status = 'pending'
+          await save()
 
-      const result = await llmService.analyze(prompt, {
-        provider: session.apiConfig.provider,
-        model: session.apiConfig.model,
-        apiKey,
-        timeoutMs,
-        metadata: {
-          sessionId: session.id,
-          stepId: stepMeta.id
+          emitAnalysisEvent(session.id, 'step', {
+            id: step.id,
+            name: step.name,
+            status: step.status,
+            index
+          })
+          return
         }
-      })
 
-      // Store full normalized result
-      step.result = result
-      step.status = 'completed'
+        // Mark failure on the step; the analysis fails once running steps settle
+        step.status = 'failed'
+        step.lastError = error.message || 'Analysis step failed'
+        failure = failure || error
+        await save()
 
-      if (typeof session.save === 'function') {
-        await session.save()
-      }
-    } catch (error) {
-      // Mark failure on current step and analysis
-      step.status = 'failed'
-      analysis.status = 'failed'
-      analysis.error = error.message || 'Analysis step failed'
-
-      if (typeof session.save === 'function') {
-        await session.save()
+        emitAnalysisEvent(session.id, 'step', {
+          id: step.id,
+          name: step.name,
+          status: step.status,
+          index,
+          attempts: step.attempts,
+          lastError: step.lastError
+        })
       }
-
-      // Re-throw so caller/route can respond appropriately
-      throw error
+    },
+    {
+      shouldStop: () => failure !== null || !!signal?.aborted,
+      provider: session.apiConfig.provider
     }
+  )
+
+  if (signal?.aborted) {
+    analysis.status = 'cancelled'
+    analysis.error = 'Analysis was cancelled'
+    await save()
+
+    emitAnalysisEvent(session.id, 'status', {
+      status: analysis.status,
+      error: analysis.error
+    })
+
+    throw createCancelledError()
+  }
+
+  if (failure) {
+    analysis.status = 'failed'
+    analysis.error = failure.message || 'Analysis step failed'
+    await save()
+
+    emitAnalysisEvent(session.id, 'status', {
+      status: analysis.status,
+      error: analysis.error
+    })
+
+    // Re-throw so caller/route can respond appropriately
+    throw failure
   }
 
   // All steps completed successfully
@@ -162,27 +392,29 @@ export async function runAnalysis(session, apiKey, options = {}) {
   analysis.completedAt = new Date().toISOString()
   // Keep currentStep/currentStepLabel pointing at the last step for UI
 
-  if (typeof session.save === 'function') {
-    await session.save()
-  }
+  await save()
 
   // Generate individual method files; failures here should not change
   // analysis status, but should be recorded for debugging.
   try {
     const files = await writeMethodFilesForSession(session)
     analysis.files = files
-    if (typeof session.save === 'function') {
-      await session.save()
-    }
+    await save()
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Error writing analysis files:', error)
     analysis.error = analysis.error || 'Failed to write analysis files'
-    if (typeof session.save === 'function') {
-      await session.save()
-    }
+    await save()
   }
 
+  // Announce completion only after files are written so clients that
+  // navigate on this event find a fully populated session.
+  emitAnalysisEvent(session.id, 'status', {
+    status: analysis.status,
+    completedAt: analysis.completedAt,
+    error: analysis.error
+  })
+
   return analysis
 }
 
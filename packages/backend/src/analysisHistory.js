@@ -0,0 +1,434 @@
+/**
+ * Analysis history: several validation runs per session.
+ *
+ * session.results holds the current run (analysis, summary, report and
+ * ideation). Each run is identified by results.run, which also keeps the
+ * inputs and API configuration it was started with, since the form wizard
+ * overwrites session.inputs as soon as the next problem is typed.
+ *
+ * Starting a new analysis, or reopening a past run, archives the current
+ * run. Its results are written to the artifact store as one payload and
+ * session.history keeps only an index entry (newest first) with the
+ * overview the history list shows, so archived runs don't count against
+ * the session size limit. Artifact keys and generated file names include
+ * the run ID, so archived runs keep their content and reports.
+ *
+ * Retention: archived runs live as long as the session (SESSION_TTL_MS,
+ * 24 hours by default, and the cookie it is tied to), and at most
+ * HISTORY_MAX_RUNS of them are kept. Older ones are dropped together with
+ * their artifacts and files.
+ *
+ * A run started from a refined problem statement is the next version of
+ * the run it was refined from. It keeps a copy of the earlier versions'
+ * inputs (run.lineage), so the version history survives deleting them.
+ */
+
+import crypto from 'crypto'
+import { resolveArtifacts, deleteArtifacts, storeArtifact } from './artifactStore.js'
+import { getOutputStorage } from './outputStorage.js'
+import { getJobQueue } from './jobQueue.js'
+
+const DEFAULT_MAX_HISTORY_RUNS = 20
+const JOB_TYPES = ['analysis', 'scamper', 'sit', 'synthesis', 'refinement']
+// Jobs on a completed analysis, tracked in session.results.jobs
+export const FOLLOW_UP_JOB_TYPES = ['synthesis', 'refinement']
+
+/**
+ * Maximum number of archived runs kept per session (HISTORY_MAX_RUNS)
+ * @returns {number}
+ */
+export function getMaxHistoryRuns() {
+  return parseInt(process.env.HISTORY_MAX_RUNS) || DEFAULT_MAX_HISTORY_RUNS
+}
+
+/**
+ * Whether an ideation technique's placeholder still stands for a queued job:
+ * one waiting in this process's queue, or queued by another instance.
+ * Placeholders left behind by this process (or by a restart) do not count.
+ */
+function isQueuedIdeation(ideation, technique, queue) {
+  if (queue.isActive(ideation.jobs?.[technique])) {
+    return true
+  }
+  const instanceId = ideation[technique].instanceId
+  return !!instanceId && instanceId !== queue.instanceId
+}
+
+/**
+ * Whether a synthesis or refinement job record (session.results.jobs)
+ * stands for a job that has not finished, like isQueuedIdeation for
+ * queued ones
+ */
+function isActiveFollowUpJob(record, queue) {
+  if (record?.status === 'in-progress') {
+    return true
+  }
+  if (record?.status !== 'queued') {
+    return false
+  }
+  return queue.isActive(record.id) || (!!record.instanceId && record.instanceId !== queue.instanceId)
+}
+
+/**
+ * Whether the current run is still being written by a job. Queued analysis
+ * jobs leave the status at 'pending', so this process's job queue is
+ * checked as well as the statuses, which also cover jobs on other
+ * instances. Runs must not be archived, replaced or exported meanwhile.
+ * @param {object} session
+ * @returns {boolean}
+ */
+export function hasActiveRun(session) {
+  const results = session?.results || {}
+  const queue = getJobQueue()
+
+  if (results.analysis?.status === 'in-progress') {
+    return true
+  }
+
+  const ideation = results.ideation || {}
+  if (['scamper', 'sit'].some(technique =>
+    ideation[technique]?.status === 'in-progress' ||
+    (ideation[technique]?.status === 'queued' && isQueuedIdeation(ideation, technique, queue)))) {
+    return true
+  }
+
+  if (FOLLOW_UP_JOB_TYPES.some(type => isActiveFollowUpJob(results.jobs?.[type], queue))) {
+    return true
+  }
+
+  return !!session?.id && JOB_TYPES.some(type => queue.findActive(session.id, type))
+}
+
+/**
+ * Problem statement version of a run, as listed in its version history
+ * @param {object} run - results.run
+ * @returns {object}
+ */
+function describeVersion(run) {
+  const request = run.inputs?.validationRequest || {}
+  return {
+    runId: run.id,
+    version: run.version || 1,
+    description: request.description || '',
+    location: request.location || '',
+    targetCustomer: request.targetCustomer || '',
+    teamSize: request.teamSize || '',
+    rationale: run.rationale || null,
+    createdAt: run.createdAt
+  }
+}
+
+/**
+ * Describe a new run started from the session's current inputs
+ * @param {object} session
+ * @param {object} [refinedFrom] - Results of the run whose refined problem statement this run validates
+ * @returns {{ id: string, createdAt: string, inputs: object, apiConfig: object, version: number }}
+ */
+export function createRun(session, refinedFrom = null) {
+  const run = {
+    id: crypto.randomBytes(8).toString('hex'),
+    createdAt: new Date().toISOString(),
+    inputs: session.inputs || {},
+    apiConfig: session.apiConfig || {},
+    version: 1
+  }
+
+  const parent = refinedFrom?.run
+  if (parent) {
+    run.version = (parent.version || 1) + 1
+    run.parentRunId = parent.id
+    run.lineage = [...(parent.lineage || []), describeVersion(parent)]
+    // Why the model suggested this version; the user may have edited it since
+    run.rationale = refinedFrom.refinement?.suggestion?.rationale || null
+  }
+
+  return run
+}
+
+/**
+ * Problem statement versions leading to a run, oldest first and ending
+ * with the run itself
+ * @param {object} results - session.results or a history entry
+ * @returns {object[]}
+ */
+export function getRunVersions(results) {
+  if (!results?.run) {
+    return []
+  }
+  return [...(results.run.lineage || []), describeVersion(results.run)]
+}
+
+/**
+ * Give the current results a run if they predate the history, so they can
+ * be listed and archived. Their artifacts and files keep their unscoped
+ * names, which a new run no longer uses.
+ * @param {object} session
+ * @returns {boolean} Whether the session changed
+ */
+export function ensureCurrentRun(session) {
+  const results = session.results
+  if (!results?.analysis || results.run) {
+    return false
+  }
+
+  results.run = {
+    ...createRun(session),
+    createdAt: results.analysis.startedAt || session.createdAt
+  }
+  return true
+}
+
+function getRunFilenames(results) {
+  return [
+    results.report?.filename,
+    ...(results.analysis?.files || []).map(file => file?.filename),
+    results.ideation?.scamperReport?.filename,
+    results.ideation?.sitReport?.filename
+  ].filter(Boolean)
+}
+
+/**
+ * Delete the artifacts and generated files of a run
+ */
+async function discardRun(session, results) {
+  await deleteArtifacts(session, results)
+
+  const storage = getOutputStorage()
+  for (const filename of getRunFilenames(results)) {
+    await storage.remove(filename)
+  }
+}
+
+/**
+ * Run ID of a history entry. Sessions archived before run results moved
+ * to the artifact store keep the results themselves as the entry.
+ */
+function getEntryRunId(entry) {
+  return entry.overview ? entry.overview.id : entry.run.id
+}
+
+/**
+ * Results of an archived run, loaded from the artifact store
+ * @returns {Promise<object>}
+ */
+async function loadArchivedResults(session, entry) {
+  if (!entry.overview) {
+    return entry
+  }
+  const results = await resolveArtifacts(session, entry.results)
+  if (!results) {
+    const err = new Error(`Archived run ${entry.overview.id} is no longer stored`)
+    err.type = 'HISTORY_RUN_MISSING_ERROR'
+    throw err
+  }
+  return results
+}
+
+/**
+ * Delete an archived run: its results payload, artifacts and files
+ */
+async function discardArchivedRun(session, entry) {
+  if (entry.overview) {
+    const results = await resolveArtifacts(session, entry.results)
+    await deleteArtifacts(session, entry.results)
+    if (results) {
+      await discardRun(session, results)
+    }
+  } else {
+    await discardRun(session, entry)
+  }
+}
+
+/**
+ * Move the current run into the history and clear session.results.
+ * The caller saves the session.
+ *
+ * @param {object} session
+ * @returns {Promise<object|null>} The archived results, or null if there was no run
+ */
+export async function archiveCurrentRun(session) {
+  ensureCurrentRun(session)
+  const results = session.results
+  if (!results?.run) {
+    return null
+  }
+
+  const archived = {
+    ...results,
+    run: { ...results.run, archivedAt: new Date().toISOString() }
+  }
+  const entry = {
+    overview: describeRun(archived, false),
+    // Stored while session.results still names the run, so the key is scoped to it
+    results: await storeArtifact(session, 'archive', archived)
+  }
+  session.history = [entry, ...(session.history || [])]
+  session.results = {}
+
+  for (const dropped of session.history.splice(getMaxHistoryRuns())) {
+    await discardArchivedRun(session, dropped)
+  }
+
+  return archived
+}
+
+/**
+ * Summary of a run for the history list
+ * @param {object} results - session.results or a history entry
+ * @param {boolean} current - Whether it is the session's current run
+ * @returns {object}
+ */
+export function describeRun(results, current) {
+  const { run, analysis, summary, ideation } = results
+
+  return {
+    id: run.id,
+    current,
+    version: run.version || 1,
+    parentRunId: run.parentRunId || null,
+    description: run.inputs?.validationRequest?.description || '',
+    status: analysis?.status || null,
+    methods: analysis?.methods || [],
+    provider: run.apiConfig?.provider || null,
+    model: run.apiConfig?.model || null,
+    createdAt: run.createdAt,
+    startedAt: analysis?.startedAt || null,
+    completedAt: analysis?.completedAt || null,
+    archivedAt: run.archivedAt || null,
+    summaryAvailable: !!summary,
+    ideation: {
+      scamper: ideation?.scamper?.status || null,
+      sit: ideation?.sit?.status || null
+    }
+  }
+}
+
+/**
+ * Overviews of all runs of a session (see describeRun), the current one
+ * first. Archived runs are described from their history entry without
+ * loading their results.
+ * @param {object} session
+ * @returns {object[]}
+ */
+export function listRuns(session) {
+  const runs = []
+  if (session.results?.run) {
+    runs.push(describeRun(session.results, true))
+  }
+  for (const entry of session.history || []) {
+    runs.push(entry.overview || describeRun(entry, false))
+  }
+  return runs
+}
+
+/**
+ * Whether the session has a run with this ID, current or archived
+ * @param {object} session
+ * @param {string} runId
+ * @returns {boolean}
+ */
+export function hasRun(session, runId) {
+  return session.results?.run?.id === runId ||
+    (session.history || []).some(entry => getEntryRunId(entry) === runId)
+}
+
+/**
+ * Find a run by ID, loading its results if it is archived
+ * @param {object} session
+ * @param {string} runId
+ * @returns {Promise<{ results: object, current: boolean }|null>}
+ */
+export async function findRun(session, runId) {
+  if (session.results?.run?.id === runId) {
+    return { results: session.results, current: true }
+  }
+  const entry = (session.history || []).find(candidate => getEntryRunId(candidate) === runId)
+  return entry ? { results: await loadArchivedResults(session, entry), current: false } : null
+}
+
+/**
+ * Full view of a run: its summary entry plus inputs, steps and the
+ * synthesized summary
+ * @param {object} session
+ * @param {{ results: object, current: boolean }} entry - From findRun
+ * @returns {Promise<object>}
+ */
+export async function getRunDetails(session, { results, current }) {
+  const summary = results.summary
+    ? await resolveArtifacts(session, results.summary)
+    : null
+
+  return {
+    ...describeRun(results, current),
+    inputs: results.run.inputs || {},
+    apiConfig: results.run.apiConfig || {},
+    versions: getRunVersions(results),
+    steps: (results.analysis?.steps || []).map(step => ({
+      id: step.id,
+      name: step.name,
+      status: step.status
+    })),
+    summary: summary
+      ? {
+          text: summary.text,
+          generatedAt: summary.generatedAt || null,
+          model: summary.model || null,
+          strategy: summary.strategy || null,
+          scorecard: summary.scorecard || null
+        }
+      : null
+  }
+}
+
+/**
+ * Make an archived run the current one, archiving the current run.
+ * Inputs and API configuration are restored from the run so the wizard
+ * shows what it was started with. The caller saves the session.
+ *
+ * @param {object} session
+ * @param {string} runId
+ * @returns {Promise<object|null>} The reopened results, or null if not in the history
+ */
+export async function openRun(session, runId) {
+  const index = (session.history || []).findIndex(entry => getEntryRunId(entry) === runId)
+  if (index === -1) {
+    return null
+  }
+
+  const entry = session.history[index]
+  const results = await loadArchivedResults(session, entry)
+  // Taken out first so trimming the history cannot drop it
+  session.history.splice(index, 1)
+  await archiveCurrentRun(session)
+  // The run is current again; its results live on the session
+  if (entry.overview) {
+    await deleteArtifacts(session, entry.results)
+  }
+
+  const run = { ...results.run }
+  delete run.archivedAt
+
+  session.inputs = run.inputs || {}
+  session.apiConfig = run.apiConfig || {}
+  session.results = { ...results, run }
+  return session.results
+}
+
+/**
+ * Remove an archived run with its artifacts and files. The caller saves
+ * the session.
+ *
+ * @param {object} session
+ * @param {string} runId
+ * @returns {Promise<boolean>} Whether the run was in the history
+ */
+export async function deleteRun(session, runId) {
+  const index = (session.history || []).findIndex(entry => getEntryRunId(entry) === runId)
+  if (index === -1) {
+    return false
+  }
+
+  const [entry] = session.history.splice(index, 1)
+  await discardArchivedRun(session, entry)
+  return true
+}
@@ -0,0 +1,336 @@
+/**
+ * Artifact store for large result payloads.
+ *
+ * Step outputs, ideation ideas and summaries can be far larger than the
+ * rest of a session and would push it past the store's 1MB limit. They are
+ * written here, keyed by session ID and an artifact key such as
+ * 'analysis/jtbd/content', and the session keeps only a reference:
+ *
+ *   { $artifact: 'analysis/jtbd/content', bytes: 18234 }
+ *
+ * Keys of a run with an id (session.results.run, see analysisHistory.js)
+ * are scoped to it, e.g. 'runs/3f2a.../analysis/jtbd/content', so a new
+ * run does not overwrite the content of runs kept in the history.
+ *
+ * Readers pass session data through resolveArtifacts(), which swaps
+ * references for the stored values and leaves inline values untouched.
+ *
+ * Backends follow SESSION_STORAGE: memory, one JSON file per artifact, or
+ * a Redis hash per session that expires and is deleted with the session.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { toSafeName } from './sessionStorage.js'
+
+function createArtifactError(message) {
+  const err = new Error(message)
+  err.type = 'ARTIFACT_STORE_ERROR'
+  return err
+}
+
+/**
+ * Whether a value is an artifact reference left in place of a payload
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isArtifactRef(value) {
+  return value !== null && typeof value === 'object' && typeof value.$artifact === 'string'
+}
+
+export class MemoryArtifactStore {
+  constructor() {
+    // sessionId -> Map(key -> JSON string); stored serialized so callers
+    // cannot mutate a stored payload through a returned value
+    this.sessions = new Map()
+  }
+
+  /**
+   * Store a JSON-serializable value
+   * @param {string} sessionId
+   * @param {string} key - Artifact key, e.g. 'analysis/jtbd/content'
+   * @param {unknown} value
+   * @returns {Promise<{ $artifact: string, bytes: number }>} Reference to keep on the session
+   */
+  async put(sessionId, key, value) {
+    const data = JSON.stringify(value ?? null)
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, new Map())
+    }
+    this.sessions.get(sessionId).set(key, data)
+    return { $artifact: key, bytes: Buffer.byteLength(data) }
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {string} key
+   * @returns {Promise<unknown>} Stored value, or null if missing
+   */
+  async get(sessionId, key) {
+    const data = this.sessions.get(sessionId)?.get(key)
+    return data === undefined ? null : JSON.parse(data)
+  }
+
+  /**
+   * Remove one artifact
+   * @param {string} sessionId
+   * @param {string} key
+   */
+  async delete(sessionId, key) {
+    this.sessions.get(sessionId)?.delete(key)
+  }
+
+  /**
+   * Remove every artifact of a session
+   * @param {string} sessionId
+   */
+  async deleteSession(sessionId) {
+    this.sessions.delete(sessionId)
+  }
+
+  /**
+   * Remove artifacts of sessions not in the given list
+   * @param {string[]} keepSessionIds
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async prune(keepSessionIds) {
+    const keep = new Set(keepSessionIds)
+    let removed = 0
+    for (const sessionId of [...this.sessions.keys()]) {
+      if (!keep.has(sessionId)) {
+        this.sessions.delete(sessionId)
+        removed++
+      }
+    }
+    return removed
+  }
+}
+
+export class FileArtifactStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - Directory holding one subdirectory per session
+   */
+  constructor(options = {}) {
+    if (!options.dataDir) {
+      throw createArtifactError('FileArtifactStore requires a dataDir')
+    }
+    this.dataDir = path.resolve(options.dataDir)
+    fs.mkdirSync(this.dataDir, { recursive: true })
+  }
+
+  _sessionDir(sessionId) {
+    return path.join(this.dataDir, toSafeName(sessionId))
+  }
+
+  _filepath(sessionId, key) {
+    return path.join(this._sessionDir(sessionId), `${encodeURIComponent(key)}.json`)
+  }
+
+  async put(sessionId, key, value) {
+    const data = JSON.stringify(value ?? null)
+    const filepath = this._filepath(sessionId, key)
+    // Unique temp name: the same key may be written twice concurrently
+    const tmpPath = `${filepath}.${crypto.randomBytes(4).toString('hex')}.tmp`
+
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true })
+    await fs.promises.writeFile(tmpPath, data, 'utf8')
+    await fs.promises.rename(tmpPath, filepath)
+
+    return { $artifact: key, bytes: Buffer.byteLength(data) }
+  }
+
+  async get(sessionId, key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._filepath(sessionId, key), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async delete(sessionId, key) {
+    await fs.promises.rm(this._filepath(sessionId, key), { force: true })
+  }
+
+  async deleteSession(sessionId) {
+    await fs.promises.rm(this._sessionDir(sessionId), { recursive: true, force: true })
+  }
+
+  async prune(keepSessionIds) {
+    const keep = new Set(keepSessionIds.map(toSafeName))
+    let removed = 0
+    for (const name of await fs.promises.readdir(this.dataDir)) {
+      if (!keep.has(name)) {
+        await fs.promises.rm(path.join(this.dataDir, name), { recursive: true, force: true })
+        removed++
+      }
+    }
+    return removed
+  }
+}
+
+/**
+ * Key of the Redis hash holding a session's artifacts. RedisSessionStore
+ * expires and deletes it together with the session.
+ */
+export function redisArtifactsKey(keyPrefix, sessionId) {
+  return `${keyPrefix}artifacts:${sessionId}`
+}
+
+export class RedisArtifactStore {
+  /**
+   * @param {object} options
+   * @param {object} options.client - node-redis client (e.g. RedisSessionStore#client)
+   * @param {string} [options.keyPrefix='validator:']
+   * @param {number} [options.defaultTTLMs] - Expiry until the next session write aligns it
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw createArtifactError('RedisArtifactStore requires a client')
+    }
+    this.client = options.client
+    this.keyPrefix = options.keyPrefix || 'validator:'
+    this.defaultTTLMs = options.defaultTTLMs || 24 * 60 * 60 * 1000
+  }
+
+  async put(sessionId, key, value) {
+    const data = JSON.stringify(value ?? null)
+    const hashKey = redisArtifactsKey(this.keyPrefix, sessionId)
+
+    await this.client.hSet(hashKey, key, data)
+    await this.client.pExpire(hashKey, this.defaultTTLMs)
+
+    return { $artifact: key, bytes: Buffer.byteLength(data) }
+  }
+
+  async get(sessionId, key) {
+    const data = await this.client.hGet(redisArtifactsKey(this.keyPrefix, sessionId), key)
+    return data == null ? null : JSON.parse(data)
+  }
+
+  async delete(sessionId, key) {
+    await this.client.hDel(redisArtifactsKey(this.keyPrefix, sessionId), key)
+  }
+
+  async deleteSession(sessionId) {
+    await this.client.del(redisArtifactsKey(this.keyPrefix, sessionId))
+  }
+
+  async prune() {
+    // Hashes expire with their sessions
+    return 0
+  }
+}
+
+// Singleton instance
+let storeInstance = null
+
+/**
+ * Initialize the artifact store
+ * @param {object} [options]
+ * @param {'memory'|'file'|'redis'} [options.storage='memory'] - Usually the session storage
+ * @param {string} [options.dataDir] - Required for 'file'
+ * @param {object} [options.client] - Required for 'redis'
+ * @param {string} [options.keyPrefix] - Redis key prefix
+ * @param {number} [options.defaultTTLMs] - Redis expiry before the session aligns it
+ * @returns {MemoryArtifactStore|FileArtifactStore|RedisArtifactStore}
+ */
+export function initArtifactStore(options = {}) {
+  const storage = options.storage || 'memory'
+
+  if (storage === 'memory') {
+    storeInstance = new MemoryArtifactStore()
+  } else if (storage === 'file') {
+    storeInstance = new FileArtifactStore(options)
+  } else if (storage === 'redis') {
+    storeInstance = new RedisArtifactStore(options)
+  } else {
+    throw createArtifactError(`Unknown artifact storage "${storage}"; use "memory", "file" or "redis"`)
+  }
+
+  return storeInstance
+}
+
+/**
+ * Get the current store instance (in-memory unless initialized)
+ */
+export function getArtifactStore() {
+  if (!storeInstance) {
+    storeInstance = new MemoryArtifactStore()
+  }
+  return storeInstance
+}
+
+/**
+ * Store a payload for a session and return the reference to keep in its place.
+ *
+ * @param {object} session - Session with an id
+ * @param {string} key - Artifact key, unique within the run
+ * @param {unknown} value - JSON-serializable payload
+ * @returns {Promise<{ $artifact: string, bytes: number }>}
+ */
+export async function storeArtifact(session, key, value) {
+  if (!session?.id) {
+    throw createArtifactError('Cannot store an artifact for a session without an id')
+  }
+  const runId = session.results?.run?.id
+  return getArtifactStore().put(session.id, runId ? `runs/${runId}/${key}` : key, value)
+}
+
+/**
+ * Return a copy of `value` with every artifact reference replaced by the
+ * stored payload (null if it is gone). Values stored inline, e.g. in
+ * sessions written before results were offloaded, pass through as they are.
+ *
+ * @param {object} session - Session the references belong to
+ * @param {unknown} value - Any part of session data, e.g. session.results.ideation.scamper
+ * @returns {Promise<unknown>}
+ */
+export async function resolveArtifacts(session, value) {
+  if (isArtifactRef(value)) {
+    return getArtifactStore().get(session.id, value.$artifact)
+  }
+
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(item => resolveArtifacts(session, item)))
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await resolveArtifacts(session, item)])
+    )
+    return Object.fromEntries(entries)
+  }
+
+  return value
+}
+
+/**
+ * Delete every artifact referenced from `value`, e.g. a run dropped from
+ * the history
+ *
+ * @param {object} session - Session the references belong to
+ * @param {unknown} value - Any part of session data
+ */
+export async function deleteArtifacts(session, value) {
+  if (isArtifactRef(value)) {
+    await getArtifactStore().delete(session.id, value.$artifact)
+  } else if (value !== null && typeof value === 'object') {
+    for (const item of Object.values(value)) {
+      await deleteArtifacts(session, item)
+    }
+  }
+}
+
+/**
+ * Whether full provider responses are kept next to step content
+ * (LLM_STORE_RAW_RESPONSES=true). Off by default: they are large and only
+ * useful for debugging.
+ */
+export function shouldStoreRawResponses() {
+  return process.env.LLM_STORE_RAW_RESPONSES === 'true'
+}
@@ -0,0 +1,260 @@
+/**
+ * Comparison PDF Report Generator
+ * Exports the side-by-side comparison of two validation runs
+ */
+
+import PDFDocument from 'pdfkit'
+import { sanitizeFilenamePart } from './fileOutputService.js'
+import { getOutputStorage } from './outputStorage.js'
+import { addUsageAppendix } from './pdfUsageAppendix.js'
+import { summarizeUsage } from './usageService.js'
+import { compareRuns, prepareStoredComparison } from './runComparison.js'
+
+// Unchanged stretches of a methodology diff are shortened to this many
+// lines on either side of a change
+const CONTEXT_LINES = 2
+
+const METHOD_STATUS_LABELS = {
+  changed: 'Changed',
+  unchanged: 'Unchanged',
+  added: 'Only in Run B',
+  removed: 'Only in Run A'
+}
+
+function formatDate(value) {
+  return value
+    ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    : 'Unknown date'
+}
+
+/**
+ * Lines of a diff with long unchanged stretches collapsed
+ * @returns {Array<{ type: string, text: string }|{ type: 'skipped', count: number }>}
+ */
+function collapseDiff(diff) {
+  const lines = diff.flatMap(part =>
+    part.text.replace(/\n$/, '').split('\n').map(text => ({ type: part.type, text }))
+  )
+
+  const keep = lines.map(line => line.type !== 'equal')
+  lines.forEach((line, index) => {
+    if (line.type !== 'equal') {
+      for (let offset = -CONTEXT_LINES; offset <= CONTEXT_LINES; offset++) {
+        if (lines[index + offset]) keep[index + offset] = true
+      }
+    }
+  })
+
+  const collapsed = []
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      collapsed.push(line)
+    } else if (collapsed[collapsed.length - 1]?.type === 'skipped') {
+      collapsed[collapsed.length - 1].count++
+    } else {
+      collapsed.push({ type: 'skipped', count: 1 })
+    }
+  })
+  return collapsed
+}
+
+/**
+ * Generate the comparison PDF for two runs of the session's history
+ * @param {object} session
+ * @param {string} baseRunId - Run A
+ * @param {string} targetRunId - Run B
+ * @returns {Promise<{ filename: string, filepath: string|null }>} filepath is set for local storage
+ */
+export async function writeComparisonPdfForSession(session, baseRunId, targetRunId) {
+  let comparison
+  try {
+    comparison = await compareRuns(session, baseRunId, targetRunId)
+  } catch (error) {
+    if (error.type === 'COMPARISON_INPUT_ERROR' || error.type === 'COMPARISON_NOT_FOUND_ERROR') {
+      error.type = 'PDF_INPUT_ERROR'
+    }
+    throw error
+  }
+
+  // Replaces the delta and PDF of a previously compared pair
+  const storedComparison = await prepareStoredComparison(session, baseRunId, targetRunId)
+
+  const filename = `${sanitizeFilenamePart(session.id)}_comparison_${baseRunId}_${targetRunId}.pdf`
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 })
+
+  const PRIMARY_COLOR = '#4f46e5'
+  const TITLE_COLOR = '#111827'
+  const BODY_TEXT_COLOR = '#374151'
+  const MUTED_TEXT_COLOR = '#6b7280'
+  const DIVIDER_COLOR = '#e5e7eb'
+  const ADDED_COLOR = '#047857'
+  const REMOVED_COLOR = '#b91c1c'
+
+  const innerWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+  const contentWidth = Math.min(480, innerWidth)
+  const contentX = doc.page.margins.left + (innerWidth - contentWidth) / 2
+
+  // Stored while it is rendered; local storage streams it straight to disk
+  const stored = getOutputStorage()
+    .put(filename, doc, { contentType: 'application/pdf' })
+    .then(result => ({ result }), error => ({ error }))
+
+  const addDivider = () => {
+    doc.moveDown(0.5)
+    doc
+      .strokeColor(DIVIDER_COLOR)
+      .lineWidth(1)
+      .moveTo(contentX, doc.y)
+      .lineTo(contentX + contentWidth, doc.y)
+      .stroke()
+    doc.moveDown(0.75)
+  }
+
+  const addHeading = (text) => {
+    doc.moveDown(0.5)
+    doc
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .fillColor(TITLE_COLOR)
+      .text(text, contentX, doc.y, { width: contentWidth })
+      .moveDown(0.4)
+  }
+
+  const addLabelledText = (label, text, color = BODY_TEXT_COLOR) => {
+    doc.fontSize(10).font('Helvetica-Bold').fillColor(MUTED_TEXT_COLOR)
+      .text(`${label}: `, contentX, doc.y, { width: contentWidth, continued: true })
+    doc.font('Helvetica').fillColor(color).text(text || '(empty)')
+    doc.moveDown(0.3)
+  }
+
+  // Title
+  doc
+    .fontSize(22)
+    .font('Helvetica-Bold')
+    .fillColor(TITLE_COLOR)
+    .text('Problem Validation Comparison', contentX, 80, { align: 'center', width: contentWidth })
+    .moveDown(0.4)
+
+  doc
+    .fillColor(PRIMARY_COLOR)
+    .rect(contentX + (contentWidth - 140) / 2, doc.y, 140, 3)
+    .fill()
+    .moveDown(1)
+
+  for (const [label, run] of [['Run A', comparison.base], ['Run B', comparison.target]]) {
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(PRIMARY_COLOR)
+      .text(`${label} · ${formatDate(run.startedAt || run.createdAt)}`, contentX, doc.y, { width: contentWidth })
+    doc.fontSize(10).font('Helvetica').fillColor(MUTED_TEXT_COLOR)
+      .text(`Methods: ${run.methods.length} · Model: ${run.model || 'unknown'}`, contentX, doc.y, { width: contentWidth })
+    doc.moveDown(0.75)
+  }
+
+  addDivider()
+
+  // 1. Inputs
+  addHeading('1. Input Changes')
+  const changedInputs = comparison.inputs.filter(input => input.changed)
+  if (changedInputs.length === 0) {
+    doc.fontSize(11).font('Helvetica').fillColor(BODY_TEXT_COLOR)
+      .text('Both runs were started with the same inputs.', contentX, doc.y, { width: contentWidth })
+  }
+  for (const input of changedInputs) {
+    doc.fontSize(11).font('Helvetica-Bold').fillColor(TITLE_COLOR)
+      .text(input.label, contentX, doc.y, { width: contentWidth })
+    doc.moveDown(0.2)
+    addLabelledText('Run A', input.before, REMOVED_COLOR)
+    addLabelledText('Run B', input.after, ADDED_COLOR)
+    doc.moveDown(0.5)
+  }
+
+  // 2. Delta
+  addHeading('2. What Changed and Why It Matters')
+  doc.fontSize(11).font('Helvetica').fillColor(BODY_TEXT_COLOR)
+  if (comparison.delta) {
+    comparison.delta.text.split(/\n{2,}/).forEach(paragraph => {
+      const trimmed = paragraph.trim()
+      if (trimmed.length > 0) {
+        doc.text(trimmed, contentX, doc.y, { width: contentWidth, lineGap: 3 })
+        doc.moveDown(0.75)
+      }
+    })
+  } else {
+    doc.fillColor(MUTED_TEXT_COLOR)
+      .text('No AI summary of the changes has been generated for these runs.', contentX, doc.y, { width: contentWidth })
+  }
+
+  // 3. Methodologies
+  doc.addPage()
+  addHeading('3. Methodology Changes')
+  doc.fontSize(10).font('Helvetica').fillColor(MUTED_TEXT_COLOR)
+    .text('Lines starting with "-" appear only in Run A, lines starting with "+" only in Run B.', contentX, doc.y, { width: contentWidth })
+  doc.moveDown(0.5)
+
+  const sections = [
+    ...comparison.methods,
+    ...(comparison.summary
+      ? [{ name: 'Synthesized Summary', status: comparison.summary.changed ? 'changed' : 'unchanged', diff: comparison.summary.diff }]
+      : [])
+  ]
+
+  for (const section of sections) {
+    doc.moveDown(0.5)
+    doc.fontSize(13).font('Helvetica-Bold').fillColor(PRIMARY_COLOR)
+      .text(`${section.name} (${METHOD_STATUS_LABELS[section.status]})`, contentX, doc.y, { width: contentWidth })
+    doc.moveDown(0.25)
+
+    if (section.status === 'unchanged') {
+      continue
+    }
+
+    doc.fontSize(9).font('Courier')
+    for (const line of collapseDiff(section.diff)) {
+      if (line.type === 'skipped') {
+        doc.fillColor(MUTED_TEXT_COLOR).font('Helvetica-Oblique')
+          .text(`... ${line.count} unchanged line${line.count === 1 ? '' : 's'} ...`, contentX, doc.y, { width: contentWidth })
+        doc.font('Courier')
+        continue
+      }
+
+      const [prefix, color] = line.type === 'added'
+        ? ['+ ', ADDED_COLOR]
+        : line.type === 'removed' ? ['- ', REMOVED_COLOR] : ['  ', BODY_TEXT_COLOR]
+      doc.fillColor(color).text(`${prefix}${line.text}`, contentX, doc.y, { width: contentWidth })
+    }
+  }
+
+  // Appendix: usage of the delta call
+  addUsageAppendix(doc, summarizeUsage([
+    { id: 'comparison', name: 'Comparison summary', usage: storedComparison.delta?.usage }
+  ]), {
+    contentX,
+    contentWidth,
+    titleColor: TITLE_COLOR,
+    bodyColor: BODY_TEXT_COLOR,
+    mutedColor: MUTED_TEXT_COLOR,
+    accentColor: PRIMARY_COLOR
+  })
+
+  doc.end()
+
+  const { result, error } = await stored
+  if (error) {
+    const err = new Error('Failed to write PDF report')
+    err.type = 'PDF_WRITE_ERROR'
+    err.cause = error
+    throw err
+  }
+
+  storedComparison.report = {
+    filename,
+    filepath: result.filepath,
+    generatedAt: new Date().toISOString()
+  }
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  return { filename, filepath: result.filepath }
+}
@@ -0,0 +1,131 @@
+/**
+ * Concurrency helpers for fanning out independent LLM calls (analysis
+ * methodologies, SCAMPER lenses, SIT tools) within a single run.
+ *
+ * The limit is configured per provider so rate limits can be respected:
+ * LLM_CONCURRENCY_<PROVIDER> (e.g. LLM_CONCURRENCY_OPENAI=4) overrides
+ * LLM_CONCURRENCY, which defaults to 1 (sequential execution). Runs given
+ * a provider share its limit with every other run of the process, so
+ * concurrent jobs together stay within it.
+ */
+
+const DEFAULT_CONCURRENCY = 1
+
+// Call slots per provider, shared by all runs of this process
+const providerLimiters = new Map()
+
+/**
+ * Number of calls a run may have in flight for a provider.
+ * @param {string} provider
+ * @returns {number}
+ */
+export function getConcurrencyLimit(provider) {
+  const providerKey = `LLM_CONCURRENCY_${String(provider || '').toUpperCase()}`
+  const raw = process.env[providerKey] ?? process.env.LLM_CONCURRENCY
+  const parsed = parseInt(raw, 10)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_CONCURRENCY
+}
+
+// Hand free slots to waiting callers, in request order
+function grantProviderSlots(limiter) {
+  while (limiter.waiting.length > 0 && limiter.active < limiter.limit) {
+    limiter.active++
+    let released = false
+    limiter.waiting.shift()(() => {
+      if (released) return
+      released = true
+      limiter.active--
+      grantProviderSlots(limiter)
+    })
+  }
+}
+
+/**
+ * Wait for one of the provider's call slots, shared by all runs of this
+ * process.
+ *
+ * @param {string} provider
+ * @param {number} limit - Slots of the provider (see getConcurrencyLimit)
+ * @returns {Promise<() => void>} Releases the slot
+ */
+export function acquireProviderSlot(provider, limit) {
+  let limiter = providerLimiters.get(provider)
+  if (!limiter) {
+    limiter = { active: 0, limit: 1, waiting: [] }
+    providerLimiters.set(provider, limiter)
+  }
+  limiter.limit = Math.max(1, limit || 1)
+
+  return new Promise(resolve => {
+    limiter.waiting.push(resolve)
+    grantProviderSlots(limiter)
+  })
+}
+
+/**
+ * Run worker over items with at most `limit` in flight, starting items in
+ * order. Once shouldStop() returns true no further items are started;
+ * items already running are awaited. With a provider, items also wait for
+ * one of its shared slots, so the limit holds across concurrent runs.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @param {{ shouldStop?: () => boolean, provider?: string }} [options]
+ * @returns {Promise<Array<{ status: 'fulfilled'|'rejected', value?: any, reason?: any }|undefined>>}
+ *   Settled results by item index; undefined for items that never started
+ */
+export async function runWithConcurrency(items, limit, worker, options = {}) {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const runnerCount = Math.min(Math.max(1, limit || 1), items.length)
+  const runners = Array.from({ length: runnerCount }, async () => {
+    while (nextIndex < items.length && !options.shouldStop?.()) {
+      const release = options.provider
+        ? await acquireProviderSlot(options.provider, limit)
+        : () => {}
+
+      // Other runners may have taken the last items, or a stop been
+      // requested, while waiting for the slot
+      if (nextIndex >= items.length || options.shouldStop?.()) {
+        release()
+        break
+      }
+
+      const index = nextIndex++
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) }
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error }
+      } finally {
+        release()
+      }
+    }
+  })
+
+  await Promise.all(runners)
+  return results
+}
+
+/**
+ * Wrap session.save() so concurrent callers are written one after another
+ * in call order, and an earlier write never lands after a later one.
+ *
+ * @param {object} session
+ * @returns {() => Promise<void>}
+ */
+export function createSerializedSave(session) {
+  let tail = Promise.resolve()
+
+  return () => {
+    if (typeof session.save !== 'function') {
+      return Promise.resolve()
+    }
+
+    const write = tail.then(() => session.save())
+    // Keep the queue going after a failed write; the caller still sees it
+    tail = write.catch(() => {})
+    return write
+  }
+}
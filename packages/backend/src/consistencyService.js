@@ -0,0 +1,183 @@
+/**
+ * Cross-methodology consistency.
+ *
+ * A dedicated pass over a completed analysis that extracts the claims each
+ * methodology makes about the customer, top problem, root cause and early
+ * adopters, clusters equivalent claims and flags direct contradictions
+ * between methodologies. Every claim cites the analysis step it comes
+ * from. The result is stored on session.results.consistency.
+ *
+ * Like the synthesis, analyses too long for the model's context window
+ * are checked from their digests (see synthesisStrategy.js).
+ */
+
+import { isValidApiKey } from './llmService.js'
+import { recordUsage, assertWithinBudget } from './usageService.js'
+import { resolveArtifacts } from './artifactStore.js'
+import { estimateTokenCount } from './modelCatalog.js'
+import { generateStructuredOutput } from './structuredOutput.js'
+import { buildConsistencyPrompt, buildConsistencySchema } from './consistencyTemplates.js'
+import { getSynthesisLimits, planDigests } from './synthesisStrategy.js'
+import { generateDigests } from './synthesisService.js'
+
+function createConsistencyError(message, type) {
+  const err = new Error(message)
+  err.type = type
+  return err
+}
+
+/**
+ * Check the claim references of a schema-valid consistency result: claim
+ * ids are unique, clusters and contradictions cite existing claims, and a
+ * contradiction spans at least two methodologies.
+ *
+ * @param {{ claims: object[], clusters: object[], contradictions: object[] }} data
+ * @returns {string[]} Errors in validateAgainstSchema format
+ */
+export function checkClaimReferences(data) {
+  const errors = []
+  const claims = new Map()
+
+  data.claims.forEach((claim, index) => {
+    if (claims.has(claim.id)) {
+      errors.push(`$.claims[${index}].id: duplicate claim id "${claim.id}"`)
+    }
+    claims.set(claim.id, claim)
+  })
+
+  const checkGroup = (group, path) => {
+    group.claimIds.forEach((id, index) => {
+      if (!claims.has(id)) {
+        errors.push(`${path}.claimIds[${index}]: unknown claim id "${id}"`)
+      }
+    })
+  }
+
+  data.clusters.forEach((cluster, index) => checkGroup(cluster, `$.clusters[${index}]`))
+  data.contradictions.forEach((contradiction, index) => {
+    const path = `$.contradictions[${index}]`
+    checkGroup(contradiction, path)
+
+    const stepIds = new Set(contradiction.claimIds.map(id => claims.get(id)?.stepId).filter(Boolean))
+    if (stepIds.size < 2) {
+      errors.push(`${path}: must cite claims of at least two methodologies`)
+    }
+  })
+
+  return errors
+}
+
+// Cited steps of a cluster or contradiction, in run order
+function withStepIds(group, claims, methodIds) {
+  const cited = new Set(group.claimIds.map(id => claims.find(claim => claim.id === id)?.stepId))
+  return { ...group, stepIds: methodIds.filter(id => cited.has(id)) }
+}
+
+/**
+ * Run the consistency pass for the current run and store it on
+ * session.results.consistency. A pass that fails after the checks below
+ * keeps empty lists and the reason in `error`, so the caller can carry on
+ * with the report.
+ *
+ * @param {object} session
+ * @param {string} apiKey
+ * @param {{ timeoutMs?: number, digests?: Object }} [options] - digests: from a map-reduce synthesis of the same run, reused instead of condensing the analyses again
+ * @returns {Promise<object|null>} session.results.consistency, or null for runs with fewer than two methodologies
+ */
+export async function generateConsistencyReport(session, apiKey, options = {}) {
+  const results = session?.results
+  if (results?.analysis?.status !== 'completed') {
+    throw createConsistencyError('Analysis must be completed before it can be checked for consistency', 'CONSISTENCY_STATE_ERROR')
+  }
+
+  if (!session.apiConfig?.provider || !session.apiConfig?.model) {
+    throw createConsistencyError('Session is missing apiConfig provider or model', 'CONSISTENCY_INPUT_ERROR')
+  }
+
+  if (!isValidApiKey(session.apiConfig.provider, apiKey)) {
+    throw createConsistencyError('A valid API key (>= 20 chars) is required for the consistency check', 'CONSISTENCY_INPUT_ERROR')
+  }
+
+  const steps = Array.isArray(results.analysis.steps) ? results.analysis.steps : []
+  // A single methodology cannot agree or disagree with anything
+  if (steps.length < 2) {
+    results.consistency = null
+    return null
+  }
+
+  const methodIds = steps.map(step => step.id)
+  const context = {}
+  for (const step of steps) {
+    context[step.id] = (await resolveArtifacts(session, step.result?.content)) || ''
+  }
+
+  const schema = buildConsistencySchema(methodIds)
+  const consistency = results.consistency || {}
+  results.consistency = consistency
+
+  try {
+    assertWithinBudget(session)
+
+    // Checked before any call: a prompt the model cannot take would only
+    // fail, and be billed again by the retry without JSON mode
+    const limits = getSynthesisLimits(session.apiConfig.provider, session.apiConfig.model)
+    let prompt = buildConsistencyPrompt(context, methodIds, schema)
+    if (estimateTokenCount(prompt) > limits.promptBudget) {
+      const digests = options.digests ||
+        await generateDigests(session, { chunks: planDigests(context, methodIds, limits) }, apiKey, options, consistency)
+      prompt = buildConsistencyPrompt(digests, methodIds, schema)
+      if (estimateTokenCount(prompt) > limits.promptBudget) {
+        throw createConsistencyError(
+          `The model's context window (${limits.contextWindow} tokens) is too small to check ${methodIds.length} analyses for consistency`,
+          'CONSISTENCY_INPUT_ERROR'
+        )
+      }
+      assertWithinBudget(session)
+    }
+
+    const { data, attempts } = await generateStructuredOutput(
+      { id: 'consistency', outputSchema: schema },
+      '',
+      {
+        provider: session.apiConfig.provider,
+        model: session.apiConfig.model,
+        baseUrl: session.apiConfig.baseUrl,
+        apiKey,
+        timeoutMs: options.timeoutMs,
+        metadata: {
+          sessionId: session.id,
+          kind: 'consistency',
+          methods: methodIds
+        }
+      },
+      {
+        prompt,
+        validate: checkClaimReferences,
+        // Accumulates across regenerations, like the synthesis
+        onResult: result => recordUsage(consistency, result)
+      }
+    )
+
+    consistency.claims = data.claims
+    consistency.clusters = data.clusters.map(cluster => withStepIds(cluster, data.claims, methodIds))
+    consistency.contradictions = data.contradictions.map(contradiction => withStepIds(contradiction, data.claims, methodIds))
+    consistency.attempts = attempts
+    consistency.error = null
+  } catch (error) {
+    consistency.claims = []
+    consistency.clusters = []
+    consistency.contradictions = []
+    consistency.attempts = error.attempts || 1
+    consistency.error = error.message || 'Consistency check failed'
+  }
+
+  consistency.generatedAt = new Date().toISOString()
+  consistency.provider = session.apiConfig.provider
+  consistency.model = session.apiConfig.model
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  return consistency
+}
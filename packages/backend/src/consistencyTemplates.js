@@ -0,0 +1,118 @@
+/**
+ * Cross-methodology consistency prompt.
+ * Asks the model for the claims each methodology makes on a few shared
+ * topics, grouped into clusters of equivalent claims, and for the direct
+ * contradictions between methodologies.
+ */
+
+import { getMethodologyOrder } from './promptTemplates.js'
+import { SYNTHESIS_SECTION_TITLES } from './synthesisTemplates.js'
+
+/**
+ * Topics every methodology says something about, in display order
+ */
+export const CLAIM_TOPICS = [
+  { id: 'customer', label: 'Customer', description: 'Who has the problem' },
+  { id: 'topProblem', label: 'Top problem', description: 'The most important problem or pain' },
+  { id: 'rootCause', label: 'Root cause', description: 'Why the problem exists' },
+  { id: 'earlyAdopters', label: 'Early adopters', description: 'Who would adopt a solution first' }
+]
+
+export const CONSISTENCY_TEMPLATE = `You are an expert problem validation analyst. The same problem was analyzed with several validation methodologies. Compare what they conclude.
+
+1. Extract claims. For each methodology, list the claims it makes on these topics:
+{{TOPICS}}
+   Give each claim a unique id ("c1", "c2", ...), the id of the methodology it comes from ({{METHODS}}) and a one-sentence paraphrase. Skip topics a methodology does not address.
+
+2. Cluster equivalent claims. Put claims that say the same thing in substance into one cluster with a one-sentence statement of the shared conclusion. Every claim belongs to exactly one cluster; a claim nobody else makes forms a cluster of its own.
+
+3. Flag contradictions. List pairs or groups of claims from different methodologies that cannot both be true, e.g. one methodology blaming the process while another blames the tooling. Explain the conflict in one sentence. Differences in emphasis are not contradictions.
+
+JSON Schema:
+{{SCHEMA}}
+
+Analyses:
+{{ANALYSES}}
+
+
+Respond with a single JSON object that matches the JSON Schema, without markdown or commentary.`
+
+/**
+ * JSON Schema of the consistency result. Claims may only cite the
+ * methodologies of the run.
+ *
+ * @param {string[]} methodIds
+ * @returns {object}
+ */
+export function buildConsistencySchema(methodIds) {
+  const topic = { type: 'string', enum: CLAIM_TOPICS.map(({ id }) => id) }
+  const claimIds = { type: 'array', minItems: 1, items: { type: 'string' } }
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['claims', 'clusters', 'contradictions'],
+    properties: {
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['id', 'stepId', 'topic', 'claim'],
+          properties: {
+            id: { type: 'string' },
+            stepId: { type: 'string', enum: methodIds },
+            topic,
+            claim: { type: 'string' }
+          }
+        }
+      },
+      clusters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['topic', 'statement', 'claimIds'],
+          properties: { topic, statement: { type: 'string' }, claimIds }
+        }
+      },
+      contradictions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['topic', 'summary', 'claimIds'],
+          properties: { topic, summary: { type: 'string' }, claimIds: { ...claimIds, minItems: 2 } }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Build the consistency prompt for a run
+ *
+ * @param {Object} context - Methodology content keyed by methodology ID
+ * @param {string[]} methodIds - Methodologies of the run
+ * @param {object} schema - From buildConsistencySchema
+ * @returns {string}
+ */
+export function buildConsistencyPrompt(context, methodIds, schema) {
+  const fallback = 'No analysis available for this method.'
+  const ids = getMethodologyOrder().filter(id => methodIds.includes(id))
+
+  const analyses = ids.map(id => {
+    const content = context?.[id] && context[id].trim().length > 0 ? context[id] : fallback
+    return `${SYNTHESIS_SECTION_TITLES[id]} (id: ${id}):\n${content}`
+  })
+
+  const values = {
+    TOPICS: CLAIM_TOPICS.map(({ id, description }) => `   - ${id}: ${description}`).join('\n'),
+    METHODS: ids.join(', '),
+    SCHEMA: JSON.stringify(schema, null, 2),
+    ANALYSES: analyses.join('\n\n\n')
+  }
+
+  // Single pass, so placeholders inside the analyses stay as they are
+  return CONSISTENCY_TEMPLATE.replace(/\{\{([A-Z]+)\}\}/g, (match, token) => values[token] ?? match)
+}
@@ -1,5 +1,7 @@
 import nodemailer from 'nodemailer'
-import { promises as fs } from 'fs'
+import { getMethodologySteps } from './promptTemplates.js'
+import { getMethodologyDefinition } from './methodologyRegistry.js'
+import { getOutputStorage } from './outputStorage.js'
 
 /**
  * Simple email validation (same pattern as analysisValidator)
@@ -9,6 +11,16 @@ function isValidEmail(email) {
   return emailRegex.test(email)
 }
 
+/**
+ * Describe the methodologies a run used, e.g. "5 proven methodologies".
+ */
+function describeMethodCount(count) {
+  if (count === 1) {
+    return '1 proven methodology'
+  }
+  return `${count} proven methodologies`
+}
+
 /**
  * Send analysis report email with PDF and per-method TXT attachments.
  *
@@ -26,7 +38,7 @@ export async function sendAnalysisReportEmail(session) {
   const report = session?.results?.report
   const analysis = session?.results?.analysis
 
-  if (!report?.filepath || !report?.filename) {
+  if (!report?.filename) {
     const err = new Error('Report PDF metadata missing on session')
     err.type = 'EMAIL_INPUT_ERROR'
     throw err
@@ -38,10 +50,10 @@ export async function sendAnalysisReportEmail(session) {
     throw err
   }
 
-  // Optionally ensure files exist
-  try {
-    await fs.stat(report.filepath)
-  } catch {
+  // Attachments are read from output storage, which may not be local disk
+  const storage = getOutputStorage()
+  const reportContent = await storage.read(report.filename)
+  if (!reportContent) {
     const err = new Error('Report PDF file not found')
     err.type = 'EMAIL_INPUT_ERROR'
     throw err
@@ -50,32 +62,35 @@ export async function sendAnalysisReportEmail(session) {
   const attachments = [
     {
       filename: report.filename,
-      path: report.filepath,
+      content: reportContent,
       contentType: 'application/pdf'
     }
   ]
 
   for (const f of analysis.files) {
-    if (!f?.filepath || !f?.filename) continue
+    if (!f?.filename) continue
+    const content = await storage.read(f.filename)
+    if (!content) continue
     attachments.push({
       filename: f.filename,
-      path: f.filepath,
+      content,
       contentType: 'text/plain'
     })
   }
 
+  // List only the methodologies selected for this run
+  const methodLabels = getMethodologySteps(analysis.methods)
+    .map(step => getMethodologyDefinition(step.id)?.emailLabel || step.name)
+  const methodCount = describeMethodCount(methodLabels.length)
+
   const from = process.env.EMAIL_FROM
   const subject = 'Your Problem Validation Analysis is Ready'
 
   const text = `Dear User,
 
-Your problem validation analysis has been completed. We've analyzed your problem statement through 5 proven methodologies:
+Your problem validation analysis has been completed. We've analyzed your problem statement through ${methodCount}:
 
-- Jobs-to-be-Done (JTBD)
-- Design Thinking – Define Phase
-- Lean Problem Validation
-- Root Cause Analysis
-- Opportunity Solution Tree
+${methodLabels.map(label => `- ${label}`).join('\n')}
 
 Attached you'll find:
 - Final synthesized summary report (PDF)
@@ -87,13 +102,9 @@ Best regards,
 Problem Discovery Platform`
 
   const html = `<p>Dear User,</p>
-<p>Your problem validation analysis has been completed. We've analyzed your problem statement through 5 proven methodologies:</p>
+<p>Your problem validation analysis has been completed. We've analyzed your problem statement through ${methodCount}:</p>
 <ul>
-  <li>Jobs-to-be-Done (JTBD)</li>
-  <li>Design Thinking – Define Phase</li>
-  <li>Lean Problem Validation</li>
-  <li>Root Cause Analysis</li>
-  <li>Opportunity Solution Tree</li>
+${methodLabels.map(label => `  <li>${label}</li>`).join('\n')}
 </ul>
 <p>Attached you'll find:</p>
 <ul>
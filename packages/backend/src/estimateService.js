@@ -0,0 +1,315 @@
+/**
+ * Pre-run Estimates
+ *
+ * Estimates the LLM calls, tokens, cost and wall-clock time of a full run
+ * (selected analysis methods with their structured output + synthesis,
+ * preceded by per-method digests when the analyses exceed the model's
+ * context window, scorecard and consistency check, 7 SCAMPER lenses + synthesis, 5 SIT
+ * tools + synthesis) before anything is sent to a provider. Prompt tokens
+ * are counted from the prompts the services actually build; outputs that
+ * later prompts embed (e.g. step results in the synthesis prompt) are
+ * replaced by their expected token counts.
+ */
+
+import { getMethodologySteps, buildPrompt } from './promptTemplates.js'
+import {
+  buildSynthesisPrompt,
+  buildDigestPrompt,
+  buildScorecardPrompt,
+  buildScorecardSchema
+} from './synthesisTemplates.js'
+import { getSynthesisLimits, getDigestTokens, getDigestWords } from './synthesisStrategy.js'
+import { buildStructuredPrompt } from './structuredOutputTemplates.js'
+import { buildConsistencyPrompt, buildConsistencySchema } from './consistencyTemplates.js'
+import { getMethodologyDefinition } from './methodologyRegistry.js'
+import {
+  SCAMPER_LENSES,
+  generateScamperLensPrompt,
+  generateScamperSynthesisPrompt
+} from './scamperPromptTemplates.js'
+import {
+  SIT_TOOLS,
+  generateSitToolPrompt,
+  generateSitSynthesisPrompt
+} from './sitPromptTemplates.js'
+import { estimateCostUsd, estimateTokenCount, getModelThroughput } from './modelCatalog.js'
+import { getMockLatencyMs } from './mockProvider.js'
+
+/**
+ * Expected completion tokens per call type, based on typical responses
+ * (provider calls are capped at the model's maxOutputTokens, 2000 unless
+ * the model catalog says otherwise).
+ */
+export const EXPECTED_OUTPUT_TOKENS = {
+  analysisStep: 1200,
+  structuredOutput: 600,
+  analysisSynthesis: 1500,
+  scorecard: 700,
+  consistencyCheck: 1200,
+  scamperLens: 900,
+  sitTool: 900,
+  ideationSynthesis: 1200
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6
+}
+
+/**
+ * Estimate wall-clock time of one call.
+ */
+function estimateCallDurationMs(provider, model, completionTokens) {
+  if (provider === 'mock') {
+    return getMockLatencyMs(model)
+  }
+
+  const { outputTokensPerSecond, overheadMs } = getModelThroughput(provider, model)
+  return Math.round(overheadMs + (completionTokens / outputTokensPerSecond) * 1000)
+}
+
+function estimateCall(config, { id, name, prompt, embeddedTokens = 0, completionTokens }) {
+  const promptTokens = estimateTokenCount(prompt) + embeddedTokens
+  const cost = estimateCostUsd(config.provider, config.model, { promptTokens, completionTokens })
+
+  return {
+    id,
+    name,
+    promptTokens,
+    completionTokens,
+    costUsd: cost == null ? null : roundCost(cost),
+    durationMs: estimateCallDurationMs(config.provider, config.model, completionTokens)
+  }
+}
+
+function summarizePhase(id, name, items) {
+  const sum = key => items.reduce((total, item) => total + item[key], 0)
+  const priced = items.every(item => item.costUsd != null)
+
+  return {
+    id,
+    name,
+    calls: items.length,
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+    totalTokens: sum('promptTokens') + sum('completionTokens'),
+    costUsd: priced ? roundCost(sum('costUsd')) : null,
+    durationMs: sum('durationMs'),
+    items
+  }
+}
+
+/**
+ * Digest length per method when the expected step results would not fit
+ * the synthesis prompt, or null for a single synthesis call. Windows too
+ * small for digests are estimated as a single call; the run would stop
+ * at the synthesis.
+ */
+function estimateDigestTokens(config, methodIds) {
+  const limits = getSynthesisLimits(config.provider, config.model)
+  const fullPromptTokens =
+    estimateTokenCount(buildSynthesisPrompt({}, methodIds)) +
+    methodIds.length * EXPECTED_OUTPUT_TOKENS.analysisStep
+
+  if (fullPromptTokens <= limits.promptBudget) {
+    return null
+  }
+
+  try {
+    return getDigestTokens(methodIds, limits)
+  } catch {
+    return null
+  }
+}
+
+function estimateAnalysisPhase(config, inputs, methods) {
+  const context = {
+    problemStatement: inputs.description,
+    location: inputs.location,
+    targetCustomer: inputs.targetCustomer,
+    teamSize: inputs.teamSize,
+    businessGoalOrProblemStatement: inputs.description
+  }
+
+  const steps = getMethodologySteps(methods)
+
+  const items = steps.flatMap(step => {
+    const stepItems = [
+      estimateCall(config, {
+        id: step.id,
+        name: step.name,
+        prompt: buildPrompt(step.id, context),
+        completionTokens: EXPECTED_OUTPUT_TOKENS.analysisStep
+      })
+    ]
+
+    // The structured output prompt embeds the step result; repairs are not counted
+    const definition = getMethodologyDefinition(step.id)
+    if (definition?.outputSchema) {
+      stepItems.push(
+        estimateCall(config, {
+          id: `${step.id}:structured`,
+          name: `${step.name} (structured)`,
+          prompt: buildStructuredPrompt(definition, ''),
+          embeddedTokens: EXPECTED_OUTPUT_TOKENS.analysisStep,
+          completionTokens: EXPECTED_OUTPUT_TOKENS.structuredOutput
+        })
+      )
+    }
+
+    return stepItems
+  })
+
+  // The synthesis prompt embeds every step result, or their digests when
+  // the results would not fit the context window (see synthesisStrategy.js)
+  const methodIds = steps.map(step => step.id)
+  const digestTokens = estimateDigestTokens(config, methodIds)
+  const analysesTokens = steps.length * (digestTokens ?? EXPECTED_OUTPUT_TOKENS.analysisStep)
+
+  if (digestTokens != null) {
+    items.push(...steps.map((step, index) =>
+      estimateCall(config, {
+        id: `${step.id}:digest`,
+        name: `${step.name} (digest)`,
+        prompt: buildDigestPrompt(
+          { document: { number: index + 1, stepId: step.id, passages: [] }, start: 0, end: 0, part: 1, parts: 1 },
+          getDigestWords(digestTokens)
+        ),
+        embeddedTokens: EXPECTED_OUTPUT_TOKENS.analysisStep,
+        completionTokens: digestTokens
+      })
+    ))
+  }
+
+  items.push(
+    estimateCall(config, {
+      id: 'synthesis',
+      name: 'Synthesis',
+      prompt: buildSynthesisPrompt({}, methodIds, digestTokens != null ? {} : null),
+      embeddedTokens: analysesTokens,
+      completionTokens: EXPECTED_OUTPUT_TOKENS.analysisSynthesis
+    })
+  )
+
+  // The scorecard prompt embeds the same analyses and the synthesis
+  items.push(
+    estimateCall(config, {
+      id: 'scorecard',
+      name: 'Validation scorecard',
+      prompt: buildScorecardPrompt({}, methodIds, '', buildScorecardSchema(methodIds)),
+      embeddedTokens: analysesTokens + EXPECTED_OUTPUT_TOKENS.analysisSynthesis,
+      completionTokens: EXPECTED_OUTPUT_TOKENS.scorecard
+    })
+  )
+
+  // Only runs with something to compare get a consistency check
+  if (steps.length > 1) {
+    items.push(
+      estimateCall(config, {
+        id: 'consistency',
+        name: 'Consistency check',
+        prompt: buildConsistencyPrompt({}, methodIds, buildConsistencySchema(methodIds)),
+        embeddedTokens: steps.length * EXPECTED_OUTPUT_TOKENS.analysisStep,
+        completionTokens: EXPECTED_OUTPUT_TOKENS.consistencyCheck
+      })
+    )
+  }
+
+  return summarizePhase('analysis', 'Validation analysis', items)
+}
+
+function estimateScamperPhase(config, problemContext) {
+  const items = SCAMPER_LENSES.map(lens =>
+    estimateCall(config, {
+      id: lens.id,
+      name: lens.name,
+      prompt: generateScamperLensPrompt(lens, problemContext),
+      completionTokens: EXPECTED_OUTPUT_TOKENS.scamperLens
+    })
+  )
+
+  items.push(
+    estimateCall(config, {
+      id: 'synthesis',
+      name: 'Synthesis & Ranking',
+      prompt: generateScamperSynthesisPrompt({}, problemContext),
+      embeddedTokens: SCAMPER_LENSES.length * EXPECTED_OUTPUT_TOKENS.scamperLens,
+      completionTokens: EXPECTED_OUTPUT_TOKENS.ideationSynthesis
+    })
+  )
+
+  return summarizePhase('scamper', 'SCAMPER ideation', items)
+}
+
+function estimateSitPhase(config, problemContext) {
+  // SIT tool prompts embed the analysis summary as system context
+  const items = SIT_TOOLS.map(tool =>
+    estimateCall(config, {
+      id: tool.id,
+      name: tool.name,
+      prompt: generateSitToolPrompt(tool, problemContext, {}),
+      embeddedTokens: EXPECTED_OUTPUT_TOKENS.analysisSynthesis,
+      completionTokens: EXPECTED_OUTPUT_TOKENS.sitTool
+    })
+  )
+
+  items.push(
+    estimateCall(config, {
+      id: 'synthesis',
+      name: 'Synthesis & Ranking',
+      prompt: generateSitSynthesisPrompt({}, problemContext),
+      embeddedTokens: SIT_TOOLS.length * EXPECTED_OUTPUT_TOKENS.sitTool,
+      completionTokens: EXPECTED_OUTPUT_TOKENS.ideationSynthesis
+    })
+  )
+
+  return summarizePhase('sit', 'SIT ideation', items)
+}
+
+/**
+ * Estimate a full run for the given provider/model and problem inputs.
+ *
+ * @param {object} params
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {object} params.inputs
+ * @param {string} params.inputs.description
+ * @param {string} [params.inputs.location]
+ * @param {string} [params.inputs.targetCustomer]
+ * @param {string} [params.inputs.teamSize]
+ * @param {string[]} [params.methods] - Selected methodology IDs; all when omitted
+ * @returns {{ provider: string, model: string, phases: object[], total: object }}
+ *   costUsd is null when the model has no pricing data
+ */
+export function estimateRun({ provider, model, inputs, methods }) {
+  const config = { provider, model }
+  const problemContext = {
+    description: inputs.description,
+    location: inputs.location,
+    targetCustomer: inputs.targetCustomer,
+    teamSize: inputs.teamSize
+  }
+
+  const phases = [
+    estimateAnalysisPhase(config, inputs, methods),
+    estimateScamperPhase(config, problemContext),
+    estimateSitPhase(config, problemContext)
+  ]
+
+  const sum = key => phases.reduce((total, phase) => total + phase[key], 0)
+  const priced = phases.every(phase => phase.costUsd != null)
+
+  return {
+    provider,
+    model,
+    phases,
+    total: {
+      calls: sum('calls'),
+      promptTokens: sum('promptTokens'),
+      completionTokens: sum('completionTokens'),
+      totalTokens: sum('totalTokens'),
+      costUsd: priced ? roundCost(sum('costUsd')) : null,
+      // Phases and the calls within them run sequentially
+      durationMs: sum('durationMs')
+    }
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Cleanup of generated analysis files.
+ *
+ * Method .txt files and PDF reports are written to output storage (local
+ * disk or S3) as `<sessionId>_<name>.<ext>`. A session's files are deleted
+ * when the session expires or is destroyed (wired through the session
+ * store's onRemove callback), and a periodic sweep removes files whose
+ * session no longer exists once they are older than the configured TTL,
+ * e.g. files left behind by a restart or by another instance's sessions.
+ */
+
+import { sanitizeFilenamePart } from './fileOutputService.js'
+import { getOutputStorage } from './outputStorage.js'
+
+const GENERATED_FILE_PATTERN = /^(.+?)_.+\.(txt|pdf)$/
+
+class FileCleanupService {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.fileTtlMs] - Age after which orphaned files are swept (default 48 hours)
+   * @param {number} [options.intervalMs] - Sweep interval (default 30 minutes); 0 disables the timer
+   * @param {() => Promise<string[]>} [options.getActiveSessionIds] - IDs whose files must be kept
+   */
+  constructor(options = {}) {
+    this.fileTtlMs = options.fileTtlMs || 48 * 60 * 60 * 1000
+    this.intervalMs = options.intervalMs ?? 30 * 60 * 1000
+    this.getActiveSessionIds = options.getActiveSessionIds || (async () => [])
+
+    this.metrics = {
+      filesRemoved: 0,
+      bytesRemoved: 0,
+      lastSweepAt: null
+    }
+
+    this.sweepInterval = null
+    if (this.intervalMs > 0) {
+      this.sweepInterval = setInterval(() => {
+        this.sweep().catch(error => {
+          // eslint-disable-next-line no-console
+          console.error('Error sweeping generated files:', error)
+        })
+      }, this.intervalMs)
+      if (typeof this.sweepInterval.unref === 'function') {
+        this.sweepInterval.unref()
+      }
+    }
+  }
+
+  /**
+   * List generated files in output storage
+   * @private
+   * @returns {Promise<Array<{ filename: string, sessionId: string, size: number, modifiedAt: number }>>}
+   */
+  async _listFiles() {
+    const files = []
+    for (const file of await getOutputStorage().list()) {
+      const match = GENERATED_FILE_PATTERN.exec(file.filename)
+      if (match) {
+        files.push({ ...file, sessionId: match[1] })
+      }
+    }
+    return files
+  }
+
+  /**
+   * Delete a file and count it as removed
+   * @private
+   */
+  async _remove(file) {
+    if (!(await getOutputStorage().remove(file.filename))) {
+      return false
+    }
+    this.metrics.filesRemoved++
+    this.metrics.bytesRemoved += file.size
+    return true
+  }
+
+  /**
+   * Delete every generated file of a session
+   * @param {string} sessionId
+   * @returns {Promise<number>} Number of files removed
+   */
+  async deleteSessionFiles(sessionId) {
+    const prefix = sanitizeFilenamePart(sessionId)
+    let removed = 0
+    for (const file of await this._listFiles()) {
+      if (file.sessionId === prefix && await this._remove(file)) {
+        removed++
+      }
+    }
+    return removed
+  }
+
+  /**
+   * Delete files of sessions that no longer exist once they are older than
+   * fileTtlMs. Files of active sessions are kept regardless of age.
+   * @returns {Promise<number>} Number of files removed
+   */
+  async sweep() {
+    const active = new Set((await this.getActiveSessionIds()).map(sanitizeFilenamePart))
+    const cutoff = Date.now() - this.fileTtlMs
+    let removed = 0
+
+    for (const file of await this._listFiles()) {
+      if (!active.has(file.sessionId) && file.modifiedAt < cutoff && await this._remove(file)) {
+        removed++
+      }
+    }
+
+    this.metrics.lastSweepAt = new Date().toISOString()
+    return removed
+  }
+
+  /**
+   * Storage used by generated files and cleanup counters
+   * @returns {Promise<object>} Statistics
+   */
+  async stats() {
+    const files = await this._listFiles()
+    return {
+      location: getOutputStorage().location,
+      fileCount: files.length,
+      totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      filesRemoved: this.metrics.filesRemoved,
+      bytesRemoved: this.metrics.bytesRemoved,
+      lastSweepAt: this.metrics.lastSweepAt,
+      fileTtlMs: this.fileTtlMs
+    }
+  }
+
+  /**
+   * Stop the sweep timer
+   */
+  destroy() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval)
+      this.sweepInterval = null
+    }
+  }
+}
+
+// Singleton instance
+let serviceInstance = null
+
+/**
+ * Initialize the cleanup service
+ * @param {object} options - Configuration options
+ * @returns {FileCleanupService} Service instance
+ */
+export function initFileCleanupService(options = {}) {
+  if (serviceInstance) {
+    serviceInstance.destroy()
+  }
+
+  serviceInstance = new FileCleanupService(options)
+  return serviceInstance
+}
+
+/**
+ * Get the current service instance (without a sweep timer unless initialized)
+ * @returns {FileCleanupService} Service instance
+ */
+export function getFileCleanupService() {
+  if (!serviceInstance) {
+    serviceInstance = new FileCleanupService({ intervalMs: 0 })
+  }
+  return serviceInstance
+}
+
+export default FileCleanupService
@@ -1,31 +1,18 @@
-import fs from 'fs/promises'
-import os from 'os'
-import path from 'path'
 import { METHODOLOGY_STEPS } from './promptTemplates.js'
+import { getMethodologies } from './methodologyRegistry.js'
+import { resolveArtifacts } from './artifactStore.js'
+import { getOutputStorage } from './outputStorage.js'
 
-/**
- * Mapping from methodology IDs to stable file keys
- * used in filenames.
- */
-export const METHOD_FILE_KEYS = {
-  jtbd: 'JTBD',
-  designThinking: 'DesignThinking',
-  leanCanvas: 'LeanCanvas',
-  rootCause: 'RootCauseAnalysis',
-  ost: 'OpportunityTree'
-}
+// Kept here for existing importers; local output storage owns the directory
+export { getBaseOutputDir } from './outputStorage.js'
 
 /**
- * Resolve base directory for analysis output files.
- * Prefers ANALYSIS_TMP_DIR, otherwise uses os.tmpdir()/validator-analysis.
+ * Mapping from methodology IDs to stable file keys
+ * used in filenames (declared by each registered methodology).
  */
-export function getBaseOutputDir() {
-  const envDir = process.env.ANALYSIS_TMP_DIR
-  if (envDir && envDir.trim()) {
-    return envDir
-  }
-  return path.join(os.tmpdir(), 'validator-analysis')
-}
+export const METHOD_FILE_KEYS = Object.fromEntries(
+  getMethodologies().map(methodology => [methodology.id, methodology.fileKey])
+)
 
 export function sanitizeFilenamePart(part) {
   return String(part || '')
@@ -33,15 +20,29 @@ export function sanitizeFilenamePart(part) {
     .replace(/[^a-z0-9_-]/gi, '_')
 }
 
+/**
+ * Prefix of a session's generated file names: the session ID, followed by
+ * the run ID when the results belong to a run so that files of runs kept
+ * in the history are not overwritten by a new run
+ * @param {object} session
+ * @returns {string}
+ */
+export function getOutputFilePrefix(session) {
+  const sessionId = sanitizeFilenamePart(session.id || session.sessionId || 'session')
+  const runId = session.results?.run?.id
+  return runId ? `${sessionId}_${sanitizeFilenamePart(runId)}` : sessionId
+}
+
 export function getMethodKeyFromId(methodId) {
   return METHOD_FILE_KEYS[methodId] || sanitizeFilenamePart(methodId || 'method')
 }
 
 /**
  * Write .txt files for each completed methodology result in the session.
+ * Files go to the configured output storage; filepath is null unless it is local disk.
  *
  * @param {object} session - Session object containing results.analysis
- * @returns {Promise<Array<{methodId: string, methodName: string, filename: string, filepath: string}>>}
+ * @returns {Promise<Array<{methodId: string, methodName: string, filename: string, filepath: string|null}>>}
  */
 export async function writeMethodFilesForSession(session) {
   if (!session?.results?.analysis || !Array.isArray(session.results.analysis.steps)) {
@@ -51,17 +52,8 @@ export async function writeMethodFilesForSession(session) {
   }
 
   const analysis = session.results.analysis
-  const sessionId = sanitizeFilenamePart(session.id || session.sessionId || 'session')
-  const baseDir = getBaseOutputDir()
-
-  try {
-    await fs.mkdir(baseDir, { recursive: true })
-  } catch (error) {
-    const err = new Error('Failed to create analysis output directory')
-    err.type = 'FILE_WRITE_ERROR'
-    err.cause = error
-    throw err
-  }
+  const prefix = getOutputFilePrefix(session)
+  const storage = getOutputStorage()
 
   const files = []
   const generatedAt = new Date().toISOString()
@@ -74,10 +66,9 @@ export async function writeMethodFilesForSession(session) {
     const methodId = step.id
     const methodName = step.name || methodId
     const key = getMethodKeyFromId(methodId)
-    const filename = `${sessionId}_${key}.txt`
-    const filepath = path.join(baseDir, filename)
+    const filename = `${prefix}_${key}.txt`
 
-    const content = step.result?.content
+    const content = await resolveArtifacts(session, step.result?.content)
     const body =
       typeof content === 'string' && content.trim().length > 0
         ? content
@@ -90,8 +81,9 @@ export async function writeMethodFilesForSession(session) {
       body
     ].join('\n')
 
+    let stored
     try {
-      await fs.writeFile(filepath, fileText, { encoding: 'utf8' })
+      stored = await storage.put(filename, fileText, { contentType: 'text/plain; charset=utf-8' })
     } catch (error) {
       const err = new Error(`Failed to write analysis file for method ${methodId}`)
       err.type = 'FILE_WRITE_ERROR'
@@ -103,7 +95,7 @@ export async function writeMethodFilesForSession(session) {
       methodId,
       methodName,
       filename,
-      filepath
+      filepath: stored.filepath
     })
   }
 
@@ -3,12 +3,26 @@ import cors from 'cors'
 import dotenv from 'dotenv'
 import cookieParser from 'cookie-parser'
 import { initSessionStore } from './sessionStore.js'
+import { initArtifactStore, getArtifactStore } from './artifactStore.js'
+import { initFileCleanupService, getFileCleanupService } from './fileCleanupService.js'
+import { initOutputStorage } from './outputStorage.js'
+import { createRedisEventRelay } from './redisSessionStore.js'
+import { setAnalysisEventRelay } from './analysisEvents.js'
+import { initJobQueue, markInterruptedRuns, setJobCancelRelay } from './jobQueue.js'
 import sessionMiddleware, { sessionRoutes, requireSession } from './sessionMiddleware.js'
 import {
   initializeAnalysis,
+  estimateAnalysisRoute,
+  listMethodologiesRoute,
   getAnalysisStatus,
+  getStructuredResultsRoute,
+  getConsistencyRoute,
+  getSummaryRoute,
   runAnalysisRoute,
+  retryAnalysisRoute,
+  streamAnalysisRoute,
   synthesizeAnalysisRoute,
+  refineAnalysisRoute,
   sendAnalysisEmailRoute,
   downloadAnalysisReportRoute
 } from './routes/analysis.js'
@@ -19,6 +33,19 @@ import {
   downloadScamperReportRoute,
   downloadSitReportRoute
 } from './routes/ideation.js'
+import { listJobsRoute, getJobRoute, cancelJobRoute } from './routes/jobs.js'
+import {
+  listHistoryRoute,
+  getHistoryRunRoute,
+  openHistoryRunRoute,
+  deleteHistoryRunRoute
+} from './routes/history.js'
+import {
+  getComparisonRoute,
+  generateComparisonDeltaRoute,
+  downloadComparisonRoute
+} from './routes/comparison.js'
+import { listProviderModelsRoute } from './routes/providers.js'
 
 dotenv.config()
 
@@ -26,14 +53,92 @@ const app = express()
 const PORT = process.env.PORT || 5000
 
 // Initialize session store
-initSessionStore({
+const sessionStorage = process.env.SESSION_STORAGE || 'memory'
+const sessionStore = initSessionStore({
   maxEntries: parseInt(process.env.SESSION_MAX_ENTRIES) || 10000,
   defaultTTLMs: parseInt(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
-  evictionPolicy: process.env.SESSION_EVICTION_POLICY || 'lru'
+  evictionPolicy: process.env.SESSION_EVICTION_POLICY || 'lru',
+  // 'file' keeps sessions (and analysis results) across restarts;
+  // 'redis' shares them between instances
+  storage: sessionStorage,
+  dataDir: process.env.SESSION_DATA_DIR || 'data/sessions',
+  redisUrl: process.env.REDIS_URL,
+  // Drop everything generated for a session once it is gone
+  onRemove: id => Promise.all([
+    getArtifactStore().deleteSession(id),
+    getFileCleanupService().deleteSessionFiles(id)
+  ])
+})
+
+// Large results live next to the sessions, in the same kind of storage
+const artifactStore = initArtifactStore({
+  storage: sessionStorage,
+  dataDir: process.env.ARTIFACT_DATA_DIR || 'data/artifacts',
+  client: sessionStore.client,
+  keyPrefix: sessionStore.keyPrefix,
+  defaultTTLMs: sessionStore.defaultTTLMs
+})
+
+if (sessionStorage === 'file') {
+  // Sessions restored from disk may reference jobs that died with the
+  // previous process. Not done for Redis, where another instance may still
+  // be running them.
+  for (const id of await sessionStore.keys()) {
+    const session = await sessionStore.get(id)
+    if (session && markInterruptedRuns(session)) {
+      await sessionStore.set(id, session, new Date(session.expiresAt) - Date.now())
+    }
+  }
+
+  // Sessions that expired while the server was down left their artifacts behind
+  await artifactStore.prune(await sessionStore.keys())
+}
+
+if (sessionStorage === 'redis') {
+  // Jobs run on the instance that queued them; relay their progress so SSE
+  // clients connected to another instance still see it
+  await setAnalysisEventRelay(createRedisEventRelay(sessionStore.client))
+  // Cancel requests reach the instance running the job the same way
+  await setJobCancelRelay(createRedisEventRelay(sessionStore.client, { channel: 'job-cancels' }))
+}
+
+// Generated TXT/PDF files: local disk (ANALYSIS_TMP_DIR) or an S3-compatible
+// bucket shared by all instances
+initOutputStorage({
+  storage: process.env.OUTPUT_STORAGE || 'local',
+  bucket: process.env.OUTPUT_S3_BUCKET,
+  prefix: process.env.OUTPUT_S3_PREFIX,
+  region: process.env.OUTPUT_S3_REGION,
+  endpoint: process.env.OUTPUT_S3_ENDPOINT,
+  forcePathStyle: process.env.OUTPUT_S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.OUTPUT_S3_ACCESS_KEY_ID
+    ? {
+        accessKeyId: process.env.OUTPUT_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.OUTPUT_S3_SECRET_ACCESS_KEY
+      }
+    : undefined,
+  signedUrls: process.env.OUTPUT_SIGNED_URLS === 'true',
+  signedUrlTtlSeconds: parseInt(process.env.OUTPUT_SIGNED_URL_TTL_SECONDS) || 300 // 5 minutes
+})
+
+// Sweep generated TXT/PDF files whose session no longer exists
+initFileCleanupService({
+  fileTtlMs: parseInt(process.env.FILE_TTL_MS) || 48 * 60 * 60 * 1000, // 48 hours
+  intervalMs: parseInt(process.env.FILE_CLEANUP_INTERVAL_MS) || 30 * 60 * 1000, // 30 minutes
+  getActiveSessionIds: () => sessionStore.keys()
+})
+
+// Initialize background job queue
+initJobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  retentionMs: parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000 // 1 hour
 })
 
 // Middleware
 app.use(cors())
+// Session bundles carry full results; parsed here so the default 100kb
+// limit below does not apply to them
+app.use('/api/session/import', express.json({ limit: '10mb' }))
 app.use(express.json())
 app.use(cookieParser())
 
@@ -65,13 +170,23 @@ app.post('/api/session', sessionRoutes.create)
 app.get('/api/session', sessionRoutes.get)
 app.put('/api/session', sessionRoutes.update)
 app.delete('/api/session', sessionRoutes.destroy)
+app.get('/api/session/export', sessionRoutes.exportBundle)
+app.post('/api/session/import', sessionRoutes.importBundle)
 app.get('/api/session/stats', sessionRoutes.stats)
 
 // Analysis routes
 app.post('/api/analysis/init', initializeAnalysis)
+app.post('/api/analysis/estimate', estimateAnalysisRoute)
+app.get('/api/analysis/methods', listMethodologiesRoute)
 app.get('/api/analysis/status', getAnalysisStatus)
+app.get('/api/analysis/structured', getStructuredResultsRoute)
+app.get('/api/analysis/consistency', getConsistencyRoute)
+app.get('/api/analysis/summary', getSummaryRoute)
+app.get('/api/analysis/stream', streamAnalysisRoute)
 app.post('/api/analysis/run', runAnalysisRoute)
+app.post('/api/analysis/retry', retryAnalysisRoute)
 app.post('/api/analysis/synthesize', synthesizeAnalysisRoute)
+app.post('/api/analysis/refine', refineAnalysisRoute)
 app.post('/api/analysis/email', sendAnalysisEmailRoute)
 app.get('/api/analysis/report', downloadAnalysisReportRoute)
 
@@ -82,6 +197,25 @@ app.get('/api/ideation/status', getIdeationStatus)
 app.get('/api/ideation/report/scamper', downloadScamperReportRoute)
 app.get('/api/ideation/report/sit', downloadSitReportRoute)
 
+// Analysis history routes
+app.get('/api/history', listHistoryRoute)
+app.get('/api/history/:id', getHistoryRunRoute)
+app.post('/api/history/:id/open', openHistoryRunRoute)
+app.delete('/api/history/:id', deleteHistoryRunRoute)
+
+// Run comparison routes
+app.get('/api/comparison', getComparisonRoute)
+app.post('/api/comparison/delta', generateComparisonDeltaRoute)
+app.get('/api/comparison/download', downloadComparisonRoute)
+
+// Provider routes
+app.post('/api/providers/models', listProviderModelsRoute)
+
+// Background job routes
+app.get('/api/jobs', listJobsRoute)
+app.get('/api/jobs/:id', getJobRoute)
+app.post('/api/jobs/:id/cancel', cancelJobRoute)
+
 // Example: Protected route requiring session
 app.get('/api/protected', requireSession(), (req, res) => {
   res.json({
@@ -113,6 +247,24 @@ app.post('/api/validate', async (req, res) => {
   })
 })
 
+// Errors passed to next(), e.g. session store failures or malformed JSON
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err)
+  }
+
+  const status = err.status || err.statusCode || 500
+  if (status >= 500) {
+    console.error('Unhandled request error:', err)
+  }
+
+  res.status(status).json({
+    success: false,
+    error: status >= 500 ? 'Internal server error' : 'Bad request',
+    message: err.message
+  })
+})
+
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`)
 })
@@ -0,0 +1,415 @@
+/**
+ * In-process background job queue.
+ *
+ * Long-running work (analysis, SCAMPER, SIT) is accepted by the HTTP
+ * routes, queued here and executed in the background so requests can
+ * return 202 Accepted immediately. Secrets such as the provider API key
+ * live only in the job's run closure, which is released as soon as the
+ * job settles; they are never stored on the job record.
+ */
+
+import crypto from 'crypto'
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled']
+
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2
+    this.retentionMs = options.retentionMs || 60 * 60 * 1000 // 1 hour
+    // Tells this process's jobs apart from those of other instances sharing
+    // the session store
+    this.instanceId = options.instanceId || crypto.randomBytes(8).toString('hex')
+
+    // Job records by ID, plus pending IDs in FIFO order
+    this.jobs = new Map()
+    this.pending = []
+    this.running = 0
+
+    // Finished-job cleanup interval
+    this.cleanupInterval = setInterval(() => this._cleanupFinished(), 60000)
+    if (typeof this.cleanupInterval.unref === 'function') {
+      this.cleanupInterval.unref()
+    }
+  }
+
+  /**
+   * Queue a job for background execution.
+   *
+   * @param {object} spec
+   * @param {string} spec.type - Job type (e.g. 'analysis', 'scamper', 'sit')
+   * @param {string} spec.sessionId - Owning session ID
+   * @param {(ctx: { signal: AbortSignal, job: object }) => Promise<any>} spec.run
+   * @param {(error: Error, job: object) => Promise<void>|void} [spec.onError]
+   *   Invoked when run rejects (including cancellation) so callers can
+   *   record the failure on their own state.
+   * @param {(job: object) => Promise<void>|void} [spec.onCancel]
+   *   Invoked when the job is cancelled before it started, since run and
+   *   onError never get to record anything then.
+   * @returns {object} Public job snapshot
+   */
+  enqueue({ type, sessionId, run, onError, onCancel }) {
+    if (typeof run !== 'function') {
+      const err = new Error('Job run function is required')
+      err.type = 'JOB_INPUT_ERROR'
+      throw err
+    }
+
+    const job = {
+      id: crypto.randomBytes(16).toString('hex'),
+      type,
+      sessionId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      // Private fields, never exposed through toPublic()
+      _run: run,
+      _onError: onError || null,
+      _onCancel: onCancel || null,
+      _controller: new AbortController()
+    }
+
+    this.jobs.set(job.id, job)
+    this.pending.push(job.id)
+    this._drain()
+
+    return this.toPublic(job)
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id
+   * @returns {object|null} Public job snapshot
+   */
+  get(id) {
+    const job = this.jobs.get(id)
+    return job ? this.toPublic(job) : null
+  }
+
+  /**
+   * List jobs, optionally filtered by session and/or type
+   * @param {{ sessionId?: string, type?: string }} [filter]
+   * @returns {object[]} Public job snapshots, oldest first
+   */
+  list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.sessionId || job.sessionId === filter.sessionId)
+      .filter(job => !filter.type || job.type === filter.type)
+      .map(job => this.toPublic(job))
+  }
+
+  /**
+   * Check whether a job belongs to a session
+   * @param {string} id
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  isOwnedBy(id, sessionId) {
+    const job = this.jobs.get(id)
+    return !!job && !!sessionId && job.sessionId === sessionId
+  }
+
+  /**
+   * Check whether a job is queued or running in this process
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isActive(id) {
+    const job = this.jobs.get(id)
+    return !!job && !TERMINAL_STATUSES.includes(job.status)
+  }
+
+  /**
+   * Find the queued or running job of a given type for a session
+   * @param {string} sessionId
+   * @param {string} type
+   * @returns {object|null} Public job snapshot
+   */
+  findActive(sessionId, type) {
+    for (const job of this.jobs.values()) {
+      if (
+        job.sessionId === sessionId &&
+        job.type === type &&
+        !TERMINAL_STATUSES.includes(job.status)
+      ) {
+        return this.toPublic(job)
+      }
+    }
+    return null
+  }
+
+  /**
+   * Cancel a queued or running job.
+   * Queued jobs are dropped immediately and their onCancel hook runs in
+   * the background; running jobs are signalled through their AbortSignal
+   * and settle as 'cancelled'.
+   *
+   * @param {string} id
+   * @returns {boolean} True if a cancellation was issued
+   */
+  cancel(id) {
+    const job = this.jobs.get(id)
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return false
+    }
+
+    job._controller.abort()
+
+    if (job.status === 'queued') {
+      const onCancel = job._onCancel
+      this.pending = this.pending.filter(pendingId => pendingId !== id)
+      this._finish(job, 'cancelled', null, 'Job was cancelled before it started')
+
+      if (onCancel) {
+        Promise.resolve()
+          .then(() => onCancel(this.toPublic(job)))
+          .catch(error => console.error('Job cancel handler failed:', error))
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {object}
+   */
+  stats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 }
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1
+    }
+    return {
+      concurrency: this.concurrency,
+      ...counts
+    }
+  }
+
+  /**
+   * Strip private fields from a job record
+   * @param {object} job
+   * @returns {object}
+   */
+  toPublic(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      result: job.result
+    }
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   * @private
+   */
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift())
+      if (!job || job.status !== 'queued') continue
+      this._start(job)
+    }
+  }
+
+  /**
+   * Execute a single job
+   * @private
+   */
+  async _start(job) {
+    this.running++
+    job.status = 'running'
+    job.startedAt = new Date().toISOString()
+
+    const signal = job._controller.signal
+
+    try {
+      const result = await job._run({ signal, job: this.toPublic(job) })
+      if (signal.aborted) {
+        this._finish(job, 'cancelled', null, 'Job was cancelled')
+      } else {
+        this._finish(job, 'completed', result ?? null, null)
+      }
+    } catch (error) {
+      const status = signal.aborted ? 'cancelled' : 'failed'
+      if (job._onError) {
+        try {
+          await job._onError(error, this.toPublic(job))
+        } catch (handlerError) {
+          console.error('Job error handler failed:', handlerError)
+        }
+      }
+      this._finish(job, status, null, error.message || 'Job failed')
+    } finally {
+      this.running--
+      this._drain()
+    }
+  }
+
+  /**
+   * Move a job to a terminal state and release its closures
+   * (which may hold API keys).
+   * @private
+   */
+  _finish(job, status, result, error) {
+    job.status = status
+    job.result = result
+    job.error = error
+    job.finishedAt = new Date().toISOString()
+    job._run = null
+    job._onError = null
+    job._onCancel = null
+  }
+
+  /**
+   * Drop finished jobs past the retention window
+   * @private
+   */
+  _cleanupFinished() {
+    const cutoff = Date.now() - this.retentionMs
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Cancel everything and stop timers
+   */
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval)
+    }
+    for (const job of this.jobs.values()) {
+      if (!TERMINAL_STATUSES.includes(job.status)) {
+        job._controller.abort()
+      }
+    }
+    this.pending = []
+    this.jobs.clear()
+  }
+}
+
+// Singleton instance
+let queueInstance = null
+
+/**
+ * Initialize the job queue
+ * @param {object} options - Configuration options
+ * @returns {JobQueue} Queue instance
+ */
+export function initJobQueue(options = {}) {
+  if (queueInstance) {
+    queueInstance.destroy()
+  }
+
+  queueInstance = new JobQueue(options)
+  return queueInstance
+}
+
+/**
+ * Get the current queue instance
+ * @returns {JobQueue} Queue instance
+ */
+export function getJobQueue() {
+  if (!queueInstance) {
+    queueInstance = new JobQueue()
+  }
+  return queueInstance
+}
+
+let cancelRelay = null
+
+/**
+ * Forward cancel requests to other instances. Jobs run on the instance
+ * that queued them, so a cancel received elsewhere is published through
+ * the relay (see createRedisEventRelay) and each instance cancels the
+ * matching jobs of its own queue.
+ *
+ * @param {{ publish: Function, subscribe: Function }|null} nextRelay
+ * @returns {Promise<void>} Resolves once the relay is subscribed
+ */
+export async function setJobCancelRelay(nextRelay) {
+  cancelRelay = nextRelay
+  if (cancelRelay) {
+    await cancelRelay.subscribe((sessionId, event) => {
+      const queue = getJobQueue()
+      if (event.type === 'cancel' && queue.isOwnedBy(event.data?.jobId, sessionId)) {
+        queue.cancel(event.data.jobId)
+      }
+    })
+  }
+}
+
+/**
+ * Ask the other instances to cancel a job of the session.
+ * @param {string} sessionId
+ * @param {string} jobId
+ * @returns {boolean} False when no relay is configured
+ */
+export function relayJobCancel(sessionId, jobId) {
+  if (!cancelRelay) {
+    return false
+  }
+  cancelRelay.publish(sessionId, { type: 'cancel', data: { jobId } })
+  return true
+}
+
+const INTERRUPTED_MESSAGE = 'Interrupted by a server restart; run it again to continue'
+
+/**
+ * Mark runs that were queued or running when the process stopped as
+ * cancelled. Jobs only live in memory, so with a durable session store
+ * these runs would otherwise report progress forever; cancelled analyses
+ * can be retried (completed steps are kept) and ideation, synthesis and
+ * refinement can be run again.
+ *
+ * @param {object} session
+ * @returns {boolean} True if the session was changed
+ */
+export function markInterruptedRuns(session) {
+  let changed = false
+  const analysis = session?.results?.analysis
+
+  if (analysis?.status === 'in-progress') {
+    analysis.status = 'cancelled'
+    analysis.error = INTERRUPTED_MESSAGE
+    analysis.jobId = null
+    for (const step of analysis.steps || []) {
+      if (step.status === 'in-progress') {
+        step.status = 'pending'
+      }
+    }
+    changed = true
+  }
+
+  const ideation = session?.results?.ideation || {}
+  for (const technique of ['scamper', 'sit']) {
+    const results = ideation[technique]
+    if (results?.status === 'queued' || results?.status === 'in-progress') {
+      results.status = 'cancelled'
+      results.error = INTERRUPTED_MESSAGE
+      results.completedAt = new Date().toISOString()
+      changed = true
+    }
+  }
+
+  for (const record of Object.values(session?.results?.jobs || {})) {
+    if (record?.status === 'queued' || record?.status === 'in-progress') {
+      record.status = 'cancelled'
+      record.error = INTERRUPTED_MESSAGE
+      record.completedAt = new Date().toISOString()
+      changed = true
+    }
+  }
+
+  return changed
+}
+
+export default JobQueue
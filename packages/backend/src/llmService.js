@@ -1,53 +1,386 @@
 /**
- * LLM Service - Provider-agnostic integration layer for OpenAI and Claude
+ * LLM Service - Provider-agnostic integration layer for OpenAI, Claude,
+ * local OpenAI-compatible servers (Ollama, llama.cpp, vLLM) and an offline
+ * mock provider for development
  *
  * Exposes a single analyze(prompt, options) method that:
  * - Validates input
  * - Routes requests to the correct provider
  * - Normalizes responses into a common shape
+ * - Optionally streams text deltas for both providers
+ * - Optionally asks for JSON output using the provider's JSON mode
+ * - Retries transient failures with exponential backoff
  * - Provides structured error objects for callers
  */
 
+import { callMock, isMockProviderEnabled } from './mockProvider.js'
+import { getModelLimits } from './modelCatalog.js'
+
 const DEFAULT_TIMEOUT_MS = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || 60000
 
 const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
 const CLAUDE_BASE_URL = process.env.CLAUDE_BASE_URL || 'https://api.anthropic.com/v1'
 const OPENAI_ORG_ID = process.env.OPENAI_ORG_ID
 
+// Self-hosted OpenAI-compatible server. Sessions may point at another base
+// URL on the hosts of LOCAL_LLM_ALLOWED_HOSTS (comma-separated `host` or
+// `host:port`); without it only the configured server and loopback on its
+// port are allowed.
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+export const SUPPORTED_PROVIDERS = ['openai', 'claude', 'local', 'mock']
+
+// Display names used in error messages for OpenAI-compatible providers
+const PROVIDER_LABELS = {
+  openai: 'OpenAI API',
+  local: 'local LLM server'
+}
+
 // Anthropic / Claude API version – update if provider requirements change
 const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01'
 
+// Automatic retry policy for transient failures (429, 5xx, network errors)
+const DEFAULT_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES, 10)
+const DEFAULT_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 1000
+const MAX_RETRY_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 30000
+
 /**
- * Execute a fetch request with timeout support.
- * Uses AbortController to cancel the request if it exceeds timeoutMs.
+ * Start a fetch request that is aborted when the response headers take
+ * longer than timeoutMs or when the caller's optional signal is aborted
+ * (e.g. job cancellation). The signal keeps aborting the request until
+ * release() is called, so call it once the body has been read.
  * @param {string} url
  * @param {RequestInit} options
  * @param {number} timeoutMs
- * @returns {Promise<Response>}
+ * @param {AbortSignal} [externalSignal]
+ * @returns {Promise<{ response: Response, abort: () => void, release: () => void }>}
  */
-async function fetchWithTimeout(url, options, timeoutMs) {
+async function openRequest(url, options, timeoutMs, externalSignal) {
   const controller = new AbortController()
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
 
+  const onExternalAbort = () => controller.abort()
+  if (externalSignal) {
+    if (externalSignal.aborted) {
+      controller.abort()
+    } else {
+      externalSignal.addEventListener('abort', onExternalAbort, { once: true })
+    }
+  }
+
+  const release = () => {
+    clearTimeout(timeoutId)
+    if (externalSignal) {
+      externalSignal.removeEventListener('abort', onExternalAbort)
+    }
+  }
+
   try {
     const response = await fetch(url, {
       ...options,
       signal: controller.signal
     })
-    return response
+    clearTimeout(timeoutId)
+    return { response, abort: () => controller.abort(), release }
   } catch (error) {
     // Re-throw; caller will wrap into a structured error
+    release()
     throw error
-  } finally {
-    clearTimeout(timeoutId)
   }
 }
 
 /**
- * Normalize OpenAI chat completion response
+ * Execute a fetch request with timeout support.
+ * Uses AbortController to cancel the request if it exceeds timeoutMs or
+ * when the caller's optional signal is aborted (e.g. job cancellation).
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [externalSignal]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options, timeoutMs, externalSignal) {
+  const { response, release } = await openRequest(url, options, timeoutMs, externalSignal)
+  release()
+  return response
+}
+
+/**
+ * Check an API key for a provider. Hosted providers need a real key
+ * (>= 20 chars); local servers usually run without one and the mock
+ * provider ignores it, so the key is optional there.
+ * @param {string} provider
+ * @param {unknown} apiKey
+ * @returns {boolean}
+ */
+export function isValidApiKey(provider, apiKey) {
+  if (provider === 'local' || provider === 'mock') {
+    return apiKey == null || typeof apiKey === 'string'
+  }
+  return typeof apiKey === 'string' && apiKey.length >= 20
+}
+
+/**
+ * Port a URL connects to, including the protocol's default
+ * @param {URL} url
+ * @returns {string}
+ */
+function getEffectivePort(url) {
+  return url.port || (url.protocol === 'https:' ? '443' : '80')
+}
+
+/**
+ * Hosts and ports the local provider may call, as `{ host, port }` entries
+ * (`port` null for any port). Session input picks the base URL, so
+ * anything beyond the configured server must be allow-listed to keep it
+ * from reaching internal services. Loopback hosts listed without a port
+ * are limited to the port of LOCAL_LLM_BASE_URL, since other services of
+ * this machine listen there too.
+ * @returns {Array<{ host: string, port: string|null }>}
+ */
+function getAllowedLocalTargets() {
+  let configuredUrl = null
+  try {
+    configuredUrl = new URL(LOCAL_LLM_BASE_URL)
+  } catch {
+    configuredUrl = null
+  }
+  const configuredPort = configuredUrl ? getEffectivePort(configuredUrl) : null
+
+  let entries = (process.env.LOCAL_LLM_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+  if (entries.length === 0) {
+    entries = [...LOOPBACK_HOSTS]
+    if (configuredUrl) {
+      entries.push(`${configuredUrl.hostname.toLowerCase()}:${configuredPort}`)
+    }
+  }
+
+  return entries.flatMap(entry => {
+    // host, host:port, [ipv6] or [ipv6]:port
+    const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(entry)
+    if (!match) return []
+
+    const [, host, port] = match
+    if (port) return [{ host, port }]
+    if (LOOPBACK_HOSTS.includes(host)) return configuredPort ? [{ host, port: configuredPort }] : []
+    return [{ host, port: null }]
+  })
+}
+
+/**
+ * Resolve and validate the base URL of a local OpenAI-compatible server.
+ * @param {string} [baseUrl] - Defaults to LOCAL_LLM_BASE_URL
+ * @returns {string} Base URL without a trailing slash
+ */
+export function resolveLocalBaseUrl(baseUrl) {
+  const candidate = baseUrl || LOCAL_LLM_BASE_URL
+
+  let parsed
+  try {
+    parsed = new URL(candidate)
+  } catch {
+    parsed = null
+  }
+
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    const err = new Error('Local provider base URL must be an http(s) URL')
+    err.type = 'LLM_INPUT_ERROR'
+    err.provider = 'local'
+    throw err
+  }
+
+  const host = parsed.hostname.toLowerCase()
+  const port = getEffectivePort(parsed)
+  const allowed = getAllowedLocalTargets().some(target =>
+    target.host === host && (target.port === null || target.port === port)
+  )
+  if (!allowed) {
+    const err = new Error(`Host "${host}:${port}" is not an allowed local LLM host`)
+    err.type = 'LLM_INPUT_ERROR'
+    err.provider = 'local'
+    throw err
+  }
+
+  return candidate.replace(/\/+$/, '')
+}
+
+/**
+ * Endpoint details for an OpenAI-compatible provider.
+ * @param {string} provider - 'openai' or 'local'
+ * @param {{ baseUrl?: string }} options
+ * @returns {{ provider: string, label: string, baseUrl: string }}
+ */
+function getOpenAICompatibleTarget(provider, options = {}) {
+  return {
+    provider,
+    label: PROVIDER_LABELS[provider],
+    baseUrl: provider === 'local' ? resolveLocalBaseUrl(options.baseUrl) : OPENAI_BASE_URL
+  }
+}
+
+/**
+ * Request headers for an OpenAI-compatible provider. The Authorization
+ * header is omitted when a local server runs without a key.
+ */
+function buildOpenAIHeaders(target, apiKey, accept = 'application/json') {
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: accept
+  }
+
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`
+  }
+
+  if (target.provider === 'openai' && OPENAI_ORG_ID) {
+    headers['OpenAI-Organization'] = OPENAI_ORG_ID
+  }
+
+  return headers
+}
+
+/**
+ * OpenAI-style response_format for options.responseFormat. OpenAI gets
+ * the JSON Schema itself; local servers only reliably support plain JSON
+ * mode, so they get json_object and the schema stays in the prompt.
+ * @param {{ provider: string }} target
+ * @param {{ type: 'json', name?: string, schema?: object }} [responseFormat]
+ * @returns {object|undefined}
+ */
+function buildOpenAIResponseFormat(target, responseFormat) {
+  if (!responseFormat) {
+    return undefined
+  }
+
+  if (target.provider === 'openai' && responseFormat.schema) {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: responseFormat.name || 'response',
+        schema: responseFormat.schema,
+        strict: false
+      }
+    }
+  }
+
+  return { type: 'json_object' }
+}
+
+/**
+ * Claude has no JSON mode; a single forced tool whose input schema is the
+ * requested schema has the same effect. normalizeClaudeResponse turns the
+ * tool input back into JSON text.
+ * @param {object} body - Messages API request body, extended in place
+ * @param {{ type: 'json', name?: string, schema?: object }} [responseFormat]
+ */
+function applyClaudeResponseFormat(body, responseFormat) {
+  if (!responseFormat?.schema) {
+    return
+  }
+
+  const name = responseFormat.name || 'response'
+  body.tools = [
+    {
+      name,
+      description: 'Return the response as structured data.',
+      input_schema: responseFormat.schema
+    }
+  ]
+  body.tool_choice = { type: 'tool', name }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ * @param {Response} response
+ * @returns {number|undefined}
+ */
+function parseRetryAfterMs(response) {
+  const header = response?.headers?.get?.('retry-after')
+  if (!header) {
+    return undefined
+  }
+
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+// HTTP status of Claude error types that can also arrive mid-stream
+const CLAUDE_STREAM_ERROR_STATUSES = {
+  overloaded_error: 529,
+  rate_limit_error: 429
+}
+
+/**
+ * Whether an LLM error is worth retrying: rate limits, provider-side
+ * failures (5xx, including Anthropic's 529 overloaded) and network errors.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error?.type === 'LLM_NETWORK_ERROR') {
+    return true
+  }
+  if (error?.type === 'LLM_PROVIDER_ERROR') {
+    return error.status === 429 || error.status >= 500
+  }
+  return false
+}
+
+/**
+ * Exponential backoff with jitter, honouring a provider Retry-After hint.
+ * @param {number} attempt - 1-based attempt that just failed
+ * @param {number} baseDelayMs
+ * @param {Error} error
+ * @returns {number}
+ */
+function getRetryDelayMs(attempt, baseDelayMs, error) {
+  const exponential = baseDelayMs * 2 ** (attempt - 1)
+  const jitter = Math.random() * baseDelayMs
+  const delay = Math.max(exponential + jitter, error?.retryAfterMs || 0)
+  return Math.min(delay, MAX_RETRY_DELAY_MS)
+}
+
+/**
+ * Sleep that resolves early (rejecting) when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new Error('The operation was aborted'))
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId)
+      reject(signal.reason || new Error('The operation was aborted'))
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Normalize OpenAI(-compatible) chat completion response
  * @param {any} data
+ * @param {string} model
+ * @param {string} [provider] - 'openai' or 'local'
  */
-function normalizeOpenAIResponse(data, model) {
+function normalizeOpenAIResponse(data, model, provider = 'openai') {
   try {
     const content =
       data?.choices?.[0]?.message?.content ??
@@ -57,7 +390,7 @@ function normalizeOpenAIResponse(data, model) {
     if (!content || typeof content !== 'string') {
       const err = new Error('Unable to parse OpenAI response content')
       err.type = 'LLM_PARSE_ERROR'
-      err.provider = 'openai'
+      err.provider = provider
       err.model = model
       throw err
     }
@@ -73,7 +406,7 @@ function normalizeOpenAIResponse(data, model) {
 
     return {
       content,
-      provider: 'openai',
+      provider,
       model,
       usage,
       raw: data
@@ -84,7 +417,7 @@ function normalizeOpenAIResponse(data, model) {
     }
     const err = new Error('Failed to normalize OpenAI response')
     err.type = 'LLM_PARSE_ERROR'
-    err.provider = 'openai'
+    err.provider = provider
     err.model = model
     err.cause = error
     throw err
@@ -97,9 +430,13 @@ function normalizeOpenAIResponse(data, model) {
  */
 function normalizeClaudeResponse(data, model) {
   try {
-    // Claude Messages API: content is an array of blocks, pick first text block
-    const firstBlock = Array.isArray(data?.content) ? data.content[0] : null
-    const content = typeof firstBlock?.text === 'string' ? firstBlock.text : ''
+    // Claude Messages API: content is an array of blocks, pick first text
+    // block, or the forced tool call of a JSON request
+    const blocks = Array.isArray(data?.content) ? data.content : []
+    const toolUse = blocks.find(block => block?.type === 'tool_use')
+    const content = toolUse
+      ? JSON.stringify(toolUse.input ?? null)
+      : typeof blocks[0]?.text === 'string' ? blocks[0].text : ''
 
     if (!content) {
       const err = new Error('Unable to parse Claude response content')
@@ -153,16 +490,157 @@ function usageSafeNumber(value) {
   return typeof value === 'number' && Number.isFinite(value) ? value : undefined
 }
 
+function createAbortError() {
+  const abortError = new Error('The operation was aborted')
+  abortError.name = 'AbortError'
+  return abortError
+}
+
+/**
+ * Wait for the next chunk of a response body, rejecting when the signal
+ * aborts or no chunk arrives within idleTimeoutMs.
+ */
+function readChunk(iterator, signal, idleTimeoutMs) {
+  return new Promise((resolve, reject) => {
+    let timer = null
+    const onAbort = () => settle(reject, createAbortError())
+
+    function settle(callback, value) {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      callback(value)
+    }
+
+    if (signal?.aborted) {
+      onAbort()
+      return
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    if (idleTimeoutMs) {
+      timer = setTimeout(() => {
+        const timeoutError = new Error(`No stream data received for ${idleTimeoutMs}ms`)
+        timeoutError.name = 'TimeoutError'
+        settle(reject, timeoutError)
+      }, idleTimeoutMs)
+    }
+
+    iterator.next().then(result => settle(resolve, result), error => settle(reject, error))
+  })
+}
+
 /**
- * Call OpenAI Chat Completions API
+ * Read a Server-Sent Events response body and invoke onEvent for every
+ * complete event. Provider streams only use the `event` and `data` fields.
+ * Throws an AbortError as soon as the optional signal aborts, and a
+ * TimeoutError when the stream stalls for idleTimeoutMs; either way the
+ * request is aborted through abort().
+ * @param {Response} response
+ * @param {(event: { event: string|null, data: string }) => void} onEvent
+ * @param {{ signal?: AbortSignal, idleTimeoutMs?: number, abort?: () => void }} [options]
+ */
+async function readEventStream(response, onEvent, options = {}) {
+  const decoder = new TextDecoder()
+  const iterator = response.body[Symbol.asyncIterator]()
+  let buffer = ''
+
+  const flushEvent = (rawEvent) => {
+    let eventName = null
+    const dataLines = []
+
+    for (const line of rawEvent.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''))
+      }
+    }
+
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName, data: dataLines.join('\n') })
+    }
+  }
+
+  for (;;) {
+    let next
+    try {
+      next = await readChunk(iterator, options.signal, options.idleTimeoutMs)
+    } catch (error) {
+      // Close the connection instead of leaving it to the stalled server
+      options.abort?.()
+      Promise.resolve(iterator.return?.()).catch(() => {})
+      throw error
+    }
+    if (next.done) {
+      break
+    }
+
+    buffer += decoder.decode(next.value, { stream: true })
+
+    let boundary = buffer.search(/\r?\n\r?\n/)
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '')
+      flushEvent(rawEvent)
+      boundary = buffer.search(/\r?\n\r?\n/)
+    }
+  }
+
+  buffer += decoder.decode()
+  if (buffer.trim()) {
+    flushEvent(buffer)
+  }
+}
+
+/**
+ * Parse a JSON error body from a failed provider response into a
+ * structured LLM_PROVIDER_ERROR.
+ * @param {Response} response
+ * @param {string} provider
+ * @param {string} model
+ * @param {string} fallbackMessage
+ */
+async function buildProviderError(response, provider, model, fallbackMessage) {
+  let data = {}
+  try {
+    const text = await response.text()
+    data = text ? JSON.parse(text) : {}
+  } catch {
+    // Non-JSON error body; fall back to the generic message
+  }
+
+  const err = new Error(data?.error?.message || fallbackMessage)
+  err.type = 'LLM_PROVIDER_ERROR'
+  err.provider = provider
+  err.model = model
+  err.status = response.status
+  err.code = data?.error?.code || data?.error?.type
+  err.retryAfterMs = parseRetryAfterMs(response)
+  return err
+}
+
+/**
+ * Output token cap of a call: options.maxOutputTokens, or the model's cap
+ * from the model catalog (LLM_MODEL_LIMITS).
+ * @param {AnalyzeOptions} options
+ * @returns {number}
+ */
+function resolveMaxOutputTokens(options) {
+  return options.maxOutputTokens ?? getModelLimits(options.provider, options.model).maxOutputTokens
+}
+
+/**
+ * Call an OpenAI-compatible Chat Completions API
  * @param {string} prompt
  * @param {AnalyzeOptions} options
+ * @param {{ provider: string, label: string, baseUrl: string }} target
  */
-async function callOpenAI(prompt, options) {
-  const url = `${OPENAI_BASE_URL}/chat/completions`
+async function callOpenAI(prompt, options, target) {
+  const url = `${target.baseUrl}/chat/completions`
 
   const body = {
     model: options.model,
+    max_tokens: resolveMaxOutputTokens(options),
     messages: [
       {
         role: 'system',
@@ -176,14 +654,12 @@ async function callOpenAI(prompt, options) {
     ]
   }
 
-  const headers = {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${options.apiKey}`
+  const responseFormat = buildOpenAIResponseFormat(target, options.responseFormat)
+  if (responseFormat) {
+    body.response_format = responseFormat
   }
 
-  if (OPENAI_ORG_ID) {
-    headers['OpenAI-Organization'] = OPENAI_ORG_ID
-  }
+  const headers = buildOpenAIHeaders(target, options.apiKey)
 
   const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS
 
@@ -196,12 +672,13 @@ async function callOpenAI(prompt, options) {
         headers,
         body: JSON.stringify(body)
       },
-      timeoutMs
+      timeoutMs,
+      options.signal
     )
   } catch (error) {
-    const err = new Error('Failed to reach OpenAI API')
+    const err = new Error(`Failed to reach ${target.label}`)
     err.type = 'LLM_NETWORK_ERROR'
-    err.provider = 'openai'
+    err.provider = target.provider
     err.model = options.model
     err.cause = error
     throw err
@@ -212,9 +689,9 @@ async function callOpenAI(prompt, options) {
   try {
     data = text ? JSON.parse(text) : {}
   } catch (error) {
-    const err = new Error('Invalid JSON response from OpenAI')
+    const err = new Error(`Invalid JSON response from ${target.label}`)
     err.type = 'LLM_PARSE_ERROR'
-    err.provider = 'openai'
+    err.provider = target.provider
     err.model = options.model
     err.cause = error
     throw err
@@ -222,17 +699,119 @@ async function callOpenAI(prompt, options) {
 
   if (!response.ok) {
     const err = new Error(
-      data?.error?.message || 'OpenAI API returned an error'
+      data?.error?.message || `${target.label} returned an error`
     )
     err.type = 'LLM_PROVIDER_ERROR'
-    err.provider = 'openai'
+    err.provider = target.provider
     err.model = options.model
     err.status = response.status
     err.code = data?.error?.code || data?.error?.type
+    err.retryAfterMs = parseRetryAfterMs(response)
     throw err
   }
 
-  return normalizeOpenAIResponse(data, options.model)
+  return normalizeOpenAIResponse(data, options.model, target.provider)
+}
+
+/**
+ * Call an OpenAI-compatible Chat Completions API in streaming mode.
+ * Text deltas are forwarded to options.onDelta as they arrive and the
+ * accumulated text is returned in the same normalized shape as callOpenAI.
+ * @param {string} prompt
+ * @param {AnalyzeOptions} options
+ * @param {{ provider: string, label: string, baseUrl: string }} target
+ */
+async function callOpenAIStream(prompt, options, target) {
+  const url = `${target.baseUrl}/chat/completions`
+
+  const body = {
+    model: options.model,
+    max_tokens: resolveMaxOutputTokens(options),
+    stream: true,
+    stream_options: { include_usage: true },
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You are an expert product strategy and problem validation assistant.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]
+  }
+
+  const headers = buildOpenAIHeaders(target, options.apiKey, 'text/event-stream')
+
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS
+
+  let request
+  try {
+    request = await openRequest(
+      url,
+      {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      },
+      timeoutMs,
+      options.signal
+    )
+  } catch (error) {
+    const err = new Error(`Failed to reach ${target.label}`)
+    err.type = 'LLM_NETWORK_ERROR'
+    err.provider = target.provider
+    err.model = options.model
+    err.cause = error
+    throw err
+  }
+
+  const { response } = request
+
+  if (!response.ok) {
+    request.release()
+    throw await buildProviderError(response, target.provider, options.model, `${target.label} returned an error`)
+  }
+
+  let content = ''
+  let usageSource
+
+  try {
+    await readEventStream(response, ({ data }) => {
+      if (data === '[DONE]') {
+        return
+      }
+
+      const chunk = JSON.parse(data)
+      const delta = chunk?.choices?.[0]?.delta?.content
+      if (typeof delta === 'string' && delta.length > 0) {
+        content += delta
+        options.onDelta(delta)
+      }
+      if (chunk?.usage) {
+        usageSource = chunk.usage
+      }
+    }, { signal: options.signal, idleTimeoutMs: timeoutMs, abort: request.abort })
+  } catch (error) {
+    const err = new Error(`Failed to read ${target.label} response stream`)
+    err.type = error instanceof SyntaxError ? 'LLM_PARSE_ERROR' : 'LLM_NETWORK_ERROR'
+    err.provider = target.provider
+    err.model = options.model
+    err.cause = error
+    throw err
+  } finally {
+    request.release()
+  }
+
+  return normalizeOpenAIResponse(
+    {
+      choices: [{ message: { content } }],
+      usage: usageSource
+    },
+    options.model,
+    target.provider
+  )
 }
 
 /**
@@ -245,7 +824,7 @@ async function callClaude(prompt, options) {
 
   const body = {
     model: options.model,
-    max_tokens: 2000,
+    max_tokens: resolveMaxOutputTokens(options),
     messages: [
       {
         role: 'user',
@@ -259,6 +838,8 @@ async function callClaude(prompt, options) {
     ]
   }
 
+  applyClaudeResponseFormat(body, options.responseFormat)
+
   const headers = {
     'Content-Type': 'application/json',
     'x-api-key': options.apiKey,
@@ -276,7 +857,8 @@ async function callClaude(prompt, options) {
         headers,
         body: JSON.stringify(body)
       },
-      timeoutMs
+      timeoutMs,
+      options.signal
     )
   } catch (error) {
     const err = new Error('Failed to reach Claude API')
@@ -309,21 +891,167 @@ async function callClaude(prompt, options) {
     err.model = options.model
     err.status = response.status
     err.code = data?.error?.code || data?.error?.type
+    err.retryAfterMs = parseRetryAfterMs(response)
     throw err
   }
 
   return normalizeClaudeResponse(data, options.model)
 }
 
+/**
+ * Call Claude (Anthropic) Messages API in streaming mode.
+ * Text deltas are forwarded to options.onDelta as they arrive and the
+ * accumulated text is returned in the same normalized shape as callClaude.
+ * @param {string} prompt
+ * @param {AnalyzeOptions} options
+ */
+async function callClaudeStream(prompt, options) {
+  const url = `${CLAUDE_BASE_URL}/messages`
+
+  const body = {
+    model: options.model,
+    max_tokens: resolveMaxOutputTokens(options),
+    stream: true,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: prompt
+          }
+        ]
+      }
+    ]
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'text/event-stream',
+    'x-api-key': options.apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  }
+
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS
+
+  let request
+  try {
+    request = await openRequest(
+      url,
+      {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      },
+      timeoutMs,
+      options.signal
+    )
+  } catch (error) {
+    const err = new Error('Failed to reach Claude API')
+    err.type = 'LLM_NETWORK_ERROR'
+    err.provider = 'claude'
+    err.model = options.model
+    err.cause = error
+    throw err
+  }
+
+  const { response } = request
+
+  if (!response.ok) {
+    request.release()
+    throw await buildProviderError(response, 'claude', options.model, 'Claude API returned an error')
+  }
+
+  let content = ''
+  const usageSource = {}
+  let streamError = null
+
+  try {
+    await readEventStream(response, ({ data }) => {
+      const payload = JSON.parse(data)
+
+      switch (payload?.type) {
+        case 'message_start':
+          Object.assign(usageSource, payload.message?.usage)
+          break
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            content += payload.delta.text
+            options.onDelta(payload.delta.text)
+          }
+          break
+        case 'message_delta':
+          Object.assign(usageSource, payload.usage)
+          break
+        case 'error':
+          streamError = payload.error || {}
+          break
+        default:
+          break
+      }
+    }, { signal: options.signal, idleTimeoutMs: timeoutMs, abort: request.abort })
+  } catch (error) {
+    const err = new Error('Failed to read Claude response stream')
+    err.type = error instanceof SyntaxError ? 'LLM_PARSE_ERROR' : 'LLM_NETWORK_ERROR'
+    err.provider = 'claude'
+    err.model = options.model
+    err.cause = error
+    throw err
+  } finally {
+    request.release()
+  }
+
+  if (streamError) {
+    const err = new Error(streamError.message || 'Claude API returned an error')
+    err.type = 'LLM_PROVIDER_ERROR'
+    err.provider = 'claude'
+    err.model = options.model
+    err.code = streamError.type
+    // The stream already answered 200; use the status these errors get
+    // before streaming starts so isRetryableError retries them
+    const status = CLAUDE_STREAM_ERROR_STATUSES[streamError.type]
+    if (status) {
+      err.status = status
+    }
+    throw err
+  }
+
+  return normalizeClaudeResponse(
+    {
+      content: [{ type: 'text', text: content }],
+      usage: Object.keys(usageSource).length > 0 ? usageSource : undefined
+    },
+    options.model
+  )
+}
+
 /**
  * Main LLM service object
  */
 const llmService = {
   /**
    * Analyze a prompt using the configured provider and model.
+   * When options.onDelta is provided the completion is streamed and each
+   * text delta is passed to the callback as it arrives; the resolved value
+   * has the same shape either way. options.timeoutMs (LLM_REQUEST_TIMEOUT_MS)
+   * bounds the wait for the response headers and, when streaming, the wait
+   * between chunks; options.signal aborts the request at any point.
+   *
+   * Transient failures (429, 5xx, network) are retried with exponential
+   * backoff up to options.maxRetries times (LLM_MAX_RETRIES, default 2).
+   * options.onRetry({ attempt, maxAttempts, delayMs, error }) is called
+   * before each retry so callers can track attempts or reset streamed text.
+   *
+   * options.responseFormat ({ type: 'json', name?, schema? }) asks for a
+   * JSON response using the provider's JSON mode (OpenAI response_format,
+   * a forced tool call on Claude). Such requests are never streamed. The
+   * content is still returned as text; callers parse and validate it.
+   *
+   * options.maxOutputTokens caps the completion of this call; it defaults
+   * to the model's cap in the model catalog (see getModelLimits).
    * @param {string} prompt
    * @param {Object} options
-   * @returns {Promise<{content: string, provider: string, model: string, usage?: Object, raw?: unknown}>}
+   * @returns {Promise<{content: string, provider: string, model: string, usage?: Object, raw?: unknown, attempts: number}>}
    */
   async analyze(prompt, options) {
     if (!prompt || typeof prompt !== 'string') {
@@ -340,8 +1068,14 @@ const llmService = {
 
     const { provider, model, apiKey } = options
 
-    if (!provider || !['openai', 'claude'].includes(provider)) {
-      const err = new Error('Provider must be either "openai" or "claude"')
+    if (!provider || !SUPPORTED_PROVIDERS.includes(provider)) {
+      const err = new Error('Provider must be one of "openai", "claude", "local" or "mock"')
+      err.type = 'LLM_INPUT_ERROR'
+      throw err
+    }
+
+    if (provider === 'mock' && !isMockProviderEnabled()) {
+      const err = new Error('The mock provider is disabled; set LLM_MOCK_ENABLED=true to enable it')
       err.type = 'LLM_INPUT_ERROR'
       throw err
     }
@@ -352,38 +1086,185 @@ const llmService = {
       throw err
     }
 
-    if (!apiKey || typeof apiKey !== 'string') {
+    // Local servers may run without authentication; the mock needs no key
+    if (!['local', 'mock'].includes(provider) && (!apiKey || typeof apiKey !== 'string')) {
       const err = new Error('API key must be a non-empty string')
       err.type = 'LLM_INPUT_ERROR'
       throw err
     }
 
+    if (options.onDelta != null && typeof options.onDelta !== 'function') {
+      const err = new Error('onDelta must be a function when provided')
+      err.type = 'LLM_INPUT_ERROR'
+      throw err
+    }
+
+    if (
+      options.maxOutputTokens != null &&
+      !(Number.isInteger(options.maxOutputTokens) && options.maxOutputTokens > 0)
+    ) {
+      const err = new Error('maxOutputTokens must be a positive integer when provided')
+      err.type = 'LLM_INPUT_ERROR'
+      throw err
+    }
+
+    if (options.responseFormat != null && options.responseFormat.type !== 'json') {
+      const err = new Error('responseFormat.type must be "json" when provided')
+      err.type = 'LLM_INPUT_ERROR'
+      throw err
+    }
+
     const safePromptLength = prompt.length
     const metaInfo = options.metadata || {}
 
-    try {
-      if (provider === 'openai') {
-        return await callOpenAI(prompt, options)
+    const maxRetries = Number.isInteger(options.maxRetries) && options.maxRetries >= 0
+      ? options.maxRetries
+      : Number.isInteger(DEFAULT_MAX_RETRIES) && DEFAULT_MAX_RETRIES >= 0
+        ? DEFAULT_MAX_RETRIES
+        : 2
+    const baseDelayMs = options.retryBaseDelayMs ?? DEFAULT_RETRY_BASE_DELAY_MS
+    const maxAttempts = maxRetries + 1
+    const stream = typeof options.onDelta === 'function' && !options.responseFormat
+    const target = ['openai', 'local'].includes(provider)
+      ? getOpenAICompatibleTarget(provider, options)
+      : null
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        let result
+        if (provider === 'mock') {
+          result = await callMock(prompt, options)
+        } else if (target) {
+          result = stream
+            ? await callOpenAIStream(prompt, options, target)
+            : await callOpenAI(prompt, options, target)
+        } else {
+          result = stream
+            ? await callClaudeStream(prompt, options)
+            : await callClaude(prompt, options)
+        }
+        result.attempts = attempt
+        return result
+      } catch (error) {
+        error.attempts = attempt
+
+        // Log high-level information without leaking secrets
+        const logPayload = {
+          type: error.type || 'LLM_UNKNOWN_ERROR',
+          provider,
+          model,
+          status: error.status,
+          code: error.code,
+          message: error.message,
+          promptLength: safePromptLength,
+          attempt,
+          maxAttempts,
+          metadata: metaInfo
+        }
+
+        // eslint-disable-next-line no-console
+        console.error('LLM error:', logPayload)
+
+        const canRetry =
+          attempt < maxAttempts &&
+          isRetryableError(error) &&
+          !options.signal?.aborted
+
+        if (!canRetry) {
+          throw error
+        }
+
+        const delayMs = getRetryDelayMs(attempt, baseDelayMs, error)
+
+        if (typeof options.onRetry === 'function') {
+          options.onRetry({ attempt, maxAttempts, delayMs, error })
+        }
+
+        try {
+          await sleep(delayMs, options.signal)
+        } catch {
+          // Cancelled while backing off; surface the original failure
+          throw error
+        }
       }
-      return await callClaude(prompt, options)
+    }
+  },
+
+  /**
+   * List the models an OpenAI-compatible server offers (GET {baseUrl}/models).
+   * Used by the configuration page to populate the model picker for local
+   * servers; also works against OpenAI itself.
+   * @param {Object} options
+   * @param {'openai'|'local'} options.provider
+   * @param {string} [options.baseUrl] - Local server base URL
+   * @param {string} [options.apiKey]
+   * @param {number} [options.timeoutMs]
+   * @returns {Promise<Array<{ id: string, ownedBy: string|null }>>}
+   */
+  async listModels(options = {}) {
+    const { provider, apiKey } = options
+
+    if (!['openai', 'local'].includes(provider)) {
+      const err = new Error('Model discovery is only supported for "openai" and "local" providers')
+      err.type = 'LLM_INPUT_ERROR'
+      throw err
+    }
+
+    if (!isValidApiKey(provider, apiKey)) {
+      const err = new Error('A valid API key (>= 20 chars) is required')
+      err.type = 'LLM_INPUT_ERROR'
+      throw err
+    }
+
+    const target = getOpenAICompatibleTarget(provider, options)
+
+    let response
+    try {
+      response = await fetchWithTimeout(
+        `${target.baseUrl}/models`,
+        {
+          method: 'GET',
+          headers: buildOpenAIHeaders(target, apiKey)
+        },
+        options.timeoutMs || DEFAULT_TIMEOUT_MS,
+        options.signal
+      )
     } catch (error) {
-      // Log high-level information without leaking secrets
-      const logPayload = {
-        type: error.type || 'LLM_UNKNOWN_ERROR',
-        provider,
-        model,
-        status: error.status,
-        code: error.code,
-        message: error.message,
-        promptLength: safePromptLength,
-        metadata: metaInfo
-      }
+      const err = new Error(`Failed to reach ${target.label}`)
+      err.type = 'LLM_NETWORK_ERROR'
+      err.provider = provider
+      err.cause = error
+      throw err
+    }
 
-      // eslint-disable-next-line no-console
-      console.error('LLM error:', logPayload)
+    if (!response.ok) {
+      throw await buildProviderError(response, provider, null, `${target.label} returned an error`)
+    }
 
-      throw error
+    let data
+    try {
+      data = await response.json()
+    } catch (error) {
+      const err = new Error(`Invalid JSON response from ${target.label}`)
+      err.type = 'LLM_PARSE_ERROR'
+      err.provider = provider
+      err.cause = error
+      throw err
     }
+
+    // OpenAI/vLLM/llama.cpp return { data: [...] }; Ollama's native
+    // /api/tags shape ({ models: [...] }) is accepted as well.
+    const entries = Array.isArray(data?.data)
+      ? data.data
+      : Array.isArray(data?.models) ? data.models : []
+
+    return entries
+      .map(entry => ({
+        id: entry?.id || entry?.name || entry?.model,
+        ownedBy: entry?.owned_by || null
+      }))
+      .filter(entry => typeof entry.id === 'string' && entry.id.length > 0)
+      .sort((a, b) => a.id.localeCompare(b.id))
   }
 }
 
@@ -0,0 +1,56 @@
+/**
+ * Design Thinking – Define Phase
+ */
+
+export default {
+  id: 'designThinking',
+  order: 20,
+  name: 'Design Thinking – Define',
+  progressLabel: 'Running Design Thinking analysis...',
+  description: 'Synthesizing user research into a clear problem definition',
+  fileKey: 'DesignThinking',
+  synthesisLabel: 'Design Thinking Analysis',
+  emailLabel: 'Design Thinking – Define Phase',
+  placeholders: {
+    PROBLEM_STATEMENT: 'problemStatement',
+    LOCATION: 'location',
+    TARGET_CUSTOMER: 'targetCustomer',
+    TEAM_SIZE: 'teamSize'
+  },
+  outputSchema: {
+    type: 'object',
+    required: ['persona', 'empathyMap', 'painPoints', 'problemStatement', 'assumptions'],
+    properties: {
+      persona: { type: 'string', description: 'Primary user affected by the problem' },
+      empathyMap: {
+        type: 'object',
+        required: ['thinks', 'feels', 'sees', 'hears', 'says', 'does'],
+        properties: {
+          thinks: { type: 'array', items: { type: 'string' } },
+          feels: { type: 'array', items: { type: 'string' } },
+          sees: { type: 'array', items: { type: 'string' } },
+          hears: { type: 'array', items: { type: 'string' } },
+          says: { type: 'array', items: { type: 'string' } },
+          does: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      painPoints: { type: 'array', items: { type: 'string' } },
+      problemStatement: { type: 'string', description: '[User] needs a way to [need] because [insight]' },
+      assumptions: { type: 'array', items: { type: 'string' } },
+      researchMethods: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  template: `Design Thinking – Define Phase:
+In this methodology, the problem brief emerges from immersive user research during the "Empathize" phase, then synthesized in the "Define" phase. Tools like empathy maps and point-of-view (POV) statements help distill the most meaningful insights into a structured problem statement that captures user needs, context, and emotional drivers. It's especially effective when tackling ambiguous or human-centered challenges.
+
+You are a Design Thinking practitioner conducting a deep problem definition exercise based on the following user-stated issue: "{{PROBLEM_STATEMENT}}".
+
+Additional context:
+- Location/Market: {{LOCATION}}
+- Target Customer: {{TARGET_CUSTOMER}}
+- Team Size: {{TEAM_SIZE}}
+
+First, infer or describe the primary user or persona affected by this problem. Use empathy mapping to analyze what this user thinks, feels, sees, hears, says, and does. Describe the emotional and situational context around the problem and identify pain points and needs.
+
+Next, move into the Define phase. Write a clear and concise problem statement in the format: "[User] needs a way to [user's need] because [insight]." List assumptions and gaps that must be validated. Provide suggestions for user research methods to strengthen or test the definition (e.g., interviews, journey mapping, observations). Conclude with actionable guidance on how to move from problem to ideation.`
+}
@@ -0,0 +1,63 @@
+/**
+ * Jobs-to-be-Done (JTBD)
+ */
+
+export default {
+  id: 'jtbd',
+  order: 10,
+  name: 'Jobs-to-be-Done',
+  progressLabel: 'Analyzing with Jobs-to-be-Done framework...',
+  description: 'Uncovering the underlying job users are trying to accomplish',
+  fileKey: 'JTBD',
+  synthesisLabel: 'JTBD Analysis',
+  emailLabel: 'Jobs-to-be-Done (JTBD)',
+  placeholders: {
+    PROBLEM_STATEMENT: 'problemStatement',
+    LOCATION: 'location',
+    TARGET_CUSTOMER: 'targetCustomer',
+    TEAM_SIZE: 'teamSize'
+  },
+  outputSchema: {
+    type: 'object',
+    required: ['jobStatement', 'situation', 'dimensions', 'currentWorkarounds', 'desiredOutcomes'],
+    properties: {
+      jobStatement: { type: 'string', description: 'Core JTBD statement: When [situation], I want to [motivation], so I can [outcome]' },
+      situation: { type: 'string', description: 'Context in which the job arises' },
+      dimensions: {
+        type: 'object',
+        required: ['functional', 'emotional', 'social'],
+        properties: {
+          functional: { type: 'array', items: { type: 'string' } },
+          emotional: { type: 'array', items: { type: 'string' } },
+          social: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      currentWorkarounds: { type: 'array', items: { type: 'string' } },
+      desiredOutcomes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['outcome'],
+          properties: {
+            outcome: { type: 'string' },
+            successMetric: { type: 'string' }
+          }
+        }
+      },
+      validationQuestions: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  template: `Jobs-to-be-Done (JTBD):
+JTBD helps you uncover the underlying "job" the user is trying to accomplish, regardless of the current solution. By focusing on the progress the user wants to make in a specific situation, it enables you to extract motivations, triggers, desired outcomes, and constraints. This method often uses interviews and customer observations to surface unmet needs and define the problem in actionable, user-centered terms.
+
+You are a product strategist using the Jobs-to-be-Done (JTBD) framework to analyze a user-defined problem. The user described the problem as: "{{PROBLEM_STATEMENT}}".
+
+Additional context:
+- Location/Market: {{LOCATION}}
+- Target Customer: {{TARGET_CUSTOMER}}
+- Team Size: {{TEAM_SIZE}}
+
+Conduct a detailed analysis in the JTBD format. Begin by identifying the main job the user (or target customer) is trying to accomplish, and describe the context or situation where the job arises. Identify functional, emotional, and social dimensions of the job. Explore current workarounds and frustrations users face while trying to complete this job. Then, define desired outcomes and success metrics from the user's point of view.
+
+Suggest questions or observations that would help validate the job and assess whether it's underserved. Conclude by summarizing the core JTBD statement, job map (if relevant), and recommendations for validating or refining this problem definition. Format as a structured analysis with clear sections and full paragraphs.`
+}
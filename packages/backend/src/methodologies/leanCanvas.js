@@ -0,0 +1,68 @@
+/**
+ * Lean Problem Validation (Lean Canvas – Problem section)
+ */
+
+export default {
+  id: 'leanCanvas',
+  order: 30,
+  name: 'Lean Problem Validation',
+  progressLabel: 'Validating with Lean Canvas...',
+  description: 'Evaluating problem-customer fit using Lean Canvas framework',
+  fileKey: 'LeanCanvas',
+  synthesisLabel: 'Lean Canvas Analysis',
+  emailLabel: 'Lean Problem Validation',
+  placeholders: {
+    PROBLEM_STATEMENT: 'problemStatement',
+    LOCATION: 'location',
+    TARGET_CUSTOMER: 'targetCustomer',
+    TEAM_SIZE: 'teamSize'
+  },
+  outputSchema: {
+    type: 'object',
+    required: ['problems', 'existingAlternatives', 'earlyAdopters'],
+    properties: {
+      problems: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 3,
+        description: 'Top three problems of the customer segment, most important first',
+        items: { type: 'string' }
+      },
+      existingAlternatives: { type: 'array', items: { type: 'string' } },
+      earlyAdopters: { type: 'array', items: { type: 'string' } },
+      assumptions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['assumption'],
+          properties: {
+            assumption: { type: 'string' },
+            test: { type: 'string', description: 'How to test it early' }
+          }
+        }
+      },
+      problemAssessment: {
+        type: 'object',
+        properties: {
+          painful: { type: 'string' },
+          frequent: { type: 'string' },
+          monetizable: { type: 'string' }
+        }
+      },
+      nextSteps: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  template: `Lean Problem Validation (Lean Canvas - Problem Section):
+The Lean Canvas provides a standardized template that forces early clarity by focusing on top problems, customer segments, existing alternatives, and early adopters. It encourages founders and product teams to avoid solution bias and test assumptions early using fast cycles of qualitative feedback or landing pages, making it useful for product-focused problem briefs.
+
+You are acting as a startup coach using the Lean Canvas framework to evaluate a business opportunity based on the following problem: "{{PROBLEM_STATEMENT}}".
+
+Additional context:
+- Location/Market: {{LOCATION}}
+- Target Customer: {{TARGET_CUSTOMER}}
+- Team Size: {{TEAM_SIZE}}
+
+Focus your analysis specifically on the "Problem" section of the Lean Canvas. Identify the top three problems experienced by the target customer segment, as implied or stated in the input. Describe current alternatives or workarounds customers are using today. Define who the early adopters might be.
+
+Explain what assumptions underlie the problem and how those could be tested early (e.g., through interviews, landing pages, smoke tests). Evaluate whether the problem is painful, frequent, and monetizable. Conclude by restating the problem section as it would appear in a Lean Canvas, and suggest next steps to validate it before building solutions.`
+}
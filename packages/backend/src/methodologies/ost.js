@@ -0,0 +1,57 @@
+/**
+ * Opportunity Solution Tree (OST)
+ */
+
+export default {
+  id: 'ost',
+  order: 50,
+  name: 'Opportunity Solution Tree',
+  progressLabel: 'Building Opportunity Solution Tree...',
+  description: 'Mapping opportunities from business outcomes to solutions',
+  fileKey: 'OpportunityTree',
+  synthesisLabel: 'Opportunity Solution Tree (OST) Analysis',
+  emailLabel: 'Opportunity Solution Tree',
+  placeholders: {
+    BUSINESS_GOAL_OR_PROBLEM_STATEMENT: 'businessGoalOrProblemStatement',
+    LOCATION: 'location',
+    TARGET_CUSTOMER: 'targetCustomer',
+    TEAM_SIZE: 'teamSize'
+  },
+  outputSchema: {
+    type: 'object',
+    required: ['outcome', 'opportunities'],
+    properties: {
+      outcome: { type: 'string', description: 'Overarching outcome or desired impact' },
+      opportunities: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['opportunity', 'solutions'],
+          properties: {
+            opportunity: { type: 'string' },
+            relevance: { type: 'string' },
+            priority: { type: 'integer', minimum: 1, description: '1 = highest' },
+            solutions: { type: 'array', items: { type: 'string' }, description: 'Possible solution directions, not commitments' },
+            discoveryMethods: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  template: `Opportunity Solution Tree (OST):
+OST, popularized by Teresa Torres, visualizes the path from a high-level business outcome to customer problems ("opportunities") and only then to potential solutions. It keeps teams focused on evidence-based discovery and helps prioritize which problems are worth solving before jumping into ideation. This is valuable for product strategy and cross-functional prioritization.
+
+You are a product discovery lead guiding a team through the Opportunity Solution Tree (OST) methodology to define and validate a problem. The team has received the following outcome or goal: "{{BUSINESS_GOAL_OR_PROBLEM_STATEMENT}}".
+
+Additional context:
+- Location/Market: {{LOCATION}}
+- Target Customer: {{TARGET_CUSTOMER}}
+- Team Size: {{TEAM_SIZE}}
+
+Begin by identifying the overarching outcome or desired impact. Then, brainstorm and describe multiple customer opportunities—unmet needs, frustrations, or pain points—that could be contributing to this outcome. For each opportunity, briefly explain its relevance and potential business impact.
+
+Prioritize opportunities using desirability (customer pain), viability (business alignment), and feasibility (doable with resources). From the top 1–2 opportunities, recommend potential discovery methods (interviews, behavior analysis, surveys) to validate their importance.
+
+Conclude with a sample subtree outlining outcome → opportunity → possible solution directions, without committing to solutions yet.`
+}
@@ -0,0 +1,69 @@
+/**
+ * Root Cause Analysis (5 Whys / Fishbone)
+ */
+
+export default {
+  id: 'rootCause',
+  order: 40,
+  name: 'Root Cause Analysis',
+  progressLabel: 'Performing Root Cause Analysis...',
+  description: 'Identifying true causes using 5 Whys and Fishbone analysis',
+  fileKey: 'RootCauseAnalysis',
+  synthesisLabel: 'Root Cause Analysis',
+  emailLabel: 'Root Cause Analysis',
+  placeholders: {
+    PROBLEM_STATEMENT: 'problemStatement',
+    LOCATION: 'location',
+    TARGET_CUSTOMER: 'targetCustomer',
+    TEAM_SIZE: 'teamSize'
+  },
+  outputSchema: {
+    type: 'object',
+    required: ['problem', 'fiveWhys', 'rootCause', 'fishbone'],
+    properties: {
+      problem: { type: 'string', description: 'The stated problem the chain starts from' },
+      fiveWhys: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['why', 'because'],
+          properties: {
+            why: { type: 'string' },
+            because: { type: 'string' }
+          }
+        }
+      },
+      rootCause: { type: 'string' },
+      fishbone: {
+        type: 'array',
+        description: 'Contributing factors by category (People, Process, Technology, Environment, Policy)',
+        items: {
+          type: 'object',
+          required: ['category', 'causes'],
+          properties: {
+            category: { type: 'string' },
+            causes: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      revisedProblem: { type: 'string' },
+      verificationSteps: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  template: `Root Cause Analysis (5 Whys / Fishbone Diagram):
+This method focuses on uncovering the true causes of a problem rather than just treating symptoms. The 5 Whys technique pushes you to repeatedly ask "why" to get past surface-level issues, while the Fishbone (Ishikawa) diagram helps visualize contributing factors across categories like people, process, and technology. It's best used when problems are recurring or operational in nature.
+
+You are acting as a systems thinker and problem solver using Root Cause Analysis to deconstruct the following issue: "{{PROBLEM_STATEMENT}}".
+
+Additional context:
+- Location/Market: {{LOCATION}}
+- Target Customer: {{TARGET_CUSTOMER}}
+- Team Size: {{TEAM_SIZE}}
+
+Begin by applying the "5 Whys" technique: start with the stated problem and iteratively ask "Why?" to identify deeper causes. Continue until you reach a root cause that is not merely a symptom.
+
+Next, create a Fishbone-style breakdown of contributing factors under categories such as People, Process, Technology, Environment, and Policy. Analyze how each category might be influencing the problem.
+
+Summarize your findings, define the root problem in a revised format, and recommend steps to verify each root cause through data, observation, or stakeholder interviews. Include risk of misidentification and suggest how to avoid jumping to conclusions.`
+}
@@ -0,0 +1,194 @@
+/**
+ * Methodology Registry
+ *
+ * Each validation methodology is a single module in src/methodologies/
+ * whose default export describes it: id, display name, progress label,
+ * prompt template and its placeholders, file key for TXT exports and the
+ * labels used in the synthesis prompt and report email.
+ *
+ * Modules are loaded once at startup, from the built-in directory and,
+ * when METHODOLOGIES_DIR is set, from that directory as well, then sorted
+ * by `order`. Adding a framework means dropping one file into either
+ * directory; prompts, execution, synthesis and exports pick it up.
+ * An optional `outputSchema` (JSON Schema of an object) makes the
+ * executor extract a structured result next to the prose one (see
+ * structuredOutput.js).
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'methodologies')
+
+/**
+ * Prompt context fields a placeholder can be mapped to
+ * (see buildPrompt in promptTemplates.js)
+ */
+export const CONTEXT_FIELDS = [
+  'problemStatement',
+  'location',
+  'targetCustomer',
+  'teamSize',
+  'businessGoalOrProblemStatement'
+]
+
+const REQUIRED_STRING_FIELDS = [
+  'id',
+  'name',
+  'progressLabel',
+  'description',
+  'template',
+  'fileKey',
+  'synthesisLabel'
+]
+
+function createDefinitionError(message, source) {
+  const err = new Error(source ? `${message} (${source})` : message)
+  err.type = 'METHODOLOGY_DEFINITION_ERROR'
+  return err
+}
+
+/**
+ * Check a methodology definition and return a normalized copy.
+ * Every {{PLACEHOLDER}} in the template must be mapped to a context field.
+ *
+ * @param {object} definition - Default export of a methodology module
+ * @param {string} [source] - File the definition came from, for error messages
+ * @returns {object}
+ * @throws {Error} METHODOLOGY_DEFINITION_ERROR when the definition is invalid
+ */
+export function validateMethodology(definition, source) {
+  if (!definition || typeof definition !== 'object') {
+    throw createDefinitionError('Methodology module must default-export an object', source)
+  }
+
+  for (const field of REQUIRED_STRING_FIELDS) {
+    if (typeof definition[field] !== 'string' || definition[field].trim() === '') {
+      throw createDefinitionError(`Methodology is missing "${field}"`, source)
+    }
+  }
+
+  if (!/^[A-Za-z][A-Za-z0-9_-]*$/.test(definition.id)) {
+    throw createDefinitionError(`Methodology id "${definition.id}" must be alphanumeric`, source)
+  }
+
+  if (!/^[A-Za-z0-9_-]+$/.test(definition.fileKey)) {
+    throw createDefinitionError(`File key "${definition.fileKey}" may only contain letters, digits, "_" and "-"`, source)
+  }
+
+  if (definition.order != null && !Number.isFinite(definition.order)) {
+    throw createDefinitionError('Methodology "order" must be a number', source)
+  }
+
+  const placeholders = definition.placeholders || {}
+  for (const [token, field] of Object.entries(placeholders)) {
+    if (!CONTEXT_FIELDS.includes(field)) {
+      throw createDefinitionError(
+        `Placeholder {{${token}}} maps to unknown context field "${field}"; use one of: ${CONTEXT_FIELDS.join(', ')}`,
+        source
+      )
+    }
+  }
+
+  for (const [, token] of definition.template.matchAll(/\{\{([A-Z0-9_]+)\}\}/g)) {
+    if (!placeholders[token]) {
+      throw createDefinitionError(`Template placeholder {{${token}}} is not listed in "placeholders"`, source)
+    }
+  }
+
+  const { outputSchema } = definition
+  if (outputSchema != null) {
+    if (
+      typeof outputSchema !== 'object' ||
+      outputSchema.type !== 'object' ||
+      typeof outputSchema.properties !== 'object' ||
+      outputSchema.properties === null
+    ) {
+      throw createDefinitionError('"outputSchema" must be a JSON Schema with type "object" and "properties"', source)
+    }
+  }
+
+  return {
+    ...definition,
+    order: definition.order ?? Number.MAX_SAFE_INTEGER,
+    outputSchema: outputSchema || null,
+    emailLabel: definition.emailLabel || definition.name,
+    placeholders: { ...placeholders }
+  }
+}
+
+/**
+ * Import every .js module in a directory as a methodology definition.
+ *
+ * @param {string} dir
+ * @returns {Promise<object[]>} Validated definitions in file name order
+ */
+export async function loadMethodologiesFromDir(dir) {
+  let entries
+  try {
+    entries = await fs.readdir(dir)
+  } catch (error) {
+    const err = createDefinitionError(`Cannot read methodologies directory: ${error.message}`, dir)
+    err.cause = error
+    throw err
+  }
+
+  const definitions = []
+  for (const file of entries.filter(name => name.endsWith('.js')).sort()) {
+    const filepath = path.join(dir, file)
+    const module = await import(pathToFileURL(filepath).href)
+    definitions.push(validateMethodology(module.default, filepath))
+  }
+
+  return definitions
+}
+
+/**
+ * Order definitions and reject duplicate ids or file keys.
+ *
+ * @param {object[]} definitions - Validated definitions
+ * @returns {object[]} Frozen list sorted by order, then id
+ */
+export function createRegistry(definitions) {
+  const seenIds = new Set()
+  const seenFileKeys = new Set()
+
+  for (const definition of definitions) {
+    if (seenIds.has(definition.id)) {
+      throw createDefinitionError(`Duplicate methodology id "${definition.id}"`)
+    }
+    if (seenFileKeys.has(definition.fileKey)) {
+      throw createDefinitionError(`Duplicate methodology file key "${definition.fileKey}"`)
+    }
+    seenIds.add(definition.id)
+    seenFileKeys.add(definition.fileKey)
+  }
+
+  const sorted = [...definitions].sort((a, b) => a.order - b.order || a.id.localeCompare(b.id))
+  return Object.freeze(sorted.map(definition => Object.freeze(definition)))
+}
+
+const registry = createRegistry([
+  ...await loadMethodologiesFromDir(BUILTIN_DIR),
+  ...(process.env.METHODOLOGIES_DIR
+    ? await loadMethodologiesFromDir(path.resolve(process.env.METHODOLOGIES_DIR))
+    : [])
+])
+
+/**
+ * All registered methodologies in execution order.
+ * @returns {ReadonlyArray<object>}
+ */
+export function getMethodologies() {
+  return registry
+}
+
+/**
+ * Look up a registered methodology by id.
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getMethodologyDefinition(id) {
+  return registry.find(definition => definition.id === id) || null
+}
@@ -0,0 +1,548 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic, offline stand-in for a real provider. Returns canned,
+ * methodology-aware content keyed on the metadata every caller already
+ * passes to llmService.analyze (analysis step, synthesis, SCAMPER lens,
+ * SIT tool), so the whole wizard can be exercised without network access
+ * or API credits.
+ *
+ * Behaviour is tuned with environment variables or per call through
+ * options.mock:
+ * - MOCK_LLM_LATENCY_MS     Delay per call (streamed calls spread it over chunks)
+ * - MOCK_LLM_FAIL_ON        Comma-separated call keys that always fail ('*' = all)
+ * - MOCK_LLM_FAILURE_RATE   Probability (0-1) that any call fails
+ * - MOCK_LLM_FAILURE_STATUS HTTP status reported for injected failures (default 503)
+ *
+ * The provider is off unless LLM_MOCK_ENABLED=true, so a deployment whose
+ * NODE_ENV is unset cannot be answered with canned content.
+ */
+
+import { METHODOLOGY_STEPS } from './promptTemplates.js'
+import { estimateTokenCount } from './modelCatalog.js'
+import { SCAMPER_LENSES } from './scamperPromptTemplates.js'
+import { SIT_TOOLS } from './sitPromptTemplates.js'
+
+/**
+ * Selectable mock models; 'mock-slow' makes progress views observable.
+ */
+export const MOCK_MODELS = {
+  mock: { latencyMs: null },
+  'mock-slow': { latencyMs: 1500 }
+}
+
+// Tool-specific fields required by each SIT prompt
+const SIT_TOOL_FIELDS = {
+  subtraction: n => ({
+    subtractedElement: `Manual step ${n} in the current workflow`
+  }),
+  division: n => ({
+    dividedElement: `Onboarding process stage ${n}`,
+    divisionType: ['functional', 'physical', 'preserving', 'temporal'][(n - 1) % 4]
+  }),
+  'task-unification': n => ({
+    existingComponent: `Existing customer touchpoint ${n}`,
+    originalTask: 'Delivering the core service',
+    newTask: 'Collecting structured feedback at the same time'
+  }),
+  multiplication: n => ({
+    multipliedElement: `Service tier ${n}`,
+    variation: 'Each copy targets a different customer segment'
+  }),
+  'attribute-dependency': n => ({
+    dependentAttribute: `Pricing option ${n}`,
+    independentAttribute: 'Customer usage level',
+    dependencyRule: 'If usage grows past the threshold, the plan upgrades automatically'
+  })
+}
+
+// Canned body per analysis methodology
+const METHOD_SECTIONS = {
+  jtbd: [
+    ['Core Job', 'When the problem occurs, the customer wants to get it resolved quickly so they can return to their primary goal without extra effort.'],
+    ['Functional, Emotional and Social Jobs', 'Functionally they need a reliable outcome; emotionally they want confidence it will not recur; socially they want to be seen as competent by their peers.'],
+    ['Current Alternatives', 'Customers rely on spreadsheets, ad-hoc workarounds and manual follow-ups, which are slow and error-prone.']
+  ],
+  designThinking: [
+    ['Point of View', 'The target customer needs a dependable way to handle the problem because current workarounds cost time and erode trust.'],
+    ['How Might We', 'How might we remove the manual steps that cause most of the delays?\nHow might we make progress visible to everyone involved?'],
+    ['Key Insights', 'Frustration peaks at hand-offs between people, not during the work itself.']
+  ],
+  leanCanvas: [
+    ['Problem', '1. Manual, repetitive effort\n2. Lack of visibility into status\n3. Costly mistakes from missed steps'],
+    ['Customer Segments', 'Early adopters are small teams that already feel the pain weekly and have tried at least one workaround.'],
+    ['Unique Value Proposition', 'Resolve the problem in minutes instead of days, with a clear audit trail.'],
+    ['Key Metrics', 'Time to resolution, weekly active teams, retention after 30 days.']
+  ],
+  rootCause: [
+    ['Problem Statement', 'Work stalls at hand-offs and is frequently redone.'],
+    ['5 Whys', '1. Work is redone because requirements were unclear.\n2. Requirements were unclear because context is lost at hand-off.\n3. Context is lost because it lives in private notes.\n4. It lives in private notes because there is no shared record.\n5. There is no shared record because no tool fits the workflow.'],
+    ['Root Cause', 'There is no shared, lightweight system of record for the workflow.']
+  ],
+  ost: [
+    ['Desired Outcome', 'Cut average time to resolution by 50% within one quarter.'],
+    ['Opportunities', '- Hand-offs lose context\n- Status is invisible to stakeholders\n- Repeated manual data entry'],
+    ['Solutions', '- Shared checklist with ownership\n- Automatic status notifications\n- Templates pre-filled from previous work'],
+    ['Experiments', 'Run a concierge pilot with five teams and measure time to resolution before and after.']
+  ]
+}
+
+// Canned structured result per analysis methodology (see outputSchema in
+// src/methodologies/), matching the sections above
+const METHOD_STRUCTURED = {
+  jtbd: {
+    jobStatement: 'When a hand-off goes wrong, I want to get the work back on track quickly, so I can return to my primary goal.',
+    situation: 'Work passes between people and context is lost on the way.',
+    dimensions: {
+      functional: ['Get a reliable outcome without redoing work'],
+      emotional: ['Feel confident the problem will not recur'],
+      social: ['Be seen as competent by peers']
+    },
+    currentWorkarounds: ['Spreadsheets', 'Ad-hoc workarounds', 'Manual follow-ups'],
+    desiredOutcomes: [
+      { outcome: 'Less time lost at hand-offs', successMetric: 'Hours saved per week' }
+    ],
+    validationQuestions: ['When did a hand-off last cost you time, and what did you do about it?']
+  },
+  designThinking: {
+    persona: 'A small-team lead who coordinates work between several people',
+    empathyMap: {
+      thinks: ['Hand-offs always go wrong'],
+      feels: ['Frustrated when work has to be redone'],
+      sees: ['Tasks stalled waiting for someone'],
+      hears: ['"I did not know that was needed"'],
+      says: ['"Let me check my notes"'],
+      does: ['Chases updates manually']
+    },
+    painPoints: ['Delays at hand-offs', 'Invisible progress'],
+    problemStatement: 'Small-team leads need a way to hand off work without losing context because frustration peaks at hand-offs, not during the work itself.',
+    assumptions: ['Hand-offs are the main source of delay'],
+    researchMethods: ['Customer interviews', 'Journey mapping']
+  },
+  leanCanvas: {
+    problems: ['Manual, repetitive effort', 'Lack of visibility into status', 'Costly mistakes from missed steps'],
+    existingAlternatives: ['Spreadsheets', 'Email threads'],
+    earlyAdopters: ['Small teams that feel the pain weekly and have tried at least one workaround'],
+    assumptions: [
+      { assumption: 'Teams would pay to save time at hand-offs', test: 'Landing page with pricing' }
+    ],
+    problemAssessment: {
+      painful: 'Yes: work is redone regularly',
+      frequent: 'Weekly',
+      monetizable: 'Likely, if time savings are visible'
+    },
+    nextSteps: ['Interview ten early adopters']
+  },
+  rootCause: {
+    problem: 'Work stalls at hand-offs and is frequently redone.',
+    fiveWhys: [
+      { why: 'Why is work redone?', because: 'Requirements were unclear.' },
+      { why: 'Why were requirements unclear?', because: 'Context is lost at hand-off.' },
+      { why: 'Why is context lost?', because: 'It lives in private notes.' },
+      { why: 'Why does it live in private notes?', because: 'There is no shared record.' },
+      { why: 'Why is there no shared record?', because: 'No tool fits the workflow.' }
+    ],
+    rootCause: 'There is no shared, lightweight system of record for the workflow.',
+    fishbone: [
+      { category: 'People', causes: ['Knowledge held by individuals'] },
+      { category: 'Process', causes: ['No defined hand-off step'] },
+      { category: 'Technology', causes: ['Tools do not fit the workflow'] }
+    ],
+    revisedProblem: 'Small teams lack a shared record of work in progress, so context is lost at every hand-off.',
+    verificationSteps: ['Observe three hand-offs and note what information is missing']
+  },
+  ost: {
+    outcome: 'Cut average time to resolution by 50% within one quarter.',
+    opportunities: [
+      {
+        opportunity: 'Hand-offs lose context',
+        relevance: 'Most delays start at a hand-off',
+        priority: 1,
+        solutions: ['Shared checklist with ownership'],
+        discoveryMethods: ['Concierge pilot with five teams']
+      },
+      {
+        opportunity: 'Status is invisible to stakeholders',
+        priority: 2,
+        solutions: ['Automatic status notifications'],
+        discoveryMethods: ['Stakeholder interviews']
+      }
+    ]
+  }
+}
+
+function readNumberEnv(name) {
+  const value = parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * Whether the mock provider may be used in this process.
+ * @returns {boolean}
+ */
+export function isMockProviderEnabled() {
+  return process.env.LLM_MOCK_ENABLED === 'true'
+}
+
+/**
+ * Derive a stable key for a call from its metadata, e.g. 'jtbd',
+ * 'structured:jtbd', 'digest:jtbd', 'synthesis', 'scorecard', 'consistency', 'comparison',
+ * 'refinement', 'scamper:combine', 'sit:synthesis'.
+ * @param {Object} [metadata]
+ * @returns {string}
+ */
+export function getMockCallKey(metadata = {}) {
+  if (metadata.stepId) return metadata.kind ? `${metadata.kind}:${metadata.stepId}` : metadata.stepId
+  if (metadata.kind) return metadata.kind
+  if (metadata.technique) {
+    const target = metadata.lens || metadata.tool || metadata.step
+    return target ? `${metadata.technique}:${target}` : metadata.technique
+  }
+  return 'generic'
+}
+
+function renderMethodContent(stepId) {
+  const step = METHODOLOGY_STEPS.find(s => s.id === stepId)
+  const sections = METHOD_SECTIONS[stepId] || []
+  const body = sections
+    .map(([heading, text]) => `## ${heading}\n\n${text}`)
+    .join('\n\n')
+  return `# ${step?.name || stepId} (mock)\n\n${body}\n`
+}
+
+// Digest of a methodology's mock output for map-reduce synthesis. Section
+// n of the output is passage n (the title stays with the first section),
+// so each sentence cites the passage it condenses.
+function renderDigestContent(stepId, metadata = {}) {
+  const sections = METHOD_SECTIONS[stepId] || []
+  const [first, last] = metadata.passages || [1, sections.length]
+  return sections
+    .map(([, text], index) => ({ text, passage: index + 1 }))
+    .filter(({ passage }) => passage >= first && passage <= last)
+    .map(({ text, passage }) => `${text} [${metadata.document || 1}.${passage}]`)
+    .join(' ')
+}
+
+function renderStructuredContent(stepId) {
+  return JSON.stringify(METHOD_STRUCTURED[stepId] || {}, null, 2)
+}
+
+// Canned validation scorecard (see buildScorecardSchema): score, rationale
+// and preferred source methods per dimension
+const SCORECARD_SAMPLE = {
+  painSeverity: [4, 'Hand-offs are the moment of highest frustration and cause visible rework.', ['jtbd', 'designThinking']],
+  frequency: [3, 'The problem recurs with every hand-off, but volumes differ widely between teams.', ['jtbd', 'rootCause']],
+  willingnessToPay: [2, 'No pricing signal yet; only the cost of rework hints at a budget.', ['leanCanvas']],
+  problemClarity: [4, 'The job, the customer and the failing moment are consistently described.', ['designThinking', 'leanCanvas']],
+  evidenceStrength: [2, 'Conclusions rest on the problem description rather than customer interviews.', ['rootCause', 'ost']],
+  crossMethodAgreement: [4, 'All methodologies converge on hand-offs and the missing system of record.', ['jtbd', 'designThinking', 'leanCanvas', 'rootCause', 'ost']]
+}
+
+function renderScorecardContent(methods = []) {
+  const scores = Object.fromEntries(
+    Object.entries(SCORECARD_SAMPLE).map(([id, [score, rationale, preferred]]) => {
+      const sources = preferred.filter(method => methods.includes(method))
+      return [id, { score, rationale, sourceMethods: sources.length > 0 ? sources : methods.slice(0, 1) }]
+    })
+  )
+  return JSON.stringify({ scores, validationStrength: 'moderate' }, null, 2)
+}
+
+// Canned claims per methodology and topic for the consistency pass; JTBD
+// and Root Cause Analysis disagree on the root cause
+const METHOD_CLAIMS = {
+  jtbd: {
+    customer: 'Small teams coordinating recurring client work.',
+    topProblem: 'Hand-offs between teammates are slow and error-prone.',
+    rootCause: 'The tools in use do not share state, so every hand-off is manual.'
+  },
+  designThinking: {
+    customer: 'Small teams coordinating recurring client work.',
+    topProblem: 'Hand-offs between teammates are slow and error-prone.'
+  },
+  leanCanvas: {
+    topProblem: 'Work is redone after missed hand-offs.',
+    earlyAdopters: 'Teams of one to three people already paying for several tools.'
+  },
+  rootCause: {
+    topProblem: 'Work stalls at hand-offs and is frequently redone.',
+    rootCause: 'Hand-offs fail because the team has no defined hand-off process.'
+  },
+  ost: {
+    customer: 'Small teams coordinating recurring client work.',
+    earlyAdopters: 'Teams that already track hand-offs in spreadsheets.'
+  }
+}
+
+function renderConsistencyContent(methods = []) {
+  const claims = []
+  for (const stepId of methods) {
+    for (const [topic, claim] of Object.entries(METHOD_CLAIMS[stepId] || {})) {
+      claims.push({ id: `c${claims.length + 1}`, stepId, topic, claim })
+    }
+  }
+
+  // Root causes stay apart; the other topics agree in substance
+  const clusters = []
+  const contradictions = []
+  for (const topic of ['customer', 'topProblem', 'rootCause', 'earlyAdopters']) {
+    const topicClaims = claims.filter(claim => claim.topic === topic)
+    if (topicClaims.length === 0) continue
+
+    if (topic === 'rootCause') {
+      topicClaims.forEach(claim => clusters.push({ topic, statement: claim.claim, claimIds: [claim.id] }))
+      if (topicClaims.length > 1) {
+        contradictions.push({
+          topic,
+          summary: 'JTBD blames the tooling while Root Cause Analysis blames the missing hand-off process.',
+          claimIds: topicClaims.map(claim => claim.id)
+        })
+      }
+    } else {
+      clusters.push({ topic, statement: topicClaims[0].claim, claimIds: topicClaims.map(claim => claim.id) })
+    }
+  }
+
+  return JSON.stringify({ claims, clusters, contradictions }, null, 2)
+}
+
+function renderSynthesisContent() {
+  return [
+    '# Executive Summary',
+    'This is mock synthesis output. Across all five methodologies the problem is consistently described as slow, manual hand-offs that cause rework for small teams [1.3, 2.3].',
+    '# Key Insights Across Methodologies',
+    'JTBD and Design Thinking both point to hand-offs as the moment of highest frustration [1.1, 2.3], while Root Cause Analysis traces the issue to the lack of a shared system of record [4.3].',
+    '# Problem Clarity & Validation Strength',
+    'Validation strength: moderate. The problem is well-defined, but willingness to pay has not been tested.',
+    '# Recommended Next Discovery Steps',
+    '1. Interview ten target customers about their last hand-off failure.\n2. Run a concierge pilot with five teams.\n3. Test a pricing page to measure willingness to pay.',
+    '# Risks & Blind Spots',
+    'The sample so far is small and may over-represent early adopters.'
+  ].join('\n\n')
+}
+
+function renderComparisonContent() {
+  return [
+    '# What Changed in the Inputs',
+    'This is mock comparison output. Run B narrows the target customer to a smaller, more specific segment.',
+    '# What Changed in the Conclusions',
+    'JTBD and Lean Canvas now focus on a single hand-off instead of the whole workflow, while Root Cause Analysis still points to the missing shared system of record.',
+    '# Why It Matters',
+    'The sharper framing makes the problem easier to test, but the smaller segment may limit the market size.',
+    '# Recommendation',
+    'Pursue the Run B framing and interview five customers from the new segment to confirm the pain is as acute.'
+  ].join('\n\n')
+}
+
+function renderRefinementContent() {
+  return JSON.stringify({
+    description: [
+      'Independent dog walkers who run their business alone lose several hours every week coordinating last-minute schedule changes with pet owners over text messages and phone calls.',
+      'When an owner cancels or moves a walk, the walker has to rearrange the rest of the day by hand, which leads to double bookings, missed walks and unpaid gaps.',
+      'The problem is most acute for walkers with more than fifteen regular clients, who cannot keep the week in their head and have no shared calendar with their clients.',
+      'This is mock refinement output based on the synthesized findings.'
+    ].join(' '),
+    location: 'Large European cities',
+    targetCustomer: 'Independent dog walkers working alone with more than fifteen regular clients',
+    rationale: 'Mock rationale: the findings point to last-minute changes, not scheduling in general, as the core pain, and to solo walkers with many clients as the segment that feels it most.'
+  }, null, 2)
+}
+
+function renderScamperLens(lensId) {
+  const lens = SCAMPER_LENSES.find(l => l.id === lensId)
+  const name = lens?.name || lensId
+  const ideas = [1, 2, 3, 4].map(n => ({
+    title: `${name} concept ${n}`,
+    description: `Apply the ${name} lens to part ${n} of the current workflow so the customer needs fewer manual steps.`,
+    problemConnection: `Removes a hand-off that currently causes delays and rework for the target customer.`,
+    implementationNotes: `Can be prototyped by a small team within ${n + 1} weeks.`
+  }))
+  return JSON.stringify(ideas, null, 2)
+}
+
+function renderScamperSynthesis() {
+  const picks = SCAMPER_LENSES.slice(0, 3)
+  return JSON.stringify({
+    comparativeAnalysis: 'Mock analysis: ideas from the first lenses balance impact and feasibility best, while later lenses offer higher impact at greater implementation cost.',
+    topConcepts: picks.map((lens, index) => ({
+      rank: index + 1,
+      title: `${lens.name} concept 1`,
+      justification: 'Strong balance between impact on the core problem and ease of implementation.',
+      nextSteps: 'Prototype with five customers and measure time saved per week.'
+    }))
+  }, null, 2)
+}
+
+function renderSitTool(toolId) {
+  const tool = SIT_TOOLS.find(t => t.id === toolId)
+  const name = tool?.name || toolId
+  const extraFields = SIT_TOOL_FIELDS[toolId] || (() => ({}))
+  const ideas = [1, 2, 3].map(n => ({
+    title: `${name} idea ${n}`,
+    ...extraFields(n),
+    description: `Use ${name} on component ${n} of the existing system to unlock a simpler configuration.`,
+    benefits: 'Reduces effort without adding new resources.',
+    rationale: 'Works within existing constraints because it only rearranges components already in place.'
+  }))
+  return JSON.stringify(ideas, null, 2)
+}
+
+function renderSitSynthesis() {
+  const picks = SIT_TOOLS.slice(0, 3)
+  return JSON.stringify({
+    comparativeAnalysis: {
+      mostPromisingTools: picks.slice(0, 2).map(t => t.id),
+      crossToolPatterns: 'Mock analysis: most ideas remove or repurpose existing hand-offs.',
+      synergies: 'Subtraction and task unification combine well into a single simplified workflow.'
+    },
+    topConcepts: picks.map((tool, index) => ({
+      rank: index + 1,
+      title: `${tool.name} idea 1`,
+      sitTools: [tool.id],
+      description: 'Simplify the workflow by reusing components that already exist.',
+      whyPromising: 'Requires no new resources and directly targets the root cause.',
+      nextSteps: 'Sketch the new workflow and walk three customers through it.'
+    })),
+    constraintAlignment: 'All concepts stay within the closed world of existing components and team capacity.'
+  }, null, 2)
+}
+
+/**
+ * Canned content for a call key.
+ * @param {string} callKey
+ * @param {Object} [metadata] - Call metadata, e.g. the methods a scorecard may cite
+ * @returns {string}
+ */
+export function renderMockContent(callKey, metadata = {}) {
+  if (METHOD_SECTIONS[callKey]) return renderMethodContent(callKey)
+  if (callKey === 'synthesis') return renderSynthesisContent()
+  if (callKey === 'scorecard') return renderScorecardContent(metadata.methods)
+  if (callKey === 'consistency') return renderConsistencyContent(metadata.methods)
+  if (callKey === 'comparison') return renderComparisonContent()
+  if (callKey === 'refinement') return renderRefinementContent()
+  if (callKey === 'scamper:synthesis') return renderScamperSynthesis()
+  if (callKey === 'sit:synthesis') return renderSitSynthesis()
+  if (callKey.startsWith('digest:')) return renderDigestContent(callKey.slice('digest:'.length), metadata)
+  if (callKey.startsWith('structured:')) return renderStructuredContent(callKey.slice('structured:'.length))
+  if (callKey.startsWith('scamper:')) return renderScamperLens(callKey.slice('scamper:'.length))
+  if (callKey.startsWith('sit:')) return renderSitTool(callKey.slice('sit:'.length))
+  return 'This is a mock response from the offline development provider.'
+}
+
+function createAbortError(model) {
+  const err = new Error('Mock request was aborted')
+  err.type = 'LLM_NETWORK_ERROR'
+  err.provider = 'mock'
+  err.model = model
+  return err
+}
+
+function delay(ms, signal, model) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(model))
+      return
+    }
+    if (ms <= 0) {
+      resolve()
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId)
+      reject(createAbortError(model))
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Resolve mock behaviour from model defaults, environment and options.mock
+ */
+function resolveMockSettings(model, overrides = {}) {
+  const failOn = overrides.failOn ?? (process.env.MOCK_LLM_FAIL_ON || '')
+  return {
+    latencyMs:
+      overrides.latencyMs ??
+      readNumberEnv('MOCK_LLM_LATENCY_MS') ??
+      MOCK_MODELS[model]?.latencyMs ??
+      0,
+    failOn: Array.isArray(failOn)
+      ? failOn
+      : failOn.split(',').map(key => key.trim()).filter(Boolean),
+    failureRate: overrides.failureRate ?? readNumberEnv('MOCK_LLM_FAILURE_RATE') ?? 0,
+    failureStatus: overrides.failureStatus ?? readNumberEnv('MOCK_LLM_FAILURE_STATUS') ?? 503
+  }
+}
+
+/**
+ * Latency of a single mock call, used by pre-run duration estimates.
+ * @param {string} model
+ * @returns {number}
+ */
+export function getMockLatencyMs(model) {
+  return resolveMockSettings(model).latencyMs
+}
+
+/**
+ * Call the mock provider. Mirrors the normalized response shape of the
+ * real providers and streams word chunks to options.onDelta when given.
+ * @param {string} prompt
+ * @param {Object} options - llmService.analyze options
+ * @returns {Promise<{content: string, provider: string, model: string, usage: Object, raw: Object}>}
+ */
+export async function callMock(prompt, options) {
+  const model = options.model
+  const callKey = getMockCallKey(options.metadata)
+  const settings = resolveMockSettings(model, options.mock)
+
+  const shouldFail =
+    settings.failOn.includes('*') ||
+    settings.failOn.includes(callKey) ||
+    (settings.failureRate > 0 && Math.random() < settings.failureRate)
+
+  if (shouldFail) {
+    await delay(settings.latencyMs, options.signal, model)
+    const err = new Error(`Mock provider failure injected for "${callKey}"`)
+    err.type = 'LLM_PROVIDER_ERROR'
+    err.provider = 'mock'
+    err.model = model
+    err.status = settings.failureStatus
+    err.code = 'mock_injected_failure'
+    throw err
+  }
+
+  const content = renderMockContent(callKey, options.metadata)
+
+  // JSON requests are never streamed (see llmService.analyze)
+  if (typeof options.onDelta === 'function' && !options.responseFormat) {
+    const chunks = content.match(/\S+\s*/g) || [content]
+    const perChunkMs = settings.latencyMs / chunks.length
+    for (const chunk of chunks) {
+      await delay(perChunkMs, options.signal, model)
+      options.onDelta(chunk)
+    }
+  } else {
+    await delay(settings.latencyMs, options.signal, model)
+  }
+
+  const promptTokens = estimateTokenCount(prompt)
+  const completionTokens = estimateTokenCount(content)
+
+  return {
+    content,
+    provider: 'mock',
+    model,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    },
+    raw: { callKey }
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Model Catalog
+ *
+ * Pricing per provider/model in USD per million tokens, used to estimate
+ * the cost of each LLM call, plus rough output throughput used for
+ * pre-run duration estimates. Self-hosted and mock models are free. Prices
+ * can be corrected without a release through LLM_PRICING_OVERRIDES, a JSON
+ * object keyed by "provider:model", e.g.
+ *   {"openai:gpt-4": {"inputPerMTok": 30, "outputPerMTok": 60}}
+ *
+ * Context windows and per-call output token caps are listed the same way
+ * and can be overridden through LLM_MODEL_LIMITS, e.g.
+ *   {"local:llama3": {"contextWindow": 8192, "maxOutputTokens": 1024}}
+ */
+
+const MODEL_PRICING = {
+  openai: {
+    'gpt-4': { inputPerMTok: 30, outputPerMTok: 60 },
+    'gpt-4-turbo': { inputPerMTok: 10, outputPerMTok: 30 },
+    'gpt-3.5-turbo': { inputPerMTok: 0.5, outputPerMTok: 1.5 }
+  },
+  claude: {
+    'claude-3-opus': { inputPerMTok: 15, outputPerMTok: 75 },
+    'claude-3-sonnet': { inputPerMTok: 3, outputPerMTok: 15 },
+    'claude-3-haiku': { inputPerMTok: 0.25, outputPerMTok: 1.25 }
+  }
+}
+
+// Approximate output speed (tokens/second) and per-call overhead (ms)
+const MODEL_THROUGHPUT = {
+  openai: {
+    'gpt-4': { outputTokensPerSecond: 20, overheadMs: 1500 },
+    'gpt-4-turbo': { outputTokensPerSecond: 35, overheadMs: 1500 },
+    'gpt-3.5-turbo': { outputTokensPerSecond: 80, overheadMs: 800 }
+  },
+  claude: {
+    'claude-3-opus': { outputTokensPerSecond: 25, overheadMs: 2000 },
+    'claude-3-sonnet': { outputTokensPerSecond: 50, overheadMs: 1500 },
+    'claude-3-haiku': { outputTokensPerSecond: 100, overheadMs: 800 }
+  }
+}
+
+// Fallback when a model is not listed (e.g. self-hosted models)
+const DEFAULT_THROUGHPUT = { outputTokensPerSecond: 25, overheadMs: 1500 }
+
+// Context window (prompt + completion) and output cap per call, in tokens
+const MODEL_LIMITS = {
+  openai: {
+    'gpt-4': { contextWindow: 8192, maxOutputTokens: 2000 },
+    'gpt-4-turbo': { contextWindow: 128000, maxOutputTokens: 4096 },
+    'gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096 }
+  },
+  claude: {
+    'claude-3-opus': { contextWindow: 200000, maxOutputTokens: 4096 },
+    'claude-3-sonnet': { contextWindow: 200000, maxOutputTokens: 4096 },
+    'claude-3-haiku': { contextWindow: 200000, maxOutputTokens: 4096 }
+  }
+}
+
+// Conservative fallback for unlisted models; small local models often
+// run with an 8k window
+const DEFAULT_LIMITS = { contextWindow: 8192, maxOutputTokens: 2000 }
+
+// Providers whose calls never incur API charges
+const FREE_PROVIDERS = ['local', 'mock']
+
+// Parsed override variables, keyed by variable name
+const overrideCache = new Map()
+
+/**
+ * Read a JSON object keyed by "provider:model" from an environment
+ * variable, re-parsing only when its value changes.
+ */
+function getOverrides(variable) {
+  const source = process.env[variable] || ''
+  const cached = overrideCache.get(variable)
+  if (cached && cached.source === source) {
+    return cached.overrides
+  }
+
+  let overrides = {}
+  if (source) {
+    try {
+      overrides = JSON.parse(source)
+    } catch (error) {
+      console.error(`Ignoring invalid ${variable}:`, error.message)
+    }
+  }
+
+  overrideCache.set(variable, { source, overrides })
+  return overrides
+}
+
+function getPricingOverrides() {
+  return getOverrides('LLM_PRICING_OVERRIDES')
+}
+
+/**
+ * Look up pricing for a provider/model.
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{ inputPerMTok: number, outputPerMTok: number }|null} null when unknown
+ */
+export function getModelPricing(provider, model) {
+  const override = getPricingOverrides()[`${provider}:${model}`]
+  if (
+    override &&
+    Number.isFinite(override.inputPerMTok) &&
+    Number.isFinite(override.outputPerMTok)
+  ) {
+    return { inputPerMTok: override.inputPerMTok, outputPerMTok: override.outputPerMTok }
+  }
+
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { inputPerMTok: 0, outputPerMTok: 0 }
+  }
+
+  return MODEL_PRICING[provider]?.[model] || null
+}
+
+/**
+ * Estimate the cost of a call from its normalized usage.
+ * @param {string} provider
+ * @param {string} model
+ * @param {{ promptTokens?: number, completionTokens?: number }} usage
+ * @returns {number|null} Cost in USD, or null when the model is not priced
+ */
+export function estimateCostUsd(provider, model, usage) {
+  const pricing = getModelPricing(provider, model)
+  if (!pricing || !usage) {
+    return null
+  }
+
+  const promptTokens = usage.promptTokens || 0
+  const completionTokens = usage.completionTokens || 0
+
+  return (
+    (promptTokens * pricing.inputPerMTok + completionTokens * pricing.outputPerMTok) /
+    1_000_000
+  )
+}
+
+/**
+ * Rough token count for a piece of text (~4 characters per token), used
+ * where the provider does not report usage.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokenCount(text) {
+  return Math.ceil((text || '').length / 4)
+}
+
+/**
+ * Look up approximate output throughput for a provider/model.
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{ outputTokensPerSecond: number, overheadMs: number }}
+ */
+export function getModelThroughput(provider, model) {
+  return MODEL_THROUGHPUT[provider]?.[model] || DEFAULT_THROUGHPUT
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0
+}
+
+/**
+ * Look up the context window and per-call output cap of a provider/model.
+ * LLM_MODEL_LIMITS entries may override either value.
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{ contextWindow: number, maxOutputTokens: number }}
+ */
+export function getModelLimits(provider, model) {
+  const limits = { ...(MODEL_LIMITS[provider]?.[model] || DEFAULT_LIMITS) }
+  const override = getOverrides('LLM_MODEL_LIMITS')[`${provider}:${model}`] || {}
+
+  for (const key of ['contextWindow', 'maxOutputTokens']) {
+    if (isPositiveInteger(override[key])) {
+      limits[key] = override[key]
+    }
+  }
+
+  return limits
+}
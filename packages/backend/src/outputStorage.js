@@ -0,0 +1,352 @@
+/**
+ * Storage for generated output files (method .txt files and PDF reports).
+ *
+ * Files are addressed by filename, e.g. '<sessionId>_final_report.pdf'.
+ * The local backend keeps them in getBaseOutputDir() on this machine; the
+ * S3 backend keeps them in a bucket (AWS or any S3-compatible server such as
+ * MinIO) so every instance can serve them, and can hand out short-lived
+ * signed download URLs.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { pipeline } from 'stream/promises'
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+
+function createStorageError(message, cause) {
+  const err = new Error(message)
+  err.type = 'OUTPUT_STORAGE_ERROR'
+  if (cause) err.cause = cause
+  return err
+}
+
+/**
+ * Resolve base directory for analysis output files.
+ * Prefers ANALYSIS_TMP_DIR, otherwise uses os.tmpdir()/validator-analysis.
+ */
+export function getBaseOutputDir() {
+  const envDir = process.env.ANALYSIS_TMP_DIR
+  if (envDir && envDir.trim()) {
+    return envDir
+  }
+  return path.join(os.tmpdir(), 'validator-analysis')
+}
+
+function assertFilename(filename) {
+  if (typeof filename !== 'string' || !filename || filename !== path.basename(filename)) {
+    throw createStorageError(`Invalid output filename: ${filename}`)
+  }
+}
+
+export class LocalOutputStorage {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Defaults to getBaseOutputDir(), resolved on each call
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || null
+  }
+
+  get location() {
+    return this.dir || getBaseOutputDir()
+  }
+
+  _filepath(filename) {
+    assertFilename(filename)
+    return path.join(this.location, filename)
+  }
+
+  /**
+   * Store a file
+   * @param {string} filename
+   * @param {string|Buffer|import('stream').Readable} body
+   * @param {{ contentType?: string }} [options]
+   * @returns {Promise<{ filename: string, filepath: string|null }>} filepath is null for remote storage
+   */
+  async put(filename, body) {
+    const filepath = this._filepath(filename)
+    await fs.promises.mkdir(this.location, { recursive: true })
+
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filepath, body)
+    } else {
+      await pipeline(body, fs.createWriteStream(filepath))
+    }
+
+    return { filename, filepath }
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {Promise<import('stream').Readable|null>} File contents, or null if missing
+   */
+  async createReadStream(filename) {
+    const filepath = this._filepath(filename)
+    if (!(await this.exists(filename))) {
+      return null
+    }
+    return fs.createReadStream(filepath)
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {Promise<Buffer|null>}
+   */
+  async read(filename) {
+    try {
+      return await fs.promises.readFile(this._filepath(filename))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  async exists(filename) {
+    try {
+      return (await fs.promises.stat(this._filepath(filename))).isFile()
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {Promise<boolean>} True if a file was removed
+   */
+  async remove(filename) {
+    try {
+      await fs.promises.unlink(this._filepath(filename))
+      return true
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<{ filename: string, size: number, modifiedAt: number }>>}
+   */
+  async list() {
+    let names
+    try {
+      names = await fs.promises.readdir(this.location)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const files = []
+    for (const filename of names) {
+      try {
+        const stat = await fs.promises.stat(path.join(this.location, filename))
+        if (stat.isFile()) {
+          files.push({ filename, size: stat.size, modifiedAt: stat.mtimeMs })
+        }
+      } catch (error) {
+        // Removed between readdir and stat
+        if (error.code !== 'ENOENT') throw error
+      }
+    }
+    return files
+  }
+
+  /**
+   * Local files are streamed by the server; there is no URL to redirect to
+   * @returns {Promise<null>}
+   */
+  async getDownloadUrl() {
+    return null
+  }
+}
+
+export class S3OutputStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.bucket
+   * @param {string} [options.prefix=''] - Key prefix, e.g. 'reports/'
+   * @param {object} [options.client] - Existing S3Client
+   * @param {string} [options.region='us-east-1']
+   * @param {string} [options.endpoint] - For S3-compatible servers, e.g. http://localhost:9000
+   * @param {boolean} [options.forcePathStyle] - Usually required for MinIO
+   * @param {{ accessKeyId: string, secretAccessKey: string }} [options.credentials]
+   *   Defaults to the AWS credential chain (env, shared config, instance role)
+   * @param {boolean} [options.signedUrls=false] - Redirect downloads to signed URLs
+   * @param {number} [options.signedUrlTtlSeconds=300]
+   */
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw createStorageError('S3OutputStorage requires a bucket')
+    }
+    this.bucket = options.bucket
+    this.prefix = options.prefix || ''
+    this.signedUrls = Boolean(options.signedUrls)
+    this.signedUrlTtlSeconds = options.signedUrlTtlSeconds || 300
+    this.client = options.client || new S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.credentials
+    })
+  }
+
+  get location() {
+    return `s3://${this.bucket}/${this.prefix}`
+  }
+
+  _key(filename) {
+    assertFilename(filename)
+    return `${this.prefix}${filename}`
+  }
+
+  async _send(command, action) {
+    try {
+      return await this.client.send(command)
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null
+      }
+      throw createStorageError(`Failed to ${action} in S3 bucket ${this.bucket}`, error)
+    }
+  }
+
+  async put(filename, body, options = {}) {
+    // PutObject needs a known length, so streams (PDFKit documents) are
+    // buffered first; generated files are small
+    const data = typeof body === 'string' || Buffer.isBuffer(body)
+      ? body
+      : Buffer.concat(await body.toArray())
+
+    await this._send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this._key(filename),
+      Body: data,
+      ContentType: options.contentType
+    }), `write ${filename}`)
+
+    return { filename, filepath: null }
+  }
+
+  async createReadStream(filename) {
+    const result = await this._send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this._key(filename)
+    }), `read ${filename}`)
+    return result ? result.Body : null
+  }
+
+  async read(filename) {
+    const stream = await this.createReadStream(filename)
+    return stream ? Buffer.concat(await stream.toArray()) : null
+  }
+
+  async exists(filename) {
+    const result = await this._send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: this._key(filename)
+    }), `check ${filename}`)
+    return result !== null
+  }
+
+  async remove(filename) {
+    if (!(await this.exists(filename))) {
+      return false
+    }
+    await this._send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this._key(filename)
+    }), `delete ${filename}`)
+    return true
+  }
+
+  async list() {
+    const files = []
+    let continuationToken
+
+    do {
+      const page = await this._send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken
+      }), 'list files')
+
+      for (const object of page?.Contents || []) {
+        const filename = object.Key.slice(this.prefix.length)
+        // Objects in "subdirectories" of the prefix are not ours
+        if (filename && !filename.includes('/')) {
+          files.push({
+            filename,
+            size: object.Size || 0,
+            modifiedAt: new Date(object.LastModified).getTime()
+          })
+        }
+      }
+
+      continuationToken = page?.IsTruncated ? page.NextContinuationToken : undefined
+    } while (continuationToken)
+
+    return files
+  }
+
+  /**
+   * Signed GET URL for a file, when signed URLs are enabled
+   * @param {string} filename
+   * @param {{ downloadName?: string, contentType?: string }} [options]
+   * @returns {Promise<string|null>}
+   */
+  async getDownloadUrl(filename, options = {}) {
+    if (!this.signedUrls) {
+      return null
+    }
+
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this._key(filename),
+      ResponseContentDisposition: `attachment; filename="${options.downloadName || filename}"`,
+      ResponseContentType: options.contentType
+    })
+    return getSignedUrl(this.client, command, { expiresIn: this.signedUrlTtlSeconds })
+  }
+}
+
+// Singleton instance
+let storageInstance = null
+
+/**
+ * Initialize output storage
+ * @param {object} [options]
+ * @param {'local'|'s3'} [options.storage='local']
+ * @returns {LocalOutputStorage|S3OutputStorage}
+ */
+export function initOutputStorage(options = {}) {
+  const storage = options.storage || 'local'
+
+  if (storage === 'local') {
+    storageInstance = new LocalOutputStorage(options)
+  } else if (storage === 's3') {
+    storageInstance = new S3OutputStorage(options)
+  } else {
+    throw createStorageError(`Unknown output storage "${storage}"; use "local" or "s3"`)
+  }
+
+  return storageInstance
+}
+
+/**
+ * Get the current storage instance (local disk unless initialized)
+ */
+export function getOutputStorage() {
+  if (!storageInstance) {
+    storageInstance = new LocalOutputStorage()
+  }
+  return storageInstance
+}
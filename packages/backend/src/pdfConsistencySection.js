@@ -0,0 +1,102 @@
+/**
+ * Cross-method consistency section of the summary PDF.
+ * Lists, per topic, the contradictions between methodologies with the
+ * claims they cite, the conclusions several methodologies share and the
+ * claims only one methodology makes.
+ */
+
+import { CLAIM_TOPICS } from './consistencyTemplates.js'
+
+const CONTRADICTION_COLOR = '#b91c1c'
+
+/**
+ * Write the consistency section at the current position.
+ *
+ * @param {PDFKit.PDFDocument} doc
+ * @param {object} consistency - session.results.consistency
+ * @param {object} layout
+ * @param {number} layout.contentX
+ * @param {number} layout.contentWidth
+ * @param {string} layout.titleColor
+ * @param {string} layout.bodyColor
+ * @param {string} layout.mutedColor
+ * @param {Object<string, string>} [layout.methodNames] - Display names by methodology ID
+ */
+export function addConsistencySection(doc, consistency, layout) {
+  const { contentX, contentWidth, titleColor, bodyColor, mutedColor, methodNames = {} } = layout
+  const nameOf = stepId => methodNames[stepId] || stepId
+  const textOptions = { width: contentWidth, lineGap: 3 }
+
+  if (consistency.error) {
+    doc
+      .fontSize(10)
+      .font('Helvetica-Oblique')
+      .fillColor(mutedColor)
+      .text(`The consistency check could not be completed: ${consistency.error}`, contentX, doc.y, textOptions)
+    return
+  }
+
+  const claims = new Map((consistency.claims || []).map(claim => [claim.id, claim]))
+  const contradictions = consistency.contradictions || []
+  const clusters = consistency.clusters || []
+  const agreements = clusters.filter(cluster => cluster.stepIds?.length > 1)
+
+  doc
+    .fontSize(11)
+    .font('Helvetica')
+    .fillColor(bodyColor)
+    .text(
+      `${contradictions.length} contradiction(s) and ${agreements.length} shared conclusion(s) across the methodologies.`,
+      contentX,
+      doc.y,
+      textOptions
+    )
+    .moveDown(0.5)
+
+  for (const { id, label } of CLAIM_TOPICS) {
+    const topicContradictions = contradictions.filter(contradiction => contradiction.topic === id)
+    const topicClusters = clusters.filter(cluster => cluster.topic === id)
+    if (topicContradictions.length === 0 && topicClusters.length === 0) continue
+
+    doc
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .fillColor(titleColor)
+      .text(label, contentX, doc.y, textOptions)
+      .moveDown(0.2)
+
+    for (const contradiction of topicContradictions) {
+      doc
+        .fontSize(10)
+        .font('Helvetica-Bold')
+        .fillColor(CONTRADICTION_COLOR)
+        .text(`Contradiction: ${contradiction.summary}`, contentX, doc.y, textOptions)
+
+      doc.font('Helvetica').fillColor(bodyColor)
+      for (const claimId of contradiction.claimIds) {
+        const claim = claims.get(claimId)
+        if (!claim) continue
+        doc.text(`• ${nameOf(claim.stepId)}: ${claim.claim}`, contentX + 12, doc.y, {
+          ...textOptions,
+          width: contentWidth - 12
+        })
+      }
+      doc.moveDown(0.3)
+    }
+
+    for (const cluster of topicClusters) {
+      const sources = (cluster.stepIds || []).map(nameOf)
+      const prefix = sources.length > 1 ? 'Shared' : 'Only'
+      doc
+        .fontSize(10)
+        .font('Helvetica')
+        .fillColor(bodyColor)
+        .text(cluster.statement, contentX, doc.y, textOptions)
+        .fillColor(mutedColor)
+        .text(`${prefix}: ${sources.join(', ')}`, contentX, doc.y, textOptions)
+        .moveDown(0.3)
+    }
+
+    doc.moveDown(0.4)
+  }
+}
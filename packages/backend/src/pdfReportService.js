@@ -1,40 +1,35 @@
-import fs from 'fs'
-import fsPromises from 'fs/promises'
-import path from 'path'
-import os from 'os'
 import PDFDocument from 'pdfkit'
-import { getBaseOutputDir, sanitizeFilenamePart } from './fileOutputService.js'
+import { getOutputFilePrefix } from './fileOutputService.js'
+import { getOutputStorage } from './outputStorage.js'
+import { addUsageAppendix } from './pdfUsageAppendix.js'
+import { addScorecardChart } from './pdfScorecardChart.js'
+import { addConsistencySection } from './pdfConsistencySection.js'
+import { replaceCitationLabels } from './synthesisCitations.js'
+import { getAnalysisUsage } from './usageService.js'
+import { resolveArtifacts } from './artifactStore.js'
 
 /**
  * Generate a PDF summary report for the session's synthesized summary.
  *
  * @param {object} session
- * @returns {Promise<{ filename: string, filepath: string }>}
+ * @returns {Promise<{ filename: string, filepath: string|null }>} filepath is set for local storage
  */
 export async function writeSummaryPdfForSession(session) {
-  if (!session?.results?.summary?.text) {
+  // Summary and step content may be held in the artifact store
+  const summary = await resolveArtifacts(session, session?.results?.summary?.text)
+  if (!summary || typeof summary !== 'string') {
     const err = new Error('No synthesized summary found on session')
     err.type = 'PDF_INPUT_ERROR'
     throw err
   }
 
-  const baseDir = getBaseOutputDir() || path.join(os.tmpdir(), 'validator-analysis')
-
-  try {
-    await fsPromises.mkdir(baseDir, { recursive: true })
-  } catch (error) {
-    const err = new Error('Failed to create report output directory')
-    err.type = 'PDF_WRITE_ERROR'
-    err.cause = error
-    throw err
-  }
+  const analysisSteps = Array.isArray(session.results?.analysis?.steps)
+    ? await resolveArtifacts(session, session.results.analysis.steps)
+    : []
 
-  const sessionId = sanitizeFilenamePart(session.id || session.sessionId || 'session')
-  const filename = `${sessionId}_final_report.pdf`
-  const filepath = path.join(baseDir, filename)
+  const filename = `${getOutputFilePrefix(session)}_final_report.pdf`
 
   const doc = new PDFDocument({ size: 'A4', margin: 50 })
-  let stream
 
   // Shared visual style tokens
   const PRIMARY_COLOR = '#4f46e5' // Indigo accent to match app UI
@@ -47,46 +42,11 @@ export async function writeSummaryPdfForSession(session) {
   const contentWidth = Math.min(480, innerWidth)
   const contentX = doc.page.margins.left + (innerWidth - contentWidth) / 2
 
-  try {
-    stream = fs.createWriteStream(filepath)
-  } catch (error) {
-    const err = new Error('Failed to create PDF write stream')
-    err.type = 'PDF_WRITE_ERROR'
-    err.cause = error
-    throw err
-  }
-
-  const finishPromise = new Promise((resolve, reject) => {
-    const handleError = (error) => {
-      const err = new Error('Failed to write PDF report')
-      err.type = 'PDF_WRITE_ERROR'
-      err.cause = error
-      reject(err)
-    }
-
-    stream.on('error', handleError)
-    doc.on('error', handleError)
+  // Stored while it is rendered; local storage streams it straight to disk
+  const stored = getOutputStorage()
+    .put(filename, doc, { contentType: 'application/pdf' })
+    .then(result => ({ result }), error => ({ error }))
 
-    stream.on('finish', async () => {
-      // Store report metadata on session
-      if (!session.results.report) {
-        session.results.report = {}
-      }
-      session.results.report.filename = filename
-      session.results.report.filepath = filepath
-      session.results.report.generatedAt = new Date().toISOString()
-
-      if (typeof session.save === 'function') {
-        await session.save()
-      }
-
-      resolve({ filename, filepath })
-    })
-  })
-
-  doc.pipe(stream)
-
-  const summary = session.results.summary.text
   const generatedAt = session.results.summary.generatedAt || new Date().toISOString()
 
   const bodyTextOptions = {
@@ -189,6 +149,13 @@ export async function writeSummaryPdfForSession(session) {
       width: contentWidth
     })
   }
+  // Runs can cover a subset of the methodologies; name the ones included
+  const methodNames = (session.results?.analysis?.steps || []).map(step => step.name || step.id)
+  if (methodNames.length > 0) {
+    doc.text(`Methods: ${methodNames.join(', ')}`, contentX, doc.y, {
+      width: contentWidth
+    })
+  }
   if (session.apiConfig?.email) {
     doc.text(`Recipient: ${session.apiConfig.email}`, contentX, doc.y, {
       width: contentWidth
@@ -198,10 +165,28 @@ export async function writeSummaryPdfForSession(session) {
 
   addSectionDivider()
 
+  const methodNamesById = Object.fromEntries(analysisSteps.map(step => [step.id, step.name || step.id]))
+
+  // Scorecard chart stays on the first page, ahead of the summary text
+  const scorecard = session.results.summary.scorecard
+  if (scorecard) {
+    addScorecardChart(doc, scorecard, {
+      contentX,
+      contentWidth,
+      titleColor: TITLE_COLOR,
+      bodyColor: BODY_TEXT_COLOR,
+      mutedColor: MUTED_TEXT_COLOR,
+      methodNames: methodNamesById
+    })
+    addSectionDivider()
+  }
+
   addHeading('1. Executive Summary & Key Insights')
 
-  // Body text: use synthesized summary as main content
-  const paragraphs = summary.split(/\n{2,}/)
+  // Body text: use synthesized summary as main content, with its passage
+  // labels turned into footnote numbers
+  const citations = session.results.summary.citations || []
+  const paragraphs = replaceCitationLabels(summary, citations).split(/\n{2,}/)
   paragraphs.forEach(p => {
     const trimmed = p.trim()
     if (trimmed.length > 0) {
@@ -210,6 +195,25 @@ export async function writeSummaryPdfForSession(session) {
     }
   })
 
+  if (citations.length > 0) {
+    doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .fillColor(TITLE_COLOR)
+      .text('Sources', contentX, doc.y, { width: contentWidth })
+      .moveDown(0.25)
+
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED_TEXT_COLOR)
+    citations.forEach(citation => {
+      doc.text(
+        `[${citation.number}] ${methodNamesById[citation.stepId] || citation.stepId}, passage ${citation.passage}: "${citation.excerpt}"`,
+        contentX,
+        doc.y,
+        { width: contentWidth, lineGap: 2 }
+      )
+    })
+  }
+
   // New page for recommendations / risks and detailed analyses if needed
   doc.addPage()
 
@@ -230,14 +234,26 @@ export async function writeSummaryPdfForSession(session) {
     bodyTextOptions
   )
 
-  // Include the full text of each completed methodology analysis
-  const analysisSteps = Array.isArray(session.results?.analysis?.steps)
-    ? session.results.analysis.steps
-    : []
+  let nextSection = 4
+
+  const consistency = session.results.consistency
+  if (consistency) {
+    doc.moveDown(1)
+    addHeading(`${nextSection++}. Cross-Method Consistency`)
+    addConsistencySection(doc, consistency, {
+      contentX,
+      contentWidth,
+      titleColor: TITLE_COLOR,
+      bodyColor: BODY_TEXT_COLOR,
+      mutedColor: MUTED_TEXT_COLOR,
+      methodNames: methodNamesById
+    })
+  }
 
+  // Include the full text of each completed methodology analysis
   if (analysisSteps.length > 0) {
     doc.addPage()
-    addHeading('4. Individual Method Analyses')
+    addHeading(`${nextSection}. Individual Method Analyses`)
 
     analysisSteps.forEach((step) => {
       const content = step?.result?.content
@@ -271,7 +287,37 @@ export async function writeSummaryPdfForSession(session) {
     })
   }
 
+  // Appendix: token usage & estimated cost
+  addUsageAppendix(doc, getAnalysisUsage(session), {
+    contentX,
+    contentWidth,
+    titleColor: TITLE_COLOR,
+    bodyColor: BODY_TEXT_COLOR,
+    mutedColor: MUTED_TEXT_COLOR,
+    accentColor: PRIMARY_COLOR
+  })
+
   doc.end()
 
-  return finishPromise
+  const { result, error } = await stored
+  if (error) {
+    const err = new Error('Failed to write PDF report')
+    err.type = 'PDF_WRITE_ERROR'
+    err.cause = error
+    throw err
+  }
+
+  // Store report metadata on session
+  if (!session.results.report) {
+    session.results.report = {}
+  }
+  session.results.report.filename = filename
+  session.results.report.filepath = result.filepath
+  session.results.report.generatedAt = new Date().toISOString()
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  return { filename, filepath: result.filepath }
 }
@@ -0,0 +1,108 @@
+/**
+ * Validation scorecard chart for the summary PDF.
+ * Draws one horizontal bar per scorecard dimension with its score, the
+ * rationale and the methodologies it draws on, under an overall score.
+ */
+
+import { SCORECARD_DIMENSIONS } from './synthesisTemplates.js'
+
+const LABEL_WIDTH = 130
+const SCORE_WIDTH = 36
+const BAR_HEIGHT = 8
+const TRACK_COLOR = '#e5e7eb'
+
+// Bar colors from weak to strong, by share of the maximum score
+function getBarColor(score, maxScore) {
+  const share = score / maxScore
+  if (share <= 0.4) return '#dc2626'
+  if (share <= 0.6) return '#d97706'
+  return '#16a34a'
+}
+
+/**
+ * Draw the scorecard chart at the current position.
+ *
+ * @param {PDFKit.PDFDocument} doc
+ * @param {object|null} scorecard - session.results.summary.scorecard
+ * @param {object} layout
+ * @param {number} layout.contentX
+ * @param {number} layout.contentWidth
+ * @param {string} layout.titleColor
+ * @param {string} layout.bodyColor
+ * @param {string} layout.mutedColor
+ * @param {Object<string, string>} [layout.methodNames] - Display names by methodology ID
+ */
+export function addScorecardChart(doc, scorecard, layout) {
+  if (!scorecard?.scores) {
+    return
+  }
+
+  const { contentX, contentWidth, titleColor, bodyColor, mutedColor, methodNames = {} } = layout
+  const maxScore = scorecard.maxScore || 5
+  const barX = contentX + LABEL_WIDTH
+  const trackWidth = contentWidth - LABEL_WIDTH - SCORE_WIDTH
+
+  const top = doc.y
+  doc
+    .fontSize(12)
+    .font('Helvetica-Bold')
+    .fillColor(titleColor)
+    .text('Validation Scorecard', contentX, top, { width: contentWidth / 2 })
+
+  const strength = scorecard.validationStrength ? ` (${scorecard.validationStrength} validation)` : ''
+  doc
+    .fontSize(10)
+    .font('Helvetica')
+    .fillColor(mutedColor)
+    .text(`Overall ${scorecard.overall} / ${maxScore}${strength}`, contentX + contentWidth / 2, top + 2, {
+      width: contentWidth / 2,
+      align: 'right'
+    })
+  doc.y = Math.max(doc.y, top + 16) + 6
+
+  for (const { id, label } of SCORECARD_DIMENSIONS) {
+    const entry = scorecard.scores[id]
+    if (!entry) continue
+
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage()
+    }
+
+    const y = doc.y
+    const score = Math.min(Math.max(entry.score, 0), maxScore)
+
+    doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .fillColor(bodyColor)
+      .text(label, contentX, y, { width: LABEL_WIDTH - 8 })
+
+    doc.fillColor(TRACK_COLOR).rect(barX, y + 2, trackWidth, BAR_HEIGHT).fill()
+    doc
+      .fillColor(getBarColor(score, maxScore))
+      .rect(barX, y + 2, (trackWidth * score) / maxScore, BAR_HEIGHT)
+      .fill()
+
+    doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .fillColor(titleColor)
+      .text(`${entry.score}/${maxScore}`, barX + trackWidth, y, { width: SCORE_WIDTH, align: 'right' })
+
+    const sources = (entry.sourceMethods || []).map(method => methodNames[method] || method)
+    doc
+      .fontSize(8)
+      .font('Helvetica')
+      .fillColor(mutedColor)
+      .text(
+        sources.length > 0 ? `${entry.rationale} Sources: ${sources.join(', ')}.` : entry.rationale,
+        barX,
+        y + BAR_HEIGHT + 6,
+        { width: trackWidth }
+      )
+
+    doc.y += 8
+  }
+
+  doc.x = contentX
+}
@@ -0,0 +1,129 @@
+/**
+ * Usage & cost appendix shared by the PDF report generators.
+ * Renders a table of LLM calls, tokens and estimated cost per line item
+ * (analysis step, SCAMPER lens, SIT tool, synthesis) with a total row.
+ */
+
+/**
+ * Format a USD amount; small amounts keep four decimals.
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatUsd(value) {
+  const amount = value || 0
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`
+}
+
+function formatTokens(value) {
+  return (value || 0).toLocaleString('en-US')
+}
+
+/**
+ * Append a usage & cost page to a PDF document.
+ *
+ * @param {PDFKit.PDFDocument} doc
+ * @param {{ items: object[], total: object|null }} usage - From usageService
+ * @param {object} layout
+ * @param {number} layout.contentX
+ * @param {number} layout.contentWidth
+ * @param {string} layout.titleColor
+ * @param {string} layout.bodyColor
+ * @param {string} layout.mutedColor
+ * @param {string} layout.accentColor
+ * @param {string} [layout.title]
+ */
+export function addUsageAppendix(doc, usage, layout) {
+  if (!usage?.total || usage.items.length === 0) {
+    return
+  }
+
+  const {
+    contentX,
+    contentWidth,
+    titleColor,
+    bodyColor,
+    mutedColor,
+    accentColor,
+    title = 'Appendix: Token Usage & Estimated Cost'
+  } = layout
+
+  // Column layout: name takes the remaining width
+  const numericColumns = [
+    { key: 'calls', label: 'Calls', width: 40, format: formatTokens },
+    { key: 'promptTokens', label: 'Prompt', width: 70, format: formatTokens },
+    { key: 'completionTokens', label: 'Completion', width: 70, format: formatTokens },
+    { key: 'costUsd', label: 'Cost (USD)', width: 70, format: formatUsd }
+  ]
+  const nameWidth = contentWidth - numericColumns.reduce((sum, col) => sum + col.width, 0)
+
+  const drawRow = (label, values, { bold = false, color = bodyColor } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage()
+    }
+
+    const y = doc.y
+    doc
+      .fontSize(9)
+      .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .fillColor(color)
+      .text(label, contentX, y, { width: nameWidth - 8 })
+
+    const rowBottom = doc.y
+    let x = contentX + nameWidth
+    numericColumns.forEach(col => {
+      doc.text(values[col.key], x, y, { width: col.width, align: 'right' })
+      x += col.width
+    })
+
+    doc.y = Math.max(rowBottom, doc.y) + 4
+  }
+
+  doc.addPage()
+
+  doc
+    .fontSize(16)
+    .font('Helvetica-Bold')
+    .fillColor(titleColor)
+    .text(title, contentX, doc.y, { width: contentWidth })
+    .moveDown(0.5)
+
+  const header = Object.fromEntries(numericColumns.map(col => [col.key, col.label]))
+  drawRow('Item', header, { bold: true, color: mutedColor })
+
+  usage.items.forEach(item => {
+    const values = Object.fromEntries(
+      numericColumns.map(col => [col.key, col.format(item[col.key])])
+    )
+    drawRow(item.name || item.id, values)
+  })
+
+  doc
+    .strokeColor(accentColor)
+    .lineWidth(1)
+    .moveTo(contentX, doc.y)
+    .lineTo(contentX + contentWidth, doc.y)
+    .stroke()
+  doc.y += 4
+
+  const totalValues = Object.fromEntries(
+    numericColumns.map(col => [col.key, col.format(usage.total[col.key])])
+  )
+  drawRow('Total', totalValues, { bold: true, color: titleColor })
+
+  doc.moveDown(1)
+
+  const notes = [
+    `Model: ${usage.total.provider} / ${usage.total.model}. Costs are estimates based on list prices per million tokens and may differ from your provider invoice.`
+  ]
+  if (usage.total.unpricedCalls > 0) {
+    notes.push(
+      `${usage.total.unpricedCalls} call(s) used a model without pricing data and are not included in the cost.`
+    )
+  }
+
+  doc
+    .fontSize(8)
+    .font('Helvetica-Oblique')
+    .fillColor(mutedColor)
+    .text(notes.join(' '), contentX, doc.y, { width: contentWidth })
+}
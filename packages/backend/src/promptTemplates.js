@@ -1,124 +1,29 @@
 /**
- * Prompt Templates for Five Validation Methodologies
- * Single source of truth for all analysis prompts and step metadata
+ * Prompt Templates for the Validation Methodologies
+ * Step metadata and prompts are derived from the methodology registry
+ * (one module per methodology in src/methodologies/)
  */
 
+import { getMethodologies, getMethodologyDefinition } from './methodologyRegistry.js'
+
 /**
  * Ordered array of methodology steps with metadata
- * Used for sequential execution and UI progress display
+ * Used for execution order and UI progress display
  */
-export const METHODOLOGY_STEPS = [
-  {
-    id: 'jtbd',
-    name: 'Jobs-to-be-Done',
-    progressLabel: 'Analyzing with Jobs-to-be-Done framework... (1/5)',
-    description: 'Uncovering the underlying job users are trying to accomplish'
-  },
-  {
-    id: 'designThinking',
-    name: 'Design Thinking – Define',
-    progressLabel: 'Running Design Thinking analysis... (2/5)',
-    description: 'Synthesizing user research into a clear problem definition'
-  },
-  {
-    id: 'leanCanvas',
-    name: 'Lean Problem Validation',
-    progressLabel: 'Validating with Lean Canvas... (3/5)',
-    description: 'Evaluating problem-customer fit using Lean Canvas framework'
-  },
-  {
-    id: 'rootCause',
-    name: 'Root Cause Analysis',
-    progressLabel: 'Performing Root Cause Analysis... (4/5)',
-    description: 'Identifying true causes using 5 Whys and Fishbone analysis'
-  },
-  {
-    id: 'ost',
-    name: 'Opportunity Solution Tree',
-    progressLabel: 'Building Opportunity Solution Tree... (5/5)',
-    description: 'Mapping opportunities from business outcomes to solutions'
-  }
-]
+export const METHODOLOGY_STEPS = getMethodologies().map((methodology, index, all) => ({
+  id: methodology.id,
+  name: methodology.name,
+  progressLabel: `${methodology.progressLabel} (${index + 1}/${all.length})`,
+  description: methodology.description
+}))
 
 /**
- * Prompt templates for each methodology
+ * Prompt templates for each methodology, keyed by methodology ID
  * Uses placeholder tokens for dynamic content injection
  */
-export const PROMPT_TEMPLATES = {
-  jtbd: `Jobs-to-be-Done (JTBD):
-JTBD helps you uncover the underlying "job" the user is trying to accomplish, regardless of the current solution. By focusing on the progress the user wants to make in a specific situation, it enables you to extract motivations, triggers, desired outcomes, and constraints. This method often uses interviews and customer observations to surface unmet needs and define the problem in actionable, user-centered terms.
-
-You are a product strategist using the Jobs-to-be-Done (JTBD) framework to analyze a user-defined problem. The user described the problem as: "{{PROBLEM_STATEMENT}}".
-
-Additional context:
-- Location/Market: {{LOCATION}}
-- Target Customer: {{TARGET_CUSTOMER}}
-- Team Size: {{TEAM_SIZE}}
-
-Conduct a detailed analysis in the JTBD format. Begin by identifying the main job the user (or target customer) is trying to accomplish, and describe the context or situation where the job arises. Identify functional, emotional, and social dimensions of the job. Explore current workarounds and frustrations users face while trying to complete this job. Then, define desired outcomes and success metrics from the user's point of view.
-
-Suggest questions or observations that would help validate the job and assess whether it's underserved. Conclude by summarizing the core JTBD statement, job map (if relevant), and recommendations for validating or refining this problem definition. Format as a structured analysis with clear sections and full paragraphs.`,
-
-  designThinking: `Design Thinking – Define Phase:
-In this methodology, the problem brief emerges from immersive user research during the "Empathize" phase, then synthesized in the "Define" phase. Tools like empathy maps and point-of-view (POV) statements help distill the most meaningful insights into a structured problem statement that captures user needs, context, and emotional drivers. It's especially effective when tackling ambiguous or human-centered challenges.
-
-You are a Design Thinking practitioner conducting a deep problem definition exercise based on the following user-stated issue: "{{PROBLEM_STATEMENT}}".
-
-Additional context:
-- Location/Market: {{LOCATION}}
-- Target Customer: {{TARGET_CUSTOMER}}
-- Team Size: {{TEAM_SIZE}}
-
-First, infer or describe the primary user or persona affected by this problem. Use empathy mapping to analyze what this user thinks, feels, sees, hears, says, and does. Describe the emotional and situational context around the problem and identify pain points and needs.
-
-Next, move into the Define phase. Write a clear and concise problem statement in the format: "[User] needs a way to [user's need] because [insight]." List assumptions and gaps that must be validated. Provide suggestions for user research methods to strengthen or test the definition (e.g., interviews, journey mapping, observations). Conclude with actionable guidance on how to move from problem to ideation.`,
-
-  leanCanvas: `Lean Problem Validation (Lean Canvas - Problem Section):
-The Lean Canvas provides a standardized template that forces early clarity by focusing on top problems, customer segments, existing alternatives, and early adopters. It encourages founders and product teams to avoid solution bias and test assumptions early using fast cycles of qualitative feedback or landing pages, making it useful for product-focused problem briefs.
-
-You are acting as a startup coach using the Lean Canvas framework to evaluate a business opportunity based on the following problem: "{{PROBLEM_STATEMENT}}".
-
-Additional context:
-- Location/Market: {{LOCATION}}
-- Target Customer: {{TARGET_CUSTOMER}}
-- Team Size: {{TEAM_SIZE}}
-
-Focus your analysis specifically on the "Problem" section of the Lean Canvas. Identify the top three problems experienced by the target customer segment, as implied or stated in the input. Describe current alternatives or workarounds customers are using today. Define who the early adopters might be.
-
-Explain what assumptions underlie the problem and how those could be tested early (e.g., through interviews, landing pages, smoke tests). Evaluate whether the problem is painful, frequent, and monetizable. Conclude by restating the problem section as it would appear in a Lean Canvas, and suggest next steps to validate it before building solutions.`,
-
-  rootCause: `Root Cause Analysis (5 Whys / Fishbone Diagram):
-This method focuses on uncovering the true causes of a problem rather than just treating symptoms. The 5 Whys technique pushes you to repeatedly ask "why" to get past surface-level issues, while the Fishbone (Ishikawa) diagram helps visualize contributing factors across categories like people, process, and technology. It's best used when problems are recurring or operational in nature.
-
-You are acting as a systems thinker and problem solver using Root Cause Analysis to deconstruct the following issue: "{{PROBLEM_STATEMENT}}".
-
-Additional context:
-- Location/Market: {{LOCATION}}
-- Target Customer: {{TARGET_CUSTOMER}}
-- Team Size: {{TEAM_SIZE}}
-
-Begin by applying the "5 Whys" technique: start with the stated problem and iteratively ask "Why?" to identify deeper causes. Continue until you reach a root cause that is not merely a symptom.
-
-Next, create a Fishbone-style breakdown of contributing factors under categories such as People, Process, Technology, Environment, and Policy. Analyze how each category might be influencing the problem.
-
-Summarize your findings, define the root problem in a revised format, and recommend steps to verify each root cause through data, observation, or stakeholder interviews. Include risk of misidentification and suggest how to avoid jumping to conclusions.`,
-
-  ost: `Opportunity Solution Tree (OST):
-OST, popularized by Teresa Torres, visualizes the path from a high-level business outcome to customer problems ("opportunities") and only then to potential solutions. It keeps teams focused on evidence-based discovery and helps prioritize which problems are worth solving before jumping into ideation. This is valuable for product strategy and cross-functional prioritization.
-
-You are a product discovery lead guiding a team through the Opportunity Solution Tree (OST) methodology to define and validate a problem. The team has received the following outcome or goal: "{{BUSINESS_GOAL_OR_PROBLEM_STATEMENT}}".
-
-Additional context:
-- Location/Market: {{LOCATION}}
-- Target Customer: {{TARGET_CUSTOMER}}
-- Team Size: {{TEAM_SIZE}}
-
-Begin by identifying the overarching outcome or desired impact. Then, brainstorm and describe multiple customer opportunities—unmet needs, frustrations, or pain points—that could be contributing to this outcome. For each opportunity, briefly explain its relevance and potential business impact.
-
-Prioritize opportunities using desirability (customer pain), viability (business alignment), and feasibility (doable with resources). From the top 1–2 opportunities, recommend potential discovery methods (interviews, behavior analysis, surveys) to validate their importance.
-
-Conclude with a sample subtree outlining outcome → opportunity → possible solution directions, without committing to solutions yet.`
-}
+export const PROMPT_TEMPLATES = Object.fromEntries(
+  getMethodologies().map(methodology => [methodology.id, methodology.template])
+)
 
 /**
  * Default values for missing context fields
@@ -134,7 +39,7 @@ const DEFAULT_VALUES = {
 /**
  * Build a complete prompt by replacing placeholders with context data
  *
- * @param {string} methodId - The methodology ID (jtbd, designThinking, etc.)
+ * @param {string} methodId - A registered methodology ID (jtbd, designThinking, etc.)
  * @param {Object} context - Context object with user/session data
  * @param {string} context.problemStatement - Main problem description from Page 1
  * @param {string} context.location - Location/region from Page 2
@@ -159,17 +64,12 @@ export function buildPrompt(methodId, context = {}) {
     businessGoalOrProblemStatement: context.businessGoalOrProblemStatement || context.problemStatement || DEFAULT_VALUES.businessGoalOrProblemStatement
   }
 
-  // Get the template
-  let prompt = PROMPT_TEMPLATES[methodId]
+  // Replace each placeholder with the context field the methodology maps it to
+  const { template, placeholders } = getMethodologyDefinition(methodId)
 
-  // Replace placeholders
-  prompt = prompt.replace(/\{\{PROBLEM_STATEMENT\}\}/g, finalContext.problemStatement)
-  prompt = prompt.replace(/\{\{LOCATION\}\}/g, finalContext.location)
-  prompt = prompt.replace(/\{\{TARGET_CUSTOMER\}\}/g, finalContext.targetCustomer)
-  prompt = prompt.replace(/\{\{TEAM_SIZE\}\}/g, finalContext.teamSize)
-  prompt = prompt.replace(/\{\{BUSINESS_GOAL_OR_PROBLEM_STATEMENT\}\}/g, finalContext.businessGoalOrProblemStatement)
-
-  return prompt
+  return template.replace(/\{\{([A-Z0-9_]+)\}\}/g, (match, token) =>
+    placeholders[token] ? finalContext[placeholders[token]] : match
+  )
 }
 
 /**
@@ -213,3 +113,26 @@ export function getMethodologyStep(methodId) {
 export function getMethodologyOrder() {
   return METHODOLOGY_STEPS.map(step => step.id)
 }
+
+/**
+ * Get step metadata for a selection of methodologies, in execution order.
+ * Progress labels are renumbered to the size of the selection.
+ *
+ * @param {string[]} [methodIds] - Selected methodology IDs; all when omitted or empty
+ * @returns {Object[]} Step metadata for the selected methodologies
+ */
+export function getMethodologySteps(methodIds) {
+  if (!Array.isArray(methodIds) || methodIds.length === 0) {
+    return METHODOLOGY_STEPS
+  }
+
+  const selected = METHODOLOGY_STEPS.filter(step => methodIds.includes(step.id))
+
+  return selected.map((step, index) => ({
+    ...step,
+    progressLabel: step.progressLabel.replace(
+      /\(\d+\/\d+\)$/,
+      `(${index + 1}/${selected.length})`
+    )
+  }))
+}
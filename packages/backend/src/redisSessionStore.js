@@ -0,0 +1,332 @@
+/**
+ * Redis-backed session store for running several backend instances.
+ *
+ * Implements the SessionStore API (get/set/del/touch/exists/stats/clear)
+ * on a shared Redis, so the session cookie works on whichever instance a
+ * request lands. Expiry uses native key TTLs (PX/PEXPIRE); capacity is
+ * bounded by the server's maxmemory policy rather than maxEntries.
+ *
+ * Keys (prefix defaults to 'validator:'):
+ * - <prefix>session:<id>  Hash of `data` (JSON session document) and `version`
+ * - <prefix>artifacts:<id> Hash of offloaded results (see artifactStore.js);
+ *                          expires and is deleted with the session
+ * - <prefix>stats         Hash of hit/miss/set/delete counters shared by all instances
+ * - <prefix>events        Pub/sub channel relaying analysis progress events
+ */
+
+import crypto from 'crypto'
+import { createClient } from 'redis'
+import { createSessionSizeError, createVersionConflictError } from './sessionStorage.js'
+import { redisArtifactsKey } from './artifactStore.js'
+
+const MAX_SESSION_BYTES = 1024 * 1024
+
+// Compare-and-set in one step so instances cannot interleave between the
+// version check and the write.
+// KEYS: session key, artifacts key; ARGV: data, ttlMs, expected version
+// ('' for none). Returns { 1, newVersion } on success or
+// { 0, currentVersion } on conflict.
+export const SET_SESSION_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if ARGV[3] ~= '' and tonumber(ARGV[3]) ~= current then
+  return { 0, current }
+end
+redis.call('HSET', KEYS[1], 'data', ARGV[1], 'version', current + 1)
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+redis.call('PEXPIRE', KEYS[2], ARGV[2])
+return { 1, current + 1 }
+`
+
+export class RedisSessionStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.redisUrl] - Defaults to REDIS_URL or redis://localhost:6379
+   * @param {object} [options.client] - Existing node-redis client (not connected by the store)
+   * @param {string} [options.keyPrefix='validator:']
+   * @param {number} [options.defaultTTLMs] - Defaults to 24 hours
+   * @param {number} [options.maxEntries] - Reported by stats() only
+   * @param {(id: string) => unknown} [options.onRemove] - Called after del() and clear();
+   *   sessions that expire in Redis are not reported
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000
+    this.defaultTTLMs = options.defaultTTLMs || 24 * 60 * 60 * 1000
+    this.keyPrefix = options.keyPrefix || 'validator:'
+    this.onRemove = options.onRemove || null
+
+    if (options.client) {
+      this.client = options.client
+      this.ownsClient = false
+    } else {
+      this.client = createClient({
+        url: options.redisUrl || process.env.REDIS_URL || 'redis://localhost:6379'
+      })
+      this.client.on('error', error => {
+        // eslint-disable-next-line no-console
+        console.error('Redis session store error:', error.message)
+      })
+      // Commands issued before the connection is ready are queued by the client
+      this.client.connect().catch(() => {})
+      this.ownsClient = true
+    }
+  }
+
+  /**
+   * Generate a secure session ID
+   */
+  generateId() {
+    return crypto.randomBytes(32).toString('hex')
+  }
+
+  _sessionKey(id) {
+    return `${this.keyPrefix}session:${id}`
+  }
+
+  _artifactsKey(id) {
+    return redisArtifactsKey(this.keyPrefix, id)
+  }
+
+  _notifyRemoved(id) {
+    if (!this.onRemove) return
+
+    Promise.resolve()
+      .then(() => this.onRemove(id))
+      .catch(error => {
+        // eslint-disable-next-line no-console
+        console.error('Error in session onRemove callback:', error)
+      })
+  }
+
+  _count(metric) {
+    return this.client.hIncrBy(`${this.keyPrefix}stats`, metric, 1)
+  }
+
+  async _sessionIds() {
+    const prefix = this._sessionKey('')
+    const ids = []
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      ids.push(key.slice(prefix.length))
+    }
+    return ids
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<object|null>} Session object or null if not found/expired
+   */
+  async get(id) {
+    const key = this._sessionKey(id)
+    const [entry, ttlMs] = await Promise.all([this.client.hGetAll(key), this.client.pTTL(key)])
+
+    if (!entry?.data || ttlMs === -2) {
+      await this._count('misses')
+      return null
+    }
+
+    await this._count('hits')
+
+    const session = JSON.parse(entry.data)
+    session.version = parseInt(entry.version, 10)
+    // touch() only moves the key's TTL, so report expiry from Redis
+    if (ttlMs > 0) {
+      session.expiresAt = new Date(Date.now() + ttlMs).toISOString()
+    }
+    return session
+  }
+
+  /**
+   * Set/create a session, storing the next version number
+   * @param {string} id - Session ID (optional, will generate if not provided)
+   * @param {object} session - Session data
+   * @param {number} ttlMs - Time to live in milliseconds (optional)
+   * @param {object} [options]
+   * @param {number} [options.expectedVersion] - Only write if the stored version matches
+   * @returns {Promise<string>} Session ID
+   * @throws {Error} SESSION_VERSION_CONFLICT when expectedVersion does not match
+   */
+  async set(id, session, ttlMs, options = {}) {
+    if (!id) {
+      id = this.generateId()
+    }
+
+    const ttl = ttlMs || this.defaultTTLMs
+    const now = new Date()
+    const expiresAt = new Date(now.getTime() + ttl)
+
+    const data = JSON.stringify({
+      ...session,
+      id,
+      createdAt: session.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    })
+
+    if (data.length > MAX_SESSION_BYTES) {
+      throw createSessionSizeError()
+    }
+
+    // Progress saves from background jobs arrive here in call order: the
+    // client sends commands over one connection in the order issued
+    const [written, version] = await this.client.eval(SET_SESSION_SCRIPT, {
+      keys: [this._sessionKey(id), this._artifactsKey(id)],
+      arguments: [data, String(ttl), options.expectedVersion != null ? String(options.expectedVersion) : '']
+    })
+
+    if (!written) {
+      throw createVersionConflictError(version)
+    }
+
+    await this._count('sets')
+
+    return id
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async del(id) {
+    const deleted = (await this.client.del(this._sessionKey(id))) > 0
+    await this.client.del(this._artifactsKey(id))
+    if (deleted) {
+      await this._count('deletes')
+      this._notifyRemoved(id)
+    }
+    return deleted
+  }
+
+  /**
+   * Delete all sessions under this store's prefix
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const ids = await this._sessionIds()
+    if (ids.length > 0) {
+      await this.client.del(ids.flatMap(id => [this._sessionKey(id), this._artifactsKey(id)]))
+    }
+    ids.forEach(id => this._notifyRemoved(id))
+  }
+
+  /**
+   * Get store statistics, aggregated across all instances
+   * @returns {Promise<object>} Statistics object
+   */
+  async stats() {
+    const [ids, counters] = await Promise.all([
+      this._sessionIds(),
+      this.client.hGetAll(`${this.keyPrefix}stats`)
+    ])
+
+    const metric = name => parseInt(counters?.[name], 10) || 0
+    const hits = metric('hits')
+    const misses = metric('misses')
+
+    return {
+      entryCount: ids.length,
+      maxEntries: this.maxEntries,
+      hits,
+      misses,
+      sets: metric('sets'),
+      deletes: metric('deletes'),
+      // Expiry and eviction happen inside Redis
+      evictions: 0,
+      hitRate: hits / (hits + misses) || 0
+    }
+  }
+
+  /**
+   * Touch a session to extend its TTL
+   * @param {string} id - Session ID
+   * @param {number} ttlMs - New TTL in milliseconds
+   * @returns {Promise<boolean>} True if touched, false if not found
+   */
+  async touch(id, ttlMs) {
+    const ttl = ttlMs || this.defaultTTLMs
+    const touched = Boolean(await this.client.pExpire(this._sessionKey(id), ttl))
+    if (touched) {
+      await this.client.pExpire(this._artifactsKey(id), ttl)
+    }
+    return touched
+  }
+
+  /**
+   * Check if a session exists
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if exists and not expired
+   */
+  async exists(id) {
+    return (await this.client.exists(this._sessionKey(id))) > 0
+  }
+
+  /**
+   * List stored session IDs
+   * @returns {Promise<string[]>} Session IDs
+   */
+  async keys() {
+    return this._sessionIds()
+  }
+
+  /**
+   * Close the connection if this store opened it
+   */
+  destroy() {
+    if (this.ownsClient && this.client.isOpen) {
+      this.client.quit().catch(() => {})
+    }
+  }
+}
+
+/**
+ * Relay analysis progress events between instances over Redis pub/sub, so
+ * an SSE stream on one instance follows a job running on another.
+ * Pass the result to setAnalysisEventRelay(), or with another channel name
+ * to setJobCancelRelay().
+ *
+ * @param {object} client - Connected (or connecting) node-redis client
+ * @param {object} [options]
+ * @param {string} [options.keyPrefix='validator:']
+ * @param {string} [options.channel='events'] - Channel name after the prefix
+ * @returns {{ publish: Function, subscribe: Function, close: Function }}
+ */
+export function createRedisEventRelay(client, options = {}) {
+  const channel = `${options.keyPrefix || 'validator:'}${options.channel || 'events'}`
+  const origin = crypto.randomBytes(8).toString('hex')
+  const subscriber = client.duplicate()
+
+  subscriber.on('error', error => {
+    // eslint-disable-next-line no-console
+    console.error('Redis event relay error:', error.message)
+  })
+
+  return {
+    publish(sessionId, event) {
+      client
+        .publish(channel, JSON.stringify({ origin, sessionId, ...event }))
+        .catch(error => {
+          // eslint-disable-next-line no-console
+          console.error(`Error publishing ${event.type} event:`, error.message)
+        })
+    },
+
+    async subscribe(onEvent) {
+      if (!subscriber.isOpen) {
+        await subscriber.connect()
+      }
+      await subscriber.subscribe(channel, message => {
+        const { origin: from, sessionId, type, data } = JSON.parse(message)
+        // Local listeners already received this instance's own events
+        if (from !== origin) {
+          onEvent(sessionId, { type, data })
+        }
+      })
+    },
+
+    async close() {
+      if (subscriber.isOpen) {
+        await subscriber.quit()
+      }
+    }
+  }
+}
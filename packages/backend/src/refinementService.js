@@ -0,0 +1,115 @@
+/**
+ * Problem statement refinement.
+ *
+ * Suggests a revised problem description, location and target customer
+ * from the synthesized summary of the current run. The user edits and
+ * accepts the suggestion on the results page, which starts a new run
+ * with `refinedFrom` set (see createRun in analysisHistory.js).
+ */
+
+import llmService, { isValidApiKey } from './llmService.js'
+import { recordUsage, assertWithinBudget } from './usageService.js'
+import { resolveArtifacts } from './artifactStore.js'
+import { buildRefinementPrompt } from './refinementTemplates.js'
+
+const SUGGESTION_FIELDS = ['description', 'location', 'targetCustomer', 'rationale']
+
+function createRefinementError(message, type) {
+  const err = new Error(message)
+  err.type = type
+  return err
+}
+
+/**
+ * Parse the JSON object the refinement prompt asks for
+ * @param {string} content
+ * @returns {{ description: string, location: string, targetCustomer: string, rationale: string }}
+ */
+export function parseRefinementSuggestion(content) {
+  const text = (content || '').trim()
+
+  // Handle potential markdown code blocks
+  const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/) ||
+                    text.match(/```\n?([\s\S]*?)\n?```/)
+
+  let parsed
+  try {
+    parsed = JSON.parse(jsonMatch ? jsonMatch[1] : text)
+  } catch {
+    throw createRefinementError('The model did not return a valid refinement suggestion', 'REFINEMENT_PARSE_ERROR')
+  }
+
+  if (typeof parsed?.description !== 'string' || !parsed.description.trim()) {
+    throw createRefinementError('The refinement suggestion is missing a problem description', 'REFINEMENT_PARSE_ERROR')
+  }
+
+  return Object.fromEntries(
+    SUGGESTION_FIELDS.map(field => [field, typeof parsed[field] === 'string' ? parsed[field].trim() : ''])
+  )
+}
+
+/**
+ * Generate a refinement suggestion for the current run and store it on
+ * session.results.refinement.
+ *
+ * @param {object} session
+ * @param {string} apiKey
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<object>} session.results.refinement
+ */
+export async function generateRefinementSuggestion(session, apiKey, options = {}) {
+  const results = session?.results
+  if (results?.analysis?.status !== 'completed') {
+    throw createRefinementError('Analysis must be completed before it can be refined', 'REFINEMENT_STATE_ERROR')
+  }
+
+  const summaryText = await resolveArtifacts(session, results.summary?.text)
+  if (!summaryText) {
+    throw createRefinementError('A synthesized summary is required for refinement', 'REFINEMENT_STATE_ERROR')
+  }
+
+  if (!session.apiConfig?.provider || !session.apiConfig?.model) {
+    throw createRefinementError('Session is missing apiConfig provider or model', 'REFINEMENT_INPUT_ERROR')
+  }
+
+  if (!isValidApiKey(session.apiConfig.provider, apiKey)) {
+    throw createRefinementError('A valid API key (>= 20 chars) is required for refinement', 'REFINEMENT_INPUT_ERROR')
+  }
+
+  // The run's own inputs; session.inputs may already hold the next draft
+  const run = results.run || {}
+  const validationRequest = (run.inputs || session.inputs)?.validationRequest
+  const prompt = buildRefinementPrompt(validationRequest, summaryText, run.version || 1)
+
+  assertWithinBudget(session)
+
+  const result = await llmService.analyze(prompt, {
+    provider: session.apiConfig.provider,
+    model: session.apiConfig.model,
+    baseUrl: session.apiConfig.baseUrl,
+    apiKey,
+    timeoutMs: options.timeoutMs,
+    metadata: {
+      sessionId: session.id,
+      kind: 'refinement'
+    }
+  })
+
+  // Billed even when the response cannot be used
+  const refinement = results.refinement || {}
+  recordUsage(refinement, result)
+  results.refinement = refinement
+
+  try {
+    refinement.suggestion = parseRefinementSuggestion(result.content)
+    refinement.generatedAt = new Date().toISOString()
+    refinement.provider = session.apiConfig.provider
+    refinement.model = session.apiConfig.model
+  } finally {
+    if (typeof session.save === 'function') {
+      await session.save()
+    }
+  }
+
+  return refinement
+}
@@ -0,0 +1,65 @@
+/**
+ * Problem statement refinement prompt.
+ * Turns the synthesized summary of a run into a revised problem
+ * description, location and target customer for the next run.
+ */
+
+// Limits of the analysis init payload (see validators/analysisValidator.js)
+export const REFINED_DESCRIPTION_MIN_LENGTH = 500
+export const REFINED_DESCRIPTION_MAX_LENGTH = 2000
+
+export const REFINEMENT_TEMPLATE = `You are an expert product strategist helping a founder sharpen a problem statement.
+
+The founder validated the problem below with several validation methodologies. Each analysis ended with suggestions for refining the problem definition, and a synthesis combined the findings and rated the strength of validation.
+
+Current problem statement (version {{VERSION}}):
+{{DESCRIPTION}}
+
+Location / market: {{LOCATION}}
+Target customer: {{TARGET_CUSTOMER}}
+Team size: {{TEAM_SIZE}}
+
+Synthesized findings:
+{{SUMMARY}}
+
+
+Instructions:
+- Rewrite the problem statement so it addresses the weaknesses, unvalidated assumptions and blind spots the findings identified. Keep what the findings confirmed.
+- Narrow or adjust the location and target customer only where the findings support it; otherwise keep them.
+- Describe the problem, not a solution.
+- The problem statement must be between {{MIN_LENGTH}} and {{MAX_LENGTH}} characters. The target customer must be at least 20 characters.
+
+Output:
+Respond with a single JSON object and nothing else:
+{
+  "description": "revised problem statement",
+  "location": "revised location or market",
+  "targetCustomer": "revised target customer",
+  "rationale": "two or three sentences on what changed and which findings motivated it"
+}`
+
+/**
+ * Build the refinement prompt for a run
+ *
+ * @param {{ description?: string, location?: string, targetCustomer?: string, teamSize?: string }} validationRequest - Inputs the run was started with
+ * @param {string} summaryText - Synthesized summary of the run
+ * @param {number} [version] - Version of the current problem statement
+ * @returns {string}
+ */
+export function buildRefinementPrompt(validationRequest, summaryText, version = 1) {
+  const values = {
+    '{{VERSION}}': String(version),
+    '{{DESCRIPTION}}': validationRequest?.description || 'Not provided',
+    '{{LOCATION}}': validationRequest?.location || 'Not specified',
+    '{{TARGET_CUSTOMER}}': validationRequest?.targetCustomer || 'Not specified',
+    '{{TEAM_SIZE}}': validationRequest?.teamSize || 'Not specified',
+    '{{SUMMARY}}': summaryText,
+    '{{MIN_LENGTH}}': String(REFINED_DESCRIPTION_MIN_LENGTH),
+    '{{MAX_LENGTH}}': String(REFINED_DESCRIPTION_MAX_LENGTH)
+  }
+
+  return Object.entries(values).reduce(
+    (prompt, [placeholder, value]) => prompt.replace(placeholder, () => value),
+    REFINEMENT_TEMPLATE
+  )
+}
@@ -3,18 +3,103 @@
  * Handles initialization and management of validation analysis sessions
  */
 
-import fs from 'fs'
-import { validateAnalysisPayload, createInitialAnalysisState } from '../validators/analysisValidator.js'
-import { runAnalysis } from '../analysisExecutor.js'
+import {
+  validateAnalysisPayload,
+  validateEstimatePayload,
+  createInitialAnalysisState
+} from '../validators/analysisValidator.js'
+import { runAnalysis, resetFailedSteps } from '../analysisExecutor.js'
+import { isValidApiKey } from '../llmService.js'
 import { generateSynthesisSummary } from '../synthesisService.js'
 import { writeSummaryPdfForSession } from '../pdfReportService.js'
+import { writeMethodFilesForSession } from '../fileOutputService.js'
 import { sendAnalysisReportEmail } from '../emailService.js'
+import { subscribeToAnalysis, emitAnalysisEvent } from '../analysisEvents.js'
+import { getJobQueue } from '../jobQueue.js'
+import { scopeSessionSaves } from '../sessionStore.js'
+import { getAnalysisUsage } from '../usageService.js'
+import { estimateRun } from '../estimateService.js'
+import { METHODOLOGY_STEPS } from '../promptTemplates.js'
+import { sendReportFile, ensureReportFile } from './reportDownload.js'
+import { archiveCurrentRun, createRun, findRun, getRunVersions, hasActiveRun } from '../analysisHistory.js'
+import { generateRefinementSuggestion } from '../refinementService.js'
+import { generateConsistencyReport } from '../consistencyService.js'
+import { splitPassages } from '../synthesisCitations.js'
+import { getMethodologyDefinition } from '../methodologyRegistry.js'
+import { resolveArtifacts } from '../artifactStore.js'
+
+const SSE_HEARTBEAT_MS = 15000
+const TERMINAL_ANALYSIS_STATUSES = ['completed', 'failed', 'cancelled']
+
+/**
+ * Public state of a synthesis or refinement job record
+ */
+function describeFollowUpJob(record) {
+  if (!record) return null
+  return {
+    id: record.id,
+    status: record.status,
+    startedAt: record.startedAt,
+    completedAt: record.completedAt,
+    error: record.error
+  }
+}
+
+/**
+ * Build the public status payload for a session's analysis, including
+ * token usage and estimated cost per step and for synthesis.
+ * Shared by the status, run and stream endpoints.
+ */
+function buildAnalysisStatusPayload(session) {
+  const { analysis, run, refinement } = session.results
+  return {
+    runId: run?.id || null,
+    version: run?.version || 1,
+    versions: getRunVersions(session.results),
+    refinement: refinement?.suggestion
+      ? { suggestion: refinement.suggestion, generatedAt: refinement.generatedAt }
+      : null,
+    status: analysis.status,
+    startedAt: analysis.startedAt,
+    completedAt: analysis.completedAt,
+    currentStep: analysis.currentStep || null,
+    currentStepLabel: analysis.currentStepLabel || null,
+    currentStepIndex:
+      typeof analysis.currentStepIndex === 'number' ? analysis.currentStepIndex : null,
+    steps: analysis.steps.map(step => ({
+      id: step.id,
+      name: step.name,
+      status: step.status,
+      hasResult: !!step.result,
+      hasStructured: !!step.result?.structured,
+      attempts: step.attempts || 0,
+      lastError: step.lastError || null,
+      usage: step.usage || null
+    })),
+    usage: getAnalysisUsage(session),
+    summaryAvailable: !!session.results.summary,
+    jobs: {
+      synthesis: describeFollowUpJob(session.results.jobs?.synthesis),
+      refinement: describeFollowUpJob(session.results.jobs?.refinement)
+    },
+    budgetUsd: session.apiConfig?.budgetUsd || null,
+    error: analysis.error,
+    jobId: analysis.jobId || null
+  }
+}
+
+/**
+ * Write a single Server-Sent Event frame.
+ */
+function writeSseEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+}
 
 /**
  * POST /api/analysis/init
  * Initialize a new analysis session with validated form data
  */
-export function initializeAnalysis(req, res) {
+export async function initializeAnalysis(req, res) {
   try {
     // Validate the incoming payload
     const validation = validateAnalysisPayload(req.body)
@@ -35,6 +120,28 @@ export function initializeAnalysis(req, res) {
       })
     }
 
+    // Runs write into session.results until they finish
+    if (hasActiveRun(req.session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Run in progress',
+        message: 'Wait for the running analysis or ideation to finish before starting a new one'
+      })
+    }
+
+    // A refined problem statement is validated as the next version of its run
+    const refinedFrom = req.body.refinedFrom ? await findRun(req.session, req.body.refinedFrom) : null
+    if (req.body.refinedFrom && !refinedFrom) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: 'The run this problem statement was refined from no longer exists'
+      })
+    }
+
+    // Keep the previous run in the history
+    await archiveCurrentRun(req.session)
+
     // Map payload to session structure
     req.session.inputs = {
       validationRequest: {
@@ -49,14 +156,23 @@ export function initializeAnalysis(req, res) {
     req.session.apiConfig = {
       email: req.body.config.email,
       provider: req.body.config.provider,
-      model: req.body.config.model
+      model: req.body.config.model,
+      // Only meaningful for the local provider; null means LOCAL_LLM_BASE_URL
+      baseUrl: req.body.config.provider === 'local' ? req.body.config.baseUrl || null : null,
+      // Optional spending cap in USD; runs stop once estimated cost reaches it
+      budgetUsd: req.body.config.budgetUsd || null
       // NOTE: API key is NOT stored in session for security reasons
       // It will be passed directly to the analysis service when needed
     }
 
-    // Initialize analysis state
+    // Initialize analysis state for the selected methods (all by default)
     req.session.results = {
-      analysis: createInitialAnalysisState()
+      run: createRun(req.session, refinedFrom?.results),
+      analysis: createInitialAnalysisState(req.body.methods)
+    }
+
+    if (typeof req.session.save === 'function') {
+      await req.session.save()
     }
 
     // Return success response
@@ -65,7 +181,10 @@ export function initializeAnalysis(req, res) {
       message: 'Analysis session initialized successfully',
       data: {
         analysisId: req.sessionId,
+        runId: req.session.results.run.id,
+        version: req.session.results.run.version,
         status: req.session.results.analysis.status,
+        methods: req.session.results.analysis.methods,
         steps: req.session.results.analysis.steps.map(step => ({
           id: step.id,
           name: step.name,
@@ -84,20 +203,84 @@ export function initializeAnalysis(req, res) {
   }
 }
 
+/**
+ * GET /api/analysis/methods
+ * List the registered validation methodologies in execution order, for
+ * the method selection on the configuration page.
+ */
+export function listMethodologiesRoute(req, res) {
+  return res.status(200).json({
+    success: true,
+    data: {
+      methods: METHODOLOGY_STEPS.map(step => ({
+        id: step.id,
+        name: step.name,
+        description: step.description,
+        outputSchema: getMethodologyDefinition(step.id)?.outputSchema || null
+      }))
+    }
+  })
+}
+
+/**
+ * POST /api/analysis/estimate
+ * Estimate calls, tokens, cost and duration of a full run (analysis and
+ * both ideation techniques) before starting it. Accepts the same payload
+ * as /api/analysis/init; nothing is stored and no provider is called.
+ */
+export function estimateAnalysisRoute(req, res) {
+  try {
+    const validation = validateEstimatePayload(req.body)
+
+    if (!validation.success) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        details: validation.details
+      })
+    }
+
+    const estimate = estimateRun({
+      provider: req.body.config.provider,
+      model: req.body.config.model,
+      inputs: {
+        description: req.body.problem.description,
+        location: req.body.clarification?.location,
+        targetCustomer: req.body.clarification?.targetCustomer,
+        teamSize: req.body.clarification?.teamSize
+      },
+      methods: req.body.methods
+    })
+
+    return res.status(200).json({
+      success: true,
+      data: estimate
+    })
+  } catch (error) {
+    console.error('Error estimating analysis:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
 /**
  * GET /api/analysis/report
- * Stream the final PDF report for the current session
+ * Download the final PDF report for the current session
  */
-export function downloadAnalysisReportRoute(req, res) {
+export async function downloadAnalysisReportRoute(req, res) {
   try {
-    if (!req.session?.results?.analysis || !req.session?.results?.report) {
+    const results = req.session?.results
+    if (!results?.analysis || (!results.report && !results.summary)) {
       return res.status(404).json({
         success: false,
         error: 'No completed analysis/report found for this session'
       })
     }
 
-    const analysis = req.session.results.analysis
+    const analysis = results.analysis
 
     if (analysis.status !== 'completed') {
       return res.status(400).json({
@@ -106,51 +289,160 @@ export function downloadAnalysisReportRoute(req, res) {
       })
     }
 
-    const report = req.session.results.report
-    const filepath = report.filepath
-    const filename = report.filename || 'analysis_report.pdf'
+    const filename = await ensureReportFile(
+      results.report?.filename,
+      () => writeSummaryPdfForSession(req.session)
+    )
 
-    if (!filepath) {
+    return await sendReportFile(res, filename, {
+      success: false,
+      error: 'Report file not found for this session'
+    })
+  } catch (error) {
+    console.error('Error handling report download:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * GET /api/analysis/status
+ * Get the current status of the analysis
+ */
+export function getAnalysisStatus(req, res) {
+  try {
+    if (!req.session?.results?.analysis) {
       return res.status(404).json({
         success: false,
-        error: 'Report file path not available for this session'
+        error: 'No analysis found for this session'
       })
     }
 
-    // Ensure file exists before attempting to stream
-    fs.stat(filepath, (statError, stats) => {
-      if (statError || !stats?.isFile()) {
-        console.error('Report file not found or inaccessible:', statError || 'Not a file')
-        return res.status(404).json({
-          success: false,
-          error: 'Report file not found for this session'
-        })
+    return res.status(200).json({
+      success: true,
+      data: buildAnalysisStatusPayload(req.session)
+    })
+
+  } catch (error) {
+    console.error('Error fetching analysis status:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * GET /api/analysis/structured
+ * Structured results of the current run's steps, each matching its
+ * methodology's outputSchema (see GET /api/analysis/methods). Steps
+ * without one have `structured: null` and, when extraction failed, the
+ * reason in `error`. `?step=<id>` returns a single step.
+ */
+export async function getStructuredResultsRoute(req, res) {
+  try {
+    const results = req.session?.results
+    if (!results?.analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'No analysis found for this session'
+      })
+    }
+
+    const stepId = req.query?.step
+    const steps = stepId
+      ? results.analysis.steps.filter(step => step.id === stepId)
+      : results.analysis.steps
+
+    if (stepId && steps.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Step "${stepId}" is not part of this analysis`
+      })
+    }
+
+    const structuredSteps = []
+    for (const step of steps) {
+      structuredSteps.push({
+        id: step.id,
+        name: step.name,
+        status: step.status,
+        structured: (await resolveArtifacts(req.session, step.result?.structured)) ?? null,
+        attempts: step.result?.structuredAttempts || 0,
+        error: step.result?.structuredError || null
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        runId: results.run?.id || null,
+        steps: structuredSteps
       }
+    })
+  } catch (error) {
+    console.error('Error fetching structured results:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
 
-      res.setHeader('Content-Type', 'application/pdf')
-      res.setHeader(
-        'Content-Disposition',
-        `attachment; filename="${filename}"`
-      )
-
-      const stream = fs.createReadStream(filepath)
-
-      stream.on('error', (error) => {
-        console.error('Error streaming report file:', error)
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            error: 'Failed to read report file'
-          })
-        } else {
-          res.end()
-        }
+/**
+ * GET /api/analysis/summary
+ * The synthesized summary with its citations. Each citation carries the
+ * full text of the passage it points at, so clients can show it next to
+ * the summary; `ref` is the label used in the text, e.g. "[2.3]".
+ */
+export async function getSummaryRoute(req, res) {
+  try {
+    const results = req.session?.results
+    const summary = results?.summary
+    const text = await resolveArtifacts(req.session, summary?.text)
+
+    if (!results?.analysis || typeof text !== 'string') {
+      return res.status(404).json({
+        success: false,
+        error: 'No synthesized summary found for this session'
       })
+    }
 
-      stream.pipe(res)
+    const steps = results.analysis.steps || []
+    const passagesByStep = {}
+    const citations = []
+    for (const citation of summary.citations || []) {
+      const step = steps.find(candidate => candidate.id === citation.stepId)
+      if (!passagesByStep[citation.stepId]) {
+        passagesByStep[citation.stepId] = splitPassages(await resolveArtifacts(req.session, step?.result?.content))
+      }
+
+      citations.push({
+        ...citation,
+        stepName: step?.name || citation.stepId,
+        text: passagesByStep[citation.stepId][citation.passage - 1] || citation.excerpt
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        runId: results.run?.id || null,
+        text,
+        generatedAt: summary.generatedAt || null,
+        provider: summary.provider || null,
+        model: summary.model || null,
+        strategy: summary.strategy || null,
+        citations
+      }
     })
   } catch (error) {
-    console.error('Error handling report download:', error)
+    console.error('Error fetching summary:', error)
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -159,43 +451,51 @@ export function downloadAnalysisReportRoute(req, res) {
   }
 }
 
+// Public view of session.results.consistency (without its usage)
+function describeConsistency(consistency) {
+  return {
+    claims: consistency.claims || [],
+    clusters: consistency.clusters || [],
+    contradictions: consistency.contradictions || [],
+    generatedAt: consistency.generatedAt || null,
+    model: consistency.model || null,
+    error: consistency.error || null
+  }
+}
+
 /**
- * GET /api/analysis/status
- * Get the current status of the analysis
+ * GET /api/analysis/consistency
+ * Claims of each methodology on the customer, top problem, root cause and
+ * early adopters, clustered, with the contradictions between methodologies.
+ * Produced by POST /api/analysis/synthesize for runs of two or more
+ * methodologies.
  */
-export function getAnalysisStatus(req, res) {
+export async function getConsistencyRoute(req, res) {
   try {
-    if (!req.session?.results?.analysis) {
+    const results = req.session?.results
+    if (!results?.analysis) {
       return res.status(404).json({
         success: false,
         error: 'No analysis found for this session'
       })
     }
 
-    const analysis = req.session.results.analysis
+    if (!results.consistency) {
+      return res.status(404).json({
+        success: false,
+        error: 'No consistency check has been run for this analysis'
+      })
+    }
 
     return res.status(200).json({
       success: true,
       data: {
-        status: analysis.status,
-        startedAt: analysis.startedAt,
-        completedAt: analysis.completedAt,
-        currentStep: analysis.currentStep || null,
-        currentStepLabel: analysis.currentStepLabel || null,
-        currentStepIndex:
-          typeof analysis.currentStepIndex === 'number' ? analysis.currentStepIndex : null,
-        steps: analysis.steps.map(step => ({
-          id: step.id,
-          name: step.name,
-          status: step.status,
-          hasResult: !!step.result
-        })),
-        error: analysis.error
+        runId: results.run?.id || null,
+        ...describeConsistency(results.consistency)
       }
     })
-
   } catch (error) {
-    console.error('Error fetching analysis status:', error)
+    console.error('Error fetching consistency check:', error)
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -204,9 +504,163 @@ export function getAnalysisStatus(req, res) {
   }
 }
 
+/**
+ * GET /api/analysis/stream
+ * Server-Sent Events feed of analysis progress for the current session.
+ *
+ * Sends a `snapshot` event with the full status payload first, then
+ * `step` transitions, `delta` token chunks and `status` changes while the
+ * analysis runs. The stream closes once the analysis completes, fails or
+ * is cancelled.
+ * Clients that cannot hold an EventSource open should keep polling
+ * GET /api/analysis/status instead.
+ */
+export function streamAnalysisRoute(req, res) {
+  if (!req.session?.results?.analysis) {
+    return res.status(404).json({
+      success: false,
+      error: 'No analysis found for this session'
+    })
+  }
+
+  const analysis = req.session.results.analysis
+
+  res.status(200)
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.setHeader('Connection', 'keep-alive')
+  // Disable proxy buffering (nginx) so deltas reach the browser immediately
+  res.setHeader('X-Accel-Buffering', 'no')
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders()
+  }
+
+  writeSseEvent(res, 'snapshot', buildAnalysisStatusPayload(req.session))
+
+  if (TERMINAL_ANALYSIS_STATUSES.includes(analysis.status)) {
+    return res.end()
+  }
+
+  let closed = false
+  let unsubscribe = () => {}
+  let heartbeat = null
+
+  const close = () => {
+    if (closed) return
+    closed = true
+    unsubscribe()
+    clearInterval(heartbeat)
+    res.end()
+  }
+
+  unsubscribe = subscribeToAnalysis(req.sessionId || req.session.id, (event) => {
+    if (closed) return
+    writeSseEvent(res, event.type, event.data)
+
+    if (event.type === 'status' && TERMINAL_ANALYSIS_STATUSES.includes(event.data?.status)) {
+      close()
+    }
+  })
+
+  // Comment frames keep idle connections open through proxies
+  heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': keep-alive\n\n')
+    }
+  }, SSE_HEARTBEAT_MS)
+
+  req.on('close', close)
+}
+
+/**
+ * Record a background analysis failure that happened before the executor
+ * could mark the analysis itself (e.g. invalid session inputs), so status
+ * polling and SSE clients see a terminal state instead of spinning forever.
+ */
+async function recordAnalysisJobFailure(session, error) {
+  const analysis = session?.results?.analysis
+  if (!analysis || analysis.status === 'failed' || analysis.status === 'cancelled') {
+    return
+  }
+
+  analysis.status = 'failed'
+  analysis.error = error.message || 'Analysis failed'
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  emitAnalysisEvent(session.id, 'status', {
+    status: analysis.status,
+    error: analysis.error
+  })
+}
+
+/**
+ * Record an analysis job cancelled before it started, so it can be run or
+ * retried again and SSE clients get a terminal status event.
+ */
+async function recordAnalysisJobCancellation(session, jobId) {
+  const analysis = session?.results?.analysis
+  if (!analysis || analysis.jobId !== jobId) {
+    return
+  }
+
+  analysis.status = 'cancelled'
+  analysis.error = 'Analysis was cancelled before it started'
+  analysis.jobId = null
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  emitAnalysisEvent(session.id, 'status', {
+    status: analysis.status,
+    error: analysis.error
+  })
+}
+
+/**
+ * Queue a background analysis job for the session, reusing the active one
+ * if a job is already queued or running.
+ * @returns {Promise<object>} Public job snapshot
+ */
+async function enqueueAnalysisJob(req, session, apiKey) {
+  const queue = getJobQueue()
+  const activeJob = queue.findActive(req.sessionId, 'analysis')
+  if (activeJob) {
+    return activeJob
+  }
+
+  // Leave inputs and ideation saved by other requests meanwhile alone
+  scopeSessionSaves(session, ['results.analysis'])
+
+  const job = queue.enqueue({
+    type: 'analysis',
+    sessionId: req.sessionId,
+    run: async ({ signal }) => {
+      const result = await runAnalysis(session, apiKey, { signal })
+      return { status: result.status }
+    },
+    onError: (error) => recordAnalysisJobFailure(session, error),
+    onCancel: (cancelled) => recordAnalysisJobCancellation(session, cancelled.id)
+  })
+
+  session.results.analysis.jobId = job.id
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  return job
+}
+
 /**
  * POST /api/analysis/run
- * Execute the analysis sequentially for all methodologies
+ * Queue the analysis for background execution.
+ *
+ * Returns 202 Accepted with the job ID right away; progress is reported
+ * through /api/analysis/status, /api/analysis/stream and /api/jobs/:id.
+ * The API key is held only by the queued job and is never stored.
  */
 export async function runAnalysisRoute(req, res) {
   try {
@@ -219,54 +673,147 @@ export async function runAnalysisRoute(req, res) {
 
     const apiKey = req.body?.apiKey
 
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
+    if (!isValidApiKey(req.session.apiConfig?.provider, apiKey)) {
       return res.status(400).json({
         success: false,
         error: 'A valid API key (>= 20 chars) is required'
       })
     }
 
-    const analysis = await runAnalysis(req.session, apiKey)
+    const session = req.session
+    const analysis = session.results.analysis
 
-    return res.status(200).json({
+    // Idempotent: nothing to do for a finished analysis
+    if (analysis.status === 'completed') {
+      return res.status(200).json({
+        success: true,
+        data: buildAnalysisStatusPayload(req.session)
+      })
+    }
+
+    if (analysis.status === 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Analysis has failed; use POST /api/analysis/retry to re-run failed steps'
+      })
+    }
+
+    const job = await enqueueAnalysisJob(req, session, apiKey)
+
+    return res.status(202).json({
       success: true,
+      message: 'Analysis accepted for background execution',
       data: {
-        status: analysis.status,
-        startedAt: analysis.startedAt,
-        completedAt: analysis.completedAt,
-        currentStep: analysis.currentStep || null,
-        currentStepLabel: analysis.currentStepLabel || null,
-        currentStepIndex:
-          typeof analysis.currentStepIndex === 'number' ? analysis.currentStepIndex : null,
-        steps: analysis.steps.map(step => ({
-          id: step.id,
-          name: step.name,
-          status: step.status,
-          hasResult: !!step.result
-        })),
-        error: analysis.error
+        ...buildAnalysisStatusPayload(req.session),
+        job
       }
     })
   } catch (error) {
-    if (error.type === 'ANALYSIS_CONFLICT') {
+    console.error('Error queuing analysis:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Update a synthesis or refinement job record and save it
+ */
+async function recordFollowUpJob(session, type, fields) {
+  const record = session.results?.jobs?.[type]
+  if (!record) return
+
+  Object.assign(record, fields)
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+}
+
+/**
+ * Queue a job that works on the completed analysis (synthesis or
+ * refinement), reusing the active one of the same type. Its state is kept
+ * in session.results.jobs[type] for status polling. Sends 202 with the
+ * job, or 409 while another job writes the run.
+ *
+ * @param {{ type: string, label: string, paths: string[], execute: Function }} options
+ *   paths: session subtrees the job writes (see scopeSessionSaves)
+ */
+async function queueFollowUpJob(req, res, { type, label, paths, execute }) {
+  const session = req.session
+  const queue = getJobQueue()
+
+  let job = queue.findActive(req.sessionId, type)
+  if (!job) {
+    if (hasActiveRun(session)) {
       return res.status(409).json({
         success: false,
-        error: error.message
+        error: 'Run in progress',
+        message: `Wait for the running analysis, ideation, synthesis or refinement to finish before starting the ${label.toLowerCase()}`
       })
     }
 
-    console.error('Error running analysis:', error)
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
+    scopeSessionSaves(session, [...paths, `results.jobs.${type}`])
+
+    if (!session.results.jobs) {
+      session.results.jobs = {}
+    }
+    // Placeholder so status polling reports the job before it starts
+    session.results.jobs[type] = {
+      id: null,
+      status: 'queued',
+      instanceId: queue.instanceId,
+      startedAt: null,
+      completedAt: null,
+      error: null
+    }
+
+    job = queue.enqueue({
+      type,
+      sessionId: req.sessionId,
+      run: async () => {
+        await recordFollowUpJob(session, type, { status: 'in-progress', startedAt: new Date().toISOString() })
+        const result = await execute()
+        await recordFollowUpJob(session, type, { status: 'completed', completedAt: new Date().toISOString() })
+        return result
+      },
+      onError: (error) => {
+        console.error(`Error running ${label.toLowerCase()}:`, error)
+        return recordFollowUpJob(session, type, {
+          status: 'failed',
+          error: error.message || `${label} failed`,
+          completedAt: new Date().toISOString()
+        })
+      },
+      onCancel: () => recordFollowUpJob(session, type, {
+        status: 'cancelled',
+        error: `${label} was cancelled before it started`,
+        completedAt: new Date().toISOString()
+      })
     })
+
+    session.results.jobs[type].id = job.id
+    if (typeof session.save === 'function') {
+      await session.save()
+    }
   }
+
+  return res.status(202).json({
+    success: true,
+    message: `${label} accepted for background execution`,
+    data: {
+      status: session.results.jobs?.[type]?.status || job.status,
+      job
+    }
+  })
 }
 
 /**
  * POST /api/analysis/synthesize
- * Generate synthesized summary and PDF report
+ * Queue the synthesized summary, consistency check and PDF report of the
+ * completed analysis. Returns 202 with the job; progress is reported as
+ * `jobs.synthesis` by /api/analysis/status and through /api/jobs/:id.
  */
 export async function synthesizeAnalysisRoute(req, res) {
   try {
@@ -287,33 +834,99 @@ export async function synthesizeAnalysisRoute(req, res) {
 
     const apiKey = req.body?.apiKey
 
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
+    if (!isValidApiKey(req.session.apiConfig?.provider, apiKey)) {
       return res.status(400).json({
         success: false,
         error: 'A valid API key (>= 20 chars) is required'
       })
     }
 
-    await generateSynthesisSummary(req.session, apiKey)
-    const report = await writeSummaryPdfForSession(req.session)
+    const session = req.session
+    return await queueFollowUpJob(req, res, {
+      type: 'synthesis',
+      label: 'Synthesis',
+      paths: ['results.summary', 'results.consistency', 'results.report'],
+      execute: async () => {
+        const { digests } = await generateSynthesisSummary(session, apiKey)
+        const consistency = await generateConsistencyReport(session, apiKey, { digests })
+        const report = await writeSummaryPdfForSession(session)
 
-    const summaryMeta = req.session.results.summary || {}
+        const summaryMeta = session.results.summary || {}
+        return {
+          summary: {
+            generatedAt: summaryMeta.generatedAt,
+            provider: summaryMeta.provider,
+            model: summaryMeta.model,
+            strategy: summaryMeta.strategy || null,
+            scorecard: summaryMeta.scorecard || null,
+            scorecardError: summaryMeta.scorecardError || null
+          },
+          consistency: consistency ? describeConsistency(consistency) : null,
+          report: {
+            filename: report.filename
+          }
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error queuing synthesis:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
 
-    return res.status(200).json({
-      success: true,
-      data: {
-        summary: {
-          generatedAt: summaryMeta.generatedAt,
-          provider: summaryMeta.provider,
-          model: summaryMeta.model
-        },
-        report: {
-          filename: report.filename
+/**
+ * POST /api/analysis/refine
+ * Queue a suggestion for a revised problem statement, location and target
+ * customer from the run's synthesized summary. Returns 202 with the job;
+ * the suggestion is reported as `refinement` by /api/analysis/status once
+ * `jobs.refinement` completes. Accepting it is a new
+ * POST /api/analysis/init with `refinedFrom` set to this run.
+ */
+export async function refineAnalysisRoute(req, res) {
+  try {
+    if (!req.session?.results?.analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'No analysis initialized for this session'
+      })
+    }
+
+    if (req.session.results.analysis.status !== 'completed' || !req.session.results.summary) {
+      return res.status(400).json({
+        success: false,
+        error: 'A synthesized summary of the completed analysis is required for refinement'
+      })
+    }
+
+    const apiKey = req.body?.apiKey
+
+    if (!isValidApiKey(req.session.apiConfig?.provider, apiKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid API key (>= 20 chars) is required'
+      })
+    }
+
+    const session = req.session
+    return await queueFollowUpJob(req, res, {
+      type: 'refinement',
+      label: 'Refinement',
+      paths: ['results.refinement'],
+      execute: async () => {
+        const refinement = await generateRefinementSuggestion(session, apiKey)
+        return {
+          runId: session.results.run?.id || null,
+          suggestion: refinement.suggestion,
+          generatedAt: refinement.generatedAt
         }
       }
     })
   } catch (error) {
-    console.error('Error synthesizing analysis:', error)
+    console.error('Error queuing refinement:', error)
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -328,14 +941,15 @@ export async function synthesizeAnalysisRoute(req, res) {
  */
 export async function sendAnalysisEmailRoute(req, res) {
   try {
-    if (!req.session?.results?.analysis || !req.session?.results?.report) {
+    const results = req.session?.results
+    if (!results?.analysis || (!results.report && !results.summary)) {
       return res.status(404).json({
         success: false,
         error: 'No completed analysis/report found for this session'
       })
     }
 
-    const analysis = req.session.results.analysis
+    const analysis = results.analysis
 
     if (analysis.status !== 'completed') {
       return res.status(400).json({
@@ -351,6 +965,22 @@ export async function sendAnalysisEmailRoute(req, res) {
       })
     }
 
+    // Imported sessions start without generated files
+    const reportFile = await ensureReportFile(
+      results.report?.filename,
+      () => writeSummaryPdfForSession(req.session)
+    )
+    if (!reportFile) {
+      return res.status(404).json({
+        success: false,
+        error: 'No completed analysis/report found for this session'
+      })
+    }
+    if (!analysis.files?.length) {
+      analysis.files = await writeMethodFilesForSession(req.session)
+      await req.session.save()
+    }
+
     const result = await sendAnalysisReportEmail(req.session)
 
     return res.status(200).json({
@@ -384,3 +1014,83 @@ export async function sendAnalysisEmailRoute(req, res) {
     })
   }
 }
+
+/**
+ * POST /api/analysis/retry
+ * Reset failed steps to pending and queue the analysis again.
+ *
+ * Completed steps keep their results and are skipped, so only the failed
+ * (or, after a cancellation, unfinished) steps are re-sent to the provider.
+ * Returns 202 Accepted with the job, like /api/analysis/run.
+ */
+export async function retryAnalysisRoute(req, res) {
+  try {
+    if (!req.session?.results?.analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'No analysis initialized for this session'
+      })
+    }
+
+    const apiKey = req.body?.apiKey
+
+    if (!isValidApiKey(req.session.apiConfig?.provider, apiKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid API key (>= 20 chars) is required'
+      })
+    }
+
+    const session = req.session
+    const analysis = session.results.analysis
+
+    if (analysis.status === 'completed') {
+      return res.status(200).json({
+        success: true,
+        data: buildAnalysisStatusPayload(req.session)
+      })
+    }
+
+    const activeJob = getJobQueue().findActive(req.sessionId, 'analysis')
+    if (activeJob) {
+      return res.status(202).json({
+        success: true,
+        message: 'Analysis is already running',
+        data: {
+          ...buildAnalysisStatusPayload(req.session),
+          job: activeJob
+        }
+      })
+    }
+
+    if (analysis.status !== 'failed' && analysis.status !== 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed or cancelled analyses can be retried'
+      })
+    }
+
+    const resetCount = resetFailedSteps(analysis)
+    if (typeof session.save === 'function') {
+      await session.save()
+    }
+
+    const job = await enqueueAnalysisJob(req, session, apiKey)
+
+    return res.status(202).json({
+      success: true,
+      message: `Retrying analysis (${resetCount} failed step${resetCount === 1 ? '' : 's'} reset)`,
+      data: {
+        ...buildAnalysisStatusPayload(req.session),
+        job
+      }
+    })
+  } catch (error) {
+    console.error('Error retrying analysis:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Run comparison API routes
+ * Compares two runs of the session's analysis history (see runComparison.js)
+ */
+
+import { compareRuns, findComparedRuns, getStoredComparison } from '../runComparison.js'
+import { generateComparisonDelta } from '../synthesisService.js'
+import { writeComparisonPdfForSession } from '../comparisonPdfService.js'
+import { hasActiveRun } from '../analysisHistory.js'
+import { isValidApiKey } from '../llmService.js'
+import { ensureReportFile, sendReportFile } from './reportDownload.js'
+
+/**
+ * Map comparison lookup errors to responses; returns null for other errors
+ */
+function sendComparisonError(res, error) {
+  if (error.type === 'COMPARISON_INPUT_ERROR') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    })
+  }
+
+  if (error.type === 'COMPARISON_NOT_FOUND_ERROR') {
+    return res.status(404).json({
+      success: false,
+      error: 'Run not found'
+    })
+  }
+
+  return null
+}
+
+/**
+ * GET /api/comparison?base=<runId>&target=<runId>
+ * Input diffs, per-methodology diffs and the stored delta of two runs
+ */
+export async function getComparisonRoute(req, res) {
+  try {
+    const comparison = await compareRuns(req.session, req.query.base, req.query.target)
+
+    return res.status(200).json({
+      success: true,
+      data: comparison
+    })
+  } catch (error) {
+    if (sendComparisonError(res, error)) return
+
+    console.error('Error comparing analysis runs:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * POST /api/comparison/delta
+ * Generate the "what changed and why it matters" summary of two runs
+ * Body: { base, target, apiKey }
+ */
+export async function generateComparisonDeltaRoute(req, res) {
+  try {
+    const { base, target, apiKey } = req.body || {}
+
+    if (hasActiveRun(req.session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Run in progress',
+        message: 'Wait for the running analysis or ideation to finish before comparing runs'
+      })
+    }
+
+    if (!isValidApiKey(req.session?.apiConfig?.provider, apiKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid API key (>= 20 chars) is required'
+      })
+    }
+
+    await generateComparisonDelta(req.session, base, target, apiKey)
+    const { delta } = await compareRuns(req.session, base, target)
+
+    return res.status(200).json({
+      success: true,
+      data: { delta }
+    })
+  } catch (error) {
+    if (sendComparisonError(res, error)) return
+
+    if (error.type === 'SYNTHESIS_STATE_ERROR') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+
+    if (error.type === 'BUDGET_EXCEEDED_ERROR') {
+      return res.status(402).json({
+        success: false,
+        error: error.message
+      })
+    }
+
+    console.error('Error generating comparison summary:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * GET /api/comparison/download?base=<runId>&target=<runId>
+ * Download the comparison as a PDF, generating it when needed
+ */
+export async function downloadComparisonRoute(req, res) {
+  try {
+    const { base, target } = req.query
+    await findComparedRuns(req.session, base, target)
+
+    if (hasActiveRun(req.session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Run in progress',
+        message: 'Wait for the running analysis or ideation to finish before exporting a comparison'
+      })
+    }
+
+    const stored = getStoredComparison(req.session, base, target)
+    const filename = await ensureReportFile(
+      stored?.report?.filename,
+      () => writeComparisonPdfForSession(req.session, base, target)
+    )
+
+    return sendReportFile(res, filename, {
+      success: false,
+      error: 'Comparison not found'
+    })
+  } catch (error) {
+    if (sendComparisonError(res, error)) return
+
+    console.error('Error downloading comparison report:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
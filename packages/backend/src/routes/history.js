@@ -0,0 +1,169 @@
+/**
+ * Analysis history API routes
+ * Lists, shows, reopens and deletes the validation runs of the current
+ * session (see analysisHistory.js).
+ */
+
+import {
+  ensureCurrentRun,
+  listRuns,
+  findRun,
+  hasRun,
+  describeRun,
+  getRunDetails,
+  openRun,
+  deleteRun,
+  hasActiveRun
+} from '../analysisHistory.js'
+import { discardStoredComparison } from '../runComparison.js'
+
+/**
+ * Give pre-history results a run ID before they are listed or acted on
+ */
+async function prepareSession(session) {
+  if (ensureCurrentRun(session)) {
+    await session.save()
+  }
+}
+
+/**
+ * GET /api/history
+ * List the session's runs, the current one first and then newest first
+ */
+export async function listHistoryRoute(req, res) {
+  try {
+    if (!req.session) {
+      return res.status(200).json({ success: true, data: { runs: [] } })
+    }
+
+    await prepareSession(req.session)
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        runs: listRuns(req.session)
+      }
+    })
+  } catch (error) {
+    console.error('Error listing analysis history:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * GET /api/history/:id
+ * Inputs, step statuses and summary of one run
+ */
+export async function getHistoryRunRoute(req, res) {
+  try {
+    const entry = req.session ? await findRun(req.session, req.params.id) : null
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { run: await getRunDetails(req.session, entry) }
+    })
+  } catch (error) {
+    console.error('Error fetching analysis run:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * POST /api/history/:id/open
+ * Make a past run the current one, so the results page, downloads, email
+ * and ideation work on it. The current run moves into the history.
+ */
+export async function openHistoryRunRoute(req, res) {
+  try {
+    if (!req.session || !hasRun(req.session, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      })
+    }
+
+    if (hasActiveRun(req.session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Run in progress',
+        message: 'Wait for the running analysis or ideation to finish before opening another run'
+      })
+    }
+
+    await prepareSession(req.session)
+    const results = req.session.results?.run?.id === req.params.id
+      ? req.session.results
+      : await openRun(req.session, req.params.id)
+    await req.session.save()
+
+    return res.status(200).json({
+      success: true,
+      data: { run: describeRun(results, true) }
+    })
+  } catch (error) {
+    console.error('Error opening analysis run:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * DELETE /api/history/:id
+ * Delete a past run with its stored results and reports. The current run
+ * cannot be deleted; start a new analysis or open another run first.
+ */
+export async function deleteHistoryRunRoute(req, res) {
+  try {
+    if (!req.session || !hasRun(req.session, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      })
+    }
+
+    if (req.session.results?.run?.id === req.params.id) {
+      return res.status(409).json({
+        success: false,
+        error: 'Current run',
+        message: 'The current run cannot be deleted; start a new analysis or open another run first'
+      })
+    }
+
+    await deleteRun(req.session, req.params.id)
+    const { baseRunId, targetRunId } = req.session.comparison || {}
+    if (baseRunId === req.params.id || targetRunId === req.params.id) {
+      await discardStoredComparison(req.session)
+    }
+    await req.session.save()
+
+    return res.status(200).json({
+      success: true,
+      data: { id: req.params.id }
+    })
+  } catch (error) {
+    console.error('Error deleting analysis run:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -3,89 +3,216 @@
  * Handles SCAMPER, SIT, and other ideation technique execution
  */
 
-import fs from 'fs'
 import { executeScamper } from '../scamperService.js'
 import { writeScamperPdfForSession } from '../scamperPdfService.js'
 import { executeSit } from '../sitService.js'
 import { writeSitPdfForSession } from '../sitPdfService.js'
+import { getJobQueue } from '../jobQueue.js'
+import { scopeSessionSaves } from '../sessionStore.js'
+import { isValidApiKey } from '../llmService.js'
+import { getIdeationUsage } from '../usageService.js'
+import { sendReportFile, ensureReportFile } from './reportDownload.js'
+
+const REPORTABLE_STATUSES = ['completed', 'completed-with-errors']
 
 /**
- * POST /api/ideation/scamper
- * Execute SCAMPER ideation technique
+ * Record a background ideation failure on the technique results so the
+ * status endpoint reports it.
  */
-export async function runScamperRoute(req, res) {
-  try {
-    // Validate session exists
-    if (!req.session) {
-      return res.status(500).json({
-        success: false,
-        error: 'Session not initialized'
-      })
-    }
+async function recordIdeationJobFailure(session, technique, error) {
+  const ideation = session.results?.ideation
+  if (!ideation) return
+
+  const results = ideation[technique] || {}
+  if (results.status !== 'cancelled') {
+    results.status = 'failed'
+    results.error = error.message || 'Ideation failed'
+    results.completedAt = new Date().toISOString()
+  }
+  ideation[technique] = results
 
-    // Validate API key from request body
-    const { apiKey } = req.body
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid API key required'
-      })
-    }
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+}
 
-    // Validate that analysis phase is completed
-    if (!req.session.results?.analysis?.status || req.session.results.analysis.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        error: 'Problem validation must be completed before running ideation'
-      })
-    }
+/**
+ * Record an ideation job cancelled before it started. Its placeholder
+ * would otherwise report the technique as queued forever.
+ */
+async function recordIdeationJobCancellation(session, technique, label) {
+  const ideation = session.results?.ideation
+  const results = ideation?.[technique]
+  if (!results || results.status !== 'queued') return
+
+  results.status = 'cancelled'
+  results.error = `${label} ideation was cancelled before it started`
+  results.completedAt = new Date().toISOString()
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+}
 
-    // Execute SCAMPER with progress tracking
-    const results = await executeScamper(req.session, apiKey, (progress) => {
-      // Progress callback - can be used for real-time updates via WebSocket/SSE
-      console.log('SCAMPER progress:', progress)
+/**
+ * Validate the shared preconditions of the ideation routes.
+ * Sends the error response and returns false when a check fails.
+ */
+function validateIdeationRequest(req, res) {
+  // Validate session exists
+  if (!req.session) {
+    res.status(500).json({
+      success: false,
+      error: 'Session not initialized'
     })
+    return false
+  }
 
-    // Generate PDF report
-    try {
-      await writeScamperPdfForSession(req.session)
-    } catch (pdfError) {
-      console.error('Failed to generate SCAMPER PDF:', pdfError)
-      // Don't fail the whole request if PDF generation fails
-      // User can still download later
-    }
+  // Validate API key from request body
+  const { apiKey } = req.body || {}
+  if (!isValidApiKey(req.session.apiConfig?.provider, apiKey)) {
+    res.status(400).json({
+      success: false,
+      error: 'Valid API key required'
+    })
+    return false
+  }
 
-    return res.status(200).json({
-      success: true,
-      message: 'SCAMPER ideation completed successfully',
-      data: {
-        status: results.status,
-        lensesCompleted: Object.keys(results.lenses).length,
-        topConceptsCount: results.synthesis?.topConcepts?.length || 0,
-        reportAvailable: !!req.session.results.ideation.scamperReport
-      }
+  // Validate that analysis phase is completed
+  if (!req.session.results?.analysis?.status || req.session.results.analysis.status !== 'completed') {
+    res.status(400).json({
+      success: false,
+      error: 'Problem validation must be completed before running ideation'
     })
+    return false
+  }
 
-  } catch (error) {
-    console.error('Error running SCAMPER ideation:', error)
+  if (!req.session.inputs?.validationRequest?.description) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required data',
+      message: 'Problem description not found in session'
+    })
+    return false
+  }
 
-    // Return appropriate error based on type
-    if (error.message.includes('not found in session')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required data',
-        message: error.message
-      })
+  if (!req.session.apiConfig?.provider || !req.session.apiConfig?.model) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required data',
+      message: 'API configuration not found in session'
+    })
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Queue an ideation technique as a background job and respond 202.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} spec
+ * @param {'scamper'|'sit'} spec.technique
+ * @param {string} spec.label - Human-readable technique name
+ * @param {(signal: AbortSignal) => Promise<object>} spec.execute - Runs the technique
+ */
+async function queueIdeationJob(req, res, { technique, label, execute }) {
+  const session = req.session
+  const queue = getJobQueue()
+
+  if (!session.results.ideation) {
+    session.results.ideation = {}
+  }
+  if (!session.results.ideation.jobs) {
+    session.results.ideation.jobs = {}
+  }
+
+  let job = queue.findActive(req.sessionId, technique)
+
+  if (!job) {
+    // SCAMPER and SIT often run side by side; each writes only its own results
+    scopeSessionSaves(session, [
+      `results.ideation.${technique}`,
+      `results.ideation.${technique}Report`,
+      `results.ideation.jobs.${technique}`
+    ])
+
+    // Placeholder so status polling reports progress before the job starts
+    session.results.ideation[technique] = {
+      status: 'queued',
+      instanceId: queue.instanceId,
+      startedAt: null,
+      synthesis: null,
+      completedAt: null
     }
 
-    if (error.type === 'LLM_INPUT_ERROR' || error.type === 'LLM_NETWORK_ERROR' || error.type === 'LLM_PROVIDER_ERROR') {
-      return res.status(502).json({
-        success: false,
-        error: 'LLM service error',
-        message: error.message
-      })
+    job = queue.enqueue({
+      type: technique,
+      sessionId: req.sessionId,
+      run: ({ signal }) => execute(signal),
+      onError: (error) => {
+        console.error(`Error running ${label} ideation:`, error)
+        return recordIdeationJobFailure(session, technique, error)
+      },
+      onCancel: () => recordIdeationJobCancellation(session, technique, label)
+    })
+
+    session.results.ideation.jobs[technique] = job.id
+    if (typeof session.save === 'function') {
+      await session.save()
     }
+  }
 
+  return res.status(202).json({
+    success: true,
+    message: `${label} ideation accepted for background execution`,
+    data: {
+      status: session.results.ideation[technique]?.status || job.status,
+      job
+    }
+  })
+}
+
+/**
+ * POST /api/ideation/scamper
+ * Queue the SCAMPER ideation technique for background execution
+ */
+export async function runScamperRoute(req, res) {
+  try {
+    if (!validateIdeationRequest(req, res)) return
+
+    const session = req.session
+    const { apiKey } = req.body
+
+    return await queueIdeationJob(req, res, {
+      technique: 'scamper',
+      label: 'SCAMPER',
+      execute: async (signal) => {
+        // Execute SCAMPER with progress tracking
+        const results = await executeScamper(session, apiKey, (progress) => {
+          console.log('SCAMPER progress:', progress)
+        }, { signal })
+
+        // Generate PDF report
+        try {
+          await writeScamperPdfForSession(session)
+        } catch (pdfError) {
+          console.error('Failed to generate SCAMPER PDF:', pdfError)
+          // Don't fail the whole job if PDF generation fails
+        }
+
+        return {
+          status: results.status,
+          lensesCompleted: Object.keys(results.lenses).length,
+          topConceptsCount: results.synthesis?.topConcepts?.length || 0,
+          reportAvailable: !!session.results.ideation.scamperReport
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Error queuing SCAMPER ideation:', error)
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -96,81 +223,42 @@ export async function runScamperRoute(req, res) {
 
 /**
  * POST /api/ideation/sit
- * Execute SIT (Systematic Inventive Thinking) ideation technique
+ * Queue the SIT (Systematic Inventive Thinking) technique for background execution
  */
 export async function runSitRoute(req, res) {
   try {
-    // Validate session exists
-    if (!req.session) {
-      return res.status(500).json({
-        success: false,
-        error: 'Session not initialized'
-      })
-    }
+    if (!validateIdeationRequest(req, res)) return
 
-    // Validate API key from request body
+    const session = req.session
     const { apiKey } = req.body
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid API key required'
-      })
-    }
-
-    // Validate that analysis phase is completed
-    if (!req.session.results?.analysis?.status || req.session.results.analysis.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        error: 'Problem validation must be completed before running ideation'
-      })
-    }
-
-    // Execute SIT with progress tracking
-    const results = await executeSit(req.session, apiKey, (progress) => {
-      // Progress callback - can be used for real-time updates via WebSocket/SSE
-      console.log('SIT progress:', progress)
-    })
-
-    // Generate PDF report
-    try {
-      await writeSitPdfForSession(req.session)
-    } catch (pdfError) {
-      console.error('Failed to generate SIT PDF:', pdfError)
-      // Don't fail the whole request if PDF generation fails
-      // User can still download later
-    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'SIT ideation completed successfully',
-      data: {
-        status: results.status,
-        toolsCompleted: Object.keys(results.tools).length,
-        topConceptsCount: results.synthesis?.topConcepts?.length || 0,
-        reportAvailable: !!req.session.results.ideation.sitReport
+    return await queueIdeationJob(req, res, {
+      technique: 'sit',
+      label: 'SIT',
+      execute: async (signal) => {
+        // Execute SIT with progress tracking
+        const results = await executeSit(session, apiKey, (progress) => {
+          console.log('SIT progress:', progress)
+        }, { signal })
+
+        // Generate PDF report
+        try {
+          await writeSitPdfForSession(session)
+        } catch (pdfError) {
+          console.error('Failed to generate SIT PDF:', pdfError)
+          // Don't fail the whole job if PDF generation fails
+        }
+
+        return {
+          status: results.status,
+          toolsCompleted: Object.keys(results.tools).length,
+          topConceptsCount: results.synthesis?.topConcepts?.length || 0,
+          reportAvailable: !!session.results.ideation.sitReport
+        }
       }
     })
-
   } catch (error) {
-    console.error('Error running SIT ideation:', error)
-
-    // Return appropriate error based on type
-    if (error.message.includes('not found in session')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required data',
-        message: error.message
-      })
-    }
-
-    if (error.type === 'LLM_INPUT_ERROR' || error.type === 'LLM_NETWORK_ERROR' || error.type === 'LLM_PROVIDER_ERROR') {
-      return res.status(502).json({
-        success: false,
-        error: 'LLM service error',
-        message: error.message
-      })
-    }
-
+    console.error('Error queuing SIT ideation:', error)
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -241,12 +329,15 @@ export async function getIdeationStatus(req, res) {
       }
     }
 
-    // Determine overall status
+    // Determine overall status (queued jobs count as in progress)
+    const techniqueStatuses = [scamperResults?.status, sitResults?.status]
     let overallStatus = 'completed'
-    if (scamperResults?.status === 'in-progress' || sitResults?.status === 'in-progress') {
+    if (techniqueStatuses.some(status => status === 'queued' || status === 'in-progress')) {
       overallStatus = 'in-progress'
-    } else if (scamperResults?.status === 'failed' || sitResults?.status === 'failed') {
+    } else if (techniqueStatuses.includes('failed')) {
       overallStatus = 'failed'
+    } else if (techniqueStatuses.includes('cancelled')) {
+      overallStatus = 'cancelled'
     }
 
     return res.status(200).json({
@@ -256,9 +347,17 @@ export async function getIdeationStatus(req, res) {
         steps,
         currentStepIndex: steps.length - 1,
         currentStepLabel: steps[steps.length - 1]?.name || null,
-        error: null,
-        scamperReportAvailable: !!req.session.results?.ideation?.scamperReport,
-        sitReportAvailable: !!req.session.results?.ideation?.sitReport
+        error: scamperResults?.error || sitResults?.error || null,
+        jobs: req.session.results?.ideation?.jobs || {},
+        usage: {
+          scamper: getIdeationUsage(scamperResults, 'scamper'),
+          sit: getIdeationUsage(sitResults, 'sit')
+        },
+        // Reports missing from storage are regenerated on download
+        scamperReportAvailable: !!req.session.results?.ideation?.scamperReport ||
+          REPORTABLE_STATUSES.includes(scamperResults?.status),
+        sitReportAvailable: !!req.session.results?.ideation?.sitReport ||
+          REPORTABLE_STATUSES.includes(sitResults?.status)
       }
     })
 
@@ -285,9 +384,9 @@ export async function downloadScamperReportRoute(req, res) {
       })
     }
 
-    const scamperReport = req.session.results?.ideation?.scamperReport
+    const ideation = req.session.results?.ideation
 
-    if (!scamperReport || !scamperReport.filepath) {
+    if (!ideation?.scamperReport && !ideation?.scamper) {
       return res.status(404).json({
         success: false,
         error: 'SCAMPER report not found',
@@ -295,35 +394,17 @@ export async function downloadScamperReportRoute(req, res) {
       })
     }
 
-    const { filepath, filename } = scamperReport
+    const filename = await ensureReportFile(
+      ideation.scamperReport?.filename,
+      () => writeScamperPdfForSession(req.session)
+    )
 
-    // Verify file exists
-    if (!fs.existsSync(filepath)) {
-      console.error('SCAMPER PDF file not found on disk:', filepath)
-      return res.status(404).json({
-        success: false,
-        error: 'Report file not found',
-        message: 'The report file is missing. Please re-run the ideation.'
-      })
-    }
-
-    // Stream the PDF
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
-
-    const fileStream = fs.createReadStream(filepath)
-    fileStream.on('error', (error) => {
-      console.error('Error streaming SCAMPER PDF:', error)
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to read report file'
-        })
-      }
+    return await sendReportFile(res, filename, {
+      success: false,
+      error: 'Report file not found',
+      message: 'The report file is missing. Please re-run the ideation.'
     })
 
-    fileStream.pipe(res)
-
   } catch (error) {
     console.error('Error downloading SCAMPER report:', error)
     return res.status(500).json({
@@ -347,9 +428,9 @@ export async function downloadSitReportRoute(req, res) {
       })
     }
 
-    const sitReport = req.session.results?.ideation?.sitReport
+    const ideation = req.session.results?.ideation
 
-    if (!sitReport || !sitReport.filepath) {
+    if (!ideation?.sitReport && !ideation?.sit) {
       return res.status(404).json({
         success: false,
         error: 'SIT report not found',
@@ -357,35 +438,17 @@ export async function downloadSitReportRoute(req, res) {
       })
     }
 
-    const { filepath, filename } = sitReport
+    const filename = await ensureReportFile(
+      ideation.sitReport?.filename,
+      () => writeSitPdfForSession(req.session)
+    )
 
-    // Verify file exists
-    if (!fs.existsSync(filepath)) {
-      console.error('SIT PDF file not found on disk:', filepath)
-      return res.status(404).json({
-        success: false,
-        error: 'Report file not found',
-        message: 'The report file is missing. Please re-run the ideation.'
-      })
-    }
-
-    // Stream the PDF
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
-
-    const fileStream = fs.createReadStream(filepath)
-    fileStream.on('error', (error) => {
-      console.error('Error streaming SIT PDF:', error)
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to read report file'
-        })
-      }
+    return await sendReportFile(res, filename, {
+      success: false,
+      error: 'Report file not found',
+      message: 'The report file is missing. Please re-run the ideation.'
     })
 
-    fileStream.pipe(res)
-
   } catch (error) {
     console.error('Error downloading SIT report:', error)
     return res.status(500).json({
@@ -0,0 +1,153 @@
+/**
+ * Background job API routes
+ * Exposes status and cancellation for jobs queued by the analysis and
+ * ideation routes. Jobs are only visible to the session that created them.
+ */
+
+import { getJobQueue, relayJobCancel } from '../jobQueue.js'
+
+/**
+ * Look up a job owned by the current session.
+ * Sends a 404 response and returns null when not found.
+ */
+function findSessionJob(req, res) {
+  const queue = getJobQueue()
+  const job = queue.isOwnedBy(req.params.id, req.sessionId)
+    ? queue.get(req.params.id)
+    : null
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    })
+    return null
+  }
+
+  return job
+}
+
+/**
+ * Whether the session records the job as queued or running. With a shared
+ * session store the job may be running on another instance.
+ */
+function isActiveSessionJob(session, jobId) {
+  const analysis = session?.results?.analysis
+  if (analysis?.jobId === jobId && ['pending', 'in-progress'].includes(analysis.status)) {
+    return true
+  }
+
+  const ideation = session?.results?.ideation || {}
+  if (['scamper', 'sit'].some(technique =>
+    ideation.jobs?.[technique] === jobId &&
+    ['queued', 'in-progress'].includes(ideation[technique]?.status))) {
+    return true
+  }
+
+  // Synthesis and refinement jobs
+  return Object.values(session?.results?.jobs || {}).some(record =>
+    record?.id === jobId && ['queued', 'in-progress'].includes(record.status))
+}
+
+/**
+ * GET /api/jobs
+ * List background jobs for the current session
+ */
+export function listJobsRoute(req, res) {
+  try {
+    if (!req.sessionId) {
+      return res.status(200).json({ success: true, data: { jobs: [] } })
+    }
+
+    const jobs = getJobQueue().list({
+      sessionId: req.sessionId,
+      type: req.query?.type
+    })
+
+    return res.status(200).json({
+      success: true,
+      data: { jobs }
+    })
+  } catch (error) {
+    console.error('Error listing jobs:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a background job
+ */
+export function getJobRoute(req, res) {
+  try {
+    const job = findSessionJob(req, res)
+    if (!job) return
+
+    return res.status(200).json({
+      success: true,
+      data: { job }
+    })
+  } catch (error) {
+    console.error('Error fetching job:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running background job. Jobs of the session running
+ * on another instance are cancelled through the job cancel relay.
+ */
+export function cancelJobRoute(req, res) {
+  try {
+    const queue = getJobQueue()
+
+    if (!queue.isOwnedBy(req.params.id, req.sessionId) && isActiveSessionJob(req.session, req.params.id)) {
+      if (!relayJobCancel(req.sessionId, req.params.id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Job is not running on this server instance'
+        })
+      }
+
+      // The owning instance records the cancellation on the session
+      return res.status(202).json({
+        success: true,
+        message: 'Cancellation requested from the instance running the job',
+        data: { job: { id: req.params.id } }
+      })
+    }
+
+    const job = findSessionJob(req, res)
+    if (!job) return
+
+    if (!queue.cancel(job.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job is already ${job.status}`
+      })
+    }
+
+    // Running jobs settle asynchronously; report the current snapshot
+    return res.status(202).json({
+      success: true,
+      message: 'Cancellation requested',
+      data: { job: queue.get(job.id) }
+    })
+  } catch (error) {
+    console.error('Error cancelling job:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * LLM provider API routes
+ * Model discovery for OpenAI-compatible providers, so the configuration
+ * page can list what a self-hosted server (Ollama, llama.cpp, vLLM) offers.
+ */
+
+import llmService from '../llmService.js'
+
+/**
+ * POST /api/providers/models
+ * List models available from an OpenAI-compatible provider.
+ *
+ * Body: { provider: 'local' | 'openai', baseUrl?, apiKey? }
+ * POST keeps the API key out of URLs and access logs; it is never stored.
+ */
+export async function listProviderModelsRoute(req, res) {
+  try {
+    const { provider, baseUrl, apiKey } = req.body || {}
+
+    const models = await llmService.listModels({
+      provider,
+      baseUrl: baseUrl || undefined,
+      apiKey: apiKey || undefined
+    })
+
+    return res.status(200).json({
+      success: true,
+      data: { provider, models }
+    })
+  } catch (error) {
+    if (error.type === 'LLM_INPUT_ERROR') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+
+    if (error.type === 'LLM_NETWORK_ERROR' || error.type === 'LLM_PROVIDER_ERROR' || error.type === 'LLM_PARSE_ERROR') {
+      return res.status(502).json({
+        success: false,
+        error: error.message,
+        status: error.status || null
+      })
+    }
+
+    console.error('Error listing provider models:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
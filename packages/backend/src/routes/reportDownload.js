@@ -0,0 +1,76 @@
+/**
+ * Report download responses shared by the analysis and ideation routes
+ */
+
+import { getOutputStorage } from '../outputStorage.js'
+
+/**
+ * Make sure a report exists in output storage, regenerating it from the
+ * session's results when it does not: sessions restored from an export
+ * bundle have no files yet, and stored files may have been swept.
+ *
+ * @param {string|undefined} filename - Report name recorded on the session
+ * @param {() => Promise<{ filename: string }>} regenerate - PDF writer for the session
+ * @returns {Promise<string|null>} Filename, or null when the session has nothing to render
+ */
+export async function ensureReportFile(filename, regenerate) {
+  if (filename && await getOutputStorage().exists(filename)) {
+    return filename
+  }
+
+  try {
+    return (await regenerate()).filename
+  } catch (error) {
+    if (error.type === 'PDF_INPUT_ERROR') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Send a stored PDF report: redirect to a short-lived signed URL when the
+ * output storage issues them, otherwise stream it through this server.
+ *
+ * @param {import('express').Response} res
+ * @param {string|null} filename - Name of the file in output storage
+ * @param {object} notFoundBody - 404 JSON body when the file is missing
+ */
+export async function sendReportFile(res, filename, notFoundBody) {
+  const storage = getOutputStorage()
+
+  if (!filename || !(await storage.exists(filename))) {
+    console.error('Report file not found in output storage:', filename)
+    return res.status(404).json(notFoundBody)
+  }
+
+  const url = await storage.getDownloadUrl(filename, {
+    downloadName: filename,
+    contentType: 'application/pdf'
+  })
+  if (url) {
+    return res.redirect(302, url)
+  }
+
+  const stream = await storage.createReadStream(filename)
+  if (!stream) {
+    return res.status(404).json(notFoundBody)
+  }
+
+  res.setHeader('Content-Type', 'application/pdf')
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+
+  stream.on('error', (error) => {
+    console.error('Error streaming report file:', error)
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read report file'
+      })
+    } else {
+      res.end()
+    }
+  })
+
+  stream.pipe(res)
+}
@@ -0,0 +1,227 @@
+/**
+ * Side-by-side comparison of two validation runs from the analysis history.
+ *
+ * A comparison diffs the inputs, each methodology's analysis and the
+ * synthesized summaries of a base run (A) and a later run (B). The LLM
+ * delta ("what changed and why it matters", see generateComparisonDelta in
+ * synthesisService.js) and the comparison PDF are kept on
+ * session.comparison for the most recently compared pair only.
+ */
+
+import { findRun, describeRun } from './analysisHistory.js'
+import { resolveArtifacts, deleteArtifacts } from './artifactStore.js'
+import { getOutputStorage } from './outputStorage.js'
+import { diffLines, diffWords, hasChanges } from './textDiff.js'
+
+/**
+ * Inputs shown in the comparison, in display order
+ */
+export const COMPARED_INPUT_FIELDS = [
+  { id: 'description', label: 'Problem statement', get: run => run.inputs?.validationRequest?.description },
+  { id: 'location', label: 'Location / market', get: run => run.inputs?.validationRequest?.location },
+  { id: 'targetCustomer', label: 'Target customer', get: run => run.inputs?.validationRequest?.targetCustomer },
+  { id: 'teamSize', label: 'Team size', get: run => run.inputs?.validationRequest?.teamSize },
+  {
+    id: 'model',
+    label: 'Model',
+    get: run => run.apiConfig?.provider && `${run.apiConfig.provider} / ${run.apiConfig.model}`
+  }
+]
+
+function createComparisonError(message, type) {
+  const err = new Error(message)
+  err.type = type
+  return err
+}
+
+/**
+ * Find both runs of a comparison
+ * @param {object} session
+ * @param {string} baseRunId - Run A
+ * @param {string} targetRunId - Run B
+ * @returns {Promise<{ base: object, target: object }>} Entries as returned by findRun
+ * @throws {Error} COMPARISON_INPUT_ERROR for identical IDs, COMPARISON_NOT_FOUND_ERROR for unknown runs
+ */
+export async function findComparedRuns(session, baseRunId, targetRunId) {
+  if (!baseRunId || !targetRunId || baseRunId === targetRunId) {
+    throw createComparisonError('Two different runs are required for a comparison', 'COMPARISON_INPUT_ERROR')
+  }
+
+  const base = session ? await findRun(session, baseRunId) : null
+  const target = session ? await findRun(session, targetRunId) : null
+  if (!base || !target) {
+    throw createComparisonError('Run not found', 'COMPARISON_NOT_FOUND_ERROR')
+  }
+
+  return { base, target }
+}
+
+/**
+ * Resolved analysis content of a run
+ * @returns {Promise<{ steps: Array<{ id: string, name: string, content: string }>, summary: string }>}
+ */
+async function loadRunContent(session, results) {
+  const steps = []
+  for (const step of results.analysis?.steps || []) {
+    steps.push({
+      id: step.id,
+      name: step.name || step.id,
+      content: (await resolveArtifacts(session, step.result?.content)) || ''
+    })
+  }
+
+  return {
+    steps,
+    summary: (await resolveArtifacts(session, results.summary?.text)) || ''
+  }
+}
+
+/**
+ * Pair up the methodologies of both runs, in run A's order followed by
+ * the ones only run B used
+ */
+function pairMethods(baseSteps, targetSteps) {
+  const targetById = new Map(targetSteps.map(step => [step.id, step]))
+  const pairs = baseSteps.map(step => ({
+    id: step.id,
+    name: step.name,
+    before: step.content,
+    after: targetById.get(step.id)?.content ?? null
+  }))
+
+  for (const step of targetSteps) {
+    if (!baseSteps.some(baseStep => baseStep.id === step.id)) {
+      pairs.push({ id: step.id, name: step.name, before: null, after: step.content })
+    }
+  }
+  return pairs
+}
+
+function getMethodStatus({ before, after }, diff) {
+  if (before === null) return 'added'
+  if (after === null) return 'removed'
+  return hasChanges(diff) ? 'changed' : 'unchanged'
+}
+
+/**
+ * Methodology content of both runs, paired by methodology ID. Used as
+ * the prompt input for the comparison delta.
+ *
+ * @param {object} session
+ * @param {{ base: object, target: object }} runs - From findComparedRuns
+ * @returns {Promise<{ inputChanges: object[], methods: object[], summaries: { before: string, after: string } }>}
+ */
+export async function loadComparedContent(session, { base, target }) {
+  const [baseContent, targetContent] = await Promise.all([
+    loadRunContent(session, base.results),
+    loadRunContent(session, target.results)
+  ])
+
+  const inputChanges = COMPARED_INPUT_FIELDS
+    .map(({ id, label, get }) => ({
+      id,
+      label,
+      before: get(base.results.run) || '',
+      after: get(target.results.run) || ''
+    }))
+    .filter(({ before, after }) => before !== after)
+
+  return {
+    inputChanges,
+    methods: pairMethods(baseContent.steps, targetContent.steps),
+    summaries: { before: baseContent.summary, after: targetContent.summary }
+  }
+}
+
+/**
+ * The comparison kept on the session for a pair of runs, if any
+ * @param {object} session
+ * @param {string} baseRunId
+ * @param {string} targetRunId
+ * @returns {object|null}
+ */
+export function getStoredComparison(session, baseRunId, targetRunId) {
+  const comparison = session?.comparison
+  return comparison?.baseRunId === baseRunId && comparison?.targetRunId === targetRunId
+    ? comparison
+    : null
+}
+
+/**
+ * Make session.comparison hold the given pair, discarding the delta and
+ * PDF of a previously compared pair. The caller saves the session.
+ *
+ * @param {object} session
+ * @param {string} baseRunId
+ * @param {string} targetRunId
+ * @returns {Promise<object>} session.comparison
+ */
+export async function prepareStoredComparison(session, baseRunId, targetRunId) {
+  const existing = getStoredComparison(session, baseRunId, targetRunId)
+  if (existing) {
+    return existing
+  }
+
+  await discardStoredComparison(session)
+  session.comparison = { baseRunId, targetRunId }
+  return session.comparison
+}
+
+/**
+ * Delete the stored comparison with its delta and PDF, e.g. when one of
+ * its runs is deleted. The caller saves the session.
+ * @param {object} session
+ */
+export async function discardStoredComparison(session) {
+  if (!session.comparison) {
+    return
+  }
+
+  await deleteArtifacts(session, session.comparison)
+  if (session.comparison.report?.filename) {
+    await getOutputStorage().remove(session.comparison.report.filename)
+  }
+  delete session.comparison
+}
+
+/**
+ * Build the comparison of two runs: both runs' descriptions, input diffs,
+ * per-methodology line diffs and the synthesized summary diff, plus the
+ * delta when one was generated for this pair.
+ *
+ * @param {object} session
+ * @param {string} baseRunId - Run A
+ * @param {string} targetRunId - Run B
+ * @returns {Promise<object>}
+ */
+export async function compareRuns(session, baseRunId, targetRunId) {
+  const runs = await findComparedRuns(session, baseRunId, targetRunId)
+  const { methods, summaries } = await loadComparedContent(session, runs)
+
+  const inputs = COMPARED_INPUT_FIELDS.map(({ id, label, get }) => {
+    const before = get(runs.base.results.run) || ''
+    const after = get(runs.target.results.run) || ''
+    return { id, label, before, after, changed: before !== after, diff: diffWords(before, after) }
+  })
+
+  const stored = getStoredComparison(session, baseRunId, targetRunId)
+  const delta = stored?.delta
+    ? { ...stored.delta, text: await resolveArtifacts(session, stored.delta.text) }
+    : null
+
+  return {
+    base: describeRun(runs.base.results, runs.base.current),
+    target: describeRun(runs.target.results, runs.target.current),
+    inputs,
+    methods: methods.map(method => {
+      const diff = diffLines(method.before || '', method.after || '')
+      return { id: method.id, name: method.name, status: getMethodStatus(method, diff), diff }
+    }),
+    summary: summaries.before || summaries.after
+      ? { changed: summaries.before !== summaries.after, diff: diffLines(summaries.before, summaries.after) }
+      : null,
+    delta: delta?.text
+      ? { text: delta.text, generatedAt: delta.generatedAt, provider: delta.provider, model: delta.model }
+      : null
+  }
+}
@@ -93,10 +93,15 @@ Be specific and actionable. Ground each idea in the actual problem context provi
  * Generate synthesis and ranking prompt
  */
 export function generateScamperSynthesisPrompt(allIdeas, problemContext) {
-  const ideasByLens = SCAMPER_LENSES.map(lens => ({
-    lens: lens.name,
-    ideas: allIdeas[lens.id] || []
-  }))
+  // Accept either lens result objects ({ ideas, error, ... }) as stored by
+  // executeScamper or plain idea arrays
+  const ideasByLens = SCAMPER_LENSES.map(lens => {
+    const entry = allIdeas[lens.id]
+    return {
+      lens: lens.name,
+      ideas: Array.isArray(entry) ? entry : entry?.ideas || []
+    }
+  })
 
   const ideasText = ideasByLens
     .map(({ lens, ideas }) => {
@@ -4,6 +4,9 @@
  */
 
 import llmService from './llmService.js'
+import { createUsageEntry, assertWithinBudget } from './usageService.js'
+import { getConcurrencyLimit, runWithConcurrency, createSerializedSave } from './concurrency.js'
+import { storeArtifact, resolveArtifacts } from './artifactStore.js'
 import {
   SCAMPER_LENSES,
   generateScamperLensPrompt,
@@ -16,16 +19,21 @@ import {
  * @param {Object} lens - SCAMPER lens configuration
  * @param {Object} problemContext - Problem description and context
  * @param {Object} apiConfig - LLM API configuration
- * @returns {Promise<Array>} Array of solution variations
+ * @returns {Promise<{ ideas: Array, usage: Object }|{ error: true, lens: string, message: string, usage: Object|null }>}
  */
 async function executeLens(lens, problemContext, apiConfig) {
   const prompt = generateScamperLensPrompt(lens, problemContext)
 
+  // Usage is kept even when the response fails to parse: the call was billed
+  let usage = null
+
   try {
     const response = await llmService.analyze(prompt, {
       provider: apiConfig.provider,
       model: apiConfig.model,
+      baseUrl: apiConfig.baseUrl,
       apiKey: apiConfig.apiKey,
+      signal: apiConfig.signal,
       timeoutMs: SCAMPER_EXECUTION_CONFIG.timeoutPerLens,
       metadata: {
         technique: 'scamper',
@@ -33,6 +41,8 @@ async function executeLens(lens, problemContext, apiConfig) {
       }
     })
 
+    usage = createUsageEntry(response)
+
     // Parse JSON response
     const content = response.content.trim()
 
@@ -54,7 +64,7 @@ async function executeLens(lens, problemContext, apiConfig) {
       }
     })
 
-    return ideas
+    return { ideas, usage }
   } catch (error) {
     console.error(`Error executing SCAMPER lens "${lens.name}":`, error)
 
@@ -62,7 +72,8 @@ async function executeLens(lens, problemContext, apiConfig) {
     return {
       error: true,
       lens: lens.id,
-      message: error.message || 'Failed to generate ideas for this lens'
+      message: error.message || 'Failed to generate ideas for this lens',
+      usage
     }
   }
 }
@@ -72,16 +83,20 @@ async function executeLens(lens, problemContext, apiConfig) {
  * @param {Object} allIdeas - Ideas organized by lens ID
  * @param {Object} problemContext - Problem description and context
  * @param {Object} apiConfig - LLM API configuration
- * @returns {Promise<Object>} Synthesis with comparative analysis and top concepts
+ * @returns {Promise<{ synthesis: Object, usage: Object }>} Synthesis with comparative analysis and top concepts
  */
 async function executeSynthesis(allIdeas, problemContext, apiConfig) {
   const prompt = generateScamperSynthesisPrompt(allIdeas, problemContext)
 
+  let usage = null
+
   try {
     const response = await llmService.analyze(prompt, {
       provider: apiConfig.provider,
       model: apiConfig.model,
+      baseUrl: apiConfig.baseUrl,
       apiKey: apiConfig.apiKey,
+      signal: apiConfig.signal,
       timeoutMs: SCAMPER_EXECUTION_CONFIG.timeoutPerLens,
       metadata: {
         technique: 'scamper',
@@ -89,6 +104,8 @@ async function executeSynthesis(allIdeas, problemContext, apiConfig) {
       }
     })
 
+    usage = createUsageEntry(response)
+
     // Parse JSON response
     const content = response.content.trim()
 
@@ -103,21 +120,42 @@ async function executeSynthesis(allIdeas, problemContext, apiConfig) {
       throw new Error('Synthesis missing required fields')
     }
 
-    return synthesis
+    return { synthesis, usage }
   } catch (error) {
     console.error('Error executing SCAMPER synthesis:', error)
+    error.usage = usage
     throw error
   }
 }
 
+/**
+ * Stop a cancelled run between steps, recording the cancellation on results
+ * @param {AbortSignal} [signal]
+ * @param {Object} results - In-progress SCAMPER results
+ */
+function throwIfCancelled(signal, results) {
+  if (!signal?.aborted) return
+
+  results.status = 'cancelled'
+  results.error = 'SCAMPER ideation was cancelled'
+  results.completedAt = new Date().toISOString()
+
+  const err = new Error(results.error)
+  err.type = 'IDEATION_CANCELLED'
+  throw err
+}
+
 /**
  * Execute full SCAMPER analysis
  * @param {Object} session - Express session object
  * @param {string} apiKey - LLM API key (in-memory, not persisted)
  * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<Object>} Complete SCAMPER results
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run between steps when aborted
+ * @returns {Promise<Object>} Complete SCAMPER results, with ideas and synthesis
+ *   resolved (the session keeps artifact references)
  */
-export async function executeScamper(session, apiKey, progressCallback = null) {
+export async function executeScamper(session, apiKey, progressCallback = null, options = {}) {
   // Validate prerequisites
   if (!session?.inputs?.validationRequest?.description) {
     throw new Error('Problem description not found in session')
@@ -138,7 +176,9 @@ export async function executeScamper(session, apiKey, progressCallback = null) {
   const apiConfig = {
     provider: session.apiConfig.provider,
     model: session.apiConfig.model,
-    apiKey
+    baseUrl: session.apiConfig.baseUrl,
+    apiKey,
+    signal: options.signal
   }
 
   // Initialize results structure
@@ -154,48 +194,83 @@ export async function executeScamper(session, apiKey, progressCallback = null) {
     startedAt: new Date().toISOString(),
     lenses: {},
     synthesis: null,
+    synthesisUsage: null,
     completedAt: null
   }
 
-  session.results.ideation.scamper = results
+  // Lens results may be saved concurrently; keep the writes in order
+  const save = createSerializedSave(session)
 
-  // Execute each SCAMPER lens sequentially
-  for (let i = 0; i < SCAMPER_LENSES.length; i++) {
-    const lens = SCAMPER_LENSES[i]
-
-    // Progress callback
-    if (progressCallback) {
-      progressCallback({
-        currentStep: i + 1,
-        totalSteps: SCAMPER_LENSES.length + 1, // +1 for synthesis
-        currentLens: lens.name,
-        status: 'in-progress'
-      })
-    }
+  session.results.ideation.scamper = results
+  await save()
+
+  // Execute lenses up to the provider's concurrency limit (sequential by
+  // default). A cancellation or spent budget stops new lenses from starting.
+  let stopError = null
+
+  await runWithConcurrency(
+    SCAMPER_LENSES,
+    getConcurrencyLimit(apiConfig.provider),
+    async (lens, i) => {
+      try {
+        throwIfCancelled(options.signal, results)
+        // Aborts the whole run; the job failure is recorded on the results
+        assertWithinBudget(session)
+      } catch (error) {
+        stopError = stopError || error
+        return
+      }
 
-    try {
-      const ideas = await executeLens(lens, problemContext, apiConfig)
-      results.lenses[lens.id] = {
-        name: lens.name,
-        description: lens.description,
-        ideas: ideas.error ? [] : ideas,
-        error: ideas.error ? ideas.message : null,
-        executedAt: new Date().toISOString()
+      // Progress callback
+      if (progressCallback) {
+        progressCallback({
+          currentStep: i + 1,
+          totalSteps: SCAMPER_LENSES.length + 1, // +1 for synthesis
+          currentLens: lens.name,
+          status: 'in-progress'
+        })
       }
-    } catch (error) {
-      results.lenses[lens.id] = {
-        name: lens.name,
-        description: lens.description,
-        ideas: [],
-        error: error.message,
-        executedAt: new Date().toISOString()
+
+      try {
+        const outcome = await executeLens(lens, problemContext, apiConfig)
+        results.lenses[lens.id] = {
+          name: lens.name,
+          description: lens.description,
+          // Ideas live in the artifact store; the session keeps a reference
+          ideas: outcome.error
+            ? []
+            : await storeArtifact(session, `scamper/lenses/${lens.id}/ideas`, outcome.ideas),
+          error: outcome.error ? outcome.message : null,
+          usage: outcome.usage,
+          executedAt: new Date().toISOString()
+        }
+      } catch (error) {
+        results.lenses[lens.id] = {
+          name: lens.name,
+          description: lens.description,
+          ideas: [],
+          error: error.message,
+          executedAt: new Date().toISOString()
+        }
       }
+
+      // Update session so background progress is visible to status polling
+      session.results.ideation.scamper = results
+      await save()
+    },
+    {
+      shouldStop: () => stopError !== null || !!options.signal?.aborted,
+      provider: apiConfig.provider
     }
+  )
 
-    // Update session
-    session.results.ideation.scamper = results
+  if (stopError) {
+    throw stopError
   }
 
+  throwIfCancelled(options.signal, results)
+  assertWithinBudget(session)
+
   // Execute synthesis
   if (progressCallback) {
     progressCallback({
@@ -207,11 +282,17 @@ export async function executeScamper(session, apiKey, progressCallback = null) {
   }
 
   try {
-    const synthesis = await executeSynthesis(results.lenses, problemContext, apiConfig)
-    results.synthesis = synthesis
+    const { synthesis, usage } = await executeSynthesis(
+      await resolveArtifacts(session, results.lenses),
+      problemContext,
+      apiConfig
+    )
+    results.synthesis = await storeArtifact(session, 'scamper/synthesis', synthesis)
+    results.synthesisUsage = usage
     results.status = 'completed'
   } catch (error) {
     console.error('SCAMPER synthesis failed:', error)
+    results.synthesisUsage = error.usage || null
     results.synthesis = {
       error: true,
       message: 'Failed to synthesize and rank ideas'
@@ -221,6 +302,7 @@ export async function executeScamper(session, apiKey, progressCallback = null) {
 
   results.completedAt = new Date().toISOString()
   session.results.ideation.scamper = results
+  await save()
 
   // Final progress callback
   if (progressCallback) {
@@ -232,7 +314,7 @@ export async function executeScamper(session, apiKey, progressCallback = null) {
     })
   }
 
-  return results
+  return resolveArtifacts(session, results)
 }
 
 export default {
@@ -0,0 +1,174 @@
+/**
+ * Session export/import as a portable JSON bundle.
+ *
+ * A bundle carries everything needed to reopen a validation in another
+ * session or on another server: inputs, the API configuration without
+ * secrets, analysis steps with their content, the summary, the consistency
+ * check and ideation results. Generated files and job bookkeeping are left out; PDFs are
+ * regenerated from the restored data when they are downloaded.
+ */
+
+import { resolveArtifacts, storeArtifact } from './artifactStore.js'
+import { createRun } from './analysisHistory.js'
+
+export const BUNDLE_FORMAT = 'problem-validator-session'
+export const BUNDLE_VERSION = 1
+
+// The API key is never on the session; everything else in apiConfig is
+// copied field by field so future secrets are not exported by accident
+export const BUNDLE_API_CONFIG_FIELDS = ['email', 'provider', 'model', 'baseUrl', 'budgetUsd']
+
+const ANALYSIS_FIELDS = ['status', 'methods', 'startedAt', 'completedAt', 'error']
+const STEP_FIELDS = ['id', 'name', 'status', 'attempts', 'lastError', 'usage']
+// Raw provider responses are debugging data, not part of the result
+const STEP_RESULT_FIELDS = ['content', 'provider', 'model', 'usage', 'structured', 'structuredAttempts', 'structuredError']
+const SUMMARY_FIELDS = ['text', 'generatedAt', 'provider', 'model', 'usage', 'strategy', 'citations', 'scorecard', 'scorecardError']
+const CONSISTENCY_FIELDS = ['claims', 'clusters', 'contradictions', 'attempts', 'error', 'generatedAt', 'provider', 'model', 'usage']
+
+function pick(source, fields) {
+  const picked = {}
+  for (const field of fields) {
+    if (source?.[field] !== undefined) {
+      picked[field] = source[field]
+    }
+  }
+  return picked
+}
+
+function exportAnalysis(analysis) {
+  if (!analysis) return null
+
+  return {
+    ...pick(analysis, ANALYSIS_FIELDS),
+    steps: (analysis.steps || []).map(step => {
+      return {
+        ...pick(step, STEP_FIELDS),
+        result: step.result ? pick(step.result, STEP_RESULT_FIELDS) : null
+      }
+    })
+  }
+}
+
+function exportIdeation(results) {
+  if (!results) return null
+
+  const exported = { ...results }
+  delete exported.jobId
+  return exported
+}
+
+/**
+ * Build the export bundle for a session
+ * @param {object} session
+ * @returns {Promise<object>} JSON-serializable bundle
+ */
+export async function exportSessionBundle(session) {
+  // Bundles hold content, not references into this server's artifact store
+  const results = await resolveArtifacts(session, session.results || {})
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    inputs: session.inputs || {},
+    apiConfig: pick(session.apiConfig, BUNDLE_API_CONFIG_FIELDS),
+    results: {
+      analysis: exportAnalysis(results.analysis),
+      summary: results.summary
+        ? pick(results.summary, SUMMARY_FIELDS)
+        : null,
+      consistency: results.consistency
+        ? pick(results.consistency, CONSISTENCY_FIELDS)
+        : null,
+      ideation: {
+        scamper: exportIdeation(results.ideation?.scamper),
+        sit: exportIdeation(results.ideation?.sit)
+      }
+    }
+  }
+}
+
+async function restoreIdeation(session, technique, results, groupField) {
+  if (!results) return null
+
+  const groups = {}
+  for (const [id, group] of Object.entries(results[groupField] || {})) {
+    groups[id] = {
+      ...group,
+      ideas: group.error || !Array.isArray(group.ideas)
+        ? []
+        : await storeArtifact(session, `${technique}/${groupField}/${id}/ideas`, group.ideas)
+    }
+  }
+
+  const restored = { ...results }
+  delete restored.jobId
+
+  return {
+    ...restored,
+    [groupField]: groups,
+    // Failed syntheses are kept inline as { error, message }, like the services do
+    synthesis: results.synthesis && !results.synthesis.error
+      ? await storeArtifact(session, `${technique}/synthesis`, results.synthesis)
+      : results.synthesis ?? null
+  }
+}
+
+/**
+ * Restore a validated bundle onto a session, moving content into the
+ * artifact store under the same keys the services use. The session must
+ * already have its id.
+ *
+ * @param {object} session - Session to overwrite (inputs, apiConfig, results)
+ * @param {object} bundle - Bundle accepted by validateSessionBundle
+ * @returns {Promise<object>} The session
+ */
+export async function restoreSessionBundle(session, bundle) {
+  const { analysis, summary, consistency, ideation } = bundle.results || {}
+
+  session.inputs = bundle.inputs || {}
+  session.apiConfig = pick(bundle.apiConfig, BUNDLE_API_CONFIG_FIELDS)
+  // A run of its own, so artifacts below are stored under its ID
+  session.results = { run: createRun(session) }
+
+  if (analysis) {
+    const steps = []
+    for (const step of analysis.steps) {
+      steps.push({
+        ...pick(step, STEP_FIELDS),
+        result: step.result
+          ? {
+              ...pick(step.result, STEP_RESULT_FIELDS),
+              content: await storeArtifact(session, `analysis/${step.id}/content`, step.result.content ?? ''),
+              structured: step.result.structured
+                ? await storeArtifact(session, `analysis/${step.id}/structured`, step.result.structured)
+                : null
+            }
+          : null
+      })
+    }
+    session.results.analysis = { ...pick(analysis, ANALYSIS_FIELDS), steps, files: [] }
+  }
+
+  if (summary) {
+    session.results.summary = {
+      ...pick(summary, SUMMARY_FIELDS),
+      text: await storeArtifact(session, 'summary/text', summary.text)
+    }
+  }
+
+  if (consistency) {
+    session.results.consistency = pick(consistency, CONSISTENCY_FIELDS)
+  }
+
+  const scamper = await restoreIdeation(session, 'scamper', ideation?.scamper, 'lenses')
+  const sit = await restoreIdeation(session, 'sit', ideation?.sit, 'tools')
+  if (scamper || sit) {
+    session.results.ideation = {
+      ...(scamper ? { scamper } : {}),
+      ...(sit ? { sit } : {})
+    }
+  }
+
+  return session
+}
@@ -3,9 +3,19 @@
  */
 
 import { getSessionStore, createSession } from './sessionStore.js'
+import { getFileCleanupService } from './fileCleanupService.js'
+import { exportSessionBundle, restoreSessionBundle } from './sessionBundle.js'
+import { hasActiveRun } from './analysisHistory.js'
+import { validateSessionBundle } from './validators/sessionBundleValidator.js'
 
 const SESSION_COOKIE_NAME = 'validator_session_id'
 
+/**
+ * Top-level session fields PUT /api/session may change. Everything else
+ * (results, apiConfig, meta, timestamps, version) is written by the server.
+ */
+const CLIENT_WRITABLE_FIELDS = ['inputs', 'user']
+
 /**
  * Cookie configuration
  */
@@ -51,90 +61,148 @@ export function getSessionIdFromCookie(req) {
 }
 
 /**
- * Session middleware for Express
- * Loads session from store and attaches to req.session
- * Creates new session if none exists
- *
- * @param {object} options - Middleware options
- * @param {boolean} options.autoCreate - Auto-create session if none exists (default: false)
- * @param {boolean} options.touchOnAccess - Refresh TTL on each access (default: true)
- * @returns {Function} Express middleware
+ * ETag for a session version
+ * @param {number} version
+ * @returns {string}
  */
-export function sessionMiddleware(options = {}) {
-  const {
-    autoCreate = false,
-    touchOnAccess = true
-  } = options
+export function sessionEtag(version) {
+  return `"${version}"`
+}
 
-  return async (req, res, next) => {
-    const store = getSessionStore()
+/**
+ * Read the version a client based its update on, from If-Match (preferred)
+ * or `expectedVersion` in the body.
+ * @param {Request} req - Express request object
+ * @returns {number|null} Expected version, or null for an unconditional write
+ * @throws {Error} When the header or field is malformed
+ */
+export function getExpectedVersion(req) {
+  const ifMatch = req.get?.('if-match')
 
-    // Parse cookies if not already parsed
-    if (!req.cookies) {
-      console.warn('Session middleware: cookie-parser not detected. Install and use cookie-parser middleware.')
-      req.cookies = {}
+  if (ifMatch != null) {
+    if (ifMatch.trim() === '*') {
+      return null
     }
+    const match = /^\s*(?:W\/)?"(\d+)"\s*$/.exec(ifMatch)
+    if (!match) {
+      throw new Error('If-Match must be a single session ETag such as "3"')
+    }
+    return parseInt(match[1], 10)
+  }
 
-    // Get session ID from cookie
-    let sessionId = getSessionIdFromCookie(req)
-
-    // Try to load existing session
-    if (sessionId) {
-      const session = await store.get(sessionId)
-
-      if (session) {
-        req.sessionId = sessionId
-        req.session = session
+  const expected = req.body?.expectedVersion
+  if (expected == null) {
+    return null
+  }
+  if (!Number.isInteger(expected) || expected < 1) {
+    throw new Error('expectedVersion must be a positive integer')
+  }
+  return expected
+}
 
-        // Touch session to extend TTL
-        if (touchOnAccess) {
-          await store.touch(sessionId)
-        }
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
 
-        // Add save helper
-        req.session.save = async () => {
-          await store.set(sessionId, req.session)
-        }
+/**
+ * Load the session named by the cookie onto the request, creating one when
+ * autoCreate is set. Store errors propagate to the caller.
+ */
+async function attachSession(req, res, { autoCreate, touchOnAccess }) {
+  const store = getSessionStore()
 
-        // Add destroy helper
-        req.session.destroy = async () => {
-          await store.del(sessionId)
-          clearSessionCookie(res)
-          req.sessionId = null
-          req.session = null
-        }
+  // Parse cookies if not already parsed
+  if (!req.cookies) {
+    console.warn('Session middleware: cookie-parser not detected. Install and use cookie-parser middleware.')
+    req.cookies = {}
+  }
 
-        return next()
-      }
-    }
+  // Get session ID from cookie
+  let sessionId = getSessionIdFromCookie(req)
 
-    // Auto-create session if enabled
-    if (autoCreate) {
-      const newSession = createSession({
-        meta: {
-          userAgent: req.get('user-agent'),
-          ip: req.ip
-        }
-      })
+  // Try to load existing session
+  if (sessionId) {
+    const session = await store.get(sessionId)
 
-      sessionId = await store.set(null, newSession)
+    if (session) {
       req.sessionId = sessionId
-      req.session = await store.get(sessionId)
+      req.session = session
 
-      // Set cookie
-      createSessionCookie(res, sessionId)
+      // Touch session to extend TTL
+      if (touchOnAccess) {
+        await store.touch(sessionId)
+      }
 
-      // Add helpers
+      // Add save helper
       req.session.save = async () => {
         await store.set(sessionId, req.session)
       }
 
+      // Add destroy helper
       req.session.destroy = async () => {
         await store.del(sessionId)
         clearSessionCookie(res)
         req.sessionId = null
         req.session = null
       }
+
+      return
+    }
+  }
+
+  // Auto-create session if enabled
+  if (autoCreate) {
+    const newSession = createSession({
+      meta: {
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      }
+    })
+
+    sessionId = await store.set(null, newSession)
+    req.sessionId = sessionId
+    req.session = await store.get(sessionId)
+
+    // Set cookie
+    createSessionCookie(res, sessionId)
+
+    // Add helpers
+    req.session.save = async () => {
+      await store.set(sessionId, req.session)
+    }
+
+    req.session.destroy = async () => {
+      await store.del(sessionId)
+      clearSessionCookie(res)
+      req.sessionId = null
+      req.session = null
+    }
+  }
+}
+
+/**
+ * Session middleware for Express
+ * Loads session from store and attaches to req.session
+ * Creates new session if none exists
+ *
+ * @param {object} options - Middleware options
+ * @param {boolean} options.autoCreate - Auto-create session if none exists (default: false)
+ * @param {boolean} options.touchOnAccess - Refresh TTL on each access (default: true)
+ * @returns {Function} Express middleware
+ */
+export function sessionMiddleware(options = {}) {
+  const {
+    autoCreate = false,
+    touchOnAccess = true
+  } = options
+
+  return async (req, res, next) => {
+    try {
+      await attachSession(req, res, { autoCreate, touchOnAccess })
+    } catch (error) {
+      // Hand store failures (e.g. Redis unreachable) to the error handler
+      // instead of leaving the request hanging
+      return next(error)
     }
 
     next()
@@ -157,6 +225,27 @@ export function requireSession() {
   }
 }
 
+/**
+ * Express 4 does not catch rejected promises from async handlers; pass
+ * their errors to the error handler instead of crashing the process
+ */
+function forwardErrors(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next)
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+function sendSessionTooLarge(res, error) {
+  return res.status(413).json({
+    error: 'Payload Too Large',
+    message: error.message
+  })
+}
+
 /**
  * Session route helpers
  */
@@ -164,7 +253,7 @@ export const sessionRoutes = {
   /**
    * Create a new session
    */
-  create: async (req, res) => {
+  create: forwardErrors(async (req, res) => {
     const store = getSessionStore()
 
     const sessionData = createSession({
@@ -186,12 +275,12 @@ export const sessionRoutes = {
       sessionId,
       session
     })
-  },
+  }),
 
   /**
    * Get current session
    */
-  get: async (req, res) => {
+  get: forwardErrors(async (req, res) => {
     if (!req.session) {
       return res.status(404).json({
         error: 'Not Found',
@@ -199,17 +288,22 @@ export const sessionRoutes = {
       })
     }
 
+    res.set('ETag', sessionEtag(req.session.version))
     res.json({
       success: true,
       sessionId: req.sessionId,
       session: req.session
     })
-  },
+  }),
 
   /**
    * Update current session
+   *
+   * Only CLIENT_WRITABLE_FIELDS are accepted; object fields are merged one
+   * level deep. Send the version the update is based on as If-Match or
+   * `expectedVersion` to get 409 instead of overwriting a newer write.
    */
-  update: async (req, res) => {
+  update: forwardErrors(async (req, res) => {
     if (!req.session) {
       return res.status(404).json({
         error: 'Not Found',
@@ -218,29 +312,69 @@ export const sessionRoutes = {
     }
 
     const store = getSessionStore()
-    const updates = req.body
+    const updates = { ...req.body }
+    delete updates.expectedVersion
+
+    const readOnly = Object.keys(updates).filter(field => !CLIENT_WRITABLE_FIELDS.includes(field))
+    if (readOnly.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Fields cannot be updated by clients: ${readOnly.join(', ')}`
+      })
+    }
+
+    let expectedVersion
+    try {
+      expectedVersion = getExpectedVersion(req)
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      })
+    }
 
     // Merge updates
     const updatedSession = {
       ...req.session,
-      ...updates,
       updatedAt: new Date().toISOString()
     }
+    for (const [field, value] of Object.entries(updates)) {
+      updatedSession[field] = isPlainObject(value) && isPlainObject(req.session[field])
+        ? { ...req.session[field], ...value }
+        : value
+    }
+
+    try {
+      await store.set(req.sessionId, updatedSession, undefined, { expectedVersion })
+    } catch (error) {
+      if (error.type === 'SESSION_VERSION_CONFLICT') {
+        res.set('ETag', sessionEtag(error.currentVersion))
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Session was changed by another request; reload it and retry',
+          version: error.currentVersion
+        })
+      }
+      if (error.type === 'SESSION_SIZE_ERROR') {
+        return sendSessionTooLarge(res, error)
+      }
+      throw error
+    }
 
-    await store.set(req.sessionId, updatedSession)
     req.session = await store.get(req.sessionId)
 
+    res.set('ETag', sessionEtag(req.session.version))
     res.json({
       success: true,
       sessionId: req.sessionId,
       session: req.session
     })
-  },
+  }),
 
   /**
    * Destroy current session
    */
-  destroy: async (req, res) => {
+  destroy: forwardErrors(async (req, res) => {
     if (!req.session) {
       return res.status(404).json({
         error: 'Not Found',
@@ -254,20 +388,94 @@ export const sessionRoutes = {
       success: true,
       message: 'Session destroyed'
     })
-  },
+  }),
+
+  /**
+   * Download the current session as a portable JSON bundle
+   */
+  exportBundle: forwardErrors(async (req, res) => {
+    if (!req.session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No active session'
+      })
+    }
+
+    if (hasActiveRun(req.session)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Wait for the running analysis or ideation to finish before exporting'
+      })
+    }
+
+    const bundle = await exportSessionBundle(req.session)
+
+    res.set('Content-Disposition', `attachment; filename="validation-${bundle.exportedAt.slice(0, 10)}.json"`)
+    res.json(bundle)
+  }),
+
+  /**
+   * Restore an exported bundle into a new session and switch the cookie to
+   * it. The previous session is left to expire.
+   */
+  importBundle: forwardErrors(async (req, res) => {
+    const validation = validateSessionBundle(req.body)
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validation.error,
+        details: validation.details
+      })
+    }
+
+    const store = getSessionStore()
+    const sessionId = await store.set(null, createSession({
+      meta: {
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        source: 'import',
+        exportedAt: req.body.exportedAt || null
+      }
+    }))
+
+    const session = await store.get(sessionId)
+    try {
+      await restoreSessionBundle(session, req.body)
+      await store.set(sessionId, session)
+    } catch (error) {
+      // Don't leave the half-restored session (and its artifacts) behind
+      await store.del(sessionId)
+      if (error.type === 'SESSION_SIZE_ERROR') {
+        return sendSessionTooLarge(res, error)
+      }
+      throw error
+    }
+
+    const imported = await store.get(sessionId)
+    createSessionCookie(res, sessionId)
+
+    res.set('ETag', sessionEtag(imported.version))
+    res.status(201).json({
+      success: true,
+      sessionId,
+      session: imported
+    })
+  }),
 
   /**
    * Get session store statistics
    */
-  stats: async (req, res) => {
+  stats: forwardErrors(async (req, res) => {
     const store = getSessionStore()
     const stats = await store.stats()
+    const files = await getFileCleanupService().stats()
 
     res.json({
       success: true,
-      stats
+      stats,
+      files
     })
-  }
+  })
 }
 
 export default sessionMiddleware
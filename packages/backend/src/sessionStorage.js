@@ -0,0 +1,244 @@
+/**
+ * Storage adapters for SessionStore.
+ *
+ * An adapter holds session entries ({ session, expiresAt, lastAccessed })
+ * by id. Lookups and iteration are synchronous so TTL checks and eviction
+ * scans stay cheap; writes and removals return promises so durable
+ * adapters can persist them.
+ *
+ * - MemoryStorageAdapter: a Map; everything is lost on restart.
+ * - FileStorageAdapter: the same Map as a read cache, with every entry
+ *   mirrored to one JSON file in a data directory. Files are loaded back
+ *   on startup, so sessions survive restarts and deploys.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * Error thrown by a store's set() when `expectedVersion` no longer matches
+ * the stored session, i.e. another write happened in between.
+ *
+ * @param {number} currentVersion - Version currently stored
+ * @returns {Error} Error with type SESSION_VERSION_CONFLICT
+ */
+export function createVersionConflictError(currentVersion) {
+  const err = new Error(`Session version conflict: stored version is ${currentVersion}`)
+  err.type = 'SESSION_VERSION_CONFLICT'
+  err.currentVersion = currentVersion
+  return err
+}
+
+/**
+ * Error thrown by a store's set() when the serialized session is larger
+ * than the 1MB limit. Routes answer it with 413.
+ *
+ * @returns {Error} Error with type SESSION_SIZE_ERROR
+ */
+export function createSessionSizeError() {
+  const err = new Error('Session size exceeds 1MB limit')
+  err.type = 'SESSION_SIZE_ERROR'
+  err.status = 413
+  return err
+}
+
+export class MemoryStorageAdapter {
+  constructor() {
+    this.entries = new Map()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|undefined} Entry for the id
+   */
+  get(id) {
+    return this.entries.get(id)
+  }
+
+  has(id) {
+    return this.entries.has(id)
+  }
+
+  /**
+   * Iterate [id, entry] pairs
+   */
+  [Symbol.iterator]() {
+    return this.entries.entries()
+  }
+
+  async write(id, entry) {
+    this.entries.set(id, entry)
+  }
+
+  async remove(id) {
+    return this.entries.delete(id)
+  }
+
+  async clear() {
+    this.entries.clear()
+  }
+
+  /**
+   * Release resources; in-memory data is discarded
+   */
+  close() {
+    this.entries.clear()
+  }
+}
+
+/**
+ * Map a session id to a name usable as a file or directory name; ids that
+ * are not filename-safe are hashed.
+ */
+export function toSafeName(id) {
+  return /^[A-Za-z0-9_-]{1,128}$/.test(id)
+    ? id
+    : crypto.createHash('sha256').update(String(id)).digest('hex')
+}
+
+function toFilename(id) {
+  return `${toSafeName(id)}.json`
+}
+
+export class FileStorageAdapter extends MemoryStorageAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - Directory holding one JSON file per session
+   */
+  constructor(options = {}) {
+    super()
+
+    if (!options.dataDir) {
+      throw new Error('FileStorageAdapter requires a dataDir')
+    }
+
+    this.dataDir = path.resolve(options.dataDir)
+    // Per-session promise chains so writes and removals land in call order
+    this.queues = new Map()
+
+    fs.mkdirSync(this.dataDir, { recursive: true })
+    this._load()
+  }
+
+  /**
+   * Read persisted entries, dropping expired and unreadable files.
+   * @private
+   */
+  _load() {
+    const now = Date.now()
+
+    for (const file of fs.readdirSync(this.dataDir)) {
+      if (!file.endsWith('.json')) continue
+
+      const filepath = path.join(this.dataDir, file)
+
+      try {
+        const { id, entry } = JSON.parse(fs.readFileSync(filepath, 'utf8'))
+
+        if (typeof id !== 'string' || !entry?.session) {
+          throw new Error('missing id or session')
+        }
+
+        if (entry?.expiresAt && new Date(entry.expiresAt).getTime() < now) {
+          fs.rmSync(filepath, { force: true })
+          continue
+        }
+
+        this.entries.set(id, entry)
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn(`Skipping unreadable session file ${file}:`, error.message)
+      }
+    }
+  }
+
+  /**
+   * Run an operation after earlier ones for the same id.
+   * @private
+   */
+  _enqueue(id, operation) {
+    const previous = this.queues.get(id) || Promise.resolve()
+    const next = previous.then(operation)
+    const tail = next.catch(() => {})
+
+    this.queues.set(id, tail)
+    tail.then(() => {
+      if (this.queues.get(id) === tail) {
+        this.queues.delete(id)
+      }
+    })
+
+    return next
+  }
+
+  async write(id, entry) {
+    this.entries.set(id, entry)
+
+    // Serialize now so later in-memory changes do not leak into this write
+    const data = JSON.stringify({ id, entry })
+    const filepath = path.join(this.dataDir, toFilename(id))
+
+    await this._enqueue(id, async () => {
+      // Write then rename so a crash never leaves a half-written file
+      const tmpPath = `${filepath}.tmp`
+      await fs.promises.writeFile(tmpPath, data, 'utf8')
+      await fs.promises.rename(tmpPath, filepath)
+    })
+  }
+
+  async remove(id) {
+    const deleted = this.entries.delete(id)
+
+    if (deleted) {
+      const filepath = path.join(this.dataDir, toFilename(id))
+      await this._enqueue(id, () => fs.promises.rm(filepath, { force: true }))
+    }
+
+    return deleted
+  }
+
+  async clear() {
+    await Promise.all([...this.entries.keys()].map(id => this.remove(id)))
+  }
+
+  /**
+   * Wait for pending writes and removals to reach disk
+   */
+  async flush() {
+    await Promise.all([...this.queues.values()])
+  }
+
+  /**
+   * Drop the in-memory cache; persisted sessions stay on disk
+   */
+  close() {
+    this.entries.clear()
+  }
+}
+
+/**
+ * Create the adapter selected by SessionStore options.
+ *
+ * @param {object} [options]
+ * @param {'memory'|'file'} [options.storage='memory']
+ * @param {string} [options.dataDir] - Required for 'file'
+ * @returns {MemoryStorageAdapter}
+ */
+export function createStorageAdapter(options = {}) {
+  const storage = options.storage || 'memory'
+
+  if (storage === 'memory') {
+    return new MemoryStorageAdapter()
+  }
+
+  if (storage === 'file') {
+    return new FileStorageAdapter({ dataDir: options.dataDir })
+  }
+
+  throw new Error(`Unknown session storage "${storage}"; use "memory" or "file"`)
+}
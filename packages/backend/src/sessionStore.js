@@ -1,9 +1,16 @@
 /**
- * In-memory session store with TTL support and eviction policies.
+ * Session store with TTL support and eviction policies.
  * This module provides a Redis-compatible API for easy migration.
+ *
+ * Entries live in a storage adapter (see sessionStorage.js): in memory by
+ * default, or mirrored to JSON files with `storage: 'file'` so sessions
+ * survive restarts. `storage: 'redis'` swaps in RedisSessionStore, which
+ * shares sessions between backend instances.
  */
 
 import crypto from 'crypto'
+import { createStorageAdapter, createSessionSizeError, createVersionConflictError } from './sessionStorage.js'
+import { RedisSessionStore } from './redisSessionStore.js'
 
 class SessionStore {
   constructor(options = {}) {
@@ -11,8 +18,12 @@ class SessionStore {
     this.defaultTTLMs = options.defaultTTLMs || 24 * 60 * 60 * 1000 // 24 hours
     this.evictionPolicy = options.evictionPolicy || 'lru' // 'lru' or 'ttl'
 
-    // Core storage
-    this.sessions = new Map()
+    // Core storage: a custom adapter, or one selected by options.storage
+    this.sessions = options.adapter || createStorageAdapter(options)
+
+    // Called with the id of every deleted, evicted or expired session, e.g.
+    // to drop its artifacts (see artifactStore.js)
+    this.onRemove = options.onRemove || null
 
     // Metrics
     this.metrics = {
@@ -62,13 +73,17 @@ class SessionStore {
   }
 
   /**
-   * Set/create a session
+   * Set/create a session. Every write stores the next version number
+   * (the stored version + 1); the version on `session` itself is ignored.
    * @param {string} id - Session ID (optional, will generate if not provided)
    * @param {object} session - Session data
    * @param {number} ttlMs - Time to live in milliseconds (optional)
+   * @param {object} [options]
+   * @param {number} [options.expectedVersion] - Only write if the stored version matches
    * @returns {Promise<string>} Session ID
+   * @throws {Error} SESSION_VERSION_CONFLICT when expectedVersion does not match
    */
-  async set(id, session, ttlMs) {
+  async set(id, session, ttlMs, options = {}) {
     if (!id) {
       id = this.generateId()
     }
@@ -80,7 +95,7 @@ class SessionStore {
     // Validate session size
     const sessionSize = JSON.stringify(session).length
     if (sessionSize > 1024 * 1024) { // 1MB limit
-      throw new Error('Session size exceeds 1MB limit')
+      throw createSessionSizeError()
     }
 
     // Check if we need to evict
@@ -88,6 +103,13 @@ class SessionStore {
       await this._evict()
     }
 
+    // No await between this check and the write below, so nothing can
+    // slip in between them
+    const currentVersion = this.sessions.get(id)?.session.version || 0
+    if (options.expectedVersion != null && options.expectedVersion !== currentVersion) {
+      throw createVersionConflictError(currentVersion)
+    }
+
     // Create session entry
     const entry = {
       session: {
@@ -95,13 +117,14 @@ class SessionStore {
         id,
         createdAt: session.createdAt || now.toISOString(),
         updatedAt: now.toISOString(),
-        expiresAt: expiresAt.toISOString()
+        expiresAt: expiresAt.toISOString(),
+        version: currentVersion + 1
       },
       expiresAt: expiresAt.toISOString(),
       lastAccessed: Date.now()
     }
 
-    this.sessions.set(id, entry)
+    await this.sessions.write(id, entry)
     this.metrics.sets++
 
     return id
@@ -113,9 +136,10 @@ class SessionStore {
    * @returns {Promise<boolean>} True if deleted, false if not found
    */
   async del(id) {
-    const deleted = this.sessions.delete(id)
+    const deleted = await this.sessions.remove(id)
     if (deleted) {
       this.metrics.deletes++
+      this._notifyRemoved(id)
     }
     return deleted
   }
@@ -125,7 +149,9 @@ class SessionStore {
    * @returns {Promise<void>}
    */
   async clear() {
-    this.sessions.clear()
+    const ids = await this.keys()
+    await this.sessions.clear()
+    ids.forEach(id => this._notifyRemoved(id))
   }
 
   /**
@@ -161,9 +187,19 @@ class SessionStore {
     entry.session.updatedAt = new Date().toISOString()
     entry.lastAccessed = Date.now()
 
+    await this.sessions.write(id, entry)
+
     return true
   }
 
+  /**
+   * List stored session IDs (including ones not yet swept after expiry)
+   * @returns {Promise<string[]>} Session IDs
+   */
+  async keys() {
+    return [...this.sessions].map(([id]) => id)
+  }
+
   /**
    * Check if a session exists
    * @param {string} id - Session ID
@@ -174,6 +210,21 @@ class SessionStore {
     return session !== null
   }
 
+  /**
+   * Run the onRemove callback without letting its failures affect the store
+   * @private
+   */
+  _notifyRemoved(id) {
+    if (!this.onRemove) return
+
+    Promise.resolve()
+      .then(() => this.onRemove(id))
+      .catch(error => {
+        // eslint-disable-next-line no-console
+        console.error('Error in session onRemove callback:', error)
+      })
+  }
+
   /**
    * Clean up expired sessions
    * @private
@@ -182,9 +233,14 @@ class SessionStore {
     const now = new Date()
     let cleaned = 0
 
-    for (const [id, entry] of this.sessions.entries()) {
+    for (const [id, entry] of [...this.sessions]) {
       if (entry.expiresAt && new Date(entry.expiresAt) < now) {
-        this.sessions.delete(id)
+        // Removed from the adapter's index immediately; persistence is async
+        this.sessions.remove(id).catch(error => {
+          // eslint-disable-next-line no-console
+          console.error('Error removing expired session:', error)
+        })
+        this._notifyRemoved(id)
         cleaned++
       }
     }
@@ -207,7 +263,7 @@ class SessionStore {
       // Find least recently used
       let oldestAccess = Infinity
 
-      for (const [id, entry] of this.sessions.entries()) {
+      for (const [id, entry] of this.sessions) {
         if (entry.lastAccessed < oldestAccess) {
           oldestAccess = entry.lastAccessed
           victimId = id
@@ -217,7 +273,7 @@ class SessionStore {
       // Find soonest to expire
       let soonestExpiry = new Date(8640000000000000) // Max date
 
-      for (const [id, entry] of this.sessions.entries()) {
+      for (const [id, entry] of this.sessions) {
         const expiry = new Date(entry.expiresAt)
         if (expiry < soonestExpiry) {
           soonestExpiry = expiry
@@ -227,19 +283,20 @@ class SessionStore {
     }
 
     if (victimId) {
-      this.sessions.delete(victimId)
+      await this.sessions.remove(victimId)
       this.metrics.evictions++
+      this._notifyRemoved(victimId)
     }
   }
 
   /**
-   * Destroy the store and cleanup
+   * Destroy the store and cleanup. Durable adapters keep their data.
    */
   destroy() {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval)
     }
-    this.sessions.clear()
+    this.sessions.close()
   }
 }
 
@@ -248,15 +305,18 @@ let storeInstance = null
 
 /**
  * Initialize the session store
- * @param {object} options - Configuration options
- * @returns {SessionStore} Store instance
+ * @param {object} options - Configuration options; `storage: 'redis'`
+ *   (with `redisUrl`) returns a RedisSessionStore
+ * @returns {SessionStore|RedisSessionStore} Store instance
  */
 export function initSessionStore(options = {}) {
   if (storeInstance) {
     storeInstance.destroy()
   }
 
-  storeInstance = new SessionStore(options)
+  storeInstance = options.storage === 'redis'
+    ? new RedisSessionStore(options)
+    : new SessionStore(options)
   return storeInstance
 }
 
@@ -271,6 +331,76 @@ export function getSessionStore() {
   return storeInstance
 }
 
+// Conflicting writes a scoped save retries before giving up
+const MAX_SCOPED_SAVE_ATTEMPTS = 5
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Copy of object with the value at keys replaced (removed when undefined),
+// copying only the objects along the path
+function withPath(object, keys, value) {
+  const [key, ...rest] = keys
+  const copy = isPlainObject(object) ? { ...object } : {}
+
+  if (rest.length > 0) {
+    copy[key] = withPath(copy[key], rest, value)
+  } else if (value === undefined) {
+    delete copy[key]
+  } else {
+    copy[key] = value
+  }
+
+  return copy
+}
+
+/**
+ * Make session.save() write only the given subtrees of the session.
+ *
+ * Background jobs hold the session they were queued with. Writing it back
+ * whole would undo whatever else changed meanwhile (another job's results,
+ * inputs saved from another request), so each save re-reads the stored
+ * session, replaces the job's own subtrees and writes it only if nothing
+ * else was written in between, retrying otherwise.
+ *
+ * Sessions without a save() (not backed by the store) are left alone.
+ *
+ * @param {object} session - Session the job works on
+ * @param {string[]} paths - Dot-separated subtrees the job owns, e.g. 'results.analysis'
+ */
+export function scopeSessionSaves(session, paths) {
+  if (typeof session?.save !== 'function') {
+    return
+  }
+
+  session.save = async () => {
+    const store = getSessionStore()
+
+    for (let attempt = 1; ; attempt++) {
+      const stored = await store.get(session.id)
+      if (!stored) {
+        // Deleted or expired while the job ran; nothing to write into
+        return
+      }
+
+      const next = paths.reduce(
+        (merged, path) => withPath(merged, path.split('.'), path.split('.').reduce((value, key) => value?.[key], session)),
+        stored
+      )
+
+      try {
+        await store.set(session.id, next, undefined, { expectedVersion: stored.version })
+        return
+      } catch (error) {
+        if (error.type !== 'SESSION_VERSION_CONFLICT' || attempt >= MAX_SCOPED_SAVE_ATTEMPTS) {
+          throw error
+        }
+      }
+    }
+  }
+}
+
 /**
  * Create a new session with the standard schema
  * @param {object} data - Session data
@@ -3,18 +3,18 @@
  * Creates a downloadable PDF report for SIT ideation results
  */
 
-import fs from 'fs'
-import fsPromises from 'fs/promises'
-import path from 'path'
-import os from 'os'
 import PDFDocument from 'pdfkit'
-import { getBaseOutputDir, sanitizeFilenamePart } from './fileOutputService.js'
+import { getOutputFilePrefix } from './fileOutputService.js'
+import { getOutputStorage } from './outputStorage.js'
+import { addUsageAppendix } from './pdfUsageAppendix.js'
+import { getIdeationUsage } from './usageService.js'
 import { SIT_TOOLS } from './sitPromptTemplates.js'
+import { resolveArtifacts } from './artifactStore.js'
 
 /**
  * Generate a SIT ideation PDF report
  * @param {object} session - Express session with SIT results
- * @returns {Promise<{ filename: string, filepath: string }>}
+ * @returns {Promise<{ filename: string, filepath: string|null }>} filepath is set for local storage
  */
 export async function writeSitPdfForSession(session) {
   if (!session?.results?.ideation?.sit) {
@@ -23,7 +23,8 @@ export async function writeSitPdfForSession(session) {
     throw err
   }
 
-  const sitResults = session.results.ideation.sit
+  // Ideas and synthesis may be held in the artifact store
+  const sitResults = await resolveArtifacts(session, session.results.ideation.sit)
 
   if (sitResults.status !== 'completed' && sitResults.status !== 'completed-with-errors') {
     const err = new Error('SIT execution not completed')
@@ -31,23 +32,9 @@ export async function writeSitPdfForSession(session) {
     throw err
   }
 
-  const baseDir = getBaseOutputDir() || path.join(os.tmpdir(), 'validator-analysis')
-
-  try {
-    await fsPromises.mkdir(baseDir, { recursive: true })
-  } catch (error) {
-    const err = new Error('Failed to create report output directory')
-    err.type = 'PDF_WRITE_ERROR'
-    err.cause = error
-    throw err
-  }
-
-  const sessionId = sanitizeFilenamePart(session.id || session.sessionId || 'session')
-  const filename = `${sessionId}_sit_ideation.pdf`
-  const filepath = path.join(baseDir, filename)
+  const filename = `${getOutputFilePrefix(session)}_sit_ideation.pdf`
 
   const doc = new PDFDocument({ size: 'A4', margin: 50 })
-  let stream
 
   // Visual style tokens (matching SCAMPER PDF)
   const PRIMARY_COLOR = '#8b5cf6' // Purple for SIT phase
@@ -61,44 +48,10 @@ export async function writeSitPdfForSession(session) {
   const contentWidth = Math.min(480, innerWidth)
   const contentX = doc.page.margins.left + (innerWidth - contentWidth) / 2
 
-  try {
-    stream = fs.createWriteStream(filepath)
-  } catch (error) {
-    const err = new Error('Failed to create PDF write stream')
-    err.type = 'PDF_WRITE_ERROR'
-    err.cause = error
-    throw err
-  }
-
-  const finishPromise = new Promise((resolve, reject) => {
-    const handleError = (error) => {
-      const err = new Error('Failed to write SIT PDF report')
-      err.type = 'PDF_WRITE_ERROR'
-      err.cause = error
-      reject(err)
-    }
-
-    stream.on('error', handleError)
-    doc.on('error', handleError)
-
-    stream.on('finish', async () => {
-      // Store report metadata on session
-      if (!session.results.ideation.sitReport) {
-        session.results.ideation.sitReport = {}
-      }
-      session.results.ideation.sitReport.filename = filename
-      session.results.ideation.sitReport.filepath = filepath
-      session.results.ideation.sitReport.generatedAt = new Date().toISOString()
-
-      if (typeof session.save === 'function') {
-        await session.save()
-      }
-
-      resolve({ filename, filepath })
-    })
-  })
-
-  doc.pipe(stream)
+  // Stored while it is rendered; local storage streams it straight to disk
+  const stored = getOutputStorage()
+    .put(filename, doc, { contentType: 'application/pdf' })
+    .then(result => ({ result }), error => ({ error }))
 
   // Helper: Add divider line
   function addDivider() {
@@ -463,8 +416,38 @@ export async function writeSitPdfForSession(session) {
     }
   }
 
+  // ==================== APPENDIX ====================
+  addUsageAppendix(doc, getIdeationUsage(sitResults, 'sit'), {
+    contentX,
+    contentWidth,
+    titleColor: TITLE_COLOR,
+    bodyColor: BODY_TEXT_COLOR,
+    mutedColor: MUTED_TEXT_COLOR,
+    accentColor: PRIMARY_COLOR
+  })
+
   // Finalize PDF
   doc.end()
 
-  return finishPromise
+  const { result, error } = await stored
+  if (error) {
+    const err = new Error('Failed to write PDF report')
+    err.type = 'PDF_WRITE_ERROR'
+    err.cause = error
+    throw err
+  }
+
+  // Store report metadata on session
+  if (!session.results.ideation.sitReport) {
+    session.results.ideation.sitReport = {}
+  }
+  session.results.ideation.sitReport.filename = filename
+  session.results.ideation.sitReport.filepath = result.filepath
+  session.results.ideation.sitReport.generatedAt = new Date().toISOString()
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  return { filename, filepath: result.filepath }
 }
@@ -4,6 +4,9 @@
  */
 
 import llmService from './llmService.js'
+import { createUsageEntry, assertWithinBudget } from './usageService.js'
+import { getConcurrencyLimit, runWithConcurrency, createSerializedSave } from './concurrency.js'
+import { storeArtifact, resolveArtifacts } from './artifactStore.js'
 import {
   SIT_TOOLS,
   generateSitToolPrompt,
@@ -17,16 +20,21 @@ import {
  * @param {Object} problemContext - Problem description and context
  * @param {Object} systemContext - Existing system context from analysis
  * @param {Object} apiConfig - LLM API configuration
- * @returns {Promise<Array>} Array of solution ideas
+ * @returns {Promise<{ ideas: Array, usage: Object }|{ error: true, tool: string, message: string, usage: Object|null }>}
  */
 async function executeTool(tool, problemContext, systemContext, apiConfig) {
   const prompt = generateSitToolPrompt(tool, problemContext, systemContext)
 
+  // Usage is kept even when the response fails to parse: the call was billed
+  let usage = null
+
   try {
     const response = await llmService.analyze(prompt, {
       provider: apiConfig.provider,
       model: apiConfig.model,
+      baseUrl: apiConfig.baseUrl,
       apiKey: apiConfig.apiKey,
+      signal: apiConfig.signal,
       timeoutMs: SIT_EXECUTION_CONFIG.timeoutPerTool,
       metadata: {
         technique: 'sit',
@@ -34,6 +42,8 @@ async function executeTool(tool, problemContext, systemContext, apiConfig) {
       }
     })
 
+    usage = createUsageEntry(response)
+
     // Parse JSON response
     const content = response.content.trim()
 
@@ -55,7 +65,7 @@ async function executeTool(tool, problemContext, systemContext, apiConfig) {
       }
     })
 
-    return ideas
+    return { ideas, usage }
   } catch (error) {
     console.error(`Error executing SIT tool "${tool.name}":`, error)
 
@@ -63,7 +73,8 @@ async function executeTool(tool, problemContext, systemContext, apiConfig) {
     return {
       error: true,
       tool: tool.id,
-      message: error.message || 'Failed to generate ideas for this tool'
+      message: error.message || 'Failed to generate ideas for this tool',
+      usage
     }
   }
 }
@@ -73,16 +84,20 @@ async function executeTool(tool, problemContext, systemContext, apiConfig) {
  * @param {Object} allIdeas - Ideas organized by tool ID
  * @param {Object} problemContext - Problem description and context
  * @param {Object} apiConfig - LLM API configuration
- * @returns {Promise<Object>} Synthesis with comparative analysis and top concepts
+ * @returns {Promise<{ synthesis: Object, usage: Object }>} Synthesis with comparative analysis and top concepts
  */
 async function executeSynthesis(allIdeas, problemContext, apiConfig) {
   const prompt = generateSitSynthesisPrompt(allIdeas, problemContext)
 
+  let usage = null
+
   try {
     const response = await llmService.analyze(prompt, {
       provider: apiConfig.provider,
       model: apiConfig.model,
+      baseUrl: apiConfig.baseUrl,
       apiKey: apiConfig.apiKey,
+      signal: apiConfig.signal,
       timeoutMs: SIT_EXECUTION_CONFIG.timeoutPerTool,
       metadata: {
         technique: 'sit',
@@ -90,6 +105,8 @@ async function executeSynthesis(allIdeas, problemContext, apiConfig) {
       }
     })
 
+    usage = createUsageEntry(response)
+
     // Parse JSON response
     const content = response.content.trim()
 
@@ -104,21 +121,42 @@ async function executeSynthesis(allIdeas, problemContext, apiConfig) {
       throw new Error('Synthesis missing required fields')
     }
 
-    return synthesis
+    return { synthesis, usage }
   } catch (error) {
     console.error('Error executing SIT synthesis:', error)
+    error.usage = usage
     throw error
   }
 }
 
+/**
+ * Stop a cancelled run between steps, recording the cancellation on results
+ * @param {AbortSignal} [signal]
+ * @param {Object} results - In-progress SIT results
+ */
+function throwIfCancelled(signal, results) {
+  if (!signal?.aborted) return
+
+  results.status = 'cancelled'
+  results.error = 'SIT ideation was cancelled'
+  results.completedAt = new Date().toISOString()
+
+  const err = new Error(results.error)
+  err.type = 'IDEATION_CANCELLED'
+  throw err
+}
+
 /**
  * Execute full SIT analysis
  * @param {Object} session - Express session object
  * @param {string} apiKey - LLM API key (in-memory, not persisted)
  * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<Object>} Complete SIT results
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run between steps when aborted
+ * @returns {Promise<Object>} Complete SIT results, with ideas and synthesis
+ *   resolved (the session keeps artifact references)
  */
-export async function executeSit(session, apiKey, progressCallback = null) {
+export async function executeSit(session, apiKey, progressCallback = null, options = {}) {
   // Validate prerequisites
   if (!session?.inputs?.validationRequest?.description) {
     throw new Error('Problem description not found in session')
@@ -143,14 +181,16 @@ export async function executeSit(session, apiKey, progressCallback = null) {
 
   // Prepare system context from analysis results
   const systemContext = {
-    summary: session.results.summary?.text || '',
+    summary: (await resolveArtifacts(session, session.results.summary?.text)) || '',
     constraints: buildConstraintsText(session)
   }
 
   const apiConfig = {
     provider: session.apiConfig.provider,
     model: session.apiConfig.model,
-    apiKey
+    baseUrl: session.apiConfig.baseUrl,
+    apiKey,
+    signal: options.signal
   }
 
   // Initialize results structure
@@ -166,48 +206,83 @@ export async function executeSit(session, apiKey, progressCallback = null) {
     startedAt: new Date().toISOString(),
     tools: {},
     synthesis: null,
+    synthesisUsage: null,
     completedAt: null
   }
 
-  session.results.ideation.sit = results
+  // Serialize saves from concurrently running tools
+  const save = createSerializedSave(session)
 
-  // Execute each SIT tool sequentially
-  for (let i = 0; i < SIT_TOOLS.length; i++) {
-    const tool = SIT_TOOLS[i]
-
-    // Progress callback
-    if (progressCallback) {
-      progressCallback({
-        currentStep: i + 1,
-        totalSteps: SIT_TOOLS.length + 1, // +1 for synthesis
-        currentTool: tool.name,
-        status: 'in-progress'
-      })
-    }
+  session.results.ideation.sit = results
+  await save()
+
+  // Execute tools up to the provider's concurrency limit (sequential by
+  // default). A cancellation or spent budget stops new tools from starting.
+  let stopError = null
+
+  await runWithConcurrency(
+    SIT_TOOLS,
+    getConcurrencyLimit(apiConfig.provider),
+    async (tool, i) => {
+      try {
+        throwIfCancelled(options.signal, results)
+        // Stop here once the session budget is spent
+        assertWithinBudget(session)
+      } catch (error) {
+        stopError = stopError || error
+        return
+      }
 
-    try {
-      const ideas = await executeTool(tool, problemContext, systemContext, apiConfig)
-      results.tools[tool.id] = {
-        name: tool.name,
-        description: tool.description,
-        ideas: ideas.error ? [] : ideas,
-        error: ideas.error ? ideas.message : null,
-        executedAt: new Date().toISOString()
+      // Progress callback
+      if (progressCallback) {
+        progressCallback({
+          currentStep: i + 1,
+          totalSteps: SIT_TOOLS.length + 1, // +1 for synthesis
+          currentTool: tool.name,
+          status: 'in-progress'
+        })
       }
-    } catch (error) {
-      results.tools[tool.id] = {
-        name: tool.name,
-        description: tool.description,
-        ideas: [],
-        error: error.message,
-        executedAt: new Date().toISOString()
+
+      try {
+        const outcome = await executeTool(tool, problemContext, systemContext, apiConfig)
+        results.tools[tool.id] = {
+          name: tool.name,
+          description: tool.description,
+          // Ideas live in the artifact store; the session keeps a reference
+          ideas: outcome.error
+            ? []
+            : await storeArtifact(session, `sit/tools/${tool.id}/ideas`, outcome.ideas),
+          error: outcome.error ? outcome.message : null,
+          usage: outcome.usage,
+          executedAt: new Date().toISOString()
+        }
+      } catch (error) {
+        results.tools[tool.id] = {
+          name: tool.name,
+          description: tool.description,
+          ideas: [],
+          error: error.message,
+          executedAt: new Date().toISOString()
+        }
       }
+
+      // Update session so background progress is visible to status polling
+      session.results.ideation.sit = results
+      await save()
+    },
+    {
+      shouldStop: () => stopError !== null || !!options.signal?.aborted,
+      provider: apiConfig.provider
     }
+  )
 
-    // Update session
-    session.results.ideation.sit = results
+  if (stopError) {
+    throw stopError
   }
 
+  throwIfCancelled(options.signal, results)
+  assertWithinBudget(session)
+
   // Execute synthesis
   if (progressCallback) {
     progressCallback({
@@ -219,11 +294,17 @@ export async function executeSit(session, apiKey, progressCallback = null) {
   }
 
   try {
-    const synthesis = await executeSynthesis(results.tools, problemContext, apiConfig)
-    results.synthesis = synthesis
+    const { synthesis, usage } = await executeSynthesis(
+      await resolveArtifacts(session, results.tools),
+      problemContext,
+      apiConfig
+    )
+    results.synthesis = await storeArtifact(session, 'sit/synthesis', synthesis)
+    results.synthesisUsage = usage
     results.status = 'completed'
   } catch (error) {
     console.error('SIT synthesis failed:', error)
+    results.synthesisUsage = error.usage || null
     results.synthesis = {
       error: true,
       message: 'Failed to synthesize and rank ideas'
@@ -233,6 +314,7 @@ export async function executeSit(session, apiKey, progressCallback = null) {
 
   results.completedAt = new Date().toISOString()
   session.results.ideation.sit = results
+  await save()
 
   // Final progress callback
   if (progressCallback) {
@@ -244,7 +326,7 @@ export async function executeSit(session, apiKey, progressCallback = null) {
     })
   }
 
-  return results
+  return resolveArtifacts(session, results)
 }
 
 /**
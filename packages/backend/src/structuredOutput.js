@@ -0,0 +1,220 @@
+/**
+ * Structured Methodology Output
+ *
+ * Methodologies with an `outputSchema` get a second call once their prose
+ * analysis is done: the model restates the analysis as a JSON object,
+ * in the provider's JSON mode where there is one (see llmService
+ * responseFormat). The object is checked against the schema, and invalid
+ * output is sent back with the validation errors for repair, up to
+ * STRUCTURED_OUTPUT_MAX_REPAIRS times (default 2).
+ */
+
+import llmService from './llmService.js'
+import { buildStructuredPrompt, buildRepairPrompt } from './structuredOutputTemplates.js'
+
+const DEFAULT_MAX_REPAIRS = 2
+
+/**
+ * Repair attempts after the first structured output call
+ * @returns {number}
+ */
+export function getMaxRepairs() {
+  const value = parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS, 10)
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_REPAIRS
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'null':
+      return value === null
+    default:
+      return typeof value === type
+  }
+}
+
+/**
+ * Check a value against the subset of JSON Schema that methodology output
+ * schemas use: type, enum, properties, required, additionalProperties
+ * (false only), items, minItems, maxItems, minimum and maximum.
+ *
+ * @param {unknown} value
+ * @param {object} schema
+ * @param {string} [path] - JSON path of value, for messages
+ * @returns {string[]} Errors, empty when the value is valid
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return []
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}`]
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`]
+  }
+
+  const errors = []
+
+  if (matchesType(value, 'object')) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field}: is required`)
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties?.[field]
+      if (fieldSchema) {
+        errors.push(...validateAgainstSchema(fieldValue, fieldSchema, `${path}.${field}`))
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: is not allowed`)
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`)
+    }
+    if (Number.isInteger(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} item(s)`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`))
+      })
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`)
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Parse the JSON object of a response. Tolerates markdown code blocks and
+ * text around the object, which models without a JSON mode tend to add.
+ *
+ * @param {string} content
+ * @returns {unknown}
+ * @throws {SyntaxError} When no JSON can be read
+ */
+export function parseJsonContent(content) {
+  const text = (content || '').trim()
+
+  const codeBlock = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/)
+  if (codeBlock) {
+    return JSON.parse(codeBlock[1])
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    const start = text.indexOf('{')
+    const end = text.lastIndexOf('}')
+    if (start === -1 || end <= start) {
+      throw error
+    }
+    return JSON.parse(text.slice(start, end + 1))
+  }
+}
+
+function checkResponse(content, schema, validate) {
+  let data
+  try {
+    data = parseJsonContent(content)
+  } catch {
+    return { data: null, errors: ['$: response is not valid JSON'] }
+  }
+
+  const errors = validateAgainstSchema(data, schema)
+  // Rules a schema cannot express only run on schema-valid data
+  if (errors.length === 0 && typeof validate === 'function') {
+    errors.push(...validate(data))
+  }
+  return { data, errors }
+}
+
+/**
+ * Ask the model for the structured result of a finished methodology step,
+ * or, with options.prompt, for any object described by definition.outputSchema.
+ *
+ * @param {{ id: string, name?: string, outputSchema: object }} definition - Registered methodology
+ * @param {string} analysisText - Prose result of the step
+ * @param {object} llmOptions - llmService.analyze options (provider, model, apiKey, signal, metadata, ...)
+ * @param {object} [options]
+ * @param {string} [options.prompt] - Replaces the methodology prompt built from analysisText
+ * @param {(data: object) => string[]} [options.validate] - Further checks on schema-valid data; errors are repaired like schema errors
+ * @param {number} [options.maxRepairs] - Defaults to getMaxRepairs()
+ * @param {(result: object) => void} [options.onResult] - Called with every provider result, e.g. to record usage
+ * @returns {Promise<{ data: object, attempts: number }>}
+ * @throws {Error} STRUCTURED_OUTPUT_ERROR (with `errors` and `attempts`) when no valid object was returned
+ */
+export async function generateStructuredOutput(definition, analysisText, llmOptions, options = {}) {
+  const schema = definition.outputSchema
+  const maxAttempts = (options.maxRepairs ?? getMaxRepairs()) + 1
+  const basePrompt = options.prompt || buildStructuredPrompt(definition, analysisText)
+
+  let responseFormat = {
+    type: 'json',
+    name: `${definition.id}_result`.slice(0, 64),
+    schema
+  }
+  let prompt = basePrompt
+  let errors = []
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let result
+    try {
+      result = await llmService.analyze(prompt, { ...llmOptions, responseFormat })
+    } catch (error) {
+      // Models without a JSON mode reject the request; the schema is in the
+      // prompt as well, so ask again without it
+      if (!responseFormat || error.type !== 'LLM_PROVIDER_ERROR' || error.status !== 400) {
+        throw error
+      }
+      responseFormat = undefined
+      result = await llmService.analyze(prompt, llmOptions)
+    }
+
+    if (typeof options.onResult === 'function') {
+      options.onResult(result)
+    }
+
+    const checked = checkResponse(result.content, schema, options.validate)
+    if (checked.errors.length === 0) {
+      return { data: checked.data, attempts: attempt }
+    }
+
+    errors = checked.errors
+    prompt = buildRepairPrompt(basePrompt, result.content, errors)
+  }
+
+  const err = new Error(
+    `Structured output did not match the schema after ${maxAttempts} attempt(s): ${errors[0]}`
+  )
+  err.type = 'STRUCTURED_OUTPUT_ERROR'
+  err.errors = errors
+  err.attempts = maxAttempts
+  throw err
+}
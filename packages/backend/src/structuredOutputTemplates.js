@@ -0,0 +1,75 @@
+/**
+ * Structured methodology output prompts.
+ * Ask the model to restate a finished prose analysis as a JSON object
+ * matching the methodology's outputSchema, and to repair output that
+ * failed validation.
+ */
+
+// Validation errors quoted back to the model in a repair prompt
+const MAX_REPAIR_ERRORS = 20
+
+export const STRUCTURED_OUTPUT_TEMPLATE = `You are a product strategist who has just written the {{NAME}} analysis below. Restate its findings as a single JSON object that matches the JSON Schema.
+
+Rules:
+- Use only information from the analysis; do not add new findings.
+- Keep each string short: one or two sentences.
+- Use an empty array when the analysis has nothing for a list.
+
+JSON Schema:
+{{SCHEMA}}
+
+Analysis:
+{{ANALYSIS}}
+
+Respond with the JSON object only, without markdown or commentary.`
+
+export const STRUCTURED_REPAIR_TEMPLATE = `{{PROMPT}}
+
+Your previous response did not match the JSON Schema:
+{{ERRORS}}
+
+Previous response:
+{{RESPONSE}}
+
+Return the corrected JSON object only.`
+
+// Single pass, so placeholders inside the inserted text stay as they are
+function fillTemplate(template, values) {
+  return template.replace(/\{\{([A-Z]+)\}\}/g, (match, token) => values[token] ?? match)
+}
+
+/**
+ * Build the structured output prompt for a methodology
+ *
+ * @param {{ name: string, outputSchema: object }} definition - Registered methodology
+ * @param {string} analysisText - Prose result of the methodology step
+ * @returns {string}
+ */
+export function buildStructuredPrompt(definition, analysisText) {
+  return fillTemplate(STRUCTURED_OUTPUT_TEMPLATE, {
+    NAME: definition.name,
+    SCHEMA: JSON.stringify(definition.outputSchema, null, 2),
+    ANALYSIS: analysisText || 'Not provided'
+  })
+}
+
+/**
+ * Build the follow-up prompt for a response that failed validation
+ *
+ * @param {string} prompt - The structured output prompt
+ * @param {string} response - The invalid response
+ * @param {string[]} errors - Validation errors (see validateAgainstSchema)
+ * @returns {string}
+ */
+export function buildRepairPrompt(prompt, response, errors) {
+  const listed = errors.slice(0, MAX_REPAIR_ERRORS).map(error => `- ${error}`)
+  if (errors.length > MAX_REPAIR_ERRORS) {
+    listed.push(`- ...and ${errors.length - MAX_REPAIR_ERRORS} more`)
+  }
+
+  return fillTemplate(STRUCTURED_REPAIR_TEMPLATE, {
+    PROMPT: prompt,
+    ERRORS: listed.join('\n'),
+    RESPONSE: response || '(empty)'
+  })
+}
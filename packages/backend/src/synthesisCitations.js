@@ -0,0 +1,137 @@
+/**
+ * Evidence citations of the synthesized summary.
+ *
+ * Each methodology document in the synthesis prompt is split into numbered
+ * passages, labelled "[document.passage]" (e.g. [2.3] is the third passage
+ * of the second document). The model cites those labels after its
+ * statements; extractCitations resolves them to the step and passage they
+ * point at, numbered as footnotes in order of first use.
+ */
+
+import { getMethodologyOrder } from './promptTemplates.js'
+
+// Matches [1.3] and groups such as [1.3, 2.1] or [1.3; 2.1]
+const CITATION_PATTERN = /\[(\d+\.\d+(?:\s*[,;]\s*\d+\.\d+)*)\]/g
+
+// Length of the passage excerpt kept with each citation
+const EXCERPT_LENGTH = 160
+
+/**
+ * Split methodology output into passages: its paragraphs, with headings
+ * kept together with the paragraph that follows them.
+ *
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function splitPassages(content) {
+  const blocks = (content || '')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+
+  const passages = []
+  let headings = []
+  for (const block of blocks) {
+    if (/^#{1,6}\s/.test(block) && !block.includes('\n')) {
+      headings.push(block)
+      continue
+    }
+    passages.push([...headings, block].join('\n'))
+    headings = []
+  }
+  if (headings.length > 0) {
+    passages.push(headings.join('\n'))
+  }
+
+  return passages
+}
+
+/**
+ * The documents of a synthesis prompt in prompt order, numbered from 1
+ *
+ * @param {Object} context - Methodology content keyed by methodology ID
+ * @param {string[]} methodIds - Methodologies of the run
+ * @returns {{ number: number, stepId: string, passages: string[] }[]}
+ */
+export function getSynthesisDocuments(context, methodIds) {
+  return getMethodologyOrder()
+    .filter(id => methodIds.includes(id))
+    .map((stepId, index) => ({
+      number: index + 1,
+      stepId,
+      passages: splitPassages(context?.[stepId])
+    }))
+}
+
+/**
+ * Document text with each passage prefixed by its citation label
+ *
+ * @param {{ number: number, passages: string[] }} document
+ * @param {number} [start] - First passage index to include
+ * @param {number} [end] - Passage index to stop before
+ * @returns {string}
+ */
+export function labelPassages(document, start = 0, end = document.passages.length) {
+  return document.passages
+    .slice(start, end)
+    .map((passage, index) => `[${document.number}.${start + index + 1}] ${passage}`)
+    .join('\n\n')
+}
+
+function excerptOf(passage) {
+  const text = passage.replace(/^#{1,6}\s.*\n/gm, '').replace(/\s+/g, ' ').trim()
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 3).trimEnd()}...` : text
+}
+
+/**
+ * Resolve the citation labels of a summary against the synthesis
+ * documents. Labels pointing at no passage are ignored.
+ *
+ * @param {string} summaryText
+ * @param {{ number: number, stepId: string, passages: string[] }[]} documents - From getSynthesisDocuments
+ * @returns {{ number: number, ref: string, stepId: string, passage: number, excerpt: string }[]}
+ */
+export function extractCitations(summaryText, documents) {
+  const citations = []
+  const seen = new Set()
+
+  for (const match of (summaryText || '').matchAll(CITATION_PATTERN)) {
+    for (const ref of match[1].split(/\s*[,;]\s*/)) {
+      if (seen.has(ref)) continue
+      seen.add(ref)
+
+      const [documentNumber, passageNumber] = ref.split('.').map(Number)
+      const document = documents.find(candidate => candidate.number === documentNumber)
+      const passage = document?.passages[passageNumber - 1]
+      if (!passage) continue
+
+      citations.push({
+        number: citations.length + 1,
+        ref,
+        stepId: document.stepId,
+        passage: passageNumber,
+        excerpt: excerptOf(passage)
+      })
+    }
+  }
+
+  return citations
+}
+
+/**
+ * Replace citation labels in summary text with their footnote numbers,
+ * e.g. "[1.3, 2.1]" becomes "[1, 2]". Unresolved labels are removed.
+ *
+ * @param {string} text
+ * @param {{ number: number, ref: string }[]} citations - From extractCitations
+ * @returns {string}
+ */
+export function replaceCitationLabels(text, citations) {
+  const numbers = new Map((citations || []).map(citation => [citation.ref, citation.number]))
+
+  // The space before a removed label goes with it
+  return (text || '').replace(new RegExp(`(\\s?)${CITATION_PATTERN.source}`, 'g'), (match, space, refs) => {
+    const resolved = refs.split(/\s*[,;]\s*/).map(ref => numbers.get(ref)).filter(Boolean)
+    return resolved.length > 0 ? `${space}[${resolved.join(', ')}]` : ''
+  })
+}
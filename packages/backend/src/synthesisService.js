@@ -1,14 +1,119 @@
-import { buildSynthesisPrompt } from './synthesisTemplates.js'
-import llmService from './llmService.js'
+import {
+  buildSynthesisPrompt,
+  buildDigestPrompt,
+  buildComparisonPrompt,
+  buildScorecardPrompt,
+  buildScorecardSchema,
+  SCORECARD_DIMENSIONS,
+  SCORECARD_MAX_SCORE
+} from './synthesisTemplates.js'
+import llmService, { isValidApiKey } from './llmService.js'
+import { recordUsage, assertWithinBudget } from './usageService.js'
+import { estimateTokenCount } from './modelCatalog.js'
+import { storeArtifact, resolveArtifacts, deleteArtifacts } from './artifactStore.js'
+import { findComparedRuns, loadComparedContent, prepareStoredComparison } from './runComparison.js'
+import { generateStructuredOutput } from './structuredOutput.js'
+import { getSynthesisDocuments, extractCitations } from './synthesisCitations.js'
+import { planSynthesis, getDigestWords } from './synthesisStrategy.js'
 
 /**
- * Generate a synthesized summary across all methodologies and
- * store it on the session.
+ * Map step of a map-reduce synthesis: condense each chunk of the plan into
+ * a digest, one call at a time. Returns the digests keyed by methodology
+ * ID, the parts of a chunked analysis joined in order.
+ *
+ * @param {object} session
+ * @param {{ chunks: Object[] }} plan - From planSynthesis, or chunks from planDigests
+ * @param {string} apiKey
+ * @param {{ timeoutMs?: number }} options
+ * @param {object} usageTarget - Result the digest calls are billed to, e.g. session.results.summary
+ * @returns {Promise<Object>}
+ */
+export async function generateDigests(session, plan, apiKey, options, usageTarget) {
+  const digests = {}
+
+  for (const chunk of plan.chunks) {
+    assertWithinBudget(session)
+
+    const { stepId } = chunk.document
+    const result = await llmService.analyze(buildDigestPrompt(chunk, getDigestWords(chunk.digestTokens)), {
+      provider: session.apiConfig.provider,
+      model: session.apiConfig.model,
+      baseUrl: session.apiConfig.baseUrl,
+      apiKey,
+      timeoutMs: options.timeoutMs,
+      metadata: {
+        sessionId: session.id,
+        kind: 'digest',
+        stepId,
+        document: chunk.document.number,
+        passages: [chunk.start + 1, chunk.end],
+        part: chunk.part
+      }
+    })
+    recordUsage(usageTarget, result)
+
+    const digest = typeof result.content === 'string' ? result.content.trim() : ''
+    digests[stepId] = digests[stepId] ? `${digests[stepId]}\n\n${digest}` : digest
+  }
+
+  return digests
+}
+
+/**
+ * Score the run on the scorecard dimensions, citing the methodologies
+ * behind each score. Returns the scorecard, or throws like
+ * generateStructuredOutput.
+ */
+async function generateScorecard(session, context, methodIds, summaryText, apiKey, options) {
+  const schema = buildScorecardSchema(methodIds)
+  const prompt = buildScorecardPrompt(context, methodIds, summaryText, schema)
+
+  const { data } = await generateStructuredOutput(
+    { id: 'validation_scorecard', outputSchema: schema },
+    summaryText,
+    {
+      provider: session.apiConfig.provider,
+      model: session.apiConfig.model,
+      baseUrl: session.apiConfig.baseUrl,
+      apiKey,
+      timeoutMs: options.timeoutMs,
+      metadata: {
+        sessionId: session.id,
+        kind: 'scorecard',
+        methods: methodIds
+      }
+    },
+    {
+      prompt,
+      onResult: result => recordUsage(session.results.summary, result)
+    }
+  )
+
+  const total = SCORECARD_DIMENSIONS.reduce((sum, { id }) => sum + data.scores[id].score, 0)
+
+  return {
+    scores: data.scores,
+    validationStrength: data.validationStrength,
+    overall: Math.round((total / SCORECARD_DIMENSIONS.length) * 10) / 10,
+    maxScore: SCORECARD_MAX_SCORE
+  }
+}
+
+/**
+ * Generate a synthesized summary across the run's methodologies and
+ * store it on the session (the text itself in the artifact store),
+ * together with the passages it cites and its validation scorecard. A
+ * scorecard that cannot be produced is recorded as scorecardError; the
+ * summary still stands.
+ *
+ * Analyses too long for the model's context window are condensed into
+ * digests first (see synthesisStrategy.js); the strategy used is recorded
+ * as summary.strategy.
  *
  * @param {object} session
  * @param {string} apiKey
  * @param {{ timeoutMs?: number }} [options]
- * @returns {Promise<{ summaryText: string }>}
+ * @returns {Promise<{ summaryText: string, digests: Object|null }>} digests of a map-reduce synthesis, keyed by methodology ID
  */
 export async function generateSynthesisSummary(session, apiKey, options = {}) {
   if (!session?.results?.analysis) {
@@ -31,7 +136,7 @@ export async function generateSynthesisSummary(session, apiKey, options = {}) {
     throw err
   }
 
-  if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
+  if (!isValidApiKey(session.apiConfig.provider, apiKey)) {
     const err = new Error('A valid API key (>= 20 chars) is required for synthesis')
     err.type = 'SYNTHESIS_INPUT_ERROR'
     throw err
@@ -39,24 +144,32 @@ export async function generateSynthesisSummary(session, apiKey, options = {}) {
 
   const steps = Array.isArray(analysis.steps) ? analysis.steps : []
 
-  const getContent = (id) => {
-    const step = steps.find(s => s.id === id)
-    return step?.result?.content || ''
+  // Only the methodologies selected for this run are synthesized
+  const context = {}
+  for (const step of steps) {
+    context[step.id] = (await resolveArtifacts(session, step.result?.content)) || ''
+  }
+
+  const methodIds = steps.map(step => step.id)
+  const plan = planSynthesis(context, methodIds, session.apiConfig)
+
+  if (!session.results.summary) {
+    session.results.summary = {}
   }
 
-  const context = {
-    jtbd: getContent('jtbd'),
-    designThinking: getContent('designThinking'),
-    leanCanvas: getContent('leanCanvas'),
-    rootCause: getContent('rootCause'),
-    ost: getContent('ost')
+  // The scorecard reads the digests too when the analyses do not fit
+  let digests = null
+  if (plan.strategy === 'mapReduce') {
+    digests = await generateDigests(session, plan, apiKey, options, session.results.summary)
   }
+  const prompt = plan.prompt || buildSynthesisPrompt(context, methodIds, digests)
 
-  const prompt = buildSynthesisPrompt(context)
+  assertWithinBudget(session)
 
   const result = await llmService.analyze(prompt, {
     provider: session.apiConfig.provider,
     model: session.apiConfig.model,
+    baseUrl: session.apiConfig.baseUrl,
     apiKey,
     timeoutMs: options.timeoutMs,
     metadata: {
@@ -69,19 +182,113 @@ export async function generateSynthesisSummary(session, apiKey, options = {}) {
     ? result.content
     : ''
 
-  if (!session.results.summary) {
-    session.results.summary = {}
-  }
-
-  session.results.summary.text = summaryText
+  session.results.summary.text = await storeArtifact(session, 'summary/text', summaryText)
   session.results.summary.generatedAt = new Date().toISOString()
   session.results.summary.provider = session.apiConfig.provider
   session.results.summary.model = session.apiConfig.model
+  session.results.summary.citations = extractCitations(summaryText, getSynthesisDocuments(context, methodIds))
+  session.results.summary.strategy = {
+    type: plan.strategy,
+    contextWindow: plan.contextWindow,
+    maxOutputTokens: plan.maxOutputTokens,
+    fullPromptTokens: plan.fullPromptTokens,
+    promptTokens: estimateTokenCount(prompt),
+    digestCalls: plan.chunks.length
+  }
+  // Accumulates across regenerations, since each one is billed
+  recordUsage(session.results.summary, result)
+
+  try {
+    assertWithinBudget(session)
+    session.results.summary.scorecard = await generateScorecard(
+      session, digests || context, methodIds, summaryText, apiKey, options
+    )
+    session.results.summary.scorecardError = null
+  } catch (error) {
+    session.results.summary.scorecard = null
+    session.results.summary.scorecardError = error.message || 'Scorecard generation failed'
+  }
 
   if (typeof session.save === 'function') {
     await session.save()
   }
 
-  return { summaryText }
+  return { summaryText, digests }
 }
 
+
+/**
+ * Generate the "what changed and why it matters" delta between two runs
+ * of the session's history and store it on session.comparison. Uses the
+ * session's current provider and model, like the synthesis.
+ *
+ * @param {object} session
+ * @param {string} baseRunId - Run A, usually the earlier one
+ * @param {string} targetRunId - Run B
+ * @param {string} apiKey
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<{ deltaText: string }>}
+ */
+export async function generateComparisonDelta(session, baseRunId, targetRunId, apiKey, options = {}) {
+  const runs = await findComparedRuns(session, baseRunId, targetRunId)
+
+  for (const { results } of [runs.base, runs.target]) {
+    if (results.analysis?.status !== 'completed') {
+      const err = new Error('Both analyses must be completed before they can be compared')
+      err.type = 'SYNTHESIS_STATE_ERROR'
+      throw err
+    }
+  }
+
+  if (!session.apiConfig?.provider || !session.apiConfig?.model) {
+    const err = new Error('Session is missing apiConfig provider or model')
+    err.type = 'SYNTHESIS_INPUT_ERROR'
+    throw err
+  }
+
+  if (!isValidApiKey(session.apiConfig.provider, apiKey)) {
+    const err = new Error('A valid API key (>= 20 chars) is required for the comparison')
+    err.type = 'SYNTHESIS_INPUT_ERROR'
+    throw err
+  }
+
+  const { inputChanges, methods } = await loadComparedContent(session, runs)
+  const prompt = buildComparisonPrompt(inputChanges, methods)
+
+  assertWithinBudget(session)
+
+  const result = await llmService.analyze(prompt, {
+    provider: session.apiConfig.provider,
+    model: session.apiConfig.model,
+    baseUrl: session.apiConfig.baseUrl,
+    apiKey,
+    timeoutMs: options.timeoutMs,
+    metadata: {
+      sessionId: session.id,
+      kind: 'comparison'
+    }
+  })
+
+  const deltaText = typeof result.content === 'string'
+    ? result.content
+    : ''
+
+  const comparison = await prepareStoredComparison(session, baseRunId, targetRunId)
+  const delta = comparison.delta || {}
+  // Stored under the current run's keys, which may differ from last time
+  await deleteArtifacts(session, delta.text)
+  delta.text = await storeArtifact(session, `comparisons/${baseRunId}-${targetRunId}/delta`, deltaText)
+  delta.generatedAt = new Date().toISOString()
+  delta.provider = session.apiConfig.provider
+  delta.model = session.apiConfig.model
+  recordUsage(delta, result)
+  comparison.delta = delta
+  // The PDF is regenerated with the new delta on its next download
+  delete comparison.report
+
+  if (typeof session.save === 'function') {
+    await session.save()
+  }
+
+  return { deltaText }
+}
@@ -0,0 +1,193 @@
+/**
+ * Synthesis strategy
+ *
+ * The synthesis prompt embeds every analysis of the run, which can exceed
+ * the context window of smaller models. planSynthesis measures the prompt
+ * against the model's limits (see getModelLimits) and picks a strategy:
+ *
+ * - single: one synthesis call over the full analyses
+ * - mapReduce: each analysis is first condensed into a digest (split into
+ *   chunks that fit the window when it is too long by itself), then the
+ *   summary is synthesized from the digests
+ *
+ * Digests keep the [file.passage] labels of the passages they condense, so
+ * citations of the final summary still resolve to the full analyses.
+ */
+
+import { estimateTokenCount, getModelLimits } from './modelCatalog.js'
+import { buildSynthesisPrompt, buildDigestPrompt } from './synthesisTemplates.js'
+import { getSynthesisDocuments } from './synthesisCitations.js'
+
+// Digest length per methodology, however much room the window leaves
+export const MAX_DIGEST_TOKENS = 800
+
+// Below this a digest loses too much to be worth synthesizing
+export const MIN_DIGEST_TOKENS = 150
+
+// Rough words per token of English text, for the digest length instruction
+const WORDS_PER_TOKEN = 0.75
+
+/**
+ * Prompt room of a model: its context window less the output cap reserved
+ * for the completion.
+ *
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{ contextWindow: number, maxOutputTokens: number, promptBudget: number }}
+ */
+export function getSynthesisLimits(provider, model) {
+  const { contextWindow, maxOutputTokens } = getModelLimits(provider, model)
+  return { contextWindow, maxOutputTokens, promptBudget: contextWindow - maxOutputTokens }
+}
+
+/**
+ * Digest length per methodology for a map-reduce synthesis: an equal share
+ * of the room the synthesis prompt leaves for the digests, up to
+ * MAX_DIGEST_TOKENS. Throws SYNTHESIS_INPUT_ERROR when the share falls
+ * below MIN_DIGEST_TOKENS.
+ *
+ * @param {string[]} methodIds
+ * @param {{ contextWindow: number, maxOutputTokens: number, promptBudget: number }} limits
+ * @returns {number}
+ */
+export function getDigestTokens(methodIds, limits) {
+  const templateTokens = estimateTokenCount(buildSynthesisPrompt({}, methodIds, {}))
+  const share = Math.floor((limits.promptBudget - templateTokens) / Math.max(methodIds.length, 1))
+
+  if (share < MIN_DIGEST_TOKENS) {
+    const err = new Error(
+      `The model's context window (${limits.contextWindow} tokens) is too small to synthesize ${methodIds.length} analyses`
+    )
+    err.type = 'SYNTHESIS_INPUT_ERROR'
+    throw err
+  }
+
+  return Math.min(share, MAX_DIGEST_TOKENS, limits.maxOutputTokens)
+}
+
+/**
+ * Digest length instruction for a number of tokens
+ *
+ * @param {number} tokens
+ * @returns {number}
+ */
+export function getDigestWords(tokens) {
+  return Math.floor(tokens * WORDS_PER_TOKEN)
+}
+
+// Cut a passage that cannot fit into a digest prompt on its own
+function fitPassage(passage, tokenBudget) {
+  const maxLength = tokenBudget * 4
+  return passage.length > maxLength ? `${passage.slice(0, maxLength - 3)}...` : passage
+}
+
+// Tokens a passage's label and separator add to a digest prompt
+function labelTokens(document, index) {
+  return estimateTokenCount(`[${document.number}.${index + 1}] \n\n`)
+}
+
+/**
+ * Split a synthesis document into consecutive chunks of passages whose
+ * digest prompts fit the prompt budget.
+ *
+ * Every chunk's digest is at least MIN_DIGEST_TOKENS long, and together
+ * they stay within digestTokens. A document that would need more chunks
+ * than that allows is split into as many as it does, with its passages
+ * cut to fit them.
+ *
+ * @param {{ number: number, stepId: string, passages: string[] }} document
+ * @param {number} promptBudget
+ * @param {number} digestTokens - Digest length for the whole document
+ * @returns {{ document: Object, start: number, end: number, part: number, parts: number, digestTokens: number }[]}
+ */
+export function chunkDocument(document, promptBudget, digestTokens) {
+  const emptyChunk = { document: { ...document, passages: [] }, start: 0, end: 0, part: 1, parts: 1 }
+  const passageBudget = promptBudget - estimateTokenCount(buildDigestPrompt(emptyChunk, getDigestWords(digestTokens)))
+  const maxParts = Math.max(1, Math.floor(digestTokens / MIN_DIGEST_TOKENS))
+
+  const fitted = { ...document, passages: document.passages.map(passage => fitPassage(passage, passageBudget)) }
+
+  let ranges = []
+  let start = 0
+  let used = 0
+  fitted.passages.forEach((passage, index) => {
+    // Label and blank line separating it from the previous passage
+    const tokens = estimateTokenCount(`[${document.number}.${index + 1}] ${passage}\n\n`)
+    if (index > start && used + tokens > passageBudget) {
+      ranges.push([start, index])
+      start = index
+      used = 0
+    }
+    used += tokens
+  })
+  ranges.push([start, fitted.passages.length])
+
+  if (ranges.length > maxParts) {
+    // Regroup into maxParts chunks of about as many passages each, and cut
+    // the passages to an equal share of their chunk's budget
+    const size = Math.ceil(fitted.passages.length / maxParts)
+    ranges = []
+    for (let rangeStart = 0; rangeStart < fitted.passages.length; rangeStart += size) {
+      const rangeEnd = Math.min(rangeStart + size, fitted.passages.length)
+      const share = Math.floor(passageBudget / (rangeEnd - rangeStart))
+      for (let index = rangeStart; index < rangeEnd; index++) {
+        fitted.passages[index] = fitPassage(fitted.passages[index], Math.max(1, share - labelTokens(document, index)))
+      }
+      ranges.push([rangeStart, rangeEnd])
+    }
+  }
+
+  // Each chunk gets its share of the digest length
+  const chunkTokens = Math.max(MIN_DIGEST_TOKENS, Math.floor(digestTokens / ranges.length))
+
+  return ranges.map(([rangeStart, rangeEnd], index) => ({
+    document: fitted,
+    start: rangeStart,
+    end: rangeEnd,
+    part: index + 1,
+    parts: ranges.length,
+    digestTokens: chunkTokens
+  }))
+}
+
+/**
+ * Digest chunks of a run's analyses, sized for the synthesis prompt
+ *
+ * @param {Object} context - Methodology content keyed by methodology ID
+ * @param {string[]} methodIds - Methodologies of the run
+ * @param {{ contextWindow: number, maxOutputTokens: number, promptBudget: number }} limits - From getSynthesisLimits
+ * @returns {Object[]} Chunks as returned by chunkDocument, in prompt order
+ */
+export function planDigests(context, methodIds, limits) {
+  const digestTokens = getDigestTokens(methodIds, limits)
+  return getSynthesisDocuments(context, methodIds)
+    .filter(document => document.passages.length > 0)
+    .flatMap(document => chunkDocument(document, limits.promptBudget, digestTokens))
+}
+
+/**
+ * Plan the synthesis of a run's analyses for a provider/model.
+ *
+ * @param {Object} context - Methodology content keyed by methodology ID
+ * @param {string[]} methodIds - Methodologies of the run
+ * @param {{ provider: string, model: string }} config
+ * @returns {{ strategy: 'single'|'mapReduce', prompt: string|null, chunks: Object[], contextWindow: number, maxOutputTokens: number, fullPromptTokens: number }}
+ *   prompt is the synthesis prompt of a single-call plan; chunks the digest chunks of a map-reduce plan, in prompt order
+ */
+export function planSynthesis(context, methodIds, config) {
+  const limits = getSynthesisLimits(config.provider, config.model)
+  const prompt = buildSynthesisPrompt(context, methodIds)
+  const fullPromptTokens = estimateTokenCount(prompt)
+
+  const plan = {
+    contextWindow: limits.contextWindow,
+    maxOutputTokens: limits.maxOutputTokens,
+    fullPromptTokens
+  }
+
+  if (fullPromptTokens <= limits.promptBudget) {
+    return { strategy: 'single', prompt, chunks: [], ...plan }
+  }
+
+  return { strategy: 'mapReduce', prompt: null, chunks: planDigests(context, methodIds, limits), ...plan }
+}
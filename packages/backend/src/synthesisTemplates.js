@@ -1,40 +1,38 @@
 /**
  * Synthesis prompt template and helpers.
- * Combines five methodology outputs into a single LLM prompt.
+ * Combines the outputs of the selected methodologies into a single LLM prompt.
  */
 
-export const SYNTHESIS_TEMPLATE = `You are an expert product strategist and problem validation analyst.
-
-You have received five detailed analysis documents, each created using a different validation methodology. Your task is to synthesize these into a concise, 2-page style summary that a founder or product leader can quickly act on.
-
-Use clear, structured sections with headings and full sentences. Avoid bullet point overload; prioritize clarity and practical insight.
-
-Files:
-1. JTBD Analysis:
-{{JTBD_CONTENT}}
+import { getMethodologyOrder } from './promptTemplates.js'
+import { getMethodologies } from './methodologyRegistry.js'
+import { getSynthesisDocuments, labelPassages } from './synthesisCitations.js'
 
+/**
+ * Heading used for each methodology's document in the synthesis prompt
+ */
+export const SYNTHESIS_SECTION_TITLES = Object.fromEntries(
+  getMethodologies().map(methodology => [methodology.id, methodology.synthesisLabel])
+)
 
-2. Design Thinking Analysis:
-{{DESIGN_THINKING_CONTENT}}
-
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten']
 
-3. Lean Canvas Analysis:
-{{LEAN_CANVAS_CONTENT}}
+export const SYNTHESIS_TEMPLATE = `You are an expert product strategist and problem validation analyst.
 
+You have received {{DOCUMENT_COUNT}}, each created using a different validation methodology. Your task is to synthesize these into a concise, 2-page style summary that a founder or product leader can quickly act on.
 
-4. Root Cause Analysis:
-{{ROOT_CAUSE_CONTENT}}
+Use clear, structured sections with headings and full sentences. Avoid bullet point overload; prioritize clarity and practical insight.
 
+{{PASSAGE_NOTE}}
 
-5. Opportunity Solution Tree (OST) Analysis:
-{{OST_CONTENT}}
+Files:
+{{ANALYSES}}
 
 
 Instructions:
 
 1. Executive Summary (high-level, 2–3 paragraphs)
    - Summarize the core problem, context, and target customer in plain language.
-   - Highlight the most important insight that emerged across all five methods.
+   - Highlight the most important insight that emerged {{ACROSS_METHODS}}.
 
 2. Key Insights Across Methodologies
    - Explain where the methods converge (common themes, recurring pains, consistent signals).
@@ -57,42 +55,261 @@ Tone:
 - Be practical, balanced, and evidence-informed.
 - Avoid hype; focus on clarity and decision support.
 
+Citations:
+- After each statement that draws on the files, cite the passages that support it with their labels in square brackets, e.g. [1.2] or [1.2, 3.4].
+- Cite only labels that appear in the files, and only passages that actually support the statement.
+
 Output:
 - Provide the summary as continuous text with clear section headings.
 - Aim for a length roughly equivalent to 2 pages of typed text (you do not need to manage exact pagination).`
 
+const PASSAGE_NOTES = {
+  passages: 'Each passage of the files is labelled [file.passage], e.g. [2.3] is the third passage of file 2.',
+  digests: 'The files are digests of longer analyses. Their statements carry the labels [file.passage] of the passages they condense, e.g. [2.3] is the third passage of file 2.'
+}
+
 /**
- * Build a synthesis prompt by injecting five methodology contents
- * into the synthesis template.
+ * Build a synthesis prompt by injecting the selected methodology contents
+ * into the synthesis template, numbered in execution order, with their
+ * passages labelled for citation (see synthesisCitations.js).
+ *
+ * When digests are given (map-reduce synthesis, see synthesisStrategy.js)
+ * they stand in for the full analyses; they already carry the labels of
+ * the passages they condense.
  *
- * @param {Object} context
- * @param {string} context.jtbd
- * @param {string} context.designThinking
- * @param {string} context.leanCanvas
- * @param {string} context.rootCause
- * @param {string} context.ost
+ * @param {Object} context - Methodology content keyed by methodology ID
+ * @param {string[]} [methodIds] - Methodologies to include; all when omitted
+ * @param {Object} [digests] - Digest text keyed by methodology ID
  * @returns {string}
  */
-export function buildSynthesisPrompt(context) {
+export function buildSynthesisPrompt(context, methodIds = getMethodologyOrder(), digests = null) {
   const fallback = 'No analysis available for this method.'
 
-  const jtbd = context?.jtbd && context.jtbd.trim().length > 0 ? context.jtbd : fallback
-  const design = context?.designThinking && context.designThinking.trim().length > 0
-    ? context.designThinking
-    : fallback
-  const lean = context?.leanCanvas && context.leanCanvas.trim().length > 0
-    ? context.leanCanvas
-    : fallback
-  const root = context?.rootCause && context.rootCause.trim().length > 0
-    ? context.rootCause
-    : fallback
-  const ost = context?.ost && context.ost.trim().length > 0 ? context.ost : fallback
+  const documents = getSynthesisDocuments(context, methodIds)
+  const ids = documents.map(document => document.stepId)
+
+  const analyses = documents.map(document => {
+    const content = digests
+      ? digests[document.stepId]?.trim() || fallback
+      : document.passages.length > 0 ? labelPassages(document) : fallback
+    return `${document.number}. ${SYNTHESIS_SECTION_TITLES[document.stepId]}:\n${content}`
+  })
+
+  const count = NUMBER_WORDS[ids.length] || String(ids.length)
+  const documentCount = ids.length === 1
+    ? 'one detailed analysis document'
+    : `${count} detailed analysis documents`
+  const acrossMethods = ids.length === 1 ? 'from the analysis' : `across all ${count} methods`
 
   return SYNTHESIS_TEMPLATE
-    .replace('{{JTBD_CONTENT}}', jtbd)
-    .replace('{{DESIGN_THINKING_CONTENT}}', design)
-    .replace('{{LEAN_CANVAS_CONTENT}}', lean)
-    .replace('{{ROOT_CAUSE_CONTENT}}', root)
-    .replace('{{OST_CONTENT}}', ost)
+    .replace('{{DOCUMENT_COUNT}}', documentCount)
+    .replace('{{ACROSS_METHODS}}', acrossMethods)
+    .replace('{{PASSAGE_NOTE}}', digests ? PASSAGE_NOTES.digests : PASSAGE_NOTES.passages)
+    .replace('{{ANALYSES}}', () => analyses.join('\n\n\n'))
+}
+
+export const DIGEST_TEMPLATE = `You are an expert product strategist and problem validation analyst.
+
+The {{PART}} below is too long to be synthesized together with the other methodologies. Condense it into a digest of at most {{WORDS}} words. A later step writes the cross-methodology summary from the digests alone, so keep what it needs:
+- the problem, the customer and the pains, needs and root causes the analysis identifies,
+- the strongest evidence, and the assumptions that remain unvalidated,
+- risks, open questions and recommended next steps.
+
+Each passage is labelled [file.passage]. After every statement of the digest, cite the passages it condenses with their labels in square brackets, e.g. [2.1] or [2.1, 2.4]. Keep the labels exactly as given.
+
+{{TITLE}}:
+{{PASSAGES}}
+
+
+Output:
+- Short paragraphs of full sentences, without headings or an introduction.`
+
+/**
+ * Build the prompt condensing one chunk of a methodology's passages into a
+ * digest for map-reduce synthesis
+ *
+ * @param {{ document: { number: number, stepId: string, passages: string[] }, start: number, end: number, part: number, parts: number }} chunk
+ *   Passages start to end (exclusive) of a synthesis document, part of parts
+ * @param {number} words - Target length of the digest
+ * @returns {string}
+ */
+export function buildDigestPrompt(chunk, words) {
+  const { document } = chunk
+  const values = {
+    PART: chunk.parts > 1 ? `part ${chunk.part} of ${chunk.parts} of the analysis` : 'analysis',
+    WORDS: String(words),
+    TITLE: `${document.number}. ${SYNTHESIS_SECTION_TITLES[document.stepId]}`,
+    PASSAGES: labelPassages(document, chunk.start, chunk.end) || 'No analysis available for this method.'
+  }
+
+  return DIGEST_TEMPLATE.replace(/\{\{([A-Z]+)\}\}/g, (match, token) => values[token] ?? match)
+}
+
+/**
+ * Dimensions of the validation scorecard, in report order
+ */
+export const SCORECARD_DIMENSIONS = [
+  { id: 'painSeverity', label: 'Pain severity', description: 'How much the problem hurts the people who have it' },
+  { id: 'frequency', label: 'Frequency', description: 'How often the problem occurs' },
+  { id: 'willingnessToPay', label: 'Willingness to pay', description: 'Signals that customers would pay to solve it' },
+  { id: 'problemClarity', label: 'Problem clarity', description: 'How well-defined the problem and its customer are' },
+  { id: 'evidenceStrength', label: 'Evidence strength', description: 'How much of the above rests on evidence rather than assumption' },
+  { id: 'crossMethodAgreement', label: 'Cross-method agreement', description: 'How consistently the methodologies point to the same conclusions' }
+]
+
+export const SCORECARD_MAX_SCORE = 5
+
+export const SCORECARD_TEMPLATE = `You are an expert problem validation analyst. Score how well the problem below is validated, using the methodology analyses and the synthesized summary written from them.
+
+Score each dimension from 1 (very weak) to {{MAX}} (very strong):
+{{DIMENSIONS}}
+
+For every score:
+- Give a one or two sentence rationale grounded in the analyses.
+- List the methodologies the rationale draws on, by id: {{METHODS}}.
+- Score low when the analyses only assume something rather than show it.
+
+Also rate the overall validation strength as "weak", "moderate" or "strong", consistent with the summary.
+
+JSON Schema:
+{{SCHEMA}}
+
+Analyses:
+{{ANALYSES}}
+
+
+Synthesized summary:
+{{SUMMARY}}
+
+
+Respond with a single JSON object that matches the JSON Schema, without markdown or commentary.`
+
+/**
+ * JSON Schema of the scorecard. Source methods are limited to the
+ * methodologies of the run.
+ *
+ * @param {string[]} methodIds
+ * @returns {object}
+ */
+export function buildScorecardSchema(methodIds) {
+  const dimension = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['score', 'rationale', 'sourceMethods'],
+    properties: {
+      score: { type: 'integer', minimum: 1, maximum: SCORECARD_MAX_SCORE },
+      rationale: { type: 'string' },
+      sourceMethods: { type: 'array', minItems: 1, items: { type: 'string', enum: methodIds } }
+    }
+  }
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['scores', 'validationStrength'],
+    properties: {
+      scores: {
+        type: 'object',
+        additionalProperties: false,
+        required: SCORECARD_DIMENSIONS.map(({ id }) => id),
+        properties: Object.fromEntries(SCORECARD_DIMENSIONS.map(({ id }) => [id, dimension]))
+      },
+      validationStrength: { type: 'string', enum: ['weak', 'moderate', 'strong'] }
+    }
+  }
+}
+
+/**
+ * Build the scorecard prompt for a run
+ *
+ * @param {Object} context - Methodology content keyed by methodology ID
+ * @param {string[]} methodIds - Methodologies of the run
+ * @param {string} summaryText - The synthesized summary
+ * @param {object} schema - From buildScorecardSchema
+ * @returns {string}
+ */
+export function buildScorecardPrompt(context, methodIds, summaryText, schema) {
+  const fallback = 'No analysis available for this method.'
+  const ids = getMethodologyOrder().filter(id => methodIds.includes(id))
+
+  const analyses = ids.map((id, index) => {
+    const content = context?.[id] && context[id].trim().length > 0 ? context[id] : fallback
+    return `${index + 1}. ${SYNTHESIS_SECTION_TITLES[id]} (id: ${id}):\n${content}`
+  })
+
+  const dimensions = SCORECARD_DIMENSIONS
+    .map(({ id, description }) => `- ${id}: ${description}`)
+    .join('\n')
+
+  const values = {
+    MAX: String(SCORECARD_MAX_SCORE),
+    DIMENSIONS: dimensions,
+    METHODS: ids.join(', '),
+    SCHEMA: JSON.stringify(schema, null, 2),
+    ANALYSES: analyses.join('\n\n\n'),
+    SUMMARY: summaryText || 'Not provided'
+  }
+
+  // Single pass, so placeholders inside the analyses stay as they are
+  return SCORECARD_TEMPLATE.replace(/\{\{([A-Z]+)\}\}/g, (match, token) => values[token] ?? match)
 }
 
+export const COMPARISON_TEMPLATE = `You are an expert product strategist and problem validation analyst.
+
+A founder validated a problem, then reworded the problem statement or changed its context and validated it again. Both runs used the same validation methodologies. Your task is to explain what changed in the conclusions between the earlier run (Run A) and the later run (Run B), and why it matters.
+
+Input changes:
+{{INPUT_CHANGES}}
+
+
+Analyses:
+{{ANALYSES}}
+
+
+Instructions:
+
+1. What Changed in the Inputs
+   - Summarize the changes to the problem statement and its context in one short paragraph.
+
+2. What Changed in the Conclusions
+   - For each methodology whose conclusions shifted, explain the shift in plain language.
+   - Call out conclusions that held steady despite the changed inputs; they are the most robust findings.
+
+3. Why It Matters
+   - Explain whether the new framing makes the problem sharper, broader, riskier or more promising, and for whom.
+   - Note any new assumptions or risks that appeared, and any that disappeared.
+
+4. Recommendation
+   - Recommend which framing to pursue, or what to test next to decide between them.
+
+Tone:
+- Be practical, balanced, and evidence-informed.
+- Only describe differences that are supported by the analyses; do not invent changes.
+
+Output:
+- Provide continuous text with clear section headings, roughly one page long.`
+
+/**
+ * Build the prompt for the "what changed and why it matters" delta between
+ * two runs.
+ *
+ * @param {{ label: string, before: string, after: string }[]} inputChanges - Changed inputs only
+ * @param {{ id: string, before: string, after: string }[]} methods - Methodology content of both runs
+ * @returns {string}
+ */
+export function buildComparisonPrompt(inputChanges, methods) {
+  const changes = inputChanges.length > 0
+    ? inputChanges.map(({ label, before, after }) => `${label}:\nRun A: ${before || '(empty)'}\nRun B: ${after || '(empty)'}`).join('\n\n')
+    : 'The inputs are identical; only the generated analyses differ.'
+
+  const fallback = 'No analysis available for this method.'
+  const analyses = methods.map(({ id, before, after }, index) => [
+    `${index + 1}. ${SYNTHESIS_SECTION_TITLES[id] || id}:`,
+    `Run A:\n${before?.trim() ? before : fallback}`,
+    `Run B:\n${after?.trim() ? after : fallback}`
+  ].join('\n\n'))
+
+  return COMPARISON_TEMPLATE
+    .replace('{{INPUT_CHANGES}}', () => changes)
+    .replace('{{ANALYSES}}', () => analyses.join('\n\n\n'))
+}
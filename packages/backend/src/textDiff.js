@@ -0,0 +1,123 @@
+/**
+ * Minimal text diff (longest common subsequence) for comparing runs.
+ *
+ * Texts are split into lines or words and compared as token sequences.
+ * The result is a list of parts, each an unchanged, added or removed
+ * stretch of text, so it can be rendered both in the UI and in PDFs.
+ */
+
+// Above this many LCS cells the changed middle is reported as one removal
+// and one addition instead of being compared token by token
+const MAX_DIFF_CELLS = 4_000_000
+
+/**
+ * @typedef {{ type: 'equal'|'added'|'removed', text: string }} DiffPart
+ */
+
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1]
+  if (last?.type === type) {
+    last.text += text
+  } else if (text) {
+    parts.push({ type, text })
+  }
+}
+
+function diffMiddle(a, b) {
+  const rows = a.length + 1
+  const cols = b.length + 1
+
+  if (a.length === 0 || b.length === 0 || rows * cols > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(token => ['removed', token]),
+      ...b.map(token => ['added', token])
+    ]
+  }
+
+  // lengths[i * cols + j]: LCS length of a[i:] and b[j:]
+  const lengths = new Uint32Array(rows * cols)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = a[i] === b[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1])
+    }
+  }
+
+  const ops = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push(['equal', a[i]])
+      i++
+      j++
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      ops.push(['removed', a[i++]])
+    } else {
+      ops.push(['added', b[j++]])
+    }
+  }
+  while (i < a.length) ops.push(['removed', a[i++]])
+  while (j < b.length) ops.push(['added', b[j++]])
+  return ops
+}
+
+/**
+ * Diff two token sequences
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {DiffPart[]}
+ */
+export function diffTokens(a, b) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const parts = []
+  pushPart(parts, 'equal', a.slice(0, start).join(''))
+  for (const [type, token] of diffMiddle(a.slice(start, endA), b.slice(start, endB))) {
+    pushPart(parts, type, token)
+  }
+  pushPart(parts, 'equal', a.slice(endA).join(''))
+  return parts
+}
+
+/**
+ * Diff two texts line by line; each line keeps its trailing newline
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]}
+ */
+export function diffLines(before, after) {
+  const split = text => (text || '').match(/[^\n]*\n|[^\n]+$/g) || []
+  return diffTokens(split(before), split(after))
+}
+
+/**
+ * Diff two short texts word by word, keeping the whitespace
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]}
+ */
+export function diffWords(before, after) {
+  const split = text => (text || '').match(/\s+|\S+/g) || []
+  return diffTokens(split(before), split(after))
+}
+
+/**
+ * Whether a diff contains any change
+ * @param {DiffPart[]} parts
+ * @returns {boolean}
+ */
+export function hasChanges(parts) {
+  return parts.some(part => part.type !== 'equal')
+}
@@ -0,0 +1,175 @@
+/**
+ * Usage & Cost Accounting
+ *
+ * Turns the normalized `usage` of each llmService result into usage
+ * entries (tokens + estimated cost), accumulates them on the session
+ * objects they belong to (analysis steps, synthesis, SCAMPER lenses, SIT
+ * tools) and builds the summaries reported by the status routes, the
+ * Results page and the PDF appendices.
+ */
+
+import { estimateCostUsd } from './modelCatalog.js'
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6
+}
+
+/**
+ * Build a usage entry for a single LLM call.
+ * @param {{ provider: string, model: string, usage?: object }} result - llmService.analyze result
+ * @returns {object} Usage entry
+ */
+export function createUsageEntry(result) {
+  const promptTokens = result?.usage?.promptTokens || 0
+  const completionTokens = result?.usage?.completionTokens || 0
+  const totalTokens = result?.usage?.totalTokens || promptTokens + completionTokens
+  const cost = estimateCostUsd(result?.provider, result?.model, { promptTokens, completionTokens })
+
+  return {
+    provider: result?.provider || null,
+    model: result?.model || null,
+    calls: 1,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    costUsd: cost == null ? 0 : roundCost(cost),
+    // Calls whose model has no pricing entry are counted but not costed
+    unpricedCalls: cost == null ? 1 : 0
+  }
+}
+
+/**
+ * Add two usage entries together. Either may be null.
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {object|null}
+ */
+export function mergeUsage(a, b) {
+  if (!a) return b ? { ...b } : null
+  if (!b) return { ...a }
+
+  return {
+    provider: a.provider === b.provider ? a.provider : 'mixed',
+    model: a.model === b.model ? a.model : 'mixed',
+    calls: (a.calls || 0) + (b.calls || 0),
+    promptTokens: (a.promptTokens || 0) + (b.promptTokens || 0),
+    completionTokens: (a.completionTokens || 0) + (b.completionTokens || 0),
+    totalTokens: (a.totalTokens || 0) + (b.totalTokens || 0),
+    costUsd: roundCost((a.costUsd || 0) + (b.costUsd || 0)),
+    unpricedCalls: (a.unpricedCalls || 0) + (b.unpricedCalls || 0)
+  }
+}
+
+/**
+ * Accumulate a call's usage on the object it belongs to (holder.usage).
+ * Re-runs of the same step keep adding up, since every call is billed.
+ * @param {object} holder - e.g. an analysis step or SCAMPER lens entry
+ * @param {object} result - llmService.analyze result
+ * @returns {object} The updated usage
+ */
+export function recordUsage(holder, result) {
+  holder.usage = mergeUsage(holder.usage, createUsageEntry(result))
+  return holder.usage
+}
+
+/**
+ * Summarize labelled usage entries into line items and a total.
+ * @param {Array<{ id: string, name: string, usage?: object }>} entries
+ * @returns {{ items: object[], total: object|null }}
+ */
+export function summarizeUsage(entries) {
+  const items = entries
+    .filter(entry => entry.usage)
+    .map(entry => ({ id: entry.id, name: entry.name, ...entry.usage }))
+
+  const total = items.reduce((sum, item) => {
+    const { id, name, ...usage } = item
+    return mergeUsage(sum, usage)
+  }, null)
+
+  return { items, total }
+}
+
+/**
+ * Usage of the validation analysis: one line per step plus synthesis, the
+ * consistency check and the refinement suggestion.
+ * @param {object} session
+ */
+export function getAnalysisUsage(session) {
+  const steps = session?.results?.analysis?.steps || []
+  const summary = session?.results?.summary
+  const refinement = session?.results?.refinement
+  const consistency = session?.results?.consistency
+
+  return summarizeUsage([
+    ...steps.map(step => ({ id: step.id, name: step.name, usage: step.usage })),
+    { id: 'synthesis', name: 'Synthesis', usage: summary?.usage },
+    { id: 'consistency', name: 'Consistency check', usage: consistency?.usage },
+    { id: 'refinement', name: 'Refinement suggestion', usage: refinement?.usage }
+  ])
+}
+
+/**
+ * Usage of an ideation technique: one line per SCAMPER lens or SIT tool
+ * plus the synthesis & ranking call.
+ * @param {object} results - session.results.ideation.scamper or .sit
+ * @param {'scamper'|'sit'} technique
+ */
+export function getIdeationUsage(results, technique) {
+  if (!results) {
+    return { items: [], total: null }
+  }
+
+  const parts = technique === 'scamper' ? results.lenses : results.tools
+
+  return summarizeUsage([
+    ...Object.entries(parts || {}).map(([id, part]) => ({
+      id,
+      name: part.name,
+      usage: part.usage
+    })),
+    { id: 'synthesis', name: 'Synthesis & Ranking', usage: results.synthesisUsage }
+  ])
+}
+
+/**
+ * Usage across the whole session, broken down by phase.
+ * @param {object} session
+ */
+export function getSessionUsage(session) {
+  const analysis = getAnalysisUsage(session)
+  const scamper = getIdeationUsage(session?.results?.ideation?.scamper, 'scamper')
+  const sit = getIdeationUsage(session?.results?.ideation?.sit, 'sit')
+
+  return {
+    analysis,
+    scamper,
+    sit,
+    total: [analysis.total, scamper.total, sit.total].reduce(mergeUsage, null)
+  }
+}
+
+/**
+ * Enforce the session's budget cap (apiConfig.budgetUsd), if any. Called
+ * before every provider call so a run stops once its spend reaches the cap;
+ * the call in flight when the cap is crossed still completes.
+ * @param {object} session
+ * @throws {Error} BUDGET_EXCEEDED_ERROR when the cap has been reached
+ */
+export function assertWithinBudget(session) {
+  const budgetUsd = session?.apiConfig?.budgetUsd
+  if (!budgetUsd) {
+    return
+  }
+
+  const spentUsd = getSessionUsage(session).total?.costUsd || 0
+  if (spentUsd >= budgetUsd) {
+    const err = new Error(
+      `Budget of $${budgetUsd.toFixed(2)} reached ($${spentUsd.toFixed(4)} spent); raise the budget to continue`
+    )
+    err.type = 'BUDGET_EXCEEDED_ERROR'
+    err.budgetUsd = budgetUsd
+    err.spentUsd = spentUsd
+    throw err
+  }
+}
@@ -3,13 +3,22 @@
  * Provides server-side validation for all form fields
  */
 
-import { METHODOLOGY_STEPS } from '../promptTemplates.js'
+import { METHODOLOGY_STEPS, getMethodologySteps } from '../promptTemplates.js'
+import { SUPPORTED_PROVIDERS, resolveLocalBaseUrl } from '../llmService.js'
+import { MOCK_MODELS, isMockProviderEnabled } from '../mockProvider.js'
 
+// Hosted providers are pinned to known models; 'local' accepts whatever the
+// self-hosted server reports through model discovery.
 const ALLOWED_MODELS = {
   openai: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
-  claude: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku']
+  claude: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku'],
+  mock: Object.keys(MOCK_MODELS)
 }
 
+const MAX_LOCAL_MODEL_LENGTH = 200
+
+const MAX_BUDGET_USD = 1000
+
 const VALID_TEAM_SIZES = ['1-3', '4-10', '11-50', '51-200', '200+']
 
 /**
@@ -20,6 +29,66 @@ function isValidEmail(email) {
   return emailRegex.test(email)
 }
 
+/**
+ * Validates config.provider and config.model, adding messages to errors
+ */
+function validateProviderAndModel(config, errors) {
+  if (!config?.provider) {
+    errors['config.provider'] = 'AI provider is required'
+  } else if (!SUPPORTED_PROVIDERS.includes(config.provider)) {
+    errors['config.provider'] = 'Provider must be one of "openai", "claude", "local" or "mock"'
+  } else if (config.provider === 'mock' && !isMockProviderEnabled()) {
+    errors['config.provider'] = 'The mock provider is disabled; set LLM_MOCK_ENABLED=true to enable it'
+  }
+
+  if (!config?.model) {
+    errors['config.model'] = 'Model selection is required'
+  } else if (config.provider === 'local') {
+    if (typeof config.model !== 'string' || config.model.length > MAX_LOCAL_MODEL_LENGTH) {
+      errors['config.model'] = `Model must be a string of at most ${MAX_LOCAL_MODEL_LENGTH} characters`
+    }
+  } else if (config.provider && ALLOWED_MODELS[config.provider]) {
+    if (!ALLOWED_MODELS[config.provider].includes(config.model)) {
+      errors['config.model'] = `Model must be one of: ${ALLOWED_MODELS[config.provider].join(', ')}`
+    }
+  }
+}
+
+/**
+ * Validates the optional config.budgetUsd spending cap
+ */
+function validateBudget(config, errors) {
+  if (config?.budgetUsd == null || config.budgetUsd === '') {
+    return
+  }
+
+  if (typeof config.budgetUsd !== 'number' || !Number.isFinite(config.budgetUsd)) {
+    errors['config.budgetUsd'] = 'Budget must be a number'
+  } else if (config.budgetUsd <= 0 || config.budgetUsd > MAX_BUDGET_USD) {
+    errors['config.budgetUsd'] = `Budget must be greater than 0 and at most ${MAX_BUDGET_USD} USD`
+  }
+}
+
+/**
+ * Validates the optional top-level methods selection: a non-empty list of
+ * distinct methodology IDs. Omitting it runs every methodology.
+ */
+function validateMethods(methods, errors) {
+  if (methods == null) {
+    return
+  }
+
+  const validIds = METHODOLOGY_STEPS.map(step => step.id)
+
+  if (!Array.isArray(methods) || methods.length === 0) {
+    errors.methods = 'Methods must be a non-empty array of methodology IDs'
+  } else if (methods.some(id => !validIds.includes(id))) {
+    errors.methods = `Methods must only contain: ${validIds.join(', ')}`
+  } else if (new Set(methods).size !== methods.length) {
+    errors.methods = 'Methods must not contain duplicates'
+  }
+}
+
 /**
  * Validates the complete analysis initialization payload
  * @param {Object} payload - The request payload
@@ -79,24 +148,30 @@ export function validateAnalysisPayload(payload) {
     errors['config.email'] = 'Invalid email address format'
   }
 
-  // Validate config.provider
-  if (!payload?.config?.provider) {
-    errors['config.provider'] = 'AI provider is required'
-  } else if (!['openai', 'claude'].includes(payload.config.provider)) {
-    errors['config.provider'] = 'Provider must be either "openai" or "claude"'
-  }
+  validateProviderAndModel(payload?.config, errors)
 
-  // Validate config.model
-  if (!payload?.config?.model) {
-    errors['config.model'] = 'Model selection is required'
-  } else if (payload.config.provider && ALLOWED_MODELS[payload.config.provider]) {
-    if (!ALLOWED_MODELS[payload.config.provider].includes(payload.config.model)) {
-      errors['config.model'] = `Model must be one of: ${ALLOWED_MODELS[payload.config.provider].join(', ')}`
+  const isLocal = payload?.config?.provider === 'local'
+  const isKeyless = isLocal || payload?.config?.provider === 'mock'
+
+  // Validate config.baseUrl (local provider only; defaults to LOCAL_LLM_BASE_URL)
+  if (isLocal && payload.config.baseUrl != null && payload.config.baseUrl !== '') {
+    if (typeof payload.config.baseUrl !== 'string') {
+      errors['config.baseUrl'] = 'Base URL must be a string'
+    } else {
+      try {
+        resolveLocalBaseUrl(payload.config.baseUrl)
+      } catch (error) {
+        errors['config.baseUrl'] = error.message
+      }
     }
   }
 
-  // Validate config.apiKey
-  if (!payload?.config?.apiKey) {
+  // Validate config.apiKey (optional for local servers and the mock provider)
+  if (isKeyless) {
+    if (payload.config.apiKey != null && typeof payload.config.apiKey !== 'string') {
+      errors['config.apiKey'] = 'API key must be a string'
+    }
+  } else if (!payload?.config?.apiKey) {
     errors['config.apiKey'] = 'API key is required'
   } else if (typeof payload.config.apiKey !== 'string') {
     errors['config.apiKey'] = 'API key must be a string'
@@ -104,6 +179,15 @@ export function validateAnalysisPayload(payload) {
     errors['config.apiKey'] = 'API key must be at least 20 characters'
   }
 
+  validateBudget(payload?.config, errors)
+
+  validateMethods(payload?.methods, errors)
+
+  // Validate refinedFrom (optional ID of the run this one refines)
+  if (payload?.refinedFrom != null && (typeof payload.refinedFrom !== 'string' || !payload.refinedFrom)) {
+    errors.refinedFrom = 'refinedFrom must be a run ID'
+  }
+
   // Return validation result
   if (Object.keys(errors).length > 0) {
     return {
@@ -116,20 +200,64 @@ export function validateAnalysisPayload(payload) {
   return { success: true }
 }
 
+/**
+ * Validates the payload of the pre-run estimate endpoint. Same shape as
+ * the initialization payload, but only the fields that affect prompts and
+ * pricing are required.
+ * @param {Object} payload - The request payload
+ * @returns {Object} - { success: boolean, error?: string, details?: Object }
+ */
+export function validateEstimatePayload(payload) {
+  const errors = {}
+
+  if (!payload?.problem?.description) {
+    errors['problem.description'] = 'Problem description is required'
+  } else if (typeof payload.problem.description !== 'string') {
+    errors['problem.description'] = 'Problem description must be a string'
+  } else if (payload.problem.description.length > 2000) {
+    errors['problem.description'] = 'Problem description must not exceed 2000 characters'
+  }
+
+  if (payload?.clarification != null && typeof payload.clarification !== 'object') {
+    errors.clarification = 'Clarification must be an object'
+  }
+
+  validateProviderAndModel(payload?.config, errors)
+
+  validateMethods(payload?.methods, errors)
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    }
+  }
+
+  return { success: true }
+}
+
 /**
  * Creates the initial analysis state structure
  * Uses METHODOLOGY_STEPS as single source of truth for step names
+ *
+ * @param {string[]} [methods] - Selected methodology IDs; all when omitted
  */
-export function createInitialAnalysisState() {
+export function createInitialAnalysisState(methods) {
+  const steps = getMethodologySteps(methods)
+
   return {
     status: 'pending',
     startedAt: null,
     completedAt: null,
-    steps: METHODOLOGY_STEPS.map(step => ({
+    methods: steps.map(step => step.id),
+    steps: steps.map(step => ({
       id: step.id,
       name: step.name,
       status: 'pending',
-      result: null
+      result: null,
+      attempts: 0,
+      lastError: null
     })),
     error: null,
     files: []
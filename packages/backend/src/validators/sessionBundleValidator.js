@@ -0,0 +1,281 @@
+/**
+ * Validation for session bundles accepted by POST /api/session/import
+ */
+
+import { METHODOLOGY_STEPS } from '../promptTemplates.js'
+import { SUPPORTED_PROVIDERS } from '../llmService.js'
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from '../sessionBundle.js'
+import { SCORECARD_DIMENSIONS, SCORECARD_MAX_SCORE } from '../synthesisTemplates.js'
+
+// Runs are exported only when no job is active
+const ANALYSIS_STATUSES = ['pending', 'completed', 'failed', 'cancelled']
+const STEP_STATUSES = ['pending', 'completed', 'failed']
+const IDEATION_STATUSES = ['completed', 'completed-with-errors', 'failed', 'cancelled']
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isOptionalString(value) {
+  return value == null || typeof value === 'string'
+}
+
+/**
+ * Validates bundle.inputs; validationRequest fields must be strings
+ */
+function validateInputs(inputs, errors) {
+  if (!isPlainObject(inputs)) {
+    errors.inputs = 'Inputs must be an object'
+    return
+  }
+
+  const request = inputs.validationRequest
+  if (request == null) {
+    return
+  }
+  if (!isPlainObject(request)) {
+    errors['inputs.validationRequest'] = 'Validation request must be an object'
+    return
+  }
+  for (const field of ['description', 'location', 'targetCustomer', 'teamSize']) {
+    if (!isOptionalString(request[field])) {
+      errors[`inputs.validationRequest.${field}`] = `${field} must be a string`
+    }
+  }
+}
+
+/**
+ * Validates bundle.apiConfig (no API key is ever part of a bundle)
+ */
+function validateApiConfig(apiConfig, errors) {
+  if (apiConfig == null) {
+    return
+  }
+  if (!isPlainObject(apiConfig)) {
+    errors.apiConfig = 'API config must be an object'
+    return
+  }
+
+  if (apiConfig.provider != null && !SUPPORTED_PROVIDERS.includes(apiConfig.provider)) {
+    errors['apiConfig.provider'] = `Provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`
+  }
+  for (const field of ['email', 'model', 'baseUrl']) {
+    if (!isOptionalString(apiConfig[field])) {
+      errors[`apiConfig.${field}`] = `${field} must be a string`
+    }
+  }
+  if (apiConfig.budgetUsd != null && (typeof apiConfig.budgetUsd !== 'number' || apiConfig.budgetUsd <= 0)) {
+    errors['apiConfig.budgetUsd'] = 'Budget must be a positive number'
+  }
+  if ('apiKey' in apiConfig) {
+    errors['apiConfig.apiKey'] = 'Bundles must not contain an API key'
+  }
+}
+
+/**
+ * Validates results.analysis: known methodologies, statuses and string content
+ */
+function validateAnalysis(analysis, errors) {
+  if (analysis == null) {
+    return
+  }
+  if (!isPlainObject(analysis)) {
+    errors['results.analysis'] = 'Analysis must be an object'
+    return
+  }
+
+  const validIds = METHODOLOGY_STEPS.map(step => step.id)
+
+  if (!ANALYSIS_STATUSES.includes(analysis.status)) {
+    errors['results.analysis.status'] = `Analysis status must be one of: ${ANALYSIS_STATUSES.join(', ')}`
+  }
+  if (analysis.methods != null &&
+    (!Array.isArray(analysis.methods) || analysis.methods.some(id => !validIds.includes(id)))) {
+    errors['results.analysis.methods'] = `Methods must only contain: ${validIds.join(', ')}`
+  }
+  if (!Array.isArray(analysis.steps)) {
+    errors['results.analysis.steps'] = 'Steps must be an array'
+    return
+  }
+
+  analysis.steps.forEach((step, index) => {
+    const prefix = `results.analysis.steps[${index}]`
+    if (!isPlainObject(step)) {
+      errors[prefix] = 'Step must be an object'
+      return
+    }
+    if (!validIds.includes(step.id)) {
+      errors[`${prefix}.id`] = `Unknown methodology "${step.id}"`
+    }
+    if (!STEP_STATUSES.includes(step.status)) {
+      errors[`${prefix}.status`] = `Step status must be one of: ${STEP_STATUSES.join(', ')}`
+    }
+    if (step.result != null &&
+      (!isPlainObject(step.result) || !isOptionalString(step.result.content))) {
+      errors[`${prefix}.result`] = 'Step result must be an object with string content'
+    } else if (step.result?.structured != null && !isPlainObject(step.result.structured)) {
+      errors[`${prefix}.result.structured`] = 'Structured step result must be an object'
+    }
+  })
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0
+}
+
+/**
+ * Validates results.summary, including the citations and scorecard the
+ * summary route and PDF render
+ */
+function validateSummary(summary, errors) {
+  if (summary == null) {
+    return
+  }
+  if (!isPlainObject(summary) || typeof summary.text !== 'string') {
+    errors['results.summary'] = 'Summary must be an object with text'
+    return
+  }
+
+  if (summary.citations != null) {
+    if (!Array.isArray(summary.citations)) {
+      errors['results.summary.citations'] = 'Citations must be an array'
+    } else {
+      const validIds = METHODOLOGY_STEPS.map(step => step.id)
+      summary.citations.forEach((citation, index) => {
+        if (!isPlainObject(citation) ||
+          !isPositiveInteger(citation.number) ||
+          !isPositiveInteger(citation.passage) ||
+          !validIds.includes(citation.stepId) ||
+          typeof citation.ref !== 'string' ||
+          typeof citation.excerpt !== 'string') {
+          errors[`results.summary.citations[${index}]`] =
+            'Citation must have a number, ref, known stepId, passage number and excerpt'
+        }
+      })
+    }
+  }
+
+  const scorecard = summary.scorecard
+  if (scorecard == null) {
+    return
+  }
+  if (!isPlainObject(scorecard) || !isPlainObject(scorecard.scores)) {
+    errors['results.summary.scorecard'] = 'Scorecard must be an object with scores'
+    return
+  }
+  const maxScore = scorecard.maxScore ?? SCORECARD_MAX_SCORE
+  if (typeof maxScore !== 'number' || maxScore <= 0) {
+    errors['results.summary.scorecard.maxScore'] = 'Max score must be a positive number'
+  }
+  if (typeof scorecard.overall !== 'number') {
+    errors['results.summary.scorecard.overall'] = 'Overall score must be a number'
+  }
+  if (!isOptionalString(scorecard.validationStrength)) {
+    errors['results.summary.scorecard.validationStrength'] = 'Validation strength must be a string'
+  }
+  const dimensionIds = SCORECARD_DIMENSIONS.map(dimension => dimension.id)
+  for (const [id, entry] of Object.entries(scorecard.scores)) {
+    if (!dimensionIds.includes(id)) {
+      errors[`results.summary.scorecard.scores.${id}`] = `Unknown scorecard dimension "${id}"`
+    } else if (!isPlainObject(entry) ||
+      typeof entry.score !== 'number' ||
+      typeof entry.rationale !== 'string' ||
+      (entry.sourceMethods != null &&
+        (!Array.isArray(entry.sourceMethods) || entry.sourceMethods.some(method => typeof method !== 'string')))) {
+      errors[`results.summary.scorecard.scores.${id}`] =
+        'Score must have a numeric score, a rationale and an array of source methods'
+    }
+  }
+}
+
+/**
+ * Validates one ideation technique's results (SCAMPER lenses or SIT tools)
+ */
+function validateIdeation(results, path, groupField, errors) {
+  if (results == null) {
+    return
+  }
+  if (!isPlainObject(results)) {
+    errors[path] = 'Ideation results must be an object'
+    return
+  }
+
+  if (!IDEATION_STATUSES.includes(results.status)) {
+    errors[`${path}.status`] = `Ideation status must be one of: ${IDEATION_STATUSES.join(', ')}`
+  }
+  if (results[groupField] != null) {
+    if (!isPlainObject(results[groupField])) {
+      errors[`${path}.${groupField}`] = `${groupField} must be an object`
+    } else {
+      for (const [id, group] of Object.entries(results[groupField])) {
+        if (!isPlainObject(group) || (group.ideas != null && !Array.isArray(group.ideas))) {
+          errors[`${path}.${groupField}.${id}`] = 'Must be an object with an ideas array'
+        }
+      }
+    }
+  }
+  if (results.synthesis != null && !isPlainObject(results.synthesis)) {
+    errors[`${path}.synthesis`] = 'Synthesis must be an object'
+  }
+}
+
+/**
+ * Validates a session bundle before import
+ * @param {Object} bundle - Parsed bundle JSON
+ * @returns {Object} - { success: boolean, error?: string, details?: Object }
+ */
+export function validateSessionBundle(bundle) {
+  const errors = {}
+
+  if (!isPlainObject(bundle)) {
+    return {
+      success: false,
+      error: 'Validation failed',
+      details: { bundle: 'Bundle must be a JSON object' }
+    }
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT) {
+    errors.format = `Format must be "${BUNDLE_FORMAT}"`
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    errors.version = 'Version must be a positive integer'
+  } else if (bundle.version > BUNDLE_VERSION) {
+    errors.version = `Bundle version ${bundle.version} is newer than supported (${BUNDLE_VERSION})`
+  }
+
+  validateInputs(bundle.inputs, errors)
+  validateApiConfig(bundle.apiConfig, errors)
+
+  if (!isPlainObject(bundle.results)) {
+    errors.results = 'Results must be an object'
+  } else {
+    validateAnalysis(bundle.results.analysis, errors)
+
+    validateSummary(bundle.results.summary, errors)
+
+    const consistency = bundle.results.consistency
+    if (consistency != null && (!isPlainObject(consistency) ||
+      !['claims', 'clusters', 'contradictions'].every(field => Array.isArray(consistency[field])))) {
+      errors['results.consistency'] = 'Consistency must be an object with claims, clusters and contradictions'
+    }
+
+    const ideation = bundle.results.ideation
+    if (ideation != null && !isPlainObject(ideation)) {
+      errors['results.ideation'] = 'Ideation must be an object'
+    } else {
+      validateIdeation(ideation?.scamper, 'results.ideation.scamper', 'lenses', errors)
+      validateIdeation(ideation?.sit, 'results.ideation.sit', 'tools', errors)
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    }
+  }
+
+  return { success: true }
+}
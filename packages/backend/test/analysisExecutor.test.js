@@ -1,9 +1,27 @@
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
-import { runAnalysis } from '../src/analysisExecutor.js'
+import { runAnalysis, resetFailedSteps } from '../src/analysisExecutor.js'
 import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
 import { METHODOLOGY_STEPS } from '../src/promptTemplates.js'
 import llmService from '../src/llmService.js'
+import { subscribeToAnalysis } from '../src/analysisEvents.js'
+import { isArtifactRef, resolveArtifacts } from '../src/artifactStore.js'
+import { renderMockContent } from '../src/mockProvider.js'
+
+// Answers structured output calls like the mock provider, so handlers
+// only see the prose call of each step
+function stubAnalyze(handler) {
+  llmService.analyze = async (prompt, options) => {
+    if (options.metadata?.kind === 'structured') {
+      return {
+        content: renderMockContent(`structured:${options.metadata.stepId}`),
+        provider: options.provider,
+        model: options.model
+      }
+    }
+    return handler(prompt, options)
+  }
+}
 
 describe('analysisExecutor.runAnalysis', () => {
   let originalAnalyze
@@ -19,14 +37,14 @@ describe('analysisExecutor.runAnalysis', () => {
   test('runs all methodologies sequentially and stores results', async () => {
     const calls = []
 
-    llmService.analyze = async (prompt, options) => {
+    stubAnalyze(async (prompt, options) => {
       calls.push(options.metadata.stepId)
       return {
         content: `Result for ${options.metadata.stepId}`,
         provider: options.provider,
         model: options.model
       }
-    }
+    })
 
     const session = {
       id: 'session-1',
@@ -59,11 +77,11 @@ describe('analysisExecutor.runAnalysis', () => {
     assert.deepStrictEqual(calls, METHODOLOGY_STEPS.map(s => s.id))
 
     // All steps completed with results
-    analysis.steps.forEach(step => {
+    for (const step of analysis.steps) {
       assert.strictEqual(step.status, 'completed')
-      assert.ok(step.result)
-      assert.ok(step.result.content.includes(step.id))
-    })
+      assert.ok(isArtifactRef(step.result.content), 'Content should be offloaded from the session')
+      assert.ok((await resolveArtifacts(session, step.result)).content.includes(step.id))
+    }
 
     assert.strictEqual(analysis.status, 'completed')
     assert.ok(analysis.startedAt)
@@ -74,14 +92,14 @@ describe('analysisExecutor.runAnalysis', () => {
   test('skips already completed steps (resume behavior)', async () => {
     const calls = []
 
-    llmService.analyze = async (prompt, options) => {
+    stubAnalyze(async (prompt, options) => {
       calls.push(options.metadata.stepId)
       return {
         content: `Result for ${options.metadata.stepId}`,
         provider: options.provider,
         model: options.model
       }
-    }
+    })
 
     const analysis = createInitialAnalysisState()
     // Mark first two steps as completed
@@ -127,7 +145,7 @@ describe('analysisExecutor.runAnalysis', () => {
     const analysis = createInitialAnalysisState()
 
     let callCount = 0
-    llmService.analyze = async () => {
+    stubAnalyze(async () => {
       callCount += 1
       if (callCount === 2) {
         const err = new Error('Step failure')
@@ -135,7 +153,7 @@ describe('analysisExecutor.runAnalysis', () => {
         throw err
       }
       return { content: 'ok', provider: 'openai', model: 'gpt-4' }
-    }
+    })
 
     const session = {
       id: 'session-3',
@@ -170,5 +188,332 @@ describe('analysisExecutor.runAnalysis', () => {
       assert.strictEqual(analysis.steps[i].status, 'pending')
     }
   })
-})
 
+  test('broadcasts step transitions, deltas and final status', async () => {
+    llmService.analyze = async (prompt, options) => {
+      options.onDelta(`Delta for ${options.metadata.stepId}`)
+      return {
+        content: `Result for ${options.metadata.stepId}`,
+        provider: options.provider,
+        model: options.model
+      }
+    }
+
+    const session = {
+      id: 'session-events',
+      inputs: {
+        validationRequest: {
+          description: 'D'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: {
+        provider: 'openai',
+        model: 'gpt-4'
+      },
+      results: { analysis: createInitialAnalysisState() },
+      async save() {}
+    }
+
+    const events = []
+    const unsubscribe = subscribeToAnalysis('session-events', event => events.push(event))
+
+    try {
+      await runAnalysis(session, 'e'.repeat(40))
+    } finally {
+      unsubscribe()
+    }
+
+    const deltas = events.filter(e => e.type === 'delta')
+    assert.deepStrictEqual(
+      deltas.map(e => e.data.id),
+      METHODOLOGY_STEPS.map(s => s.id)
+    )
+
+    const completedSteps = events.filter(
+      e => e.type === 'step' && e.data.status === 'completed'
+    )
+    assert.strictEqual(completedSteps.length, METHODOLOGY_STEPS.length)
+
+    const last = events[events.length - 1]
+    assert.strictEqual(last.type, 'status')
+    assert.strictEqual(last.data.status, 'completed')
+  })
+
+  test('marks the analysis cancelled and keeps the step resumable when aborted', async () => {
+    const controller = new AbortController()
+
+    llmService.analyze = async (prompt, options) => {
+      if (options.metadata.stepId === 'designThinking') {
+        controller.abort()
+        const err = new Error('The operation was aborted')
+        err.type = 'LLM_NETWORK_ERROR'
+        throw err
+      }
+      return { content: 'ok', provider: 'openai', model: 'gpt-4' }
+    }
+
+    const analysis = createInitialAnalysisState()
+    const session = {
+      id: 'session-cancel',
+      inputs: {
+        validationRequest: {
+          description: 'F'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: {
+        provider: 'openai',
+        model: 'gpt-4'
+      },
+      results: { analysis },
+      async save() {}
+    }
+
+    await assert.rejects(
+      () => runAnalysis(session, 'c'.repeat(40), { signal: controller.signal }),
+      err => err.type === 'ANALYSIS_CANCELLED'
+    )
+
+    assert.strictEqual(analysis.status, 'cancelled')
+    assert.strictEqual(analysis.steps[0].status, 'completed')
+    assert.strictEqual(analysis.steps[1].status, 'pending')
+  })
+
+  test('retries only failed steps after resetFailedSteps and tracks attempts', async () => {
+    const calls = []
+    let failDesignThinking = true
+
+    stubAnalyze(async (prompt, options) => {
+      calls.push(options.metadata.stepId)
+      if (options.metadata.stepId === 'designThinking' && failDesignThinking) {
+        options.onRetry({
+          attempt: 1,
+          maxAttempts: 2,
+          delayMs: 0,
+          error: new Error('Overloaded')
+        })
+        const err = new Error('Overloaded')
+        err.type = 'LLM_PROVIDER_ERROR'
+        err.status = 529
+        throw err
+      }
+      return { content: 'ok', provider: 'claude', model: 'claude-3-sonnet' }
+    })
+
+    const analysis = createInitialAnalysisState()
+    const session = {
+      id: 'session-retry',
+      inputs: {
+        validationRequest: {
+          description: 'G'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: {
+        provider: 'claude',
+        model: 'claude-3-sonnet'
+      },
+      results: { analysis },
+      async save() {}
+    }
+    const apiKey = 'r'.repeat(40)
+
+    await assert.rejects(() => runAnalysis(session, apiKey))
+    assert.strictEqual(analysis.status, 'failed')
+    assert.strictEqual(analysis.steps[1].attempts, 2)
+    assert.strictEqual(analysis.steps[1].lastError, 'Overloaded')
+
+    // A failed analysis cannot be re-run until its failed steps are reset
+    await assert.rejects(
+      () => runAnalysis(session, apiKey),
+      err => err.type === 'ANALYSIS_CONFLICT'
+    )
+
+    assert.strictEqual(resetFailedSteps(analysis), 1)
+    assert.strictEqual(analysis.status, 'pending')
+    assert.strictEqual(analysis.steps[1].status, 'pending')
+
+    failDesignThinking = false
+    calls.length = 0
+    await runAnalysis(session, apiKey)
+
+    assert.strictEqual(analysis.status, 'completed')
+    // jtbd completed in the first run and is not re-sent to the provider
+    assert.deepStrictEqual(
+      calls,
+      METHODOLOGY_STEPS.slice(1).map(s => s.id)
+    )
+    assert.strictEqual(analysis.steps[0].attempts, 1)
+    assert.strictEqual(analysis.steps[1].attempts, 3)
+    assert.strictEqual(analysis.steps[1].lastError, 'Overloaded')
+  })
+
+  test('runs steps concurrently up to the configured limit', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+
+    llmService.analyze = async (prompt, options) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      inFlight--
+      return { content: `Result for ${options.metadata.stepId}`, provider: 'openai', model: 'gpt-4' }
+    }
+
+    const session = {
+      id: 'session-concurrent',
+      inputs: {
+        validationRequest: {
+          description: 'H'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: {
+        provider: 'openai',
+        model: 'gpt-4'
+      },
+      results: { analysis: createInitialAnalysisState() },
+      async save() {}
+    }
+
+    const analysis = await runAnalysis(session, 'p'.repeat(40), { concurrency: 3 })
+
+    assert.strictEqual(maxInFlight, 3)
+    assert.strictEqual(analysis.status, 'completed')
+    for (const step of analysis.steps) {
+      assert.strictEqual(step.status, 'completed')
+      assert.strictEqual((await resolveArtifacts(session, step.result.content)), `Result for ${step.id}`)
+    }
+  })
+
+  test('lets running steps finish but starts no new ones after a concurrent failure', async () => {
+    llmService.analyze = async (prompt, options) => {
+      if (options.metadata.stepId === 'jtbd') {
+        const err = new Error('Step failure')
+        err.type = 'LLM_PROVIDER_ERROR'
+        throw err
+      }
+      await new Promise(resolve => setTimeout(resolve, 5))
+      return { content: 'ok', provider: 'openai', model: 'gpt-4' }
+    }
+
+    const analysis = createInitialAnalysisState()
+    const session = {
+      id: 'session-concurrent-failure',
+      inputs: {
+        validationRequest: {
+          description: 'I'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: {
+        provider: 'openai',
+        model: 'gpt-4'
+      },
+      results: { analysis },
+      async save() {}
+    }
+
+    await assert.rejects(
+      () => runAnalysis(session, 'q'.repeat(40), { concurrency: 2 }),
+      err => err.message === 'Step failure'
+    )
+
+    assert.strictEqual(analysis.status, 'failed')
+    assert.strictEqual(analysis.error, 'Step failure')
+    assert.deepStrictEqual(
+      analysis.steps.map(step => step.status),
+      ['failed', 'completed', 'pending', 'pending', 'pending']
+    )
+  })
+
+  test('runs only the selected methodologies with renumbered progress', async () => {
+    const calls = []
+    const events = []
+
+    stubAnalyze(async (prompt, options) => {
+      calls.push(options.metadata.stepId)
+      return { content: `Result for ${options.metadata.stepId}`, provider: 'openai', model: 'gpt-4' }
+    })
+
+    const session = {
+      id: 'session-subset',
+      inputs: {
+        validationRequest: {
+          description: 'J'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: {
+        provider: 'openai',
+        model: 'gpt-4'
+      },
+      results: { analysis: createInitialAnalysisState(['ost', 'designThinking']) },
+      async save() {}
+    }
+
+    const unsubscribe = subscribeToAnalysis(session.id, event => events.push(event))
+    const analysis = await runAnalysis(session, 'r'.repeat(40))
+    unsubscribe()
+
+    assert.deepStrictEqual(calls, ['designThinking', 'ost'])
+    assert.strictEqual(analysis.status, 'completed')
+    assert.deepStrictEqual(analysis.steps.map(step => step.id), ['designThinking', 'ost'])
+    assert.strictEqual(analysis.currentStepLabel, 'Building Opportunity Solution Tree... (2/2)')
+    assert.deepStrictEqual(
+      events.filter(e => e.type === 'step' && e.data.status === 'in-progress').map(e => e.data.index),
+      [0, 1]
+    )
+  })
+
+  test('keeps raw provider responses only when enabled', async () => {
+    llmService.analyze = async (prompt, options) => ({
+      content: 'ok',
+      provider: 'openai',
+      model: 'gpt-4',
+      raw: { id: `response-${options.metadata.stepId}` }
+    })
+
+    const createRawSession = id => ({
+      id,
+      inputs: {
+        validationRequest: {
+          description: 'R'.repeat(500),
+          location: 'Loc',
+          targetCustomer: 'Target customer long description',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: { provider: 'openai', model: 'gpt-4' },
+      results: { analysis: createInitialAnalysisState(['jtbd']) },
+      async save() {}
+    })
+
+    const withoutRaw = createRawSession('session-raw-off')
+    await runAnalysis(withoutRaw, 's'.repeat(40))
+    assert.strictEqual(withoutRaw.results.analysis.steps[0].result.raw, undefined)
+
+    process.env.LLM_STORE_RAW_RESPONSES = 'true'
+    try {
+      const withRaw = createRawSession('session-raw-on')
+      await runAnalysis(withRaw, 's'.repeat(40))
+      const result = await resolveArtifacts(withRaw, withRaw.results.analysis.steps[0].result)
+      assert.deepStrictEqual(result.raw, { id: 'response-jtbd' })
+    } finally {
+      delete process.env.LLM_STORE_RAW_RESPONSES
+    }
+  })
+})
@@ -0,0 +1,271 @@
+/**
+ * Unit tests for analysis history and its routes
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { initSessionStore, createSession } from '../src/sessionStore.js'
+import { initArtifactStore, storeArtifact, resolveArtifacts } from '../src/artifactStore.js'
+import { initOutputStorage, getOutputStorage } from '../src/outputStorage.js'
+import { getOutputFilePrefix } from '../src/fileOutputService.js'
+import {
+  archiveCurrentRun,
+  createRun,
+  openRun,
+  deleteRun,
+  listRuns,
+  findRun,
+  hasActiveRun
+} from '../src/analysisHistory.js'
+import { initJobQueue } from '../src/jobQueue.js'
+import {
+  listHistoryRoute,
+  getHistoryRunRoute,
+  openHistoryRunRoute,
+  deleteHistoryRunRoute
+} from '../src/routes/history.js'
+
+describe('analysis history', () => {
+  const originalMaxRuns = process.env.HISTORY_MAX_RUNS
+  let store
+  let outputDir
+
+  /**
+   * Start a completed run the way initializeAnalysis and the services do
+   */
+  async function startRun(session, description) {
+    session.inputs = { validationRequest: { description } }
+    session.apiConfig = { provider: 'openai', model: 'gpt-4o-mini' }
+    session.results = { run: createRun(session) }
+
+    const prefix = getOutputFilePrefix(session)
+    await getOutputStorage().put(`${prefix}_final_report.pdf`, description)
+
+    session.results.analysis = {
+      status: 'completed',
+      methods: ['jtbd'],
+      startedAt: new Date().toISOString(),
+      files: [],
+      steps: [{
+        id: 'jtbd',
+        name: 'Jobs To Be Done',
+        status: 'completed',
+        result: { content: await storeArtifact(session, 'analysis/jtbd/content', `${description} analysis`) }
+      }]
+    }
+    session.results.summary = { text: await storeArtifact(session, 'summary/text', `${description} summary`) }
+    session.results.report = { filename: `${prefix}_final_report.pdf` }
+    return session.results.run.id
+  }
+
+  async function createStoredSession() {
+    const id = await store.set(null, createSession())
+    const session = await store.get(id)
+    session.save = async () => {
+      await store.set(id, session)
+    }
+    return session
+  }
+
+  beforeEach(async () => {
+    store = initSessionStore({ defaultTTLMs: 60000 })
+    initArtifactStore()
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-history-test-'))
+    initOutputStorage({ dir: outputDir })
+  })
+
+  afterEach(async () => {
+    store.destroy()
+    initOutputStorage()
+    await fs.rm(outputDir, { recursive: true, force: true })
+    if (originalMaxRuns === undefined) {
+      delete process.env.HISTORY_MAX_RUNS
+    } else {
+      process.env.HISTORY_MAX_RUNS = originalMaxRuns
+    }
+  })
+
+  test('keeps the content and reports of archived runs', async () => {
+    const session = await createStoredSession()
+    const firstId = await startRun(session, 'First problem')
+    await archiveCurrentRun(session)
+    const secondId = await startRun(session, 'Second problem')
+
+    assert.notStrictEqual(firstId, secondId)
+    assert.deepStrictEqual(listRuns(session).map(entry => entry.current), [true, false])
+
+    // The session keeps only the overview; the results are in the artifact store
+    assert.strictEqual(session.history[0].overview.description, 'First problem')
+    assert.strictEqual(session.history[0].run, undefined)
+
+    const { results: first } = await findRun(session, firstId)
+    assert.strictEqual(first.run.inputs.validationRequest.description, 'First problem')
+    assert.ok(first.run.archivedAt)
+    assert.strictEqual(await resolveArtifacts(session, first.summary.text), 'First problem summary')
+    assert.strictEqual(await resolveArtifacts(session, session.results.summary.text), 'Second problem summary')
+    assert.strictEqual((await getOutputStorage().read(first.report.filename)).toString(), 'First problem')
+  })
+
+  test('reopens a run and archives the current one', async () => {
+    const session = await createStoredSession()
+    const firstId = await startRun(session, 'First problem')
+    await archiveCurrentRun(session)
+    const secondId = await startRun(session, 'Second problem')
+    session.inputs = { validationRequest: { description: 'Typed but not started' } }
+
+    await openRun(session, firstId)
+
+    assert.strictEqual(session.results.run.id, firstId)
+    assert.strictEqual(session.results.run.archivedAt, undefined)
+    assert.strictEqual(session.inputs.validationRequest.description, 'First problem')
+    assert.strictEqual(session.history.length, 1)
+    assert.strictEqual(session.history[0].overview.id, secondId)
+    const { results: second } = await findRun(session, secondId)
+    assert.strictEqual(second.run.inputs.validationRequest.description, 'Second problem')
+  })
+
+  test('deletes runs with their artifacts and files', async () => {
+    const session = await createStoredSession()
+    const firstId = await startRun(session, 'First problem')
+    await archiveCurrentRun(session)
+    const archive = session.history[0].results
+    const { report, summary } = (await findRun(session, firstId)).results
+
+    assert.strictEqual(await deleteRun(session, firstId), true)
+    assert.strictEqual(await deleteRun(session, firstId), false)
+    assert.deepStrictEqual(session.history, [])
+    assert.strictEqual(await getOutputStorage().exists(report.filename), false)
+    assert.strictEqual(await resolveArtifacts(session, summary.text), null)
+    assert.strictEqual(await resolveArtifacts(session, archive), null)
+  })
+
+  test('drops the oldest runs beyond HISTORY_MAX_RUNS', async () => {
+    process.env.HISTORY_MAX_RUNS = '2'
+    const session = await createStoredSession()
+    const ids = []
+    for (const description of ['One', 'Two', 'Three']) {
+      ids.push(await startRun(session, description))
+      await archiveCurrentRun(session)
+    }
+
+    assert.deepStrictEqual(session.history.map(entry => entry.overview.id), [ids[2], ids[1]])
+    assert.strictEqual(await getOutputStorage().exists(`${session.id}_${ids[0]}_final_report.pdf`), false)
+  })
+
+  test('reads runs archived inline in the session', async () => {
+    const session = await createStoredSession()
+    const firstId = await startRun(session, 'First problem')
+    session.history = [{ ...session.results, run: { ...session.results.run, archivedAt: new Date().toISOString() } }]
+    await startRun(session, 'Second problem')
+
+    assert.deepStrictEqual(listRuns(session).map(run => run.description), ['Second problem', 'First problem'])
+    assert.strictEqual(await resolveArtifacts(session, (await findRun(session, firstId)).results.summary.text), 'First problem summary')
+
+    await openRun(session, firstId)
+    assert.strictEqual(session.results.run.id, firstId)
+    assert.ok(session.history[0].overview)
+  })
+
+  test('gives results from before the history a run when archiving', async () => {
+    const session = await createStoredSession()
+    session.results = { analysis: { status: 'completed', startedAt: '2026-01-01T00:00:00.000Z', steps: [] } }
+
+    const archived = await archiveCurrentRun(session)
+
+    assert.ok(archived.run.id)
+    assert.strictEqual(archived.run.createdAt, '2026-01-01T00:00:00.000Z')
+    assert.deepStrictEqual(session.results, {})
+    assert.strictEqual(await archiveCurrentRun(session), null)
+  })
+
+  test('detects active runs from statuses and queued jobs', async () => {
+    assert.strictEqual(hasActiveRun({ results: { analysis: { status: 'in-progress' } } }), true)
+    assert.strictEqual(hasActiveRun({ results: { ideation: { sit: { status: 'in-progress' } } } }), true)
+    assert.strictEqual(hasActiveRun({ results: { analysis: { status: 'completed' } } }), false)
+
+    // Analysis jobs waiting in the queue leave the status at 'pending'
+    const queue = initJobQueue({ concurrency: 1, instanceId: 'local' })
+    let release
+    const blocker = new Promise(resolve => { release = resolve })
+    queue.enqueue({ type: 'analysis', sessionId: 'other', run: () => blocker })
+    queue.enqueue({ type: 'analysis', sessionId: 's1', run: async () => ({}) })
+
+    assert.strictEqual(hasActiveRun({ id: 's1', results: { analysis: { status: 'pending' } } }), true)
+
+    // Queued ideation placeholders count while their job is live here or
+    // belongs to another instance, not once this process lost the job
+    const sit = queue.enqueue({ type: 'sit', sessionId: 's2', run: async () => ({}) })
+    const queuedSit = (instanceId, jobId) => ({
+      id: 's3',
+      results: { ideation: { sit: { status: 'queued', instanceId }, jobs: { sit: jobId } } }
+    })
+    assert.strictEqual(hasActiveRun(queuedSit('local', sit.id)), true)
+    assert.strictEqual(hasActiveRun(queuedSit('remote', 'job-elsewhere')), true)
+    assert.strictEqual(hasActiveRun(queuedSit('local', 'job-gone')), false)
+    assert.strictEqual(hasActiveRun(queuedSit(undefined, undefined)), false)
+
+    release()
+    queue.destroy()
+  })
+
+  describe('routes', () => {
+    function createRes() {
+      return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+          this.statusCode = code
+          return this
+        },
+        json(payload) {
+          this.body = payload
+          return this
+        }
+      }
+    }
+
+    async function call(route, session, id) {
+      const res = createRes()
+      await route({ session, params: { id } }, res)
+      return res
+    }
+
+    test('lists, shows, opens and deletes runs', async () => {
+      const session = await createStoredSession()
+      const firstId = await startRun(session, 'First problem')
+      await archiveCurrentRun(session)
+      const secondId = await startRun(session, 'Second problem')
+
+      const list = await call(listHistoryRoute, session)
+      assert.deepStrictEqual(list.body.data.runs.map(run => [run.id, run.current]), [[secondId, true], [firstId, false]])
+      assert.strictEqual(list.body.data.runs[1].description, 'First problem')
+
+      const details = await call(getHistoryRunRoute, session, firstId)
+      assert.strictEqual(details.body.data.run.summary.text, 'First problem summary')
+      assert.deepStrictEqual(details.body.data.run.steps, [{ id: 'jtbd', name: 'Jobs To Be Done', status: 'completed' }])
+
+      assert.strictEqual((await call(deleteHistoryRunRoute, session, secondId)).statusCode, 409)
+
+      const opened = await call(openHistoryRunRoute, session, firstId)
+      assert.strictEqual(opened.statusCode, 200)
+      assert.strictEqual((await store.get(session.id)).results.run.id, firstId)
+
+      assert.strictEqual((await call(deleteHistoryRunRoute, session, secondId)).statusCode, 200)
+      assert.strictEqual((await call(getHistoryRunRoute, session, secondId)).statusCode, 404)
+    })
+
+    test('refuses to open another run while one is active', async () => {
+      const session = await createStoredSession()
+      const firstId = await startRun(session, 'First problem')
+      await archiveCurrentRun(session)
+      await startRun(session, 'Second problem')
+      session.results.ideation = { scamper: { status: 'in-progress' } }
+
+      assert.strictEqual((await call(openHistoryRunRoute, session, firstId)).statusCode, 409)
+      assert.strictEqual((await call(openHistoryRunRoute, session, 'missing')).statusCode, 404)
+    })
+  })
+})
@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { EventEmitter } from 'events'
+import { streamAnalysisRoute } from '../src/routes/analysis.js'
+import { emitAnalysisEvent, getAnalysisSubscriberCount } from '../src/analysisEvents.js'
+import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
+
+describe('analysis routes - streamAnalysisRoute', () => {
+  function createRes() {
+    return {
+      statusCode: 200,
+      headers: {},
+      chunks: [],
+      ended: false,
+      body: null,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(payload) {
+        this.body = payload
+        return this
+      },
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value
+      },
+      write(chunk) {
+        this.chunks.push(chunk)
+      },
+      end() {
+        this.ended = true
+      }
+    }
+  }
+
+  function parseEvents(chunks) {
+    return chunks
+      .filter(chunk => chunk.startsWith('event:'))
+      .map(chunk => {
+        const [eventLine, dataLine] = chunk.trim().split('\n')
+        return {
+          type: eventLine.slice('event: '.length),
+          data: JSON.parse(dataLine.slice('data: '.length))
+        }
+      })
+  }
+
+  test('returns 404 when no analysis exists', () => {
+    const req = new EventEmitter()
+    req.session = {}
+    const res = createRes()
+
+    streamAnalysisRoute(req, res)
+
+    assert.strictEqual(res.statusCode, 404)
+  })
+
+  test('sends a snapshot and closes immediately for completed analyses', () => {
+    const analysis = createInitialAnalysisState()
+    analysis.status = 'completed'
+
+    const req = new EventEmitter()
+    req.sessionId = 'stream-done'
+    req.session = { id: 'stream-done', results: { analysis } }
+    const res = createRes()
+
+    streamAnalysisRoute(req, res)
+
+    assert.strictEqual(res.headers['content-type'], 'text/event-stream')
+    const events = parseEvents(res.chunks)
+    assert.strictEqual(events.length, 1)
+    assert.strictEqual(events[0].type, 'snapshot')
+    assert.strictEqual(events[0].data.status, 'completed')
+    assert.strictEqual(res.ended, true)
+  })
+
+  test('forwards live events until the analysis finishes', () => {
+    const analysis = createInitialAnalysisState()
+    analysis.status = 'in-progress'
+
+    const req = new EventEmitter()
+    req.sessionId = 'stream-live'
+    req.session = { id: 'stream-live', results: { analysis } }
+    const res = createRes()
+
+    streamAnalysisRoute(req, res)
+    assert.strictEqual(getAnalysisSubscriberCount('stream-live'), 1)
+
+    emitAnalysisEvent('stream-live', 'delta', { id: 'jtbd', text: 'Hello' })
+    emitAnalysisEvent('other-session', 'delta', { id: 'jtbd', text: 'Ignored' })
+    emitAnalysisEvent('stream-live', 'status', { status: 'completed' })
+
+    const events = parseEvents(res.chunks)
+    assert.deepStrictEqual(events.map(e => e.type), ['snapshot', 'delta', 'status'])
+    assert.strictEqual(events[1].data.text, 'Hello')
+    assert.strictEqual(res.ended, true)
+    assert.strictEqual(getAnalysisSubscriberCount('stream-live'), 0)
+  })
+
+  test('unsubscribes when the client disconnects', () => {
+    const analysis = createInitialAnalysisState()
+
+    const req = new EventEmitter()
+    req.sessionId = 'stream-close'
+    req.session = { id: 'stream-close', results: { analysis } }
+    const res = createRes()
+
+    streamAnalysisRoute(req, res)
+    assert.strictEqual(getAnalysisSubscriberCount('stream-close'), 1)
+
+    req.emit('close')
+
+    assert.strictEqual(getAnalysisSubscriberCount('stream-close'), 0)
+    assert.strictEqual(res.ended, true)
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for artifactStore module
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  MemoryArtifactStore,
+  FileArtifactStore,
+  initArtifactStore,
+  storeArtifact,
+  resolveArtifacts,
+  deleteArtifacts,
+  isArtifactRef
+} from '../src/artifactStore.js'
+import SessionStore from '../src/sessionStore.js'
+
+const backends = [
+  ['memory', () => new MemoryArtifactStore()],
+  ['file', () => new FileArtifactStore({
+    dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'validator-artifacts-'))
+  })]
+]
+
+for (const [name, create] of backends) {
+  describe(`${name} artifact store`, () => {
+    let store
+
+    beforeEach(() => {
+      store = create()
+    })
+
+    afterEach(() => {
+      if (store.dataDir) {
+        fs.rmSync(store.dataDir, { recursive: true, force: true })
+      }
+    })
+
+    test('stores values per session and returns a reference', async () => {
+      const ref = await store.put('s1', 'analysis/jtbd/content', '# Jobs')
+      await store.put('s2', 'analysis/jtbd/content', '# Other')
+
+      assert.deepStrictEqual(ref, { $artifact: 'analysis/jtbd/content', bytes: 8 })
+      assert.strictEqual(await store.get('s1', 'analysis/jtbd/content'), '# Jobs')
+      assert.strictEqual(await store.get('s2', 'analysis/jtbd/content'), '# Other')
+      assert.strictEqual(await store.get('s1', 'missing'), null)
+    })
+
+    test('deletes single artifacts', async () => {
+      await store.put('s1', 'summary/text', 'a')
+      await store.put('s1', 'analysis/jtbd/content', 'b')
+
+      await store.delete('s1', 'summary/text')
+      await store.delete('s1', 'missing')
+      assert.strictEqual(await store.get('s1', 'summary/text'), null)
+      assert.strictEqual(await store.get('s1', 'analysis/jtbd/content'), 'b')
+    })
+
+    test('deletes a session and prunes sessions that are gone', async () => {
+      await store.put('s1', 'summary/text', 'a')
+      await store.put('s2', 'summary/text', 'b')
+      await store.put('s3', 'summary/text', 'c')
+
+      await store.deleteSession('s1')
+      assert.strictEqual(await store.get('s1', 'summary/text'), null)
+
+      assert.strictEqual(await store.prune(['s2']), 1)
+      assert.strictEqual(await store.get('s2', 'summary/text'), 'b')
+      assert.strictEqual(await store.get('s3', 'summary/text'), null)
+    })
+  })
+}
+
+describe('storeArtifact and resolveArtifacts', () => {
+  beforeEach(() => {
+    initArtifactStore()
+  })
+
+  test('resolves nested references and passes inline values through', async () => {
+    const session = { id: 'session-1' }
+    const ideas = [{ title: 'Bundle' }]
+    const lenses = {
+      substitute: { status: 'completed', ideas: await storeArtifact(session, 'scamper/lenses/substitute/ideas', ideas) },
+      // Sessions saved before results were offloaded hold them inline
+      combine: { status: 'completed', ideas: [{ title: 'Inline' }] }
+    }
+
+    assert.ok(isArtifactRef(lenses.substitute.ideas))
+    assert.deepStrictEqual(await resolveArtifacts(session, lenses), {
+      substitute: { status: 'completed', ideas },
+      combine: { status: 'completed', ideas: [{ title: 'Inline' }] }
+    })
+    assert.strictEqual(await resolveArtifacts(session, 'text'), 'text')
+    assert.strictEqual(await resolveArtifacts({ id: 'other' }, lenses.substitute.ideas), null)
+  })
+
+  test('scopes keys to the current run and deletes referenced artifacts', async () => {
+    const session = { id: 'session-1', results: { run: { id: 'run1' } } }
+    const results = { summary: { text: await storeArtifact(session, 'summary/text', 'Run summary') } }
+
+    assert.strictEqual(results.summary.text.$artifact, 'runs/run1/summary/text')
+    assert.strictEqual(await resolveArtifacts(session, results.summary.text), 'Run summary')
+
+    await deleteArtifacts(session, results)
+    assert.strictEqual(await resolveArtifacts(session, results.summary.text), null)
+  })
+
+  test('requires a session id', async () => {
+    await assert.rejects(
+      () => storeArtifact({}, 'summary/text', 'x'),
+      err => err.type === 'ARTIFACT_STORE_ERROR'
+    )
+  })
+
+  test('drops artifacts when the session store removes the session', async () => {
+    const artifacts = new MemoryArtifactStore()
+    const sessions = new SessionStore({ onRemove: id => artifacts.deleteSession(id) })
+    const id = await sessions.set(null, { inputs: {} })
+    await artifacts.put(id, 'summary/text', 'Summary')
+
+    await sessions.del(id)
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.strictEqual(await artifacts.get(id, 'summary/text'), null)
+    sessions.destroy()
+  })
+})
@@ -0,0 +1,127 @@
+import { test, describe, afterEach } from 'node:test'
+import assert from 'node:assert'
+import {
+  getConcurrencyLimit,
+  acquireProviderSlot,
+  runWithConcurrency,
+  createSerializedSave
+} from '../src/concurrency.js'
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('concurrency', () => {
+  const { LLM_CONCURRENCY, LLM_CONCURRENCY_OPENAI } = process.env
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries({ LLM_CONCURRENCY, LLM_CONCURRENCY_OPENAI })) {
+      if (value === undefined) {
+        delete process.env[key]
+      } else {
+        process.env[key] = value
+      }
+    }
+  })
+
+  test('reads per-provider limits with a global fallback', () => {
+    delete process.env.LLM_CONCURRENCY
+    delete process.env.LLM_CONCURRENCY_OPENAI
+    assert.strictEqual(getConcurrencyLimit('openai'), 1)
+
+    process.env.LLM_CONCURRENCY = '3'
+    process.env.LLM_CONCURRENCY_OPENAI = '5'
+    assert.strictEqual(getConcurrencyLimit('openai'), 5)
+    assert.strictEqual(getConcurrencyLimit('claude'), 3)
+
+    process.env.LLM_CONCURRENCY = 'zero'
+    assert.strictEqual(getConcurrencyLimit('claude'), 1)
+  })
+
+  test('keeps at most `limit` workers in flight', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+
+    const results = await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await delay(5)
+      inFlight--
+      return item * 2
+    })
+
+    assert.strictEqual(maxInFlight, 3)
+    assert.deepStrictEqual(results.map(r => r.value), [2, 4, 6, 8, 10, 12, 14])
+  })
+
+  test('runs in order with a limit of 1 and stops starting items on request', async () => {
+    const started = []
+    let stop = false
+
+    const results = await runWithConcurrency(['a', 'b', 'c', 'd'], 1, async item => {
+      started.push(item)
+      if (item === 'b') {
+        stop = true
+        throw new Error('b failed')
+      }
+    }, { shouldStop: () => stop })
+
+    assert.deepStrictEqual(started, ['a', 'b'])
+    assert.strictEqual(results[1].status, 'rejected')
+    assert.strictEqual(results[2], undefined)
+  })
+
+  test('shares the provider limit between concurrent runs', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const worker = async () => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await delay(5)
+      inFlight--
+    }
+
+    // Two jobs against the same provider, each allowed 2 calls at once
+    await Promise.all([
+      runWithConcurrency([1, 2, 3, 4], 2, worker, { provider: 'shared-test' }),
+      runWithConcurrency([5, 6, 7, 8], 2, worker, { provider: 'shared-test' })
+    ])
+    assert.strictEqual(maxInFlight, 2)
+
+    // Other providers have their own slots
+    maxInFlight = 0
+    await Promise.all([
+      runWithConcurrency([1, 2], 2, worker, { provider: 'shared-test' }),
+      runWithConcurrency([3, 4], 2, worker, { provider: 'other-test' })
+    ])
+    assert.strictEqual(maxInFlight, 4)
+  })
+
+  test('releases provider slots of runs that stop early', async () => {
+    let stop = false
+    const results = await runWithConcurrency(['a', 'b', 'c'], 1, async () => {
+      stop = true
+    }, { provider: 'stop-test', shouldStop: () => stop })
+    assert.strictEqual(results[1], undefined)
+
+    const release = await acquireProviderSlot('stop-test', 1)
+    release()
+  })
+
+  test('serializes session saves in call order', async () => {
+    const writes = []
+    let version = 0
+    const session = {
+      async save() {
+        const snapshot = ++version
+        // Earlier writes take longer; without serialization they would land last
+        await delay(snapshot === 1 ? 20 : 1)
+        writes.push(snapshot)
+      }
+    }
+
+    const save = createSerializedSave(session)
+    await Promise.all([save(), save(), save()])
+
+    assert.deepStrictEqual(writes, [1, 2, 3])
+    await createSerializedSave({})()
+  })
+})
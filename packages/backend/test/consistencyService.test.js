@@ -0,0 +1,251 @@
+/**
+ * Unit tests for the cross-methodology consistency check
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { generateConsistencyReport, checkClaimReferences } from '../src/consistencyService.js'
+import { buildConsistencySchema, buildConsistencyPrompt } from '../src/consistencyTemplates.js'
+import { validateAgainstSchema } from '../src/structuredOutput.js'
+import { renderMockContent } from '../src/mockProvider.js'
+import { getConsistencyRoute } from '../src/routes/analysis.js'
+import { getAnalysisUsage } from '../src/usageService.js'
+import llmService from '../src/llmService.js'
+
+const ALL_METHODS = ['jtbd', 'designThinking', 'leanCanvas', 'rootCause', 'ost']
+
+function createRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.body = payload
+      return this
+    }
+  }
+}
+
+function createSession(id, methodIds) {
+  return {
+    id,
+    apiConfig: { provider: 'openai', model: 'gpt-4' },
+    results: {
+      run: { id: `run-${id}` },
+      analysis: {
+        status: 'completed',
+        steps: methodIds.map(stepId => ({ id: stepId, name: stepId, result: { content: `${stepId} content` } }))
+      }
+    },
+    async save() {}
+  }
+}
+
+describe('consistencyTemplates', () => {
+  test('accepts the mock output for any selection of methods', () => {
+    for (const methods of [ALL_METHODS, ['jtbd', 'rootCause'], ['leanCanvas', 'ost']]) {
+      const data = JSON.parse(renderMockContent('consistency', { methods }))
+      assert.deepStrictEqual(validateAgainstSchema(data, buildConsistencySchema(methods)), [], methods.join())
+      assert.deepStrictEqual(checkClaimReferences(data), [], methods.join())
+    }
+  })
+
+  test('limits claims to the methods of the run', () => {
+    const schema = buildConsistencySchema(['jtbd', 'ost'])
+    const errors = validateAgainstSchema(
+      { claims: [{ id: 'c1', stepId: 'rootCause', topic: 'rootCause', claim: 'x' }], clusters: [], contradictions: [] },
+      schema
+    )
+
+    assert.deepStrictEqual(errors, ['$.claims[0].stepId: must be one of "jtbd", "ost"'])
+
+    const prompt = buildConsistencyPrompt({ jtbd: 'JTBD {{SCHEMA}} content' }, ['ost', 'jtbd'], schema)
+    assert.ok(prompt.includes('(id: jtbd):\nJTBD {{SCHEMA}} content'))
+    assert.ok(prompt.indexOf('(id: jtbd)') < prompt.indexOf('(id: ost)'))
+    assert.ok(prompt.includes('methodology it comes from (jtbd, ost)'))
+  })
+})
+
+describe('consistencyService.checkClaimReferences', () => {
+  test('reports unknown, duplicate and single-method citations', () => {
+    const errors = checkClaimReferences({
+      claims: [
+        { id: 'c1', stepId: 'jtbd', topic: 'rootCause', claim: 'Tooling' },
+        { id: 'c1', stepId: 'jtbd', topic: 'rootCause', claim: 'Also tooling' }
+      ],
+      clusters: [{ topic: 'rootCause', statement: 'Tooling', claimIds: ['c1', 'c9'] }],
+      contradictions: [{ topic: 'rootCause', summary: 'Conflict', claimIds: ['c1', 'c1'] }]
+    })
+
+    assert.deepStrictEqual(errors, [
+      '$.claims[1].id: duplicate claim id "c1"',
+      '$.clusters[0].claimIds[1]: unknown claim id "c9"',
+      '$.contradictions[0]: must cite claims of at least two methodologies'
+    ])
+  })
+})
+
+describe('consistencyService.generateConsistencyReport', () => {
+  let originalAnalyze
+
+  beforeEach(() => {
+    originalAnalyze = llmService.analyze
+  })
+
+  afterEach(() => {
+    llmService.analyze = originalAnalyze
+  })
+
+  test('stores clusters and contradictions with their cited steps', async () => {
+    const calls = []
+    llmService.analyze = async (prompt, options) => {
+      calls.push({ prompt, options })
+      return {
+        content: renderMockContent('consistency', options.metadata),
+        provider: 'openai',
+        model: 'gpt-4',
+        usage: { promptTokens: 100, completionTokens: 50, totalTokens: 150 }
+      }
+    }
+
+    const session = createSession('consistency', ALL_METHODS)
+    const consistency = await generateConsistencyReport(session, 'x'.repeat(40))
+
+    assert.strictEqual(calls.length, 1)
+    assert.strictEqual(calls[0].options.metadata.kind, 'consistency')
+    assert.ok(calls[0].prompt.includes('rootCause content'))
+    assert.strictEqual(session.results.consistency, consistency)
+    assert.strictEqual(consistency.error, null)
+
+    const [contradiction] = consistency.contradictions
+    assert.strictEqual(contradiction.topic, 'rootCause')
+    assert.deepStrictEqual(contradiction.stepIds, ['jtbd', 'rootCause'])
+
+    const customer = consistency.clusters.find(cluster => cluster.topic === 'customer')
+    assert.deepStrictEqual(customer.stepIds, ['jtbd', 'designThinking', 'ost'])
+
+    const usage = getAnalysisUsage(session).items.find(item => item.id === 'consistency')
+    assert.strictEqual(usage.calls, 1)
+
+    const res = createRes()
+    await getConsistencyRoute({ session }, res)
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.body.data.runId, 'run-consistency')
+    assert.strictEqual(res.body.data.contradictions.length, 1)
+    assert.strictEqual(res.body.data.usage, undefined)
+  })
+
+  test('sends broken claim references back for repair', async () => {
+    const valid = renderMockContent('consistency', { methods: ['jtbd', 'rootCause'] })
+    const broken = JSON.stringify({
+      claims: [{ id: 'c1', stepId: 'jtbd', topic: 'customer', claim: 'Small teams.' }],
+      clusters: [{ topic: 'customer', statement: 'Small teams.', claimIds: ['c2'] }],
+      contradictions: []
+    })
+    const prompts = []
+    llmService.analyze = async (prompt) => {
+      prompts.push(prompt)
+      return { content: prompts.length === 1 ? broken : valid, provider: 'openai', model: 'gpt-4' }
+    }
+
+    const session = createSession('consistency-repair', ['jtbd', 'rootCause'])
+    const consistency = await generateConsistencyReport(session, 'x'.repeat(40))
+
+    assert.strictEqual(consistency.attempts, 2)
+    assert.ok(prompts[1].includes('$.clusters[0].claimIds[0]: unknown claim id "c2"'))
+    assert.strictEqual(consistency.contradictions.length, 1)
+  })
+
+  test('records a failed check and skips runs with one methodology', async () => {
+    process.env.STRUCTURED_OUTPUT_MAX_REPAIRS = '0'
+    llmService.analyze = async () => ({ content: 'No JSON', provider: 'openai', model: 'gpt-4' })
+
+    try {
+      const session = createSession('consistency-failure', ['jtbd', 'ost'])
+      const consistency = await generateConsistencyReport(session, 'x'.repeat(40))
+
+      assert.match(consistency.error, /not valid JSON/)
+      assert.deepStrictEqual(consistency.contradictions, [])
+
+      const single = createSession('consistency-single', ['ost'])
+      assert.strictEqual(await generateConsistencyReport(single, 'x'.repeat(40)), null)
+
+      const res = createRes()
+      await getConsistencyRoute({ session: single }, res)
+      assert.strictEqual(res.statusCode, 404)
+    } finally {
+      delete process.env.STRUCTURED_OUTPUT_MAX_REPAIRS
+    }
+  })
+
+  test('checks digests of analyses that exceed the context window', async () => {
+    process.env.LLM_MODEL_LIMITS = JSON.stringify({ 'local:tiny': { contextWindow: 4000, maxOutputTokens: 500 } })
+    const calls = []
+    llmService.analyze = async (prompt, options) => {
+      calls.push({ prompt, options })
+      const content = options.metadata.kind === 'digest'
+        ? `Digest of ${options.metadata.stepId}`
+        : renderMockContent('consistency', options.metadata)
+      return { content, provider: 'local', model: 'tiny', usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } }
+    }
+
+    const session = createSession('consistency-digests', ['jtbd', 'rootCause'])
+    session.apiConfig = { provider: 'local', model: 'tiny' }
+    session.results.analysis.steps[0].result.content = ['A', 'B', 'C', 'D'].map(letter => letter.repeat(4000)).join('\n\n')
+
+    try {
+      const consistency = await generateConsistencyReport(session, undefined)
+
+      const check = calls.find(call => call.options.metadata.kind === 'consistency')
+      assert.ok(calls.filter(call => call.options.metadata.kind === 'digest').length > 0)
+      assert.ok(check.prompt.includes('Digest of jtbd'))
+      assert.ok(!check.prompt.includes('AAAA'))
+      assert.strictEqual(consistency.error, null)
+      // Digests made for the check are billed to it
+      assert.strictEqual(consistency.usage.calls, calls.length)
+
+      // Digests of the synthesis are reused
+      calls.length = 0
+      await generateConsistencyReport(session, undefined, { digests: { jtbd: 'Synthesis digest', rootCause: 'Root cause digest' } })
+      assert.deepStrictEqual(calls.map(call => call.options.metadata.kind), ['consistency'])
+      assert.ok(calls[0].prompt.includes('Synthesis digest'))
+    } finally {
+      delete process.env.LLM_MODEL_LIMITS
+    }
+  })
+
+  test('records a context window too small for the check without calling the model', async () => {
+    process.env.LLM_MODEL_LIMITS = JSON.stringify({ 'local:tiny': { contextWindow: 1200, maxOutputTokens: 500 } })
+    let calls = 0
+    llmService.analyze = async () => {
+      calls++
+      return { content: '{}', provider: 'local', model: 'tiny' }
+    }
+
+    const session = createSession('consistency-small-window', ALL_METHODS)
+    session.apiConfig = { provider: 'local', model: 'tiny' }
+
+    try {
+      const consistency = await generateConsistencyReport(session, undefined)
+
+      assert.strictEqual(calls, 0)
+      assert.match(consistency.error, /context window \(1200 tokens\) is too small/)
+      assert.deepStrictEqual(consistency.claims, [])
+    } finally {
+      delete process.env.LLM_MODEL_LIMITS
+    }
+  })
+
+  test('requires a completed analysis', async () => {
+    const session = createSession('consistency-pending', ['jtbd', 'ost'])
+    session.results.analysis.status = 'in-progress'
+
+    await assert.rejects(
+      generateConsistencyReport(session, 'x'.repeat(40)),
+      err => err.type === 'CONSISTENCY_STATE_ERROR'
+    )
+  })
+})
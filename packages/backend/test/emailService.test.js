@@ -1,19 +1,25 @@
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import nodemailer from 'nodemailer'
-import { fileURLToPath } from 'url'
+import fs from 'fs/promises'
+import os from 'os'
 import path from 'path'
 import { sendAnalysisReportEmail } from '../src/emailService.js'
 
-const __filename = fileURLToPath(import.meta.url)
-
 describe('emailService.sendAnalysisReportEmail', () => {
   const realCreateTransport = nodemailer.createTransport
   const realEnv = { ...process.env }
   let sendMailCalls = []
+  let tmpDir
 
-  beforeEach(() => {
+  beforeEach(async () => {
     sendMailCalls = []
+    // Attachments are read from local output storage
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-email-test-'))
+    process.env.ANALYSIS_TMP_DIR = tmpDir
+    for (const filename of ['session_final_report.pdf', 'session_JTBD.txt', 'session_DesignThinking.txt', 'x.pdf']) {
+      await fs.writeFile(path.join(tmpDir, filename), 'content')
+    }
     process.env.SMTP_HOST = 'smtp.example.com'
     process.env.SMTP_PORT = '587'
     process.env.SMTP_SECURE = 'false'
@@ -29,9 +35,10 @@ describe('emailService.sendAnalysisReportEmail', () => {
     })
   })
 
-  afterEach(() => {
+  afterEach(async () => {
     nodemailer.createTransport = realCreateTransport
     process.env = { ...realEnv }
+    await fs.rm(tmpDir, { recursive: true, force: true })
   })
 
   test('sends email with PDF and TXT attachments', async () => {
@@ -42,17 +49,17 @@ describe('emailService.sendAnalysisReportEmail', () => {
       results: {
         report: {
           filename: 'session_final_report.pdf',
-          filepath: __filename // existing file path for test
+          filepath: path.join(tmpDir, 'session_final_report.pdf')
         },
         analysis: {
           files: [
             {
               filename: 'session_JTBD.txt',
-              filepath: __filename
+              filepath: path.join(tmpDir, 'session_JTBD.txt')
             },
             {
               filename: 'session_DesignThinking.txt',
-              filepath: __filename
+              filepath: path.join(tmpDir, 'session_DesignThinking.txt')
             }
           ]
         }
@@ -71,6 +78,25 @@ describe('emailService.sendAnalysisReportEmail', () => {
     assert.ok(Array.isArray(call.attachments))
     // One PDF + two TXT
     assert.strictEqual(call.attachments.length, 3)
+    assert.strictEqual(call.attachments[0].content.toString(), 'content')
+  })
+
+  test('lists only the methodologies selected for the run', async () => {
+    const session = {
+      apiConfig: { email: 'recipient@example.com' },
+      results: {
+        report: { filename: 'x.pdf', filepath: path.join(tmpDir, 'x.pdf') },
+        analysis: { methods: ['ost', 'jtbd'], files: [] }
+      }
+    }
+
+    await sendAnalysisReportEmail(session)
+
+    const { text, html } = sendMailCalls[0]
+    assert.ok(text.includes('through 2 proven methodologies:'))
+    assert.ok(text.includes('- Jobs-to-be-Done (JTBD)\n- Opportunity Solution Tree\n'))
+    assert.ok(!text.includes('Root Cause Analysis'))
+    assert.strictEqual((html.match(/<li>/g) || []).length, 4)
   })
 
   test('throws EMAIL_CONFIG_ERROR when SMTP config missing', async () => {
@@ -79,7 +105,7 @@ describe('emailService.sendAnalysisReportEmail', () => {
     const session = {
       apiConfig: { email: 'recipient@example.com' },
       results: {
-        report: { filename: 'x.pdf', filepath: __filename },
+        report: { filename: 'x.pdf', filepath: path.join(tmpDir, 'x.pdf') },
         analysis: { files: [] }
       }
     }
@@ -100,7 +126,7 @@ describe('emailService.sendAnalysisReportEmail', () => {
     const session = {
       apiConfig: { email: 'recipient@example.com' },
       results: {
-        report: { filename: 'x.pdf', filepath: __filename },
+        report: { filename: 'x.pdf', filepath: path.join(tmpDir, 'x.pdf') },
         analysis: { files: [] }
       }
     }
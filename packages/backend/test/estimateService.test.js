@@ -0,0 +1,171 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { estimateRun, EXPECTED_OUTPUT_TOKENS } from '../src/estimateService.js'
+import { estimateAnalysisRoute } from '../src/routes/analysis.js'
+import { buildPrompt, METHODOLOGY_STEPS } from '../src/promptTemplates.js'
+import { estimateTokenCount, getModelLimits } from '../src/modelCatalog.js'
+import { SCAMPER_LENSES } from '../src/scamperPromptTemplates.js'
+import { SIT_TOOLS } from '../src/sitPromptTemplates.js'
+
+const inputs = {
+  description: 'E'.repeat(800),
+  location: 'Lisbon, Portugal',
+  targetCustomer: 'Independent coffee shop owners',
+  teamSize: '1-3'
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.body = payload
+      return this
+    }
+  }
+}
+
+describe('estimateService', () => {
+  test('counts every call of a full run', () => {
+    const estimate = estimateRun({ provider: 'openai', model: 'gpt-4-turbo', inputs })
+
+    assert.deepStrictEqual(
+      estimate.phases.map(phase => [phase.id, phase.calls]),
+      [
+        // Prose and structured output per method, then synthesis, scorecard
+        // and consistency check
+        ['analysis', METHODOLOGY_STEPS.length * 2 + 3],
+        ['scamper', SCAMPER_LENSES.length + 1],
+        ['sit', SIT_TOOLS.length + 1]
+      ]
+    )
+    assert.strictEqual(estimate.total.calls, 27)
+  })
+
+  test('counts prompt tokens from the built prompts', () => {
+    const estimate = estimateRun({ provider: 'openai', model: 'gpt-4-turbo', inputs })
+    const jtbd = estimate.phases[0].items.find(item => item.id === 'jtbd')
+
+    const prompt = buildPrompt('jtbd', {
+      problemStatement: inputs.description,
+      location: inputs.location,
+      targetCustomer: inputs.targetCustomer,
+      teamSize: inputs.teamSize
+    })
+    assert.strictEqual(jtbd.promptTokens, estimateTokenCount(prompt))
+    assert.strictEqual(jtbd.completionTokens, EXPECTED_OUTPUT_TOKENS.analysisStep)
+
+    // Synthesis embeds the expected output of every step
+    const synthesis = estimate.phases[0].items.find(item => item.id === 'synthesis')
+    assert.ok(synthesis.promptTokens > METHODOLOGY_STEPS.length * EXPECTED_OUTPUT_TOKENS.analysisStep)
+  })
+
+  test('estimates only the selected methodologies', () => {
+    const full = estimateRun({ provider: 'openai', model: 'gpt-4-turbo', inputs })
+    const subset = estimateRun({ provider: 'openai', model: 'gpt-4-turbo', inputs, methods: ['ost', 'jtbd'] })
+
+    assert.deepStrictEqual(
+      subset.phases[0].items.map(item => item.id),
+      ['jtbd', 'jtbd:structured', 'ost', 'ost:structured', 'synthesis', 'scorecard', 'consistency']
+    )
+    assert.strictEqual(subset.total.calls, full.total.calls - 6)
+    assert.ok(subset.total.costUsd < full.total.costUsd)
+
+    // A single methodology has nothing to be consistent with
+    const single = estimateRun({ provider: 'openai', model: 'gpt-4-turbo', inputs, methods: ['ost'] })
+    assert.ok(!single.phases[0].items.some(item => item.id === 'consistency'))
+  })
+
+  test('adds a digest per method when the analyses exceed the context window', () => {
+    // Five expected step results do not fit gpt-4's 8k window
+    const estimate = estimateRun({ provider: 'openai', model: 'gpt-4', inputs })
+    const items = estimate.phases[0].items
+    const digests = items.filter(item => item.id.endsWith(':digest'))
+
+    assert.deepStrictEqual(digests.map(item => item.id), METHODOLOGY_STEPS.map(step => `${step.id}:digest`))
+    assert.strictEqual(estimate.phases[0].calls, METHODOLOGY_STEPS.length * 3 + 3)
+    assert.ok(items.findIndex(item => item.id === 'synthesis') > items.findIndex(item => item.id === 'ost:digest'))
+
+    const { contextWindow, maxOutputTokens } = getModelLimits('openai', 'gpt-4')
+    const synthesis = items.find(item => item.id === 'synthesis')
+    assert.ok(synthesis.promptTokens <= contextWindow - maxOutputTokens)
+    assert.ok(digests.every(item => item.completionTokens < EXPECTED_OUTPUT_TOKENS.analysisStep))
+
+    // Two methods still fit
+    const subset = estimateRun({ provider: 'openai', model: 'gpt-4', inputs, methods: ['ost', 'jtbd'] })
+    assert.ok(!subset.phases[0].items.some(item => item.id.endsWith(':digest')))
+  })
+
+  test('prices the run and estimates duration', () => {
+    const gpt4 = estimateRun({ provider: 'openai', model: 'gpt-4', inputs })
+    const haiku = estimateRun({ provider: 'claude', model: 'claude-3-haiku', inputs })
+
+    assert.ok(gpt4.total.costUsd > haiku.total.costUsd)
+    assert.ok(gpt4.total.durationMs > haiku.total.durationMs)
+    assert.strictEqual(
+      gpt4.total.durationMs,
+      gpt4.phases.reduce((sum, phase) => sum + phase.durationMs, 0)
+    )
+  })
+
+  test('reports free and unpriced models', () => {
+    assert.strictEqual(estimateRun({ provider: 'local', model: 'llama3', inputs }).total.costUsd, 0)
+    assert.strictEqual(estimateRun({ provider: 'mock', model: 'mock', inputs }).total.durationMs, 0)
+  })
+})
+
+describe('analysis routes - estimateAnalysisRoute', () => {
+  test('returns the estimate without touching the session', () => {
+    const req = {
+      session: {},
+      body: {
+        problem: { description: inputs.description },
+        clarification: { location: inputs.location },
+        config: { provider: 'claude', model: 'claude-3-sonnet' }
+      }
+    }
+    const res = createRes()
+
+    estimateAnalysisRoute(req, res)
+
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.body.data.model, 'claude-3-sonnet')
+    assert.ok(res.body.data.total.costUsd > 0)
+    assert.deepStrictEqual(req.session, {})
+  })
+
+  test('returns 400 for an unknown methodology', () => {
+    const req = {
+      body: {
+        problem: { description: inputs.description },
+        config: { provider: 'openai', model: 'gpt-4' },
+        methods: ['jtbd', 'swot']
+      }
+    }
+    const res = createRes()
+
+    estimateAnalysisRoute(req, res)
+
+    assert.strictEqual(res.statusCode, 400)
+    assert.ok(res.body.details.methods)
+  })
+
+  test('returns 400 for an unknown model', () => {
+    const req = {
+      body: {
+        problem: { description: inputs.description },
+        config: { provider: 'openai', model: 'gpt-unknown' }
+      }
+    }
+    const res = createRes()
+
+    estimateAnalysisRoute(req, res)
+
+    assert.strictEqual(res.statusCode, 400)
+    assert.ok(res.body.details['config.model'])
+  })
+})
@@ -0,0 +1,79 @@
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import FileCleanupService from '../src/fileCleanupService.js'
+
+describe('FileCleanupService', () => {
+  const originalTmpDir = process.env.ANALYSIS_TMP_DIR
+  let tmpDir
+  let service
+
+  async function writeFile(filename, content = 'x', ageMs = 0) {
+    const filepath = path.join(tmpDir, filename)
+    await fs.writeFile(filepath, content)
+    if (ageMs) {
+      const time = new Date(Date.now() - ageMs)
+      await fs.utimes(filepath, time, time)
+    }
+  }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-cleanup-test-'))
+    process.env.ANALYSIS_TMP_DIR = tmpDir
+    service = new FileCleanupService({
+      fileTtlMs: 60000,
+      intervalMs: 0,
+      getActiveSessionIds: async () => ['active']
+    })
+  })
+
+  afterEach(async () => {
+    service.destroy()
+    process.env.ANALYSIS_TMP_DIR = originalTmpDir
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('deletes only the files of the given session', async () => {
+    await writeFile('abc_jtbd.txt')
+    await writeFile('abc_final_report.pdf')
+    await writeFile('abcd_jtbd.txt')
+
+    assert.strictEqual(await service.deleteSessionFiles('abc'), 2)
+    assert.deepStrictEqual(await fs.readdir(tmpDir), ['abcd_jtbd.txt'])
+  })
+
+  test('sweeps orphaned files past the TTL and keeps active sessions', async () => {
+    await writeFile('active_jtbd.txt', 'x', 120000)
+    await writeFile('gone_jtbd.txt', 'x', 120000)
+    await writeFile('recent_jtbd.txt')
+    await writeFile('notes.md', 'x', 120000)
+
+    assert.strictEqual(await service.sweep(), 1)
+    assert.deepStrictEqual(
+      (await fs.readdir(tmpDir)).sort(),
+      ['active_jtbd.txt', 'notes.md', 'recent_jtbd.txt']
+    )
+  })
+
+  test('reports disk usage and removed files', async () => {
+    await writeFile('gone_jtbd.txt', '12345', 120000)
+    await writeFile('active_sit_ideation.pdf', '123')
+    await service.sweep()
+
+    const stats = await service.stats()
+    assert.strictEqual(stats.fileCount, 1)
+    assert.strictEqual(stats.totalBytes, 3)
+    assert.strictEqual(stats.filesRemoved, 1)
+    assert.strictEqual(stats.bytesRemoved, 5)
+    assert.ok(stats.lastSweepAt)
+  })
+
+  test('handles a missing output directory', async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+
+    assert.strictEqual(await service.sweep(), 0)
+    assert.strictEqual((await service.stats()).fileCount, 0)
+  })
+})
@@ -6,7 +6,10 @@
 import { test } from 'node:test'
 import assert from 'node:assert'
 import { METHODOLOGY_STEPS } from '../src/promptTemplates.js'
-import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
+import {
+  createInitialAnalysisState,
+  validateAnalysisPayload
+} from '../src/validators/analysisValidator.js'
 
 test('Integration: createInitialAnalysisState should use METHODOLOGY_STEPS', () => {
   const analysisState = createInitialAnalysisState()
@@ -45,3 +48,37 @@ test('Integration: step order matches between modules', () => {
 
   assert.deepStrictEqual(actualOrder, expectedOrder)
 })
+
+test('Integration: createInitialAnalysisState only creates the selected methods', () => {
+  const analysisState = createInitialAnalysisState(['rootCause', 'jtbd'])
+
+  assert.deepStrictEqual(analysisState.methods, ['jtbd', 'rootCause'])
+  assert.deepStrictEqual(analysisState.steps.map(s => s.id), ['jtbd', 'rootCause'])
+  assert.deepStrictEqual(createInitialAnalysisState().methods, METHODOLOGY_STEPS.map(s => s.id))
+})
+
+test('Integration: validateAnalysisPayload checks the methods selection', () => {
+  const payload = {
+    problem: { description: 'A'.repeat(500) },
+    clarification: {
+      location: 'Berlin',
+      targetCustomer: 'Freelance designers working remotely',
+      teamSize: '1-3'
+    },
+    config: {
+      email: 'founder@example.com',
+      provider: 'openai',
+      model: 'gpt-4',
+      apiKey: 'x'.repeat(40)
+    }
+  }
+
+  assert.strictEqual(validateAnalysisPayload(payload).success, true)
+  assert.strictEqual(validateAnalysisPayload({ ...payload, methods: ['ost'] }).success, true)
+
+  for (const methods of [[], 'jtbd', ['jtbd', 'unknown'], ['jtbd', 'jtbd']]) {
+    const result = validateAnalysisPayload({ ...payload, methods })
+    assert.strictEqual(result.success, false)
+    assert.ok(result.details.methods, `methods ${JSON.stringify(methods)} should be rejected`)
+  }
+})
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for the background job queue
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import JobQueue, { markInterruptedRuns } from '../src/jobQueue.js'
+
+function deferred() {
+  let resolve
+  let reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+async function waitFor(predicate, timeoutMs = 1000) {
+  const started = Date.now()
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setImmediate(resolve))
+  }
+}
+
+describe('JobQueue', () => {
+  let queue
+
+  beforeEach(() => {
+    queue = new JobQueue({ concurrency: 1 })
+  })
+
+  afterEach(() => {
+    queue.destroy()
+  })
+
+  test('runs a job in the background and records its result', async () => {
+    const gate = deferred()
+
+    const job = queue.enqueue({
+      type: 'analysis',
+      sessionId: 'session-a',
+      run: async () => {
+        await gate.promise
+        return { status: 'completed' }
+      }
+    })
+
+    assert.strictEqual(queue.get(job.id).status, 'running')
+
+    gate.resolve()
+    await waitFor(() => queue.get(job.id).status === 'completed')
+
+    const finished = queue.get(job.id)
+    assert.deepStrictEqual(finished.result, { status: 'completed' })
+    assert.ok(finished.startedAt)
+    assert.ok(finished.finishedAt)
+  })
+
+  test('never exposes the run closure or session on public snapshots', () => {
+    const job = queue.enqueue({
+      type: 'analysis',
+      sessionId: 'session-secret',
+      run: async () => new Promise(() => {})
+    })
+
+    assert.deepStrictEqual(
+      Object.keys(job).sort(),
+      ['createdAt', 'error', 'finishedAt', 'id', 'result', 'startedAt', 'status', 'type']
+    )
+  })
+
+  test('respects the concurrency limit in FIFO order', async () => {
+    const first = deferred()
+    const order = []
+
+    const a = queue.enqueue({
+      type: 'scamper',
+      sessionId: 's',
+      run: async () => {
+        order.push('a')
+        await first.promise
+      }
+    })
+    const b = queue.enqueue({
+      type: 'sit',
+      sessionId: 's',
+      run: async () => {
+        order.push('b')
+      }
+    })
+
+    assert.strictEqual(queue.get(b.id).status, 'queued')
+
+    first.resolve()
+    await waitFor(() => queue.get(b.id).status === 'completed')
+
+    assert.deepStrictEqual(order, ['a', 'b'])
+    assert.strictEqual(queue.get(a.id).status, 'completed')
+  })
+
+  test('records failures and calls onError', async () => {
+    let handledError = null
+
+    const job = queue.enqueue({
+      type: 'analysis',
+      sessionId: 's',
+      run: async () => {
+        throw new Error('boom')
+      },
+      onError: (error) => {
+        handledError = error
+      }
+    })
+
+    await waitFor(() => queue.get(job.id).status === 'failed')
+
+    assert.strictEqual(queue.get(job.id).error, 'boom')
+    assert.strictEqual(handledError.message, 'boom')
+  })
+
+  test('cancels running jobs through their AbortSignal', async () => {
+    const job = queue.enqueue({
+      type: 'analysis',
+      sessionId: 's',
+      run: ({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')))
+      })
+    })
+
+    assert.strictEqual(queue.cancel(job.id), true)
+    await waitFor(() => queue.get(job.id).status === 'cancelled')
+
+    // Terminal jobs cannot be cancelled again
+    assert.strictEqual(queue.cancel(job.id), false)
+  })
+
+  test('cancels queued jobs without running them', async () => {
+    const gate = deferred()
+    let ran = false
+
+    queue.enqueue({ type: 'a', sessionId: 's', run: () => gate.promise })
+    const queued = queue.enqueue({
+      type: 'b',
+      sessionId: 's',
+      run: async () => {
+        ran = true
+      }
+    })
+
+    assert.strictEqual(queue.cancel(queued.id), true)
+    assert.strictEqual(queue.get(queued.id).status, 'cancelled')
+
+    gate.resolve()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.strictEqual(ran, false)
+  })
+
+  test('runs the cancel handler of queued jobs', async () => {
+    const gate = deferred()
+    let cancelled = null
+    let handledError = null
+
+    queue.enqueue({ type: 'a', sessionId: 's', run: () => gate.promise })
+    const queued = queue.enqueue({
+      type: 'b',
+      sessionId: 's',
+      run: async () => {},
+      onError: (error) => {
+        handledError = error
+      },
+      onCancel: (job) => {
+        cancelled = job
+      }
+    })
+
+    assert.strictEqual(queue.cancel(queued.id), true)
+    await waitFor(() => cancelled !== null)
+
+    assert.strictEqual(cancelled.id, queued.id)
+    assert.strictEqual(cancelled.status, 'cancelled')
+    assert.strictEqual(handledError, null)
+    gate.resolve()
+  })
+
+  test('finds active jobs per session and type', () => {
+    const job = queue.enqueue({
+      type: 'analysis',
+      sessionId: 'session-x',
+      run: () => new Promise(() => {})
+    })
+
+    assert.strictEqual(queue.findActive('session-x', 'analysis').id, job.id)
+    assert.strictEqual(queue.findActive('session-x', 'sit'), null)
+    assert.strictEqual(queue.findActive('session-y', 'analysis'), null)
+    assert.strictEqual(queue.isOwnedBy(job.id, 'session-x'), true)
+    assert.strictEqual(queue.isOwnedBy(job.id, 'session-y'), false)
+  })
+})
+
+describe('markInterruptedRuns', () => {
+  test('cancels runs left in progress by a restart', () => {
+    const session = {
+      results: {
+        analysis: {
+          status: 'in-progress',
+          jobId: 'job-1',
+          steps: [
+            { id: 'jtbd', status: 'completed' },
+            { id: 'designThinking', status: 'in-progress' },
+            { id: 'leanCanvas', status: 'pending' }
+          ]
+        },
+        ideation: {
+          scamper: { status: 'queued' },
+          sit: { status: 'completed' }
+        }
+      }
+    }
+
+    assert.strictEqual(markInterruptedRuns(session), true)
+    assert.strictEqual(session.results.analysis.status, 'cancelled')
+    assert.strictEqual(session.results.analysis.jobId, null)
+    assert.deepStrictEqual(
+      session.results.analysis.steps.map(step => step.status),
+      ['completed', 'pending', 'pending']
+    )
+    assert.strictEqual(session.results.ideation.scamper.status, 'cancelled')
+    assert.strictEqual(session.results.ideation.sit.status, 'completed')
+
+    assert.strictEqual(markInterruptedRuns(session), false)
+    assert.strictEqual(markInterruptedRuns({}), false)
+  })
+})
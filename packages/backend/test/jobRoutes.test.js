@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the background job routes
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { EventEmitter } from 'events'
+import { initJobQueue, setJobCancelRelay } from '../src/jobQueue.js'
+import { initSessionStore } from '../src/sessionStore.js'
+import { hasActiveRun } from '../src/analysisHistory.js'
+import { cancelJobRoute } from '../src/routes/jobs.js'
+import { runScamperRoute } from '../src/routes/ideation.js'
+import { runAnalysisRoute, streamAnalysisRoute } from '../src/routes/analysis.js'
+import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
+
+describe('job routes - cancelJobRoute', () => {
+  let queue
+  let store
+  let release
+
+  function createRes() {
+    return {
+      statusCode: 200,
+      body: null,
+      chunks: [],
+      ended: false,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(payload) {
+        this.body = payload
+        return this
+      },
+      setHeader() {},
+      write(chunk) {
+        this.chunks.push(chunk)
+      },
+      end() {
+        this.ended = true
+      }
+    }
+  }
+
+  async function createSession(id) {
+    const session = {
+      id,
+      inputs: { validationRequest: { description: 'A problem worth solving' } },
+      apiConfig: { provider: 'mock', model: 'mock-model' },
+      results: {}
+    }
+    await store.set(id, session)
+    session.save = () => store.set(id, session)
+    return session
+  }
+
+  const tick = () => new Promise(resolve => setImmediate(resolve))
+
+  beforeEach(() => {
+    // Job saves re-read the session from the store
+    store = initSessionStore({ defaultTTLMs: 60000 })
+
+    // A single slot held by another session's job keeps new jobs queued
+    queue = initJobQueue({ concurrency: 1 })
+    const blocker = new Promise(resolve => { release = resolve })
+    queue.enqueue({ type: 'analysis', sessionId: 'other', run: () => blocker })
+  })
+
+  afterEach(() => {
+    release()
+    queue.destroy()
+    store.destroy()
+  })
+
+  async function cancel(session, jobId) {
+    const res = createRes()
+    cancelJobRoute({ session, sessionId: session.id, params: { id: jobId } }, res)
+    await tick()
+    return res
+  }
+
+  test('records the cancellation of a queued ideation job on the session', async () => {
+    const session = await createSession('ideation-cancel')
+    session.results.analysis = { status: 'completed' }
+
+    const queued = createRes()
+    await runScamperRoute({ session, sessionId: session.id, body: {} }, queued)
+    assert.strictEqual(queued.statusCode, 202)
+    assert.strictEqual(session.results.ideation.scamper.status, 'queued')
+
+    const res = await cancel(session, queued.body.data.job.id)
+
+    assert.strictEqual(res.statusCode, 202)
+    assert.strictEqual(session.results.ideation.scamper.status, 'cancelled')
+    assert.match(session.results.ideation.scamper.error, /SCAMPER ideation was cancelled/)
+    assert.ok(session.results.ideation.scamper.completedAt)
+    assert.strictEqual(hasActiveRun(session), false)
+  })
+
+  test('records the cancellation of a queued analysis and ends its stream', async () => {
+    const session = await createSession('analysis-cancel')
+    session.results.analysis = createInitialAnalysisState()
+
+    const queued = createRes()
+    await runAnalysisRoute({ session, sessionId: session.id, body: {} }, queued)
+    assert.strictEqual(queued.statusCode, 202)
+    const jobId = queued.body.data.job.id
+    assert.strictEqual(session.results.analysis.jobId, jobId)
+
+    const req = new EventEmitter()
+    req.session = session
+    req.sessionId = session.id
+    const stream = createRes()
+    streamAnalysisRoute(req, stream)
+    assert.strictEqual(stream.ended, false)
+
+    await cancel(session, jobId)
+
+    assert.strictEqual(session.results.analysis.status, 'cancelled')
+    assert.strictEqual(session.results.analysis.jobId, null)
+    assert.strictEqual(stream.ended, true)
+    assert.ok(stream.chunks.some(chunk => chunk.startsWith('event: status') && chunk.includes('"cancelled"')))
+    assert.strictEqual(hasActiveRun(session), false)
+  })
+
+  test('returns 409 for a job running on another instance without a relay', async () => {
+    const session = await createSession('remote-job')
+    session.results.analysis = { status: 'in-progress', jobId: 'remote-job-id' }
+
+    const res = await cancel(session, 'remote-job-id')
+
+    assert.strictEqual(res.statusCode, 409)
+    assert.match(res.body.error, /not running on this server instance/)
+    assert.strictEqual((await cancel(session, 'unknown-job-id')).statusCode, 404)
+  })
+
+  test('relays cancel requests to the instance running the job', async () => {
+    const published = []
+    let deliver
+    await setJobCancelRelay({
+      publish: (sessionId, event) => published.push({ sessionId, ...event }),
+      subscribe: async (onEvent) => {
+        deliver = onEvent
+      }
+    })
+
+    try {
+      // Another instance runs the job: the request is published
+      const remote = await createSession('relay-remote')
+      remote.results.ideation = { scamper: { status: 'queued', instanceId: 'other' }, jobs: { scamper: 'remote-job-id' } }
+      const relayed = await cancel(remote, 'remote-job-id')
+      assert.strictEqual(relayed.statusCode, 202)
+      assert.deepStrictEqual(published, [{ sessionId: remote.id, type: 'cancel', data: { jobId: 'remote-job-id' } }])
+
+      // This instance runs the job: relayed requests of its session cancel it
+      const session = await createSession('relay-local')
+      session.results.analysis = { status: 'completed' }
+      const queued = createRes()
+      await runScamperRoute({ session, sessionId: session.id, body: {} }, queued)
+      const jobId = queued.body.data.job.id
+
+      deliver('another-session', { type: 'cancel', data: { jobId } })
+      assert.strictEqual(queue.get(jobId).status, 'queued')
+
+      deliver(session.id, { type: 'cancel', data: { jobId } })
+      await tick()
+      assert.strictEqual(queue.get(jobId).status, 'cancelled')
+      assert.strictEqual(session.results.ideation.scamper.status, 'cancelled')
+    } finally {
+      await setJobCancelRelay(null)
+    }
+  })
+})
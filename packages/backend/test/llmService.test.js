@@ -1,6 +1,6 @@
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
-import llmService from '../src/llmService.js'
+import llmService, { isValidApiKey, resolveLocalBaseUrl } from '../src/llmService.js'
 
 // Preserve original fetch
 const realFetch = global.fetch
@@ -180,10 +180,568 @@ describe('llmService', () => {
         llmService.analyze('test prompt', {
           provider: 'claude',
           model: 'claude-3-opus',
-          apiKey: 'z'.repeat(40)
+          apiKey: 'z'.repeat(40),
+          maxRetries: 0
         }),
       err => err.type === 'LLM_NETWORK_ERROR'
     )
   })
+
+  test('streams OpenAI deltas and returns accumulated content', async () => {
+    const encoder = new TextEncoder()
+    const frames = [
+      'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":" wor',
+      'ld"}}]}\n\ndata: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}\n\n',
+      'data: [DONE]\n\n'
+    ]
+
+    let receivedBody
+    global.fetch = async (url, init) => {
+      receivedBody = JSON.parse(init.body)
+      return {
+        ok: true,
+        status: 200,
+        body: (async function * () {
+          for (const frame of frames) {
+            yield encoder.encode(frame)
+          }
+        })()
+      }
+    }
+
+    const deltas = []
+    const result = await llmService.analyze('test prompt', {
+      provider: 'openai',
+      model: 'gpt-4',
+      apiKey: 'x'.repeat(40),
+      onDelta: text => deltas.push(text)
+    })
+
+    assert.strictEqual(receivedBody.stream, true)
+    assert.deepStrictEqual(deltas, ['Hello', ' world'])
+    assert.strictEqual(result.content, 'Hello world')
+    assert.strictEqual(result.provider, 'openai')
+    assert.deepStrictEqual(result.usage, {
+      promptTokens: 3,
+      completionTokens: 2,
+      totalTokens: 5
+    })
+  })
+
+  test('streams Claude deltas and returns accumulated content', async () => {
+    const encoder = new TextEncoder()
+    const events = [
+      { type: 'message_start', message: { usage: { input_tokens: 7 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Claude ' } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'streams' } },
+      { type: 'message_delta', usage: { output_tokens: 4 } },
+      { type: 'message_stop' }
+    ]
+
+    global.fetch = async () => ({
+      ok: true,
+      status: 200,
+      body: (async function * () {
+        for (const event of events) {
+          yield encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+        }
+      })()
+    })
+
+    const deltas = []
+    const result = await llmService.analyze('test prompt', {
+      provider: 'claude',
+      model: 'claude-3-sonnet',
+      apiKey: 'y'.repeat(40),
+      onDelta: text => deltas.push(text)
+    })
+
+    assert.deepStrictEqual(deltas, ['Claude ', 'streams'])
+    assert.strictEqual(result.content, 'Claude streams')
+    assert.deepStrictEqual(result.usage, {
+      promptTokens: 7,
+      completionTokens: 4,
+      totalTokens: 11
+    })
+  })
+
+  test('gives up on a stream that stalls after the headers', async () => {
+    const encoder = new TextEncoder()
+    let requestSignal
+    global.fetch = async (url, init) => {
+      requestSignal = init.signal
+      return {
+        ok: true,
+        status: 200,
+        body: (async function * () {
+          const event = { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Partial' } }
+          yield encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+          // The server stops sending without closing the connection
+          await new Promise(() => {})
+        })()
+      }
+    }
+
+    const deltas = []
+    await assert.rejects(
+      () =>
+        llmService.analyze('test prompt', {
+          provider: 'claude',
+          model: 'claude-3-sonnet',
+          apiKey: 'y'.repeat(40),
+          timeoutMs: 20,
+          maxRetries: 0,
+          onDelta: text => deltas.push(text)
+        }),
+      err => err.type === 'LLM_NETWORK_ERROR' && err.cause?.name === 'TimeoutError'
+    )
+    assert.deepStrictEqual(deltas, ['Partial'])
+    assert.strictEqual(requestSignal.aborted, true)
+  })
+
+  test('cancels a stalled stream when the caller aborts', async () => {
+    let requestSignal
+    global.fetch = async (url, init) => {
+      requestSignal = init.signal
+      return {
+        ok: true,
+        status: 200,
+        body: (async function * () {
+          await new Promise(() => {})
+        })()
+      }
+    }
+
+    const controller = new AbortController()
+    const call = llmService.analyze('test prompt', {
+      provider: 'openai',
+      model: 'gpt-4',
+      apiKey: 'y'.repeat(40),
+      timeoutMs: 60000,
+      maxRetries: 2,
+      signal: controller.signal,
+      onDelta: () => {}
+    })
+    setTimeout(() => controller.abort(), 10)
+
+    await assert.rejects(call, err => err.cause?.name === 'AbortError')
+    assert.strictEqual(requestSignal.aborted, true)
+  })
+
+  test('surfaces provider errors for streamed requests', async () => {
+    global.fetch = async () => ({
+      ok: false,
+      status: 429,
+      async text() {
+        return JSON.stringify({ error: { message: 'Rate limited', type: 'rate_limit_error' } })
+      }
+    })
+
+    await assert.rejects(
+      () =>
+        llmService.analyze('test prompt', {
+          provider: 'claude',
+          model: 'claude-3-haiku',
+          apiKey: 'z'.repeat(40),
+          maxRetries: 0,
+          onDelta: () => {}
+        }),
+      err => err.type === 'LLM_PROVIDER_ERROR' && err.status === 429 && err.code === 'rate_limit_error'
+    )
+  })
+
+  test('retries Claude streams that fail with an overloaded or rate limit error event', async () => {
+    const encoder = new TextEncoder()
+    const streams = [
+      [
+        { type: 'message_start', message: { usage: { input_tokens: 7 } } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ],
+      [{ type: 'error', error: { type: 'rate_limit_error', message: 'Rate limited' } }],
+      [
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Recovered' } },
+        { type: 'message_stop' }
+      ]
+    ]
+
+    let calls = 0
+    global.fetch = async () => {
+      const events = streams[calls++]
+      return {
+        ok: true,
+        status: 200,
+        body: (async function * () {
+          for (const event of events) {
+            yield encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+          }
+        })()
+      }
+    }
+
+    const retries = []
+    const result = await llmService.analyze('test prompt', {
+      provider: 'claude',
+      model: 'claude-3-sonnet',
+      apiKey: 's'.repeat(40),
+      maxRetries: 2,
+      retryBaseDelayMs: 1,
+      onDelta: () => {},
+      onRetry: info => retries.push(info)
+    })
+
+    assert.strictEqual(result.content, 'Recovered')
+    assert.deepStrictEqual(retries.map(r => [r.error.code, r.error.status]), [
+      ['overloaded_error', 529],
+      ['rate_limit_error', 429]
+    ])
+  })
+
+  test('does not retry other Claude stream error events', async () => {
+    let calls = 0
+    global.fetch = async () => {
+      calls += 1
+      return {
+        ok: true,
+        status: 200,
+        body: (async function * () {
+          const event = { type: 'error', error: { type: 'invalid_request_error', message: 'Bad request' } }
+          yield new TextEncoder().encode(`event: error\ndata: ${JSON.stringify(event)}\n\n`)
+        })()
+      }
+    }
+
+    await assert.rejects(
+      () =>
+        llmService.analyze('test prompt', {
+          provider: 'claude',
+          model: 'claude-3-sonnet',
+          apiKey: 's'.repeat(40),
+          maxRetries: 2,
+          retryBaseDelayMs: 1,
+          onDelta: () => {}
+        }),
+      err => err.code === 'invalid_request_error' && err.status === undefined
+    )
+    assert.strictEqual(calls, 1)
+  })
+
+  test('retries transient failures with backoff and reports attempts', async () => {
+    let calls = 0
+    global.fetch = async () => {
+      calls += 1
+      if (calls < 3) {
+        return {
+          ok: false,
+          status: calls === 1 ? 529 : 429,
+          headers: new Headers({ 'retry-after': '0' }),
+          async text() {
+            return JSON.stringify({ error: { message: 'Overloaded', type: 'overloaded_error' } })
+          }
+        }
+      }
+      return {
+        ok: true,
+        status: 200,
+        async text() {
+          return JSON.stringify({ content: [{ type: 'text', text: 'Recovered' }] })
+        }
+      }
+    }
+
+    const retries = []
+    const result = await llmService.analyze('test prompt', {
+      provider: 'claude',
+      model: 'claude-3-sonnet',
+      apiKey: 'r'.repeat(40),
+      maxRetries: 3,
+      retryBaseDelayMs: 1,
+      onRetry: info => retries.push(info)
+    })
+
+    assert.strictEqual(result.content, 'Recovered')
+    assert.strictEqual(result.attempts, 3)
+    assert.deepStrictEqual(retries.map(r => r.attempt), [1, 2])
+    assert.strictEqual(retries[0].error.status, 529)
+    assert.strictEqual(retries[0].maxAttempts, 4)
+  })
+
+  test('gives up after the configured number of retries', async () => {
+    let calls = 0
+    global.fetch = async () => {
+      calls += 1
+      throw new Error('socket hang up')
+    }
+
+    await assert.rejects(
+      () =>
+        llmService.analyze('test prompt', {
+          provider: 'openai',
+          model: 'gpt-4',
+          apiKey: 'r'.repeat(40),
+          maxRetries: 2,
+          retryBaseDelayMs: 1
+        }),
+      err => err.type === 'LLM_NETWORK_ERROR' && err.attempts === 3
+    )
+    assert.strictEqual(calls, 3)
+  })
+
+  test('does not retry client errors', async () => {
+    let calls = 0
+    global.fetch = async () => {
+      calls += 1
+      return {
+        ok: false,
+        status: 401,
+        async text() {
+          return JSON.stringify({ error: { message: 'Invalid key' } })
+        }
+      }
+    }
+
+    await assert.rejects(
+      () =>
+        llmService.analyze('test prompt', {
+          provider: 'openai',
+          model: 'gpt-4',
+          apiKey: 'r'.repeat(40),
+          retryBaseDelayMs: 1
+        }),
+      err => err.status === 401
+    )
+    assert.strictEqual(calls, 1)
+  })
+
+  test('calls a local OpenAI-compatible server without an API key', async () => {
+    let receivedUrl
+    let receivedInit
+
+    global.fetch = async (url, init) => {
+      receivedUrl = url
+      receivedInit = init
+      return {
+        ok: true,
+        status: 200,
+        async text() {
+          return JSON.stringify({
+            choices: [{ message: { content: 'Local response' } }]
+          })
+        }
+      }
+    }
+
+    const result = await llmService.analyze('test prompt', {
+      provider: 'local',
+      model: 'llama3.1:8b',
+      baseUrl: 'http://127.0.0.1:11434/v1/'
+    })
+
+    assert.strictEqual(receivedUrl, 'http://127.0.0.1:11434/v1/chat/completions')
+    assert.strictEqual(receivedInit.headers.Authorization, undefined)
+    assert.strictEqual(JSON.parse(receivedInit.body).model, 'llama3.1:8b')
+    assert.strictEqual(result.content, 'Local response')
+    assert.strictEqual(result.provider, 'local')
+  })
+
+  test('caps output tokens per model unless the call sets its own cap', async () => {
+    const bodies = []
+    global.fetch = async (url, init) => {
+      bodies.push(JSON.parse(init.body))
+      return {
+        ok: true,
+        status: 200,
+        async text() {
+          return JSON.stringify(url.endsWith('/messages')
+            ? { content: [{ type: 'text', text: 'ok' }] }
+            : { choices: [{ message: { content: 'ok' } }] })
+        }
+      }
+    }
+
+    const apiKey = 'x'.repeat(40)
+    await llmService.analyze('prompt', { provider: 'claude', model: 'claude-3-sonnet', apiKey })
+    await llmService.analyze('prompt', { provider: 'claude', model: 'claude-3-sonnet', apiKey, maxOutputTokens: 512 })
+    await llmService.analyze('prompt', { provider: 'openai', model: 'gpt-4', apiKey })
+    await llmService.analyze('prompt', { provider: 'local', model: 'llama3.1:8b' })
+
+    assert.deepStrictEqual(bodies.map(body => body.max_tokens), [4096, 512, 2000, 2000])
+
+    await assert.rejects(
+      () => llmService.analyze('prompt', { provider: 'openai', model: 'gpt-4', apiKey, maxOutputTokens: 0 }),
+      err => err.type === 'LLM_INPUT_ERROR'
+    )
+  })
+
+  test('rejects a local base URL that is not http(s)', async () => {
+    await assert.rejects(
+      () =>
+        llmService.analyze('test prompt', {
+          provider: 'local',
+          model: 'llama3.1:8b',
+          baseUrl: 'file:///etc/passwd'
+        }),
+      err => err.type === 'LLM_INPUT_ERROR'
+    )
+  })
+
+  test('only allows the configured local server and loopback on its port by default', async () => {
+    const original = process.env.LOCAL_LLM_ALLOWED_HOSTS
+    delete process.env.LOCAL_LLM_ALLOWED_HOSTS
+    const rejected = err => err.type === 'LLM_INPUT_ERROR' && /not an allowed local LLM host/.test(err.message)
+
+    try {
+      for (const baseUrl of [
+        'http://169.254.169.254/latest',
+        'http://ollama.internal:11434/v1',
+        'http://localhost:6379',
+        'http://127.0.0.1/admin',
+        'http://[::1]:8000/v1'
+      ]) {
+        assert.throws(() => resolveLocalBaseUrl(baseUrl), rejected)
+      }
+      assert.strictEqual(resolveLocalBaseUrl('http://[::1]:11434/v1/'), 'http://[::1]:11434/v1')
+      assert.strictEqual(resolveLocalBaseUrl(), 'http://localhost:11434/v1')
+
+      process.env.LOCAL_LLM_ALLOWED_HOSTS = 'ollama.internal'
+      assert.strictEqual(resolveLocalBaseUrl('http://ollama.internal:8080/v1'), 'http://ollama.internal:8080/v1')
+      assert.throws(() => resolveLocalBaseUrl('http://localhost:11434/v1'), rejected)
+
+      // Bare loopback entries keep the configured port; others need theirs listed
+      process.env.LOCAL_LLM_ALLOWED_HOSTS = 'localhost, 127.0.0.1:8000'
+      assert.strictEqual(resolveLocalBaseUrl('http://localhost:11434/v1'), 'http://localhost:11434/v1')
+      assert.strictEqual(resolveLocalBaseUrl('http://127.0.0.1:8000/v1'), 'http://127.0.0.1:8000/v1')
+      assert.throws(() => resolveLocalBaseUrl('http://localhost:8000/v1'), rejected)
+      assert.throws(() => resolveLocalBaseUrl('http://127.0.0.1:11434/v1'), rejected)
+    } finally {
+      if (original === undefined) {
+        delete process.env.LOCAL_LLM_ALLOWED_HOSTS
+      } else {
+        process.env.LOCAL_LLM_ALLOWED_HOSTS = original
+      }
+    }
+  })
+
+  test('lists models from a local server', async () => {
+    let receivedUrl
+    let receivedInit
+
+    global.fetch = async (url, init) => {
+      receivedUrl = url
+      receivedInit = init
+      return {
+        ok: true,
+        status: 200,
+        async json() {
+          return {
+            object: 'list',
+            data: [
+              { id: 'qwen2.5:14b', owned_by: 'library' },
+              { id: 'llama3.1:8b', owned_by: 'library' }
+            ]
+          }
+        }
+      }
+    }
+
+    const models = await llmService.listModels({
+      provider: 'local',
+      baseUrl: 'http://localhost:11434/v1',
+      apiKey: 'local-token'
+    })
+
+    assert.strictEqual(receivedUrl, 'http://localhost:11434/v1/models')
+    assert.strictEqual(receivedInit.method, 'GET')
+    assert.strictEqual(receivedInit.headers.Authorization, 'Bearer local-token')
+    assert.deepStrictEqual(models, [
+      { id: 'llama3.1:8b', ownedBy: 'library' },
+      { id: 'qwen2.5:14b', ownedBy: 'library' }
+    ])
+  })
+
+  test('only requires a long API key for hosted providers', () => {
+    assert.strictEqual(isValidApiKey('local', undefined), true)
+    assert.strictEqual(isValidApiKey('local', ''), true)
+    assert.strictEqual(isValidApiKey('openai', 'short'), false)
+    assert.strictEqual(isValidApiKey('claude', 'k'.repeat(20)), true)
+  })
 })
 
+describe('llmService JSON mode', () => {
+  const responseFormat = {
+    type: 'json',
+    name: 'jtbd_result',
+    schema: { type: 'object', properties: { jobStatement: { type: 'string' } } }
+  }
+
+  function respondWith(payload, requests) {
+    global.fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) })
+      return {
+        ok: true,
+        status: 200,
+        async text() {
+          return JSON.stringify(payload)
+        }
+      }
+    }
+  }
+
+  afterEach(() => {
+    global.fetch = realFetch
+  })
+
+  test('sends the schema to OpenAI and plain JSON mode to local servers', async () => {
+    const requests = []
+    respondWith({ choices: [{ message: { content: '{"jobStatement":"x"}' } }] }, requests)
+
+    const result = await llmService.analyze('prompt', {
+      provider: 'openai',
+      model: 'gpt-4o',
+      apiKey: 'x'.repeat(40),
+      responseFormat,
+      onDelta: () => {}
+    })
+    await llmService.analyze('prompt', { provider: 'local', model: 'llama3', responseFormat })
+
+    assert.strictEqual(result.content, '{"jobStatement":"x"}')
+    // JSON requests are not streamed, even with onDelta
+    assert.strictEqual(requests[0].body.stream, undefined)
+    assert.deepStrictEqual(requests[0].body.response_format, {
+      type: 'json_schema',
+      json_schema: { name: 'jtbd_result', schema: responseFormat.schema, strict: false }
+    })
+    assert.deepStrictEqual(requests[1].body.response_format, { type: 'json_object' })
+  })
+
+  test('forces a Claude tool call and returns its input as JSON', async () => {
+    const requests = []
+    respondWith({
+      content: [{ type: 'tool_use', name: 'jtbd_result', input: { jobStatement: 'x' } }],
+      usage: { input_tokens: 5, output_tokens: 15 }
+    }, requests)
+
+    const result = await llmService.analyze('prompt', {
+      provider: 'claude',
+      model: 'claude-3-sonnet',
+      apiKey: 'y'.repeat(40),
+      responseFormat
+    })
+
+    assert.deepStrictEqual(requests[0].body.tools[0].input_schema, responseFormat.schema)
+    assert.deepStrictEqual(requests[0].body.tool_choice, { type: 'tool', name: 'jtbd_result' })
+    assert.deepStrictEqual(JSON.parse(result.content), { jobStatement: 'x' })
+  })
+
+  test('rejects unknown response formats', async () => {
+    await assert.rejects(
+      () => llmService.analyze('prompt', {
+        provider: 'openai',
+        model: 'gpt-4',
+        apiKey: 'x'.repeat(40),
+        responseFormat: { type: 'xml' }
+      }),
+      err => err.type === 'LLM_INPUT_ERROR'
+    )
+  })
+})
@@ -0,0 +1,121 @@
+import { test, describe, after } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Custom methodologies are read once at startup, so the directory must be
+// configured before the registry (and everything built on it) is imported.
+const customDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-methodologies-'))
+fs.writeFileSync(path.join(customDir, 'kano.js'), `export default {
+  id: 'kano',
+  order: 25,
+  name: 'Kano Model',
+  progressLabel: 'Classifying needs with the Kano Model...',
+  description: 'Sorting needs into basic, performance and delight attributes',
+  fileKey: 'Kano',
+  synthesisLabel: 'Kano Model Analysis',
+  placeholders: { PROBLEM_STATEMENT: 'problemStatement', TARGET_CUSTOMER: 'targetCustomer' },
+  template: 'Apply the Kano Model to "{{PROBLEM_STATEMENT}}" for {{TARGET_CUSTOMER}}.'
+}
+`)
+process.env.METHODOLOGIES_DIR = customDir
+
+const {
+  validateMethodology,
+  loadMethodologiesFromDir,
+  createRegistry,
+  getMethodologies
+} = await import('../src/methodologyRegistry.js')
+const { METHODOLOGY_STEPS, buildPrompt } = await import('../src/promptTemplates.js')
+const { buildSynthesisPrompt } = await import('../src/synthesisTemplates.js')
+const { getMethodKeyFromId } = await import('../src/fileOutputService.js')
+const { validateAnalysisPayload } = await import('../src/validators/analysisValidator.js')
+
+const baseDefinition = {
+  id: 'vpc',
+  name: 'Value Proposition Canvas',
+  progressLabel: 'Mapping the Value Proposition Canvas...',
+  description: 'Matching customer jobs, pains and gains to the offer',
+  fileKey: 'ValuePropositionCanvas',
+  synthesisLabel: 'Value Proposition Canvas Analysis',
+  placeholders: { PROBLEM_STATEMENT: 'problemStatement' },
+  template: 'Analyze "{{PROBLEM_STATEMENT}}" with the Value Proposition Canvas.'
+}
+
+describe('methodologyRegistry', () => {
+  after(() => {
+    fs.rmSync(customDir, { recursive: true, force: true })
+  })
+
+  test('loads built-in and custom methodologies in order', () => {
+    assert.deepStrictEqual(
+      getMethodologies().map(methodology => methodology.id),
+      ['jtbd', 'designThinking', 'kano', 'leanCanvas', 'rootCause', 'ost']
+    )
+    assert.strictEqual(METHODOLOGY_STEPS[2].progressLabel, 'Classifying needs with the Kano Model... (3/6)')
+    assert.strictEqual(METHODOLOGY_STEPS[5].progressLabel, 'Building Opportunity Solution Tree... (6/6)')
+  })
+
+  test('custom methodologies flow into prompts, synthesis, exports and validation', () => {
+    assert.strictEqual(
+      buildPrompt('kano', { problemStatement: 'Slow invoicing', targetCustomer: 'Freelancers' }),
+      'Apply the Kano Model to "Slow invoicing" for Freelancers.'
+    )
+
+    const synthesis = buildSynthesisPrompt({ kano: 'Kano content' })
+    assert.ok(synthesis.includes('You have received six detailed analysis documents'))
+    assert.ok(synthesis.includes('3. Kano Model Analysis:\n[3.1] Kano content'))
+
+    assert.strictEqual(getMethodKeyFromId('kano'), 'Kano')
+
+    const result = validateAnalysisPayload({ methods: ['kano'] })
+    assert.strictEqual(result.details.methods, undefined)
+  })
+
+  test('validateMethodology fills defaults', () => {
+    const methodology = validateMethodology(baseDefinition)
+
+    assert.strictEqual(methodology.emailLabel, 'Value Proposition Canvas')
+    assert.strictEqual(methodology.order, Number.MAX_SAFE_INTEGER)
+    assert.strictEqual(methodology.outputSchema, null)
+  })
+
+  test('validateMethodology rejects incomplete or inconsistent definitions', () => {
+    const invalid = [
+      { ...baseDefinition, template: undefined },
+      { ...baseDefinition, id: 'has space' },
+      { ...baseDefinition, fileKey: '../escape' },
+      { ...baseDefinition, placeholders: { PROBLEM_STATEMENT: 'budget' } },
+      { ...baseDefinition, template: 'Uses {{LOCATION}} without mapping it' },
+      { ...baseDefinition, outputSchema: { type: 'array', items: { type: 'string' } } }
+    ]
+
+    for (const definition of invalid) {
+      assert.throws(
+        () => validateMethodology(definition, 'vpc.js'),
+        err => err.type === 'METHODOLOGY_DEFINITION_ERROR' && err.message.endsWith('(vpc.js)')
+      )
+    }
+  })
+
+  test('createRegistry rejects duplicate ids and file keys', () => {
+    const vpc = validateMethodology(baseDefinition)
+
+    assert.throws(
+      () => createRegistry([vpc, { ...vpc, fileKey: 'Other' }]),
+      /Duplicate methodology id "vpc"/
+    )
+    assert.throws(
+      () => createRegistry([vpc, { ...vpc, id: 'other' }]),
+      /Duplicate methodology file key "ValuePropositionCanvas"/
+    )
+  })
+
+  test('loadMethodologiesFromDir reports unreadable directories', async () => {
+    await assert.rejects(
+      () => loadMethodologiesFromDir(path.join(customDir, 'missing')),
+      err => err.type === 'METHODOLOGY_DEFINITION_ERROR'
+    )
+  })
+})
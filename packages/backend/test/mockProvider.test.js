@@ -0,0 +1,149 @@
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import llmService from '../src/llmService.js'
+import { getMockCallKey, isMockProviderEnabled } from '../src/mockProvider.js'
+import { runAnalysis } from '../src/analysisExecutor.js'
+import { executeScamper } from '../src/scamperService.js'
+import { executeSit } from '../src/sitService.js'
+import { generateSynthesisSummary } from '../src/synthesisService.js'
+import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
+import { SCAMPER_LENSES } from '../src/scamperPromptTemplates.js'
+import { SIT_TOOLS } from '../src/sitPromptTemplates.js'
+
+const realFetch = global.fetch
+
+function createMockSession(id) {
+  return {
+    id,
+    inputs: {
+      validationRequest: {
+        description: 'M'.repeat(500),
+        location: 'Remote',
+        targetCustomer: 'Small operations teams at growing startups',
+        teamSize: '4-10'
+      }
+    },
+    apiConfig: {
+      provider: 'mock',
+      model: 'mock'
+    },
+    results: { analysis: createInitialAnalysisState() },
+    async save() {}
+  }
+}
+
+describe('mock LLM provider', () => {
+  const originalMockEnabled = process.env.LLM_MOCK_ENABLED
+
+  beforeEach(() => {
+    process.env.LLM_MOCK_ENABLED = 'true'
+    // The mock must never touch the network
+    global.fetch = async () => {
+      throw new Error('fetch should not be called by the mock provider')
+    }
+  })
+
+  afterEach(() => {
+    global.fetch = realFetch
+    if (originalMockEnabled === undefined) {
+      delete process.env.LLM_MOCK_ENABLED
+    } else {
+      process.env.LLM_MOCK_ENABLED = originalMockEnabled
+    }
+  })
+
+  test('is enabled only with LLM_MOCK_ENABLED=true', async () => {
+    const { NODE_ENV } = process.env
+    try {
+      delete process.env.LLM_MOCK_ENABLED
+      delete process.env.NODE_ENV
+      assert.strictEqual(isMockProviderEnabled(), false)
+      await assert.rejects(
+        llmService.analyze('Hello', { provider: 'mock', model: 'mock' }),
+        /LLM_MOCK_ENABLED=true/
+      )
+
+      process.env.NODE_ENV = 'development'
+      process.env.LLM_MOCK_ENABLED = 'false'
+      assert.strictEqual(isMockProviderEnabled(), false)
+
+      process.env.NODE_ENV = 'production'
+      process.env.LLM_MOCK_ENABLED = 'true'
+      assert.strictEqual(isMockProviderEnabled(), true)
+    } finally {
+      if (NODE_ENV === undefined) {
+        delete process.env.NODE_ENV
+      } else {
+        process.env.NODE_ENV = NODE_ENV
+      }
+    }
+  })
+
+  test('derives call keys from caller metadata', () => {
+    assert.strictEqual(getMockCallKey({ stepId: 'jtbd' }), 'jtbd')
+    assert.strictEqual(getMockCallKey({ kind: 'synthesis' }), 'synthesis')
+    assert.strictEqual(getMockCallKey({ technique: 'scamper', lens: 'combine' }), 'scamper:combine')
+    assert.strictEqual(getMockCallKey({ technique: 'sit', step: 'synthesis' }), 'sit:synthesis')
+    assert.strictEqual(getMockCallKey(), 'generic')
+  })
+
+  test('streams deterministic content without an API key', async () => {
+    const deltas = []
+    const options = {
+      provider: 'mock',
+      model: 'mock',
+      onDelta: text => deltas.push(text),
+      metadata: { stepId: 'rootCause' }
+    }
+
+    const first = await llmService.analyze('prompt', options)
+    const second = await llmService.analyze('prompt', { ...options, onDelta: undefined })
+
+    assert.strictEqual(first.provider, 'mock')
+    assert.strictEqual(first.content, second.content)
+    assert.strictEqual(deltas.join(''), first.content)
+    assert.match(first.content, /Root Cause Analysis/)
+    assert.ok(first.usage.totalTokens > 0)
+  })
+
+  test('injects failures for configured call keys', async () => {
+    await assert.rejects(
+      () =>
+        llmService.analyze('prompt', {
+          provider: 'mock',
+          model: 'mock',
+          maxRetries: 0,
+          metadata: { stepId: 'leanCanvas' },
+          mock: { failOn: ['leanCanvas'], failureStatus: 429 }
+        }),
+      err => err.type === 'LLM_PROVIDER_ERROR' && err.status === 429 && err.provider === 'mock'
+    )
+  })
+
+  test('runs the full analysis, synthesis and ideation pipeline offline', async () => {
+    const session = createMockSession('mock-session-1')
+
+    const analysis = await runAnalysis(session, undefined)
+    assert.strictEqual(analysis.status, 'completed')
+    analysis.steps.forEach(step => {
+      assert.strictEqual(step.result.provider, 'mock')
+    })
+
+    const summary = await generateSynthesisSummary(session, undefined)
+    assert.match(summary.summaryText, /Executive Summary/)
+
+    const scamper = await executeScamper(session, undefined)
+    assert.strictEqual(scamper.status, 'completed')
+    SCAMPER_LENSES.forEach(lens => {
+      assert.ok(scamper.lenses[lens.id].ideas.length > 0, `ideas for ${lens.id}`)
+    })
+    assert.ok(scamper.synthesis.topConcepts.length > 0)
+
+    const sit = await executeSit(session, undefined)
+    assert.strictEqual(sit.status, 'completed')
+    SIT_TOOLS.forEach(tool => {
+      assert.strictEqual(sit.tools[tool.id].error, null, `no error for ${tool.id}`)
+    })
+    assert.ok(sit.synthesis.constraintAlignment)
+  })
+})
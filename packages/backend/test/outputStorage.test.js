@@ -0,0 +1,255 @@
+/**
+ * Unit tests for outputStorage module
+ *
+ * The S3 backend runs against an in-process stand-in for the commands it
+ * sends, and additionally against a real S3-compatible server when
+ * OUTPUT_S3_ENDPOINT and OUTPUT_S3_BUCKET are set, e.g. a local MinIO:
+ *
+ *   OUTPUT_S3_ENDPOINT=http://localhost:9000 OUTPUT_S3_BUCKET=validator-test \
+ *   OUTPUT_S3_ACCESS_KEY_ID=minioadmin OUTPUT_S3_SECRET_ACCESS_KEY=minioadmin npm test
+ */
+
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { Readable } from 'stream'
+import {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3'
+import {
+  LocalOutputStorage,
+  S3OutputStorage,
+  initOutputStorage
+} from '../src/outputStorage.js'
+import { sendReportFile, ensureReportFile } from '../src/routes/reportDownload.js'
+
+/**
+ * Minimal S3 client covering the commands used by S3OutputStorage.
+ * Lists two objects per page to exercise pagination.
+ */
+function createFakeS3() {
+  const objects = new Map()
+  const notFound = () => Object.assign(new Error('Not Found'), {
+    name: 'NotFound',
+    $metadata: { httpStatusCode: 404 }
+  })
+
+  return {
+    async send(command) {
+      const { Key, Body, Prefix = '', ContinuationToken } = command.input
+
+      if (command instanceof PutObjectCommand) {
+        objects.set(Key, { body: Buffer.from(Body), modified: new Date() })
+        return {}
+      }
+      if (command instanceof GetObjectCommand || command instanceof HeadObjectCommand) {
+        if (!objects.has(Key)) throw notFound()
+        return command instanceof GetObjectCommand
+          ? { Body: Readable.from([objects.get(Key).body]) }
+          : {}
+      }
+      if (command instanceof DeleteObjectCommand) {
+        objects.delete(Key)
+        return {}
+      }
+      if (command instanceof ListObjectsV2Command) {
+        const keys = [...objects.keys()].filter(key => key.startsWith(Prefix)).sort()
+        const start = ContinuationToken ? Number(ContinuationToken) : 0
+        const page = keys.slice(start, start + 2)
+        return {
+          Contents: page.map(key => ({
+            Key: key,
+            Size: objects.get(key).body.length,
+            LastModified: objects.get(key).modified
+          })),
+          IsTruncated: start + 2 < keys.length,
+          NextContinuationToken: String(start + 2)
+        }
+      }
+      throw new Error(`Unexpected command ${command.constructor.name}`)
+    }
+  }
+}
+
+const backends = [
+  ['local disk', async () => new LocalOutputStorage({
+    dir: await fs.mkdtemp(path.join(os.tmpdir(), 'validator-output-test-'))
+  })],
+  ['S3 (in-process client)', async () => new S3OutputStorage({
+    bucket: 'validator-test',
+    prefix: 'reports/',
+    client: createFakeS3()
+  })]
+]
+
+if (process.env.OUTPUT_S3_ENDPOINT && process.env.OUTPUT_S3_BUCKET) {
+  backends.push(['S3 (server)', async () => new S3OutputStorage({
+    bucket: process.env.OUTPUT_S3_BUCKET,
+    prefix: `test-${crypto.randomBytes(4).toString('hex')}/`,
+    endpoint: process.env.OUTPUT_S3_ENDPOINT,
+    region: process.env.OUTPUT_S3_REGION,
+    forcePathStyle: true,
+    credentials: {
+      accessKeyId: process.env.OUTPUT_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.OUTPUT_S3_SECRET_ACCESS_KEY
+    }
+  })])
+}
+
+for (const [name, create] of backends) {
+  describe(`output storage (${name})`, () => {
+    let storage
+
+    before(async () => {
+      storage = await create()
+    })
+
+    after(async () => {
+      for (const file of await storage.list()) {
+        await storage.remove(file.filename)
+      }
+      if (storage.dir) {
+        await fs.rm(storage.dir, { recursive: true, force: true })
+      }
+    })
+
+    test('stores strings and streams and reads them back', async () => {
+      await storage.put('abc_jtbd.txt', 'JTBD output', { contentType: 'text/plain' })
+      await storage.put('abc_final_report.pdf', Readable.from([Buffer.from('%PDF-'), Buffer.from('1.3')]), {
+        contentType: 'application/pdf'
+      })
+
+      assert.strictEqual((await storage.read('abc_jtbd.txt')).toString(), 'JTBD output')
+      const stream = await storage.createReadStream('abc_final_report.pdf')
+      assert.strictEqual(Buffer.concat(await stream.toArray()).toString(), '%PDF-1.3')
+
+      assert.strictEqual(await storage.exists('abc_jtbd.txt'), true)
+      assert.strictEqual(await storage.exists('missing.pdf'), false)
+      assert.strictEqual(await storage.read('missing.pdf'), null)
+      assert.strictEqual(await storage.createReadStream('missing.pdf'), null)
+    })
+
+    test('lists and removes files', async () => {
+      await storage.put('def_one.txt', '1')
+      await storage.put('def_two.txt', '22')
+      await storage.put('def_three.txt', '333')
+
+      const files = (await storage.list()).filter(file => file.filename.startsWith('def_'))
+      assert.deepStrictEqual(
+        files.map(file => [file.filename, file.size]).sort(),
+        [['def_one.txt', 1], ['def_three.txt', 3], ['def_two.txt', 2]]
+      )
+      assert.ok(files.every(file => file.modifiedAt > 0))
+
+      assert.strictEqual(await storage.remove('def_one.txt'), true)
+      assert.strictEqual(await storage.remove('def_one.txt'), false)
+    })
+
+    test('rejects names outside the storage', async () => {
+      await assert.rejects(
+        () => storage.put('../escape.txt', 'x'),
+        err => err.type === 'OUTPUT_STORAGE_ERROR'
+      )
+    })
+  })
+}
+
+describe('S3OutputStorage.getDownloadUrl', () => {
+  const options = {
+    bucket: 'reports',
+    endpoint: 'http://localhost:9000',
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'minioadmin', secretAccessKey: 'minioadmin' }
+  }
+
+  test('signs short-lived URLs when enabled', async () => {
+    const storage = new S3OutputStorage({ ...options, signedUrls: true, signedUrlTtlSeconds: 60 })
+    const url = new URL(await storage.getDownloadUrl('abc_final_report.pdf'))
+
+    assert.strictEqual(url.origin + url.pathname, 'http://localhost:9000/reports/abc_final_report.pdf')
+    assert.strictEqual(url.searchParams.get('X-Amz-Expires'), '60')
+    assert.ok(url.searchParams.get('X-Amz-Signature'))
+    assert.match(url.searchParams.get('response-content-disposition'), /attachment/)
+  })
+
+  test('returns null when disabled', async () => {
+    assert.strictEqual(await new S3OutputStorage(options).getDownloadUrl('abc_final_report.pdf'), null)
+  })
+})
+
+describe('sendReportFile', () => {
+  function createRes() {
+    return {
+      statusCode: 200,
+      headers: {},
+      body: null,
+      redirectedTo: null,
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value
+      },
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(payload) {
+        this.body = payload
+        return this
+      },
+      redirect(code, url) {
+        this.statusCode = code
+        this.redirectedTo = url
+      }
+    }
+  }
+
+  after(() => {
+    initOutputStorage()
+  })
+
+  test('redirects to a signed URL when the storage issues one', async () => {
+    const storage = initOutputStorage({ storage: 's3', bucket: 'reports', client: createFakeS3() })
+    await storage.put('abc_final_report.pdf', '%PDF-1.3')
+    storage.getDownloadUrl = async filename => `https://s3.example.com/${filename}?X-Amz-Signature=x`
+
+    const res = createRes()
+    await sendReportFile(res, 'abc_final_report.pdf', { success: false })
+
+    assert.strictEqual(res.statusCode, 302)
+    assert.strictEqual(res.redirectedTo, 'https://s3.example.com/abc_final_report.pdf?X-Amz-Signature=x')
+  })
+
+  test('returns the given 404 body when the file is missing', async () => {
+    initOutputStorage({ storage: 's3', bucket: 'reports', client: createFakeS3() })
+
+    const res = createRes()
+    await sendReportFile(res, 'abc_final_report.pdf', { success: false, error: 'Report file not found' })
+
+    assert.strictEqual(res.statusCode, 404)
+    assert.strictEqual(res.body.error, 'Report file not found')
+  })
+  test('ensureReportFile regenerates missing reports', async () => {
+    const storage = initOutputStorage({ storage: 's3', bucket: 'reports', client: createFakeS3() })
+    let generated = 0
+    const regenerate = async () => {
+      generated++
+      await storage.put('abc_final_report.pdf', '%PDF-1.3')
+      return { filename: 'abc_final_report.pdf' }
+    }
+
+    assert.strictEqual(await ensureReportFile(undefined, regenerate), 'abc_final_report.pdf')
+    assert.strictEqual(await ensureReportFile('abc_final_report.pdf', regenerate), 'abc_final_report.pdf')
+    assert.strictEqual(generated, 1)
+
+    const noInput = async () => {
+      throw Object.assign(new Error('No synthesized summary found on session'), { type: 'PDF_INPUT_ERROR' })
+    }
+    assert.strictEqual(await ensureReportFile('missing.pdf', noInput), null)
+  })
+})
@@ -10,7 +10,8 @@ import {
   buildPrompt,
   extractContextFromSession,
   getMethodologyStep,
-  getMethodologyOrder
+  getMethodologyOrder,
+  getMethodologySteps
 } from '../src/promptTemplates.js'
 
 test('METHODOLOGY_STEPS should have 5 steps in correct order', () => {
@@ -189,6 +190,19 @@ test('getMethodologyOrder should return IDs in correct order', () => {
   assert.deepStrictEqual(order, ['jtbd', 'designThinking', 'leanCanvas', 'rootCause', 'ost'])
 })
 
+test('getMethodologySteps should keep execution order and renumber progress labels', () => {
+  assert.strictEqual(getMethodologySteps(), METHODOLOGY_STEPS)
+  assert.strictEqual(getMethodologySteps([]), METHODOLOGY_STEPS)
+
+  const steps = getMethodologySteps(['ost', 'leanCanvas'])
+
+  assert.deepStrictEqual(steps.map(s => s.id), ['leanCanvas', 'ost'])
+  assert.strictEqual(steps[0].progressLabel, 'Validating with Lean Canvas... (1/2)')
+  assert.strictEqual(steps[1].progressLabel, 'Building Opportunity Solution Tree... (2/2)')
+  // Shared metadata is not mutated
+  assert.ok(METHODOLOGY_STEPS[4].progressLabel.endsWith('(5/5)'))
+})
+
 test('buildPrompt should generate complete prompt for all methodologies', () => {
   const context = {
     problemStatement: 'Our SaaS has low retention after first month',
@@ -0,0 +1,278 @@
+/**
+ * Unit tests for redisSessionStore module
+ *
+ * Runs against an in-process stand-in for the node-redis commands the store
+ * uses, and additionally against a real server when REDIS_URL is set
+ * (e.g. REDIS_URL=redis://localhost:6379 npm test).
+ */
+
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert'
+import crypto from 'crypto'
+import { createClient } from 'redis'
+import { RedisSessionStore, createRedisEventRelay } from '../src/redisSessionStore.js'
+import { createSession } from '../src/sessionStore.js'
+import { RedisArtifactStore } from '../src/artifactStore.js'
+import {
+  emitAnalysisEvent,
+  subscribeToAnalysis,
+  setAnalysisEventRelay
+} from '../src/analysisEvents.js'
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Minimal in-memory client covering the commands used by the store and relay.
+ */
+function createFakeRedis(bus = { channels: new Map() }) {
+  const data = new Map()
+  const expiries = new Map()
+
+  const live = key => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      data.delete(key)
+      expiries.delete(key)
+    }
+    return data.has(key)
+  }
+
+  const client = {
+    isOpen: true,
+    on() { return client },
+    async connect() { client.isOpen = true },
+    async quit() { client.isOpen = false },
+    // Only runs SET_SESSION_SCRIPT, so it reimplements that script
+    async eval(script, { keys: [key, artifactsKey], arguments: [value, ttl, expected] }) {
+      const hash = live(key) ? data.get(key) : {}
+      const current = parseInt(hash.version, 10) || 0
+      if (expected !== '' && Number(expected) !== current) return [0, current]
+      data.set(key, { data: value, version: String(current + 1) })
+      expiries.set(key, Date.now() + Number(ttl))
+      await client.pExpire(artifactsKey, Number(ttl))
+      return [1, current + 1]
+    },
+    async pTTL(key) {
+      if (!live(key)) return -2
+      return expiries.has(key) ? expiries.get(key) - Date.now() : -1
+    },
+    async pExpire(key, ms) {
+      if (!live(key)) return false
+      expiries.set(key, Date.now() + ms)
+      return true
+    },
+    async exists(key) { return live(key) ? 1 : 0 },
+    async del(keys) {
+      let count = 0
+      for (const key of [].concat(keys)) {
+        if (live(key)) count++
+        data.delete(key)
+        expiries.delete(key)
+      }
+      return count
+    },
+    async * scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, '')
+      for (const key of [...data.keys()]) {
+        if (key.startsWith(prefix) && live(key)) yield key
+      }
+    },
+    async hIncrBy(key, field, by) {
+      const hash = data.get(key) || {}
+      hash[field] = String((parseInt(hash[field], 10) || 0) + by)
+      data.set(key, hash)
+      return parseInt(hash[field], 10)
+    },
+    async hGetAll(key) { return live(key) ? { ...data.get(key) } : {} },
+    async hSet(key, field, value) {
+      data.set(key, { ...(live(key) ? data.get(key) : {}), [field]: value })
+      return 1
+    },
+    async hGet(key, field) { return live(key) ? data.get(key)[field] ?? null : null },
+    async publish(channel, message) {
+      for (const listener of bus.channels.get(channel) || []) listener(message)
+      return 1
+    },
+    async subscribe(channel, listener) {
+      bus.channels.set(channel, [...(bus.channels.get(channel) || []), listener])
+    },
+    duplicate() { return createFakeRedis(bus) }
+  }
+
+  return client
+}
+
+const backends = [['in-process client', () => createFakeRedis()]]
+
+if (process.env.REDIS_URL) {
+  backends.push(['redis server', async () => {
+    const client = createClient({ url: process.env.REDIS_URL })
+    await client.connect()
+    return client
+  }])
+}
+
+for (const [name, connect] of backends) {
+  describe(`RedisSessionStore (${name})`, () => {
+    let client
+    let store
+
+    before(async () => {
+      client = await connect()
+      store = new RedisSessionStore({
+        client,
+        keyPrefix: `validator-test:${crypto.randomBytes(4).toString('hex')}:`,
+        defaultTTLMs: 1000
+      })
+    })
+
+    after(async () => {
+      await store.clear()
+      await client.del(`${store.keyPrefix}stats`)
+      store.destroy()
+      await client.quit()
+    })
+
+    test('should set, get, check and delete a session', async () => {
+      const id = await store.set(null, createSession({ inputs: { test: 'data' } }))
+
+      const retrieved = await store.get(id)
+      assert.strictEqual(retrieved.id, id)
+      assert.strictEqual(retrieved.inputs.test, 'data')
+      assert.strictEqual(await store.exists(id), true)
+
+      assert.strictEqual(await store.del(id), true)
+      assert.strictEqual(await store.del(id), false)
+      assert.strictEqual(await store.get(id), null)
+      assert.strictEqual(await store.exists(id), false)
+    })
+
+    test('should expire sessions natively and extend them with touch', async () => {
+      const id = await store.set(null, createSession(), 100)
+      const before = (await store.get(id)).expiresAt
+
+      assert.strictEqual(await store.touch(id, 400), true)
+      await delay(150)
+
+      const touched = await store.get(id)
+      assert.ok(touched, 'Touched session should outlive its original TTL')
+      assert.ok(touched.expiresAt > before, 'expiresAt should follow the key TTL')
+
+      await delay(300)
+      assert.strictEqual(await store.get(id), null)
+      assert.strictEqual(await store.touch(id), false)
+    })
+
+    test('should keep background progress saves in order', async () => {
+      const id = await store.set(null, createSession())
+      const session = await store.get(id)
+
+      await Promise.all([1, 2, 3].map(step => store.set(id, {
+        ...session,
+        results: { analysis: { completedSteps: step } }
+      })))
+
+      assert.strictEqual((await store.get(id)).results.analysis.completedSteps, 3)
+    })
+
+    test('should list, clear and count sessions', async () => {
+      await store.clear()
+      const ids = await Promise.all([store.set(null, createSession()), store.set(null, createSession())])
+
+      assert.deepStrictEqual((await store.keys()).sort(), ids.sort())
+
+      const stats = await store.stats()
+      assert.strictEqual(stats.entryCount, 2)
+      assert.ok(stats.sets >= 2)
+      assert.ok(stats.hits > 0 && stats.misses > 0)
+
+      await store.clear()
+      assert.deepStrictEqual(await store.keys(), [])
+    })
+
+    test('should share sessions and metrics between instances', async () => {
+      const other = new RedisSessionStore({ client, keyPrefix: store.keyPrefix })
+      const id = await store.set(null, createSession({ inputs: { from: 'a' } }))
+      const hitsBefore = (await store.stats()).hits
+
+      assert.strictEqual((await other.get(id)).inputs.from, 'a')
+      assert.strictEqual((await store.stats()).hits, hitsBefore + 1)
+    })
+
+    test('should bump the version and reject writes based on a stale one', async () => {
+      const id = await store.set(null, createSession())
+      assert.strictEqual((await store.get(id)).version, 1)
+
+      await store.set(id, await store.get(id), undefined, { expectedVersion: 1 })
+      assert.strictEqual((await store.get(id)).version, 2)
+
+      await assert.rejects(
+        () => store.set(id, createSession(), undefined, { expectedVersion: 1 }),
+        err => err.type === 'SESSION_VERSION_CONFLICT' && err.currentVersion === 2
+      )
+      assert.strictEqual((await store.get(id)).version, 2)
+    })
+
+    test('should expire and delete artifacts with their session', async () => {
+      const artifacts = new RedisArtifactStore({ client, keyPrefix: store.keyPrefix })
+      const id = await store.set(null, createSession())
+      await artifacts.put(id, 'analysis/jtbd/content', 'Long output')
+
+      // The next session write aligns the artifacts TTL with the session's
+      await store.set(id, await store.get(id), 100)
+      await delay(150)
+      assert.strictEqual(await artifacts.get(id, 'analysis/jtbd/content'), null)
+
+      const kept = await store.set(null, createSession())
+      await artifacts.put(kept, 'summary/text', 'Summary')
+      assert.strictEqual(await artifacts.get(kept, 'summary/text'), 'Summary')
+
+      await store.del(kept)
+      assert.strictEqual(await artifacts.get(kept, 'summary/text'), null)
+    })
+
+    test('should reject session larger than 1MB', async () => {
+      const session = createSession({ inputs: { data: 'x'.repeat(1024 * 1024 + 1) } })
+      await assert.rejects(() => store.set(null, session), /1MB limit/)
+    })
+  })
+}
+
+describe('createRedisEventRelay', () => {
+  after(async () => {
+    await setAnalysisEventRelay(null)
+  })
+
+  test('delivers events from other instances and skips its own', async () => {
+    const client = createFakeRedis()
+    const relayA = createRedisEventRelay(client)
+    const relayB = createRedisEventRelay(client)
+    const received = []
+
+    await relayA.subscribe((sessionId, event) => received.push(['a', sessionId, event.type]))
+    await relayB.subscribe((sessionId, event) => received.push(['b', sessionId, event.type]))
+
+    relayA.publish('s1', { type: 'step', data: {} })
+    await delay(0)
+
+    assert.deepStrictEqual(received, [['b', 's1', 'step']])
+  })
+
+  test('feeds relayed events to local subscribers without echoing them', async () => {
+    let deliver
+    const published = []
+    await setAnalysisEventRelay({
+      publish: (sessionId, event) => published.push([sessionId, event.type]),
+      subscribe: async onEvent => { deliver = onEvent }
+    })
+
+    const events = []
+    const unsubscribe = subscribeToAnalysis('s1', event => events.push(event.type))
+
+    emitAnalysisEvent('s1', 'step', {})
+    deliver('s1', { type: 'delta', data: {} })
+    unsubscribe()
+
+    assert.deepStrictEqual(events, ['step', 'delta'])
+    assert.deepStrictEqual(published, [['s1', 'step']])
+  })
+})
@@ -0,0 +1,246 @@
+/**
+ * Unit tests for problem statement refinement and versioned runs
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { initSessionStore, createSession } from '../src/sessionStore.js'
+import { initArtifactStore, storeArtifact } from '../src/artifactStore.js'
+import { createRun, deleteRun, getRunVersions } from '../src/analysisHistory.js'
+import { generateRefinementSuggestion, parseRefinementSuggestion } from '../src/refinementService.js'
+import { buildRefinementPrompt } from '../src/refinementTemplates.js'
+import { renderMockContent } from '../src/mockProvider.js'
+import { initializeAnalysis, refineAnalysisRoute, getAnalysisStatus } from '../src/routes/analysis.js'
+import { initJobQueue } from '../src/jobQueue.js'
+import llmService from '../src/llmService.js'
+
+async function waitFor(predicate, timeoutMs = 1000) {
+  const started = Date.now()
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setImmediate(resolve))
+  }
+}
+
+describe('refinementTemplates.buildRefinementPrompt', () => {
+  test('includes the current inputs, version and findings', () => {
+    const prompt = buildRefinementPrompt(
+      { description: 'Dog walkers struggle', location: 'Berlin', targetCustomer: 'Solo dog walkers' },
+      'Validation strength: weak',
+      2
+    )
+
+    assert.ok(prompt.includes('(version 2)'))
+    assert.ok(prompt.includes('Dog walkers struggle'))
+    assert.ok(prompt.includes('Target customer: Solo dog walkers'))
+    assert.ok(prompt.includes('Validation strength: weak'))
+    assert.ok(prompt.includes('Team size: Not specified'))
+    assert.ok(!prompt.includes('{{'))
+  })
+})
+
+describe('refinementService.parseRefinementSuggestion', () => {
+  test('parses JSON in a code block', () => {
+    const suggestion = parseRefinementSuggestion(
+      '```json\n{"description": " Revised ", "location": "Berlin", "rationale": "Narrower"}\n```'
+    )
+
+    assert.deepStrictEqual(suggestion, {
+      description: 'Revised',
+      location: 'Berlin',
+      targetCustomer: '',
+      rationale: 'Narrower'
+    })
+  })
+
+  test('rejects responses without a description', () => {
+    assert.throws(() => parseRefinementSuggestion('Not JSON'), { type: 'REFINEMENT_PARSE_ERROR' })
+    assert.throws(() => parseRefinementSuggestion('{"location": "Berlin"}'), { type: 'REFINEMENT_PARSE_ERROR' })
+  })
+})
+
+describe('problem statement refinement', () => {
+  const apiKey = 'x'.repeat(40)
+  const description = 'Dog walkers lose hours every week to scheduling. '.repeat(12)
+  const originalMockEnabled = process.env.LLM_MOCK_ENABLED
+  let store
+  let queue
+  let originalAnalyze
+
+  async function createCompletedSession() {
+    const id = await store.set(null, createSession())
+    const session = await store.get(id)
+    session.save = async () => {
+      await store.set(id, session)
+    }
+
+    session.inputs = {
+      validationRequest: { description, location: 'Berlin', targetCustomer: 'Small dog walking businesses', teamSize: '1-3' }
+    }
+    session.apiConfig = { email: 'founder@example.com', provider: 'mock', model: 'mock' }
+    session.results = { run: createRun(session) }
+    session.results.analysis = { status: 'completed', methods: ['jtbd'], steps: [] }
+    session.results.summary = { text: await storeArtifact(session, 'summary/text', 'Validation strength: weak') }
+    return session
+  }
+
+  function createRes() {
+    return {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(payload) {
+        this.body = payload
+        return this
+      }
+    }
+  }
+
+  function createInitBody(suggestion, refinedFrom) {
+    return {
+      problem: { description: suggestion.description },
+      clarification: { location: suggestion.location, targetCustomer: suggestion.targetCustomer, teamSize: '1-3' },
+      config: { email: 'founder@example.com', provider: 'mock', model: 'mock' },
+      methods: ['jtbd'],
+      refinedFrom
+    }
+  }
+
+  /**
+   * Queue a refinement and wait for its job to settle
+   * @returns {Promise<object>} The refinement job record of the session
+   */
+  async function refine(session) {
+    const res = createRes()
+    await refineAnalysisRoute({ session, sessionId: session.id, body: { apiKey } }, res)
+    assert.strictEqual(res.statusCode, 202)
+    await waitFor(() => !queue.isActive(res.body.data.job.id))
+    return session.results.jobs.refinement
+  }
+
+  beforeEach(() => {
+    process.env.LLM_MOCK_ENABLED = 'true'
+    store = initSessionStore({ defaultTTLMs: 60000 })
+    queue = initJobQueue({ concurrency: 1 })
+    initArtifactStore()
+    originalAnalyze = llmService.analyze
+  })
+
+  afterEach(() => {
+    llmService.analyze = originalAnalyze
+    queue.destroy()
+    store.destroy()
+    if (originalMockEnabled === undefined) {
+      delete process.env.LLM_MOCK_ENABLED
+    } else {
+      process.env.LLM_MOCK_ENABLED = originalMockEnabled
+    }
+  })
+
+  test('stores the suggestion and its usage on the run', async () => {
+    const session = await createCompletedSession()
+    let receivedPrompt = null
+    let receivedOptions = null
+    llmService.analyze = async (prompt, options) => {
+      receivedPrompt = prompt
+      receivedOptions = options
+      return { content: renderMockContent('refinement'), usage: { inputTokens: 200, outputTokens: 80 } }
+    }
+
+    const refinement = await generateRefinementSuggestion(session, apiKey)
+
+    assert.ok(receivedPrompt.includes('Validation strength: weak'))
+    assert.strictEqual(receivedOptions.metadata.kind, 'refinement')
+    assert.ok(refinement.suggestion.description.length >= 500)
+    assert.ok(refinement.usage)
+    assert.deepStrictEqual((await store.get(session.id)).results.refinement.suggestion, refinement.suggestion)
+  })
+
+  test('keeps the usage of unparseable responses', async () => {
+    const session = await createCompletedSession()
+    llmService.analyze = async () => ({ content: 'Sorry', usage: { inputTokens: 200, outputTokens: 5 } })
+
+    await assert.rejects(generateRefinementSuggestion(session, apiKey), { type: 'REFINEMENT_PARSE_ERROR' })
+
+    const stored = (await store.get(session.id)).results.refinement
+    assert.ok(stored.usage)
+    assert.strictEqual(stored.suggestion, undefined)
+  })
+
+  test('requires a synthesized summary', async () => {
+    const session = await createCompletedSession()
+    delete session.results.summary
+
+    await assert.rejects(generateRefinementSuggestion(session, apiKey), { type: 'REFINEMENT_STATE_ERROR' })
+
+    const res = createRes()
+    await refineAnalysisRoute({ session, sessionId: session.id, body: { apiKey } }, res)
+    assert.strictEqual(res.statusCode, 400)
+  })
+
+  test('runs refinements as a job and records failures on it', async () => {
+    const session = await createCompletedSession()
+    llmService.analyze = async () => ({ content: 'Sorry' })
+
+    const failed = await refine(session)
+    assert.strictEqual(failed.status, 'failed')
+    assert.match(failed.error, /valid refinement suggestion/)
+
+    // Status polling reports the job, without the instance bookkeeping
+    const status = createRes()
+    getAnalysisStatus({ session }, status)
+    assert.deepStrictEqual(Object.keys(status.body.data.jobs.refinement), ['id', 'status', 'startedAt', 'completedAt', 'error'])
+    assert.strictEqual(status.body.data.jobs.synthesis, null)
+
+    // Refused while another job writes the run
+    session.results.ideation = { sit: { status: 'in-progress' } }
+    const busy = createRes()
+    await refineAnalysisRoute({ session, sessionId: session.id, body: { apiKey } }, busy)
+    assert.strictEqual(busy.statusCode, 409)
+  })
+
+  test('starts the accepted refinement as the next version of the run', async () => {
+    const session = await createCompletedSession()
+    const firstRunId = session.results.run.id
+
+    const job = await refine(session)
+    assert.strictEqual(job.status, 'completed')
+    // Saved to the store, not only on the request's session
+    const { suggestion } = (await store.get(session.id)).results.refinement
+    assert.ok(suggestion.description)
+
+    const initRes = createRes()
+    await initializeAnalysis({ session, body: createInitBody(suggestion, firstRunId) }, initRes)
+
+    assert.strictEqual(initRes.statusCode, 200)
+    assert.strictEqual(initRes.body.data.version, 2)
+    const run = session.results.run
+    assert.strictEqual(run.parentRunId, firstRunId)
+    assert.strictEqual(run.rationale, suggestion.rationale)
+
+    const versions = getRunVersions(session.results)
+    assert.deepStrictEqual(versions.map(version => [version.runId, version.version]), [[firstRunId, 1], [run.id, 2]])
+    assert.strictEqual(versions[0].description, description)
+    assert.strictEqual(versions[1].targetCustomer, suggestion.targetCustomer)
+
+    // Earlier versions stay listed after their run is deleted
+    await deleteRun(session, firstRunId)
+    assert.strictEqual(getRunVersions(session.results)[0].description, description)
+  })
+
+  test('rejects refinements of unknown runs', async () => {
+    const session = await createCompletedSession()
+    const suggestion = JSON.parse(renderMockContent('refinement'))
+
+    const res = createRes()
+    await initializeAnalysis({ session, body: createInitBody(suggestion, 'missing') }, res)
+
+    assert.strictEqual(res.statusCode, 404)
+    assert.strictEqual(session.history, undefined)
+  })
+})
@@ -0,0 +1,260 @@
+/**
+ * Unit tests for run comparison, the comparison delta and its routes
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { initSessionStore, createSession } from '../src/sessionStore.js'
+import { initArtifactStore, storeArtifact, resolveArtifacts } from '../src/artifactStore.js'
+import { initOutputStorage, getOutputStorage } from '../src/outputStorage.js'
+import { archiveCurrentRun, createRun } from '../src/analysisHistory.js'
+import { diffLines, diffWords, hasChanges } from '../src/textDiff.js'
+import { compareRuns } from '../src/runComparison.js'
+import { generateComparisonDelta } from '../src/synthesisService.js'
+import { writeComparisonPdfForSession } from '../src/comparisonPdfService.js'
+import llmService from '../src/llmService.js'
+import {
+  getComparisonRoute,
+  generateComparisonDeltaRoute,
+  downloadComparisonRoute
+} from '../src/routes/comparison.js'
+import { deleteHistoryRunRoute } from '../src/routes/history.js'
+
+describe('textDiff', () => {
+  test('diffs lines and keeps unchanged text', () => {
+    const parts = diffLines('one\ntwo\nthree\n', 'one\n2\nthree\nfour\n')
+
+    assert.deepStrictEqual(parts, [
+      { type: 'equal', text: 'one\n' },
+      { type: 'removed', text: 'two\n' },
+      { type: 'added', text: '2\n' },
+      { type: 'equal', text: 'three\n' },
+      { type: 'added', text: 'four\n' }
+    ])
+  })
+
+  test('diffs words', () => {
+    const parts = diffWords('Small dog walkers', 'Independent dog walkers')
+
+    assert.deepStrictEqual(parts, [
+      { type: 'removed', text: 'Small' },
+      { type: 'added', text: 'Independent' },
+      { type: 'equal', text: ' dog walkers' }
+    ])
+    assert.strictEqual(hasChanges(diffWords('same text', 'same text')), false)
+  })
+})
+
+describe('run comparison', () => {
+  let store
+  let outputDir
+  let originalAnalyze
+
+  const apiKey = 'x'.repeat(40)
+
+  async function startRun(session, { description, targetCustomer, jtbd }) {
+    session.inputs = { validationRequest: { description, targetCustomer, location: 'Berlin', teamSize: '1-3' } }
+    session.apiConfig = { provider: 'openai', model: 'gpt-4o-mini' }
+    session.results = { run: createRun(session) }
+    session.results.analysis = {
+      status: 'completed',
+      methods: ['jtbd', 'rootCause'],
+      startedAt: new Date().toISOString(),
+      steps: [
+        {
+          id: 'jtbd',
+          name: 'Jobs To Be Done',
+          status: 'completed',
+          result: { content: await storeArtifact(session, 'analysis/jtbd/content', jtbd) }
+        },
+        {
+          id: 'rootCause',
+          name: 'Root Cause Analysis',
+          status: 'completed',
+          result: { content: await storeArtifact(session, 'analysis/rootCause/content', 'No shared system of record\n') }
+        }
+      ]
+    }
+    return session.results.run.id
+  }
+
+  async function createComparedSession() {
+    const id = await store.set(null, createSession())
+    const session = await store.get(id)
+    session.save = async () => {
+      await store.set(id, session)
+    }
+
+    const baseId = await startRun(session, {
+      description: 'Dog walkers struggle with scheduling',
+      targetCustomer: 'Small dog walking businesses in cities',
+      jtbd: 'Job: plan the week\nPain: double bookings\n'
+    })
+    await archiveCurrentRun(session)
+    const targetId = await startRun(session, {
+      description: 'Dog walkers struggle with scheduling',
+      targetCustomer: 'Independent dog walkers working alone',
+      jtbd: 'Job: plan the week\nPain: last-minute cancellations\n'
+    })
+
+    return { session, baseId, targetId }
+  }
+
+  beforeEach(async () => {
+    store = initSessionStore({ defaultTTLMs: 60000 })
+    initArtifactStore()
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-comparison-test-'))
+    initOutputStorage({ dir: outputDir })
+    originalAnalyze = llmService.analyze
+  })
+
+  afterEach(async () => {
+    llmService.analyze = originalAnalyze
+    store.destroy()
+    initOutputStorage()
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  test('diffs the inputs and methodologies of two runs', async () => {
+    const { session, baseId, targetId } = await createComparedSession()
+
+    const comparison = await compareRuns(session, baseId, targetId)
+
+    assert.strictEqual(comparison.base.id, baseId)
+    assert.strictEqual(comparison.target.current, true)
+    assert.deepStrictEqual(
+      comparison.inputs.filter(input => input.changed).map(input => input.id),
+      ['targetCustomer']
+    )
+    assert.deepStrictEqual(
+      comparison.methods.map(method => [method.id, method.status]),
+      [['jtbd', 'changed'], ['rootCause', 'unchanged']]
+    )
+    assert.deepStrictEqual(comparison.methods[0].diff.filter(part => part.type !== 'equal'), [
+      { type: 'removed', text: 'Pain: double bookings\n' },
+      { type: 'added', text: 'Pain: last-minute cancellations\n' }
+    ])
+    assert.strictEqual(comparison.delta, null)
+
+    await assert.rejects(compareRuns(session, baseId, baseId), { type: 'COMPARISON_INPUT_ERROR' })
+    await assert.rejects(compareRuns(session, baseId, 'missing'), { type: 'COMPARISON_NOT_FOUND_ERROR' })
+  })
+
+  test('generates and stores the comparison delta', async () => {
+    const { session, baseId, targetId } = await createComparedSession()
+
+    let receivedPrompt = null
+    let receivedOptions = null
+    llmService.analyze = async (prompt, options) => {
+      receivedPrompt = prompt
+      receivedOptions = options
+      return { content: 'The target customer narrowed.', usage: { inputTokens: 100, outputTokens: 20 } }
+    }
+
+    const { deltaText } = await generateComparisonDelta(session, baseId, targetId, apiKey)
+
+    assert.strictEqual(deltaText, 'The target customer narrowed.')
+    assert.strictEqual(receivedOptions.metadata.kind, 'comparison')
+    assert.ok(receivedPrompt.includes('Run A: Small dog walking businesses in cities'))
+    assert.ok(receivedPrompt.includes('Pain: last-minute cancellations'))
+
+    const stored = (await store.get(session.id)).comparison
+    assert.strictEqual(stored.baseRunId, baseId)
+    assert.strictEqual(await resolveArtifacts(session, stored.delta.text), 'The target customer narrowed.')
+    assert.ok(stored.delta.usage)
+
+    const comparison = await compareRuns(session, baseId, targetId)
+    assert.strictEqual(comparison.delta.text, 'The target customer narrowed.')
+    assert.strictEqual((await compareRuns(session, targetId, baseId)).delta, null)
+  })
+
+  test('exports the comparison as a PDF', async () => {
+    const { session, baseId, targetId } = await createComparedSession()
+
+    const { filename } = await writeComparisonPdfForSession(session, baseId, targetId)
+
+    assert.ok(filename.startsWith(`${session.id}_comparison_`))
+    const pdf = await getOutputStorage().read(filename)
+    assert.strictEqual(pdf.subarray(0, 4).toString(), '%PDF')
+    assert.strictEqual(session.comparison.report.filename, filename)
+
+    await assert.rejects(writeComparisonPdfForSession(session, baseId, 'missing'), { type: 'PDF_INPUT_ERROR' })
+  })
+
+  describe('routes', () => {
+    function createRes() {
+      return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+          this.statusCode = code
+          return this
+        },
+        json(payload) {
+          this.body = payload
+          return this
+        }
+      }
+    }
+
+    test('compares runs and validates the pair', async () => {
+      const { session, baseId, targetId } = await createComparedSession()
+
+      const res = createRes()
+      await getComparisonRoute({ session, query: { base: baseId, target: targetId } }, res)
+      assert.strictEqual(res.statusCode, 200)
+      assert.strictEqual(res.body.data.methods.length, 2)
+
+      const same = createRes()
+      await getComparisonRoute({ session, query: { base: baseId, target: baseId } }, same)
+      assert.strictEqual(same.statusCode, 400)
+
+      const missing = createRes()
+      await getComparisonRoute({ session, query: { base: baseId, target: 'missing' } }, missing)
+      assert.strictEqual(missing.statusCode, 404)
+
+      const download = createRes()
+      await downloadComparisonRoute({ session, query: { base: baseId, target: 'missing' } }, download)
+      assert.strictEqual(download.statusCode, 404)
+    })
+
+    test('requires an API key and completed runs for the delta', async () => {
+      const { session, baseId, targetId } = await createComparedSession()
+      llmService.analyze = async () => ({ content: 'Delta' })
+
+      const noKey = createRes()
+      await generateComparisonDeltaRoute({ session, body: { base: baseId, target: targetId } }, noKey)
+      assert.strictEqual(noKey.statusCode, 400)
+
+      session.results.analysis.status = 'failed'
+      const failed = createRes()
+      await generateComparisonDeltaRoute({ session, body: { base: baseId, target: targetId, apiKey } }, failed)
+      assert.strictEqual(failed.statusCode, 400)
+
+      session.results.analysis.status = 'completed'
+      const ok = createRes()
+      await generateComparisonDeltaRoute({ session, body: { base: baseId, target: targetId, apiKey } }, ok)
+      assert.strictEqual(ok.statusCode, 200)
+      assert.strictEqual(ok.body.data.delta.text, 'Delta')
+    })
+
+    test('discards the stored comparison when one of its runs is deleted', async () => {
+      const { session, baseId, targetId } = await createComparedSession()
+      llmService.analyze = async () => ({ content: 'Delta' })
+      await generateComparisonDelta(session, baseId, targetId, apiKey)
+      const { filename } = await writeComparisonPdfForSession(session, baseId, targetId)
+      const deltaRef = session.comparison.delta.text
+
+      const res = createRes()
+      await deleteHistoryRunRoute({ session, params: { id: baseId } }, res)
+
+      assert.strictEqual(res.statusCode, 200)
+      assert.strictEqual(session.comparison, undefined)
+      assert.strictEqual(await getOutputStorage().exists(filename), false)
+      assert.strictEqual(await resolveArtifacts(session, deltaRef), null)
+    })
+  })
+})
@@ -0,0 +1,282 @@
+/**
+ * Unit tests for session export/import bundles
+ */
+
+import { test, describe, beforeEach, after } from 'node:test'
+import assert from 'node:assert'
+import { initSessionStore, createSession } from '../src/sessionStore.js'
+import { initArtifactStore, storeArtifact, isArtifactRef, resolveArtifacts } from '../src/artifactStore.js'
+import { exportSessionBundle, restoreSessionBundle, BUNDLE_VERSION } from '../src/sessionBundle.js'
+import { validateSessionBundle } from '../src/validators/sessionBundleValidator.js'
+import { sessionRoutes } from '../src/sessionMiddleware.js'
+
+const store = initSessionStore({ defaultTTLMs: 60000 })
+
+after(() => {
+  store.destroy()
+})
+
+async function createCompletedSession() {
+  const id = await store.set(null, createSession({
+    inputs: { validationRequest: { description: 'Dog walkers lack scheduling tools' } },
+    apiConfig: { email: 'user@example.com', provider: 'openai', model: 'gpt-4o-mini', apiKey: 'sk-secret' }
+  }))
+  const session = await store.get(id)
+
+  session.results = {
+    analysis: {
+      status: 'completed',
+      methods: ['jtbd'],
+      jobId: 'job-1',
+      files: [{ methodId: 'jtbd', filename: `${id}_jtbd.txt` }],
+      steps: [{
+        id: 'jtbd',
+        name: 'Jobs To Be Done',
+        status: 'completed',
+        attempts: 1,
+        result: {
+          content: await storeArtifact(session, 'analysis/jtbd/content', 'JTBD analysis'),
+          raw: await storeArtifact(session, 'analysis/jtbd/raw', { id: 'resp_1' }),
+          structured: await storeArtifact(session, 'analysis/jtbd/structured', { jobStatement: 'Walk dogs on time' })
+        }
+      }]
+    },
+    summary: { text: await storeArtifact(session, 'summary/text', 'Summary text'), model: 'gpt-4o-mini' },
+    report: { filename: `${id}_final_report.pdf` },
+    ideation: {
+      scamper: {
+        status: 'completed',
+        jobId: 'job-2',
+        lenses: {
+          substitute: { name: 'Substitute', ideas: await storeArtifact(session, 'scamper/lenses/substitute/ideas', [{ title: 'Idea' }]) }
+        },
+        synthesis: { error: true, message: 'Synthesis failed' }
+      }
+    }
+  }
+  await store.set(id, session)
+  return store.get(id)
+}
+
+describe('session bundles', () => {
+  beforeEach(() => {
+    initArtifactStore()
+  })
+
+  test('exports content without secrets or server bookkeeping', async () => {
+    const bundle = await exportSessionBundle(await createCompletedSession())
+
+    assert.strictEqual(bundle.version, BUNDLE_VERSION)
+    assert.strictEqual(bundle.apiConfig.apiKey, undefined)
+    assert.strictEqual(bundle.apiConfig.provider, 'openai')
+    assert.strictEqual(bundle.results.analysis.steps[0].result.content, 'JTBD analysis')
+    assert.strictEqual(bundle.results.analysis.steps[0].result.raw, undefined)
+    assert.deepStrictEqual(bundle.results.analysis.steps[0].result.structured, { jobStatement: 'Walk dogs on time' })
+    assert.strictEqual(bundle.results.analysis.files, undefined)
+    assert.strictEqual(bundle.results.analysis.jobId, undefined)
+    assert.strictEqual(bundle.results.summary.text, 'Summary text')
+    assert.deepStrictEqual(bundle.results.ideation.scamper.lenses.substitute.ideas, [{ title: 'Idea' }])
+    assert.strictEqual(bundle.results.ideation.scamper.jobId, undefined)
+    assert.strictEqual(bundle.results.report, undefined)
+    assert.strictEqual(validateSessionBundle(bundle).success, true)
+  })
+
+  test('restores a bundle into another session through the artifact store', async () => {
+    const bundle = JSON.parse(JSON.stringify(await exportSessionBundle(await createCompletedSession())))
+    const id = await store.set(null, createSession())
+    const session = await restoreSessionBundle(await store.get(id), bundle)
+
+    assert.ok(isArtifactRef(session.results.analysis.steps[0].result.content))
+    assert.ok(isArtifactRef(session.results.analysis.steps[0].result.structured))
+    assert.ok(isArtifactRef(session.results.summary.text))
+    assert.deepStrictEqual(session.results.analysis.files, [])
+    assert.deepStrictEqual(session.results.ideation.scamper.synthesis, { error: true, message: 'Synthesis failed' })
+
+    const resolved = await resolveArtifacts(session, session.results)
+    assert.strictEqual(resolved.analysis.steps[0].result.content, 'JTBD analysis')
+    assert.deepStrictEqual(resolved.analysis.steps[0].result.structured, { jobStatement: 'Walk dogs on time' })
+    assert.strictEqual(resolved.summary.text, 'Summary text')
+    assert.deepStrictEqual(resolved.ideation.scamper.lenses.substitute.ideas, [{ title: 'Idea' }])
+    assert.strictEqual(session.inputs.validationRequest.description, 'Dog walkers lack scheduling tools')
+  })
+
+  test('restores only known step result fields', async () => {
+    const bundle = JSON.parse(JSON.stringify(await exportSessionBundle(await createCompletedSession())))
+    Object.assign(bundle.results.analysis.steps[0].result, { raw: { id: 'resp_2' }, model: 'gpt-4o-mini', injected: 'x'.repeat(1000) })
+    const id = await store.set(null, createSession())
+    const session = await restoreSessionBundle(await store.get(id), bundle)
+
+    const result = session.results.analysis.steps[0].result
+    assert.strictEqual(result.model, 'gpt-4o-mini')
+    assert.strictEqual(result.raw, undefined)
+    assert.strictEqual(result.injected, undefined)
+  })
+})
+
+describe('validateSessionBundle', () => {
+  const valid = () => ({
+    format: 'problem-validator-session',
+    version: 1,
+    inputs: {},
+    apiConfig: { provider: 'openai' },
+    results: { analysis: null, summary: null, ideation: {} }
+  })
+
+  test('accepts a minimal bundle', () => {
+    assert.deepStrictEqual(validateSessionBundle(valid()), { success: true })
+  })
+
+  test('rejects other formats and newer versions', () => {
+    const result = validateSessionBundle({ ...valid(), format: 'other', version: BUNDLE_VERSION + 1 })
+
+    assert.strictEqual(result.success, false)
+    assert.ok(result.details.format)
+    assert.match(result.details.version, /newer than supported/)
+  })
+
+  test('rejects API keys, unknown methodologies and malformed results', () => {
+    const bundle = valid()
+    bundle.apiConfig.apiKey = 'sk-secret'
+    bundle.results.analysis = {
+      status: 'completed',
+      steps: [{ id: 'unknown', status: 'completed', result: { content: 42 } }]
+    }
+    bundle.results.summary = { text: null }
+    bundle.results.ideation.sit = { status: 'running', tools: { subtraction: { ideas: 'none' } } }
+
+    const { details } = validateSessionBundle(bundle)
+
+    assert.ok(details['apiConfig.apiKey'])
+    assert.ok(details['results.analysis.steps[0].id'])
+    assert.ok(details['results.analysis.steps[0].result'])
+    assert.ok(details['results.summary'])
+    assert.ok(details['results.ideation.sit.status'])
+    assert.ok(details['results.ideation.sit.tools.subtraction'])
+  })
+
+  test('rejects malformed citations and scorecard entries', () => {
+    const bundle = valid()
+    bundle.results.summary = {
+      text: 'Summary [1.1]',
+      citations: [
+        { number: 1, ref: '1.1', stepId: 'jtbd', passage: 1, excerpt: 'Walk dogs' },
+        { number: 2, ref: '1.2', stepId: 'jtbd', passage: '2' },
+        'citation'
+      ],
+      scorecard: {
+        overall: 3,
+        maxScore: 5,
+        scores: {
+          painSeverity: { score: 4, rationale: 'Frequent complaints', sourceMethods: ['jtbd'] },
+          frequency: { score: 'high', rationale: 'Daily' },
+          unknown: { score: 1, rationale: 'Made up' }
+        }
+      }
+    }
+
+    const { details } = validateSessionBundle(bundle)
+
+    assert.deepStrictEqual(Object.keys(details).sort(), [
+      'results.summary.citations[1]',
+      'results.summary.citations[2]',
+      'results.summary.scorecard.scores.frequency',
+      'results.summary.scorecard.scores.unknown'
+    ])
+  })
+
+  test('rejects non-objects', () => {
+    assert.strictEqual(validateSessionBundle([]).success, false)
+    assert.strictEqual(validateSessionBundle(null).success, false)
+  })
+})
+
+describe('sessionRoutes export/import', () => {
+  function createRes() {
+    return {
+      statusCode: 200,
+      headers: {},
+      cookies: {},
+      body: null,
+      set(name, value) {
+        this.headers[name.toLowerCase()] = value
+        return this
+      },
+      cookie(name, value) {
+        this.cookies[name] = value
+      },
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(payload) {
+        this.body = payload
+        return this
+      }
+    }
+  }
+
+  const createReq = (session, body) => ({ session, body, ip: '127.0.0.1', get: () => undefined })
+
+  test('refuses to export while a run is active', async () => {
+    const res = createRes()
+    await sessionRoutes.exportBundle(createReq({ results: { analysis: { status: 'in-progress' } } }), res)
+
+    assert.strictEqual(res.statusCode, 409)
+  })
+
+  test('exports as an attachment and imports into a new session', async () => {
+    const source = await createCompletedSession()
+    const exported = createRes()
+    await sessionRoutes.exportBundle(createReq(source), exported)
+
+    assert.match(exported.headers['content-disposition'], /attachment; filename="validation-\d{4}-\d{2}-\d{2}\.json"/)
+
+    const imported = createRes()
+    await sessionRoutes.importBundle(createReq(null, JSON.parse(JSON.stringify(exported.body))), imported)
+
+    assert.strictEqual(imported.statusCode, 201)
+    assert.notStrictEqual(imported.body.sessionId, source.id)
+    assert.strictEqual(imported.cookies.validator_session_id, imported.body.sessionId)
+    assert.strictEqual(imported.headers.etag, `"${imported.body.session.version}"`)
+    assert.strictEqual(imported.body.session.meta.source, 'import')
+    assert.strictEqual(imported.body.session.results.report, undefined)
+  })
+
+  test('rejects invalid bundles with details', async () => {
+    const res = createRes()
+    await sessionRoutes.importBundle(createReq(null, { format: 'other' }), res)
+
+    assert.strictEqual(res.statusCode, 400)
+    assert.strictEqual(res.body.error, 'Bad Request')
+    assert.ok(res.body.details.format)
+  })
+
+  test('rejects bundles too large for a session with 413 and keeps no session', async () => {
+    const before = (await store.keys()).length
+    const res = createRes()
+    await sessionRoutes.importBundle(createReq(null, {
+      format: 'problem-validator-session',
+      version: 1,
+      inputs: { validationRequest: { description: 'x'.repeat(1024 * 1024) } },
+      results: {}
+    }), res)
+
+    assert.strictEqual(res.statusCode, 413)
+    assert.strictEqual(res.body.error, 'Payload Too Large')
+    assert.strictEqual((await store.keys()).length, before)
+  })
+
+  test('passes handler errors to the error middleware', async () => {
+    const session = {
+      get results() {
+        throw new Error('Store unavailable')
+      }
+    }
+    let forwarded
+    await sessionRoutes.exportBundle(createReq(session), createRes(), error => {
+      forwarded = error
+    })
+
+    assert.strictEqual(forwarded?.message, 'Store unavailable')
+  })
+})
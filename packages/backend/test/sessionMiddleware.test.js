@@ -0,0 +1,132 @@
+import { test, describe, beforeEach, after } from 'node:test'
+import assert from 'node:assert'
+import { initSessionStore, createSession } from '../src/sessionStore.js'
+import sessionMiddleware, { sessionRoutes, getExpectedVersion } from '../src/sessionMiddleware.js'
+
+describe('sessionRoutes.update', () => {
+  const store = initSessionStore({ defaultTTLMs: 60000 })
+  let sessionId
+
+  function createRes() {
+    return {
+      statusCode: 200,
+      headers: {},
+      body: null,
+      set(name, value) {
+        this.headers[name.toLowerCase()] = value
+        return this
+      },
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(payload) {
+        this.body = payload
+        return this
+      }
+    }
+  }
+
+  async function put(body, headers = {}) {
+    const req = {
+      sessionId,
+      session: await store.get(sessionId),
+      body,
+      get: name => headers[name.toLowerCase()]
+    }
+    const res = createRes()
+    await sessionRoutes.update(req, res)
+    return res
+  }
+
+  beforeEach(async () => {
+    sessionId = await store.set(null, createSession({
+      inputs: { problemDescription: 'Original problem' },
+      results: { analysis: { status: 'completed' } }
+    }))
+  })
+
+  after(() => {
+    store.destroy()
+  })
+
+  test('bumps the version, returns it as ETag and merges inputs', async () => {
+    const res = await put({ inputs: { clarification: { location: 'Berlin' } }, expectedVersion: 1 })
+
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.headers.etag, '"2"')
+    assert.strictEqual(res.body.session.version, 2)
+    assert.strictEqual(res.body.session.inputs.problemDescription, 'Original problem')
+    assert.strictEqual(res.body.session.inputs.clarification.location, 'Berlin')
+    assert.strictEqual(res.body.session.expectedVersion, undefined)
+  })
+
+  test('rejects server-owned fields', async () => {
+    const res = await put({ results: {}, apiConfig: { email: 'a@b.co' }, inputs: {} })
+
+    assert.strictEqual(res.statusCode, 400)
+    assert.match(res.body.message, /results, apiConfig/)
+    assert.strictEqual((await store.get(sessionId)).results.analysis.status, 'completed')
+  })
+
+  test('returns 409 when the session changed since the client read it', async () => {
+    // A background save lands after the client loaded version 1
+    const session = await store.get(sessionId)
+    session.results.analysis.status = 'in-progress'
+    await store.set(sessionId, session)
+
+    const viaHeader = await put({ inputs: { problemDescription: 'Stale' } }, { 'if-match': '"1"' })
+    const viaBody = await put({ inputs: { problemDescription: 'Stale' }, expectedVersion: 1 })
+
+    for (const res of [viaHeader, viaBody]) {
+      assert.strictEqual(res.statusCode, 409)
+      assert.strictEqual(res.body.version, 2)
+      assert.strictEqual(res.headers.etag, '"2"')
+    }
+    assert.strictEqual((await store.get(sessionId)).inputs.problemDescription, 'Original problem')
+
+    const retried = await put({ inputs: { problemDescription: 'Fresh' } }, { 'if-match': 'W/"2"' })
+    assert.strictEqual(retried.statusCode, 200)
+    assert.strictEqual(retried.body.session.results.analysis.status, 'in-progress')
+  })
+
+  test('writes unconditionally without a version or with If-Match *', async () => {
+    await store.set(sessionId, await store.get(sessionId))
+
+    assert.strictEqual((await put({ user: { name: 'Ada' } })).statusCode, 200)
+    assert.strictEqual((await put({ user: null }, { 'if-match': '*' })).statusCode, 200)
+    assert.strictEqual((await store.get(sessionId)).user, null)
+  })
+
+  test('rejects malformed versions', async () => {
+    assert.strictEqual((await put({ inputs: {} }, { 'if-match': '"a", "b"' })).statusCode, 400)
+    assert.strictEqual((await put({ inputs: {}, expectedVersion: '1' })).statusCode, 400)
+  })
+})
+
+describe('getExpectedVersion', () => {
+  test('prefers If-Match over the body field', () => {
+    const req = { body: { expectedVersion: 4 }, get: () => '"7"' }
+    assert.strictEqual(getExpectedVersion(req), 7)
+    assert.strictEqual(getExpectedVersion({ body: {}, get: () => undefined }), null)
+  })
+})
+
+describe('sessionMiddleware', () => {
+  test('passes session store errors to next', async () => {
+    const store = initSessionStore({ defaultTTLMs: 60000 })
+    store.set = async () => {
+      throw new Error('Redis connection lost')
+    }
+
+    const req = { cookies: {}, get: () => undefined }
+    let forwarded
+    await sessionMiddleware({ autoCreate: true })(req, {}, error => {
+      forwarded = error
+    })
+
+    assert.strictEqual(forwarded?.message, 'Redis connection lost')
+    assert.strictEqual(req.session, undefined)
+    store.destroy()
+  })
+})
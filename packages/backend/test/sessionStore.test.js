@@ -4,7 +4,11 @@
 
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
-import SessionStore, { initSessionStore, createSession } from '../src/sessionStore.js'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import SessionStore, { initSessionStore, createSession, scopeSessionSaves } from '../src/sessionStore.js'
+import JobQueue from '../src/jobQueue.js'
 
 describe('SessionStore', () => {
   let store
@@ -283,6 +287,28 @@ describe('SessionStore', () => {
       assert.strictEqual(retrieved.meta.source, 'web')
     })
 
+    test('should bump the version on every write', async () => {
+      const id = await store.set(null, createSession())
+      await store.set(id, await store.get(id))
+      await store.set(id, createSession())
+
+      assert.strictEqual((await store.get(id)).version, 3)
+    })
+
+    test('should reject writes with a stale expected version', async () => {
+      const id = await store.set(null, createSession({ inputs: { value: 1 } }))
+      await store.set(id, createSession({ inputs: { value: 2 } }), undefined, { expectedVersion: 1 })
+
+      await assert.rejects(
+        () => store.set(id, createSession({ inputs: { value: 3 } }), undefined, { expectedVersion: 1 }),
+        err => err.type === 'SESSION_VERSION_CONFLICT' && err.currentVersion === 2
+      )
+
+      const retrieved = await store.get(id)
+      assert.strictEqual(retrieved.version, 2)
+      assert.strictEqual(retrieved.inputs.value, 2)
+    })
+
     test('should reject session larger than 1MB', async () => {
       const largeData = 'x'.repeat(1024 * 1024 + 1)
       const session = createSession({ inputs: { large: largeData } })
@@ -307,4 +333,190 @@ describe('SessionStore', () => {
       store2.destroy()
     })
   })
+
+  describe('File Storage', () => {
+    let dataDir
+    const stores = []
+
+    const openStore = (options = {}) => {
+      const fileStore = new SessionStore({ storage: 'file', dataDir, maxEntries: 3, ...options })
+      stores.push(fileStore)
+      return fileStore
+    }
+
+    const listFiles = () => fs.readdirSync(dataDir).sort()
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-sessions-'))
+    })
+
+    afterEach(() => {
+      stores.splice(0).forEach(fileStore => fileStore.destroy())
+      fs.rmSync(dataDir, { recursive: true, force: true })
+    })
+
+    test('should keep sessions and results across a restart', async () => {
+      const first = openStore()
+      const id = await first.set(null, createSession({
+        apiConfig: { provider: 'openai' },
+        results: {
+          analysis: { status: 'completed', steps: [{ id: 'jtbd', result: { content: 'JTBD' } }] },
+          report: { filename: 'report.pdf', filepath: '/tmp/report.pdf' }
+        }
+      }))
+      first.destroy()
+
+      const restarted = openStore()
+      const session = await restarted.get(id)
+
+      assert.strictEqual(session.id, id)
+      assert.strictEqual(session.results.analysis.steps[0].result.content, 'JTBD')
+      assert.strictEqual(session.results.report.filename, 'report.pdf')
+      assert.strictEqual((await restarted.stats()).entryCount, 1)
+    })
+
+    test('should persist touch, delete and clear', async () => {
+      const fileStore = openStore()
+      const id1 = await fileStore.set(null, createSession(), 100)
+      const id2 = await fileStore.set(null, createSession())
+
+      await fileStore.touch(id1, 60000)
+      await new Promise(resolve => setTimeout(resolve, 150))
+      assert.ok(await openStore().get(id1), 'Touched expiry should be persisted')
+
+      await fileStore.del(id2)
+      assert.deepStrictEqual(listFiles(), [`${id1}.json`])
+
+      await fileStore.clear()
+      assert.deepStrictEqual(listFiles(), [])
+    })
+
+    test('should drop expired and unreadable files on load', async () => {
+      const fileStore = openStore()
+      await fileStore.set(null, createSession(), 50)
+      const keptId = await fileStore.set(null, createSession())
+      fs.writeFileSync(path.join(dataDir, 'broken.json'), '{ not json')
+
+      await new Promise(resolve => setTimeout(resolve, 100))
+      const restarted = openStore()
+
+      assert.deepStrictEqual(await restarted.keys(), [keptId])
+      assert.deepStrictEqual(listFiles(), ['broken.json', `${keptId}.json`].sort())
+    })
+
+    test('should evict from disk with the same policy and metrics', async () => {
+      const fileStore = openStore()
+      const ids = []
+      for (let i = 0; i < 3; i++) {
+        ids.push(await fileStore.set(null, createSession()))
+      }
+
+      await fileStore.get(ids[1])
+      await fileStore.get(ids[2])
+      await fileStore.set(null, createSession())
+
+      assert.strictEqual(await fileStore.get(ids[0]), null)
+      assert.ok(!listFiles().includes(`${ids[0]}.json`))
+
+      const stats = await fileStore.stats()
+      assert.strictEqual(stats.entryCount, 3)
+      assert.strictEqual(stats.evictions, 1)
+      assert.strictEqual(stats.sets, 4)
+    })
+
+    test('should hash ids that are not safe file names', async () => {
+      const fileStore = openStore()
+      await fileStore.set('../outside', createSession())
+
+      const [file] = listFiles()
+      assert.match(file, /^[0-9a-f]{64}\.json$/)
+      assert.ok(await openStore().get('../outside'))
+    })
+
+    test('should reject unknown storage types', () => {
+      assert.throws(() => new SessionStore({ storage: 'redis' }), /Unknown session storage "redis"/)
+    })
+  })
+})
+
+describe('scopeSessionSaves', () => {
+  let store
+
+  beforeEach(() => {
+    store = initSessionStore({ defaultTTLMs: 60000 })
+    // Like the Redis store: every read parses a fresh copy
+    const get = store.get.bind(store)
+    store.get = async id => JSON.parse(JSON.stringify(await get(id)))
+  })
+
+  afterEach(() => {
+    store.destroy()
+  })
+
+  // A request's session, as sessionMiddleware attaches it
+  async function loadSession(id) {
+    const session = await store.get(id)
+    session.save = () => store.set(id, session)
+    return session
+  }
+
+  test('keeps concurrent jobs from overwriting each other', async () => {
+    const id = await store.set(null, createSession({
+      inputs: { problemDescription: 'Original' },
+      results: { analysis: { status: 'completed' } }
+    }))
+
+    const queue = new JobQueue({ concurrency: 2 })
+    const tick = () => new Promise(resolve => setImmediate(resolve))
+
+    const runTechnique = async technique => {
+      const session = await loadSession(id)
+      scopeSessionSaves(session, [`results.ideation.${technique}`])
+
+      return queue.enqueue({
+        type: technique,
+        sessionId: id,
+        run: async () => {
+          session.results.ideation = session.results.ideation || {}
+          for (const status of ['queued', 'in-progress', 'completed']) {
+            session.results.ideation[technique] = { status }
+            await session.save()
+            await tick()
+          }
+        }
+      })
+    }
+
+    const jobs = [await runTechnique('scamper'), await runTechnique('sit')]
+
+    // A PUT /api/session landing while the jobs run
+    const request = await loadSession(id)
+    request.inputs = { problemDescription: 'Edited' }
+    await request.save()
+
+    const settled = () => jobs.every(job => ['completed', 'failed'].includes(queue.get(job.id).status))
+    while (!settled()) {
+      await tick()
+    }
+    assert.deepStrictEqual(jobs.map(job => queue.get(job.id).error), [null, null])
+
+    const stored = await store.get(id)
+    assert.strictEqual(stored.results.ideation.scamper.status, 'completed')
+    assert.strictEqual(stored.results.ideation.sit.status, 'completed')
+    assert.strictEqual(stored.results.analysis.status, 'completed')
+    assert.strictEqual(stored.inputs.problemDescription, 'Edited')
+    queue.destroy()
+  })
+
+  test('stops writing once the session is gone', async () => {
+    const id = await store.set(null, createSession())
+    const session = await loadSession(id)
+    scopeSessionSaves(session, ['results.analysis'])
+
+    await store.del(id)
+    session.results.analysis = { status: 'completed' }
+    await session.save()
+
+    assert.strictEqual(await store.get(id), null)
+  })
 })
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for structured methodology output
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import {
+  validateAgainstSchema,
+  parseJsonContent,
+  generateStructuredOutput
+} from '../src/structuredOutput.js'
+import { buildRepairPrompt } from '../src/structuredOutputTemplates.js'
+import { getMethodologies, getMethodologyDefinition } from '../src/methodologyRegistry.js'
+import { renderMockContent } from '../src/mockProvider.js'
+import { runAnalysis } from '../src/analysisExecutor.js'
+import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
+import { getStructuredResultsRoute } from '../src/routes/analysis.js'
+import { isArtifactRef } from '../src/artifactStore.js'
+import llmService from '../src/llmService.js'
+
+function createRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.body = payload
+      return this
+    }
+  }
+}
+
+describe('structuredOutput.validateAgainstSchema', () => {
+  test('accepts the mock output of every built-in methodology', () => {
+    for (const definition of getMethodologies().filter(methodology => methodology.outputSchema)) {
+      const data = JSON.parse(renderMockContent(`structured:${definition.id}`))
+      assert.deepStrictEqual(validateAgainstSchema(data, definition.outputSchema), [], definition.id)
+    }
+  })
+
+  test('reports errors with their paths', () => {
+    const { outputSchema } = getMethodologyDefinition('leanCanvas')
+
+    const errors = validateAgainstSchema(
+      { problems: ['a', 'b', 'c', 'd'], existingAlternatives: 'spreadsheets' },
+      outputSchema
+    )
+
+    assert.deepStrictEqual(errors, [
+      '$.earlyAdopters: is required',
+      '$.problems: must have at most 3 item(s)',
+      '$.existingAlternatives: expected array'
+    ])
+    assert.deepStrictEqual(
+      validateAgainstSchema({ opportunities: [{ opportunity: 'x', solutions: [], priority: 0 }] }, getMethodologyDefinition('ost').outputSchema),
+      ['$.outcome: is required', '$.opportunities[0].priority: must be at least 1']
+    )
+  })
+})
+
+describe('structuredOutput.parseJsonContent', () => {
+  test('reads JSON from code blocks and surrounding text', () => {
+    assert.deepStrictEqual(parseJsonContent('```json\n{"a": 1}\n```'), { a: 1 })
+    assert.deepStrictEqual(parseJsonContent('Here it is: {"a": {"b": 2}} Hope this helps.'), { a: { b: 2 } })
+    assert.throws(() => parseJsonContent('No JSON here'), SyntaxError)
+  })
+})
+
+describe('structuredOutput.generateStructuredOutput', () => {
+  const definition = getMethodologyDefinition('jtbd')
+  const valid = renderMockContent('structured:jtbd')
+  const llmOptions = { provider: 'openai', model: 'gpt-4o', apiKey: 'x'.repeat(40), metadata: { stepId: 'jtbd', kind: 'structured' } }
+  let originalAnalyze
+
+  beforeEach(() => {
+    originalAnalyze = llmService.analyze
+  })
+
+  afterEach(() => {
+    llmService.analyze = originalAnalyze
+  })
+
+  test('sends invalid output back for repair', async () => {
+    const calls = []
+    llmService.analyze = async (prompt, options) => {
+      calls.push({ prompt, options })
+      return { content: calls.length === 1 ? '{"jobStatement": 42}' : valid, provider: 'openai', model: 'gpt-4o' }
+    }
+    const results = []
+
+    const { data, attempts } = await generateStructuredOutput(definition, 'Prose analysis', llmOptions, {
+      onResult: result => results.push(result)
+    })
+
+    assert.strictEqual(attempts, 2)
+    assert.deepStrictEqual(data, JSON.parse(valid))
+    assert.strictEqual(results.length, 2)
+    assert.strictEqual(calls[0].options.responseFormat.name, 'jtbd_result')
+    assert.deepStrictEqual(calls[0].options.responseFormat.schema, definition.outputSchema)
+    assert.ok(calls[0].prompt.includes('Prose analysis'))
+    assert.ok(calls[1].prompt.includes('$.jobStatement: expected string'))
+    assert.ok(calls[1].prompt.includes('{"jobStatement": 42}'))
+  })
+
+  test('gives up after the configured repairs', async () => {
+    let calls = 0
+    llmService.analyze = async () => {
+      calls++
+      return { content: 'Sorry, I cannot do that', provider: 'openai', model: 'gpt-4o' }
+    }
+
+    await assert.rejects(
+      generateStructuredOutput(definition, 'Prose analysis', llmOptions, { maxRepairs: 1 }),
+      err => err.type === 'STRUCTURED_OUTPUT_ERROR' && err.attempts === 2 && err.errors[0] === '$: response is not valid JSON'
+    )
+    assert.strictEqual(calls, 2)
+  })
+
+  test('asks again without JSON mode when the model rejects it', async () => {
+    const formats = []
+    llmService.analyze = async (prompt, options) => {
+      formats.push(options.responseFormat)
+      if (options.responseFormat) {
+        const err = new Error("Invalid parameter: 'response_format' is not supported with this model")
+        err.type = 'LLM_PROVIDER_ERROR'
+        err.status = 400
+        throw err
+      }
+      return { content: valid, provider: 'openai', model: 'gpt-4' }
+    }
+
+    const { attempts } = await generateStructuredOutput(definition, 'Prose analysis', llmOptions)
+
+    assert.strictEqual(attempts, 1)
+    assert.strictEqual(formats.length, 2)
+    assert.strictEqual(formats[1], undefined)
+  })
+
+  test('lists at most twenty errors in a repair prompt', () => {
+    const errors = Array.from({ length: 25 }, (_, index) => `$.field${index}: is required`)
+    const prompt = buildRepairPrompt('Base prompt', '{}', errors)
+
+    assert.ok(prompt.includes('$.field19: is required'))
+    assert.ok(!prompt.includes('$.field20: is required'))
+    assert.ok(prompt.includes('...and 5 more'))
+  })
+})
+
+describe('structured output of analysis steps', () => {
+  const originalMockEnabled = process.env.LLM_MOCK_ENABLED
+  let originalAnalyze
+
+  function createSession(id) {
+    return {
+      id,
+      inputs: {
+        validationRequest: {
+          description: 'S'.repeat(500),
+          location: 'Remote',
+          targetCustomer: 'Independent bookkeepers',
+          teamSize: '1-3'
+        }
+      },
+      apiConfig: { provider: 'mock', model: 'mock' },
+      results: { run: { id: `run-${id}` }, analysis: createInitialAnalysisState(['jtbd', 'ost']) },
+      async save() {}
+    }
+  }
+
+  beforeEach(() => {
+    process.env.LLM_MOCK_ENABLED = 'true'
+    originalAnalyze = llmService.analyze
+  })
+
+  afterEach(() => {
+    llmService.analyze = originalAnalyze
+    if (originalMockEnabled === undefined) {
+      delete process.env.LLM_MOCK_ENABLED
+    } else {
+      process.env.LLM_MOCK_ENABLED = originalMockEnabled
+    }
+  })
+
+  test('stores the structured result on each step and serves it', async () => {
+    const session = createSession('structured-session')
+
+    await runAnalysis(session, undefined)
+
+    for (const step of session.results.analysis.steps) {
+      assert.ok(isArtifactRef(step.result.structured))
+      assert.strictEqual(step.result.structuredAttempts, 1)
+    }
+
+    const res = createRes()
+    await getStructuredResultsRoute({ session, query: {} }, res)
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.body.data.runId, 'run-structured-session')
+    assert.deepStrictEqual(res.body.data.steps.map(step => step.id), ['jtbd', 'ost'])
+    assert.deepStrictEqual(res.body.data.steps[1].structured, JSON.parse(renderMockContent('structured:ost')))
+
+    const single = createRes()
+    await getStructuredResultsRoute({ session, query: { step: 'jtbd' } }, single)
+    assert.strictEqual(single.body.data.steps.length, 1)
+    assert.ok(single.body.data.steps[0].structured.jobStatement)
+
+    const unknown = createRes()
+    await getStructuredResultsRoute({ session, query: { step: 'leanCanvas' } }, unknown)
+    assert.strictEqual(unknown.statusCode, 404)
+  })
+
+  test('keeps the step completed when no valid structure comes back', async () => {
+    process.env.STRUCTURED_OUTPUT_MAX_REPAIRS = '0'
+    llmService.analyze = async (prompt, options) => ({
+      content: options.responseFormat ? '[]' : 'Prose result',
+      provider: 'mock',
+      model: 'mock',
+      usage: { promptTokens: 10, completionTokens: 10, totalTokens: 20 }
+    })
+
+    try {
+      const session = createSession('structured-failure')
+      const analysis = await runAnalysis(session, undefined)
+
+      assert.strictEqual(analysis.status, 'completed')
+      for (const step of analysis.steps) {
+        assert.strictEqual(step.status, 'completed')
+        assert.strictEqual(step.result.structured, null)
+        assert.match(step.result.structuredError, /expected object/)
+        assert.strictEqual(step.usage.calls, 2)
+      }
+
+      const res = createRes()
+      await getStructuredResultsRoute({ session, query: {} }, res)
+      assert.strictEqual(res.body.data.steps[0].structured, null)
+      assert.match(res.body.data.steps[0].error, /expected object/)
+    } finally {
+      delete process.env.STRUCTURED_OUTPUT_MAX_REPAIRS
+    }
+  })
+})
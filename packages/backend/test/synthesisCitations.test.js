@@ -0,0 +1,65 @@
+/**
+ * Unit tests for synthesis evidence citations
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+  splitPassages,
+  getSynthesisDocuments,
+  labelPassages,
+  extractCitations,
+  replaceCitationLabels
+} from '../src/synthesisCitations.js'
+import { buildSynthesisPrompt } from '../src/synthesisTemplates.js'
+
+const context = {
+  jtbd: '# JTBD\n\n## Core Job\n\nGet hand-offs done quickly.\n\n## Alternatives\n\nSpreadsheets and   manual\nfollow-ups.',
+  rootCause: 'No shared system of record.'
+}
+
+describe('synthesisCitations', () => {
+  test('splits output into passages, keeping headings with their paragraph', () => {
+    assert.deepStrictEqual(splitPassages(context.jtbd), [
+      '# JTBD\n## Core Job\nGet hand-offs done quickly.',
+      '## Alternatives\nSpreadsheets and   manual\nfollow-ups.'
+    ])
+    assert.deepStrictEqual(splitPassages('   '), [])
+  })
+
+  test('labels passages by document and passage number in prompt order', () => {
+    const documents = getSynthesisDocuments(context, ['rootCause', 'jtbd'])
+
+    assert.deepStrictEqual(documents.map(document => [document.number, document.stepId]), [[1, 'jtbd'], [2, 'rootCause']])
+    assert.ok(labelPassages(documents[0]).startsWith('[1.1] # JTBD'))
+    assert.ok(labelPassages(documents[0]).includes('\n\n[1.2] ## Alternatives'))
+
+    const prompt = buildSynthesisPrompt(context, ['rootCause', 'jtbd'])
+    assert.ok(prompt.includes('2. Root Cause Analysis:\n[2.1] No shared system of record.'))
+    assert.ok(prompt.includes('cite the passages that support it'))
+  })
+
+  test('resolves labels to footnotes in order of first use', () => {
+    const documents = getSynthesisDocuments(context, ['jtbd', 'rootCause'])
+    const text = 'Hand-offs hurt [2.1; 1.2]. They are slow [1.2]. Unsupported [3.1] and [1.7].'
+
+    const citations = extractCitations(text, documents)
+
+    assert.deepStrictEqual(citations, [
+      { number: 1, ref: '2.1', stepId: 'rootCause', passage: 1, excerpt: 'No shared system of record.' },
+      { number: 2, ref: '1.2', stepId: 'jtbd', passage: 2, excerpt: 'Spreadsheets and manual follow-ups.' }
+    ])
+    assert.strictEqual(
+      replaceCitationLabels(text, citations),
+      'Hand-offs hurt [1, 2]. They are slow [2]. Unsupported and.'
+    )
+  })
+
+  test('shortens long excerpts', () => {
+    const documents = getSynthesisDocuments({ ost: 'word '.repeat(100) }, ['ost'])
+    const [citation] = extractCitations('Claim [1.1]', documents)
+
+    assert.strictEqual(citation.excerpt.length, 160)
+    assert.ok(citation.excerpt.endsWith('...'))
+  })
+})
@@ -1,7 +1,41 @@
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
 import { generateSynthesisSummary } from '../src/synthesisService.js'
 import llmService from '../src/llmService.js'
+import { initArtifactStore, resolveArtifacts } from '../src/artifactStore.js'
+import { initSessionStore, createSession } from '../src/sessionStore.js'
+import { initOutputStorage, getOutputStorage } from '../src/outputStorage.js'
+import { initJobQueue } from '../src/jobQueue.js'
+import { renderMockContent } from '../src/mockProvider.js'
+import { getSummaryRoute, synthesizeAnalysisRoute } from '../src/routes/analysis.js'
+
+async function waitFor(predicate, timeoutMs = 1000) {
+  const started = Date.now()
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setImmediate(resolve))
+  }
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.body = payload
+      return this
+    }
+  }
+}
 
 describe('synthesisService.generateSynthesisSummary', () => {
   let originalAnalyze
@@ -70,10 +104,323 @@ describe('synthesisService.generateSynthesisSummary', () => {
 
     assert.strictEqual(result.summaryText, 'Synthesized summary text')
     assert.ok(session.results.summary)
-    assert.strictEqual(session.results.summary.text, 'Synthesized summary text')
+    assert.strictEqual(await resolveArtifacts(session, session.results.summary.text), 'Synthesized summary text')
     assert.strictEqual(session.results.summary.provider, 'openai')
     assert.strictEqual(session.results.summary.model, 'gpt-4')
     assert.ok(session.results.summary.generatedAt)
+    assert.strictEqual(session.results.summary.strategy.type, 'single')
+    assert.strictEqual(session.results.summary.strategy.digestCalls, 0)
+  })
+
+  test('synthesizes only the methodologies selected for the run', async () => {
+    let receivedPrompt = null
+
+    llmService.analyze = async (prompt, options) => {
+      if (!options.responseFormat) {
+        receivedPrompt = prompt
+      }
+      return { content: 'Summary', provider: 'openai', model: 'gpt-4' }
+    }
+
+    const session = {
+      id: 'session-synth-subset',
+      apiConfig: { provider: 'openai', model: 'gpt-4' },
+      results: {
+        analysis: {
+          status: 'completed',
+          methods: ['leanCanvas', 'ost'],
+          steps: [
+            { id: 'leanCanvas', result: { content: 'Lean Canvas content' } },
+            { id: 'ost', result: { content: 'OST content' } }
+          ]
+        }
+      },
+      async save() {}
+    }
+
+    await generateSynthesisSummary(session, 'x'.repeat(40))
+
+    assert.ok(receivedPrompt.includes('You have received two detailed analysis documents'))
+    assert.ok(receivedPrompt.includes('1. Lean Canvas Analysis:\n[1.1] Lean Canvas content'))
+    assert.ok(receivedPrompt.includes('2. Opportunity Solution Tree (OST) Analysis:\n[2.1] OST content'))
+    assert.ok(receivedPrompt.includes('across all two methods'))
+    assert.ok(!receivedPrompt.includes('JTBD Analysis'))
+    assert.ok(!receivedPrompt.includes('No analysis available'))
+    assert.ok(!receivedPrompt.includes('{{'))
+  })
+
+  test('stores the passages the summary cites and serves them', async () => {
+    llmService.analyze = async (prompt, options) => ({
+      content: options.responseFormat ? '{}' : 'Hand-offs hurt [2.1]. Teams want speed [1.1, 2.1].',
+      provider: 'openai',
+      model: 'gpt-4'
+    })
+
+    const session = {
+      id: 'session-citations',
+      apiConfig: { provider: 'openai', model: 'gpt-4' },
+      results: {
+        run: { id: 'run-citations' },
+        analysis: {
+          status: 'completed',
+          steps: [
+            { id: 'jtbd', name: 'Jobs-to-be-Done', result: { content: 'Teams want speed.' } },
+            { id: 'ost', name: 'Opportunity Solution Tree', result: { content: '## Opportunity\n\nHand-offs hurt.' } }
+          ]
+        }
+      },
+      async save() {}
+    }
+
+    await generateSynthesisSummary(session, 'x'.repeat(40))
+
+    assert.deepStrictEqual(
+      session.results.summary.citations.map(citation => [citation.number, citation.ref, citation.stepId]),
+      [[1, '2.1', 'ost'], [2, '1.1', 'jtbd']]
+    )
+
+    const res = createRes()
+    await getSummaryRoute({ session }, res)
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.body.data.text, 'Hand-offs hurt [2.1]. Teams want speed [1.1, 2.1].')
+    assert.deepStrictEqual(res.body.data.citations[0], {
+      number: 1,
+      ref: '2.1',
+      stepId: 'ost',
+      passage: 1,
+      excerpt: 'Hand-offs hurt.',
+      stepName: 'Opportunity Solution Tree',
+      text: '## Opportunity\nHand-offs hurt.'
+    })
+
+    const missing = createRes()
+    await getSummaryRoute({ session: { results: { analysis: session.results.analysis } } }, missing)
+    assert.strictEqual(missing.statusCode, 404)
+  })
+
+  test('condenses analyses that exceed the context window before synthesizing', async () => {
+    process.env.LLM_MODEL_LIMITS = JSON.stringify({ 'local:tiny': { contextWindow: 3000, maxOutputTokens: 500 } })
+
+    const calls = []
+    llmService.analyze = async (prompt, options) => {
+      calls.push({ prompt, options })
+      const { kind, stepId, document, passages } = options.metadata
+      const content = kind === 'digest'
+        ? `Digest of ${stepId} passages ${passages.join('-')} [${document}.${passages[0]}]`
+        : options.responseFormat ? '{}' : 'Hand-offs hurt [1.3].'
+      return { content, provider: 'local', model: 'tiny' }
+    }
+
+    // Four passages of ~1000 tokens each: two digest prompts' worth
+    const jtbd = ['A', 'B', 'C', 'D'].map(letter => letter.repeat(4000)).join('\n\n')
+    const session = {
+      id: 'session-map-reduce',
+      apiConfig: { provider: 'local', model: 'tiny' },
+      results: {
+        analysis: {
+          status: 'completed',
+          steps: [
+            { id: 'jtbd', result: { content: jtbd } },
+            { id: 'ost', result: { content: 'OST content' } }
+          ]
+        }
+      },
+      async save() {}
+    }
+
+    try {
+      await generateSynthesisSummary(session, undefined)
+    } finally {
+      delete process.env.LLM_MODEL_LIMITS
+    }
+
+    const digests = calls.filter(call => call.options.metadata.kind === 'digest')
+    assert.deepStrictEqual(
+      digests.map(call => [call.options.metadata.stepId, call.options.metadata.passages]),
+      [['jtbd', [1, 2]], ['jtbd', [3, 4]], ['ost', [1, 1]]]
+    )
+    assert.ok(digests[1].prompt.includes('part 2 of 2 of the analysis'))
+    assert.ok(digests[1].prompt.includes(`[1.3] ${'C'.repeat(4000)}`))
+    assert.ok(!digests[1].prompt.includes('[1.1]'))
+    assert.ok(digests.every(call => call.prompt.length / 4 <= 2500))
+
+    const synthesis = calls.find(call => call.options.metadata.kind === 'synthesis')
+    assert.ok(synthesis.prompt.includes('1. JTBD Analysis:\nDigest of jtbd passages 1-2 [1.1]\n\nDigest of jtbd passages 3-4 [1.3]'))
+    assert.ok(synthesis.prompt.includes('The files are digests of longer analyses'))
+    assert.ok(!synthesis.prompt.includes('AAAA'))
+
+    // The scorecard reads the digests as well
+    const scorecard = calls.find(call => call.options.metadata.kind === 'scorecard')
+    assert.ok(scorecard.prompt.includes('Digest of ost passages 1-1'))
+
+    const { strategy, citations, usage } = session.results.summary
+    assert.deepStrictEqual(
+      { ...strategy, fullPromptTokens: undefined, promptTokens: undefined },
+      { type: 'mapReduce', contextWindow: 3000, maxOutputTokens: 500, fullPromptTokens: undefined, promptTokens: undefined, digestCalls: 3 }
+    )
+    assert.ok(strategy.fullPromptTokens > 2500 && strategy.promptTokens <= 2500)
+    // Citations resolve to the full analysis, not the digest
+    assert.strictEqual(citations[0].excerpt, `${'C'.repeat(157)}...`)
+    // Digests are billed with the synthesis
+    assert.strictEqual(usage.calls, calls.length)
+  })
+
+  test('scores the run and cites only its methodologies', async () => {
+    const calls = []
+    llmService.analyze = async (prompt, options) => {
+      calls.push({ prompt, options })
+      const content = options.responseFormat
+        ? renderMockContent('scorecard', options.metadata)
+        : 'Summary'
+      return { content, provider: 'openai', model: 'gpt-4', usage: { promptTokens: 100, completionTokens: 50, totalTokens: 150 } }
+    }
+
+    const session = {
+      id: 'session-scorecard',
+      apiConfig: { provider: 'openai', model: 'gpt-4' },
+      results: {
+        analysis: {
+          status: 'completed',
+          steps: [
+            { id: 'jtbd', result: { content: 'JTBD content' } },
+            { id: 'leanCanvas', result: { content: 'Lean Canvas content' } }
+          ]
+        }
+      },
+      async save() {}
+    }
+
+    await generateSynthesisSummary(session, 'x'.repeat(40))
+
+    assert.strictEqual(calls.length, 2)
+    assert.ok(calls[1].prompt.includes('Synthesized summary:\nSummary'))
+    assert.deepStrictEqual(
+      calls[1].options.responseFormat.schema.properties.scores.properties.painSeverity.properties.sourceMethods.items.enum,
+      ['jtbd', 'leanCanvas']
+    )
+
+    const { scorecard, scorecardError, usage } = session.results.summary
+    assert.strictEqual(scorecardError, null)
+    assert.strictEqual(scorecard.validationStrength, 'moderate')
+    assert.strictEqual(scorecard.maxScore, 5)
+    // (4 + 3 + 2 + 4 + 2 + 4) / 6
+    assert.strictEqual(scorecard.overall, 3.2)
+    assert.deepStrictEqual(scorecard.scores.willingnessToPay.sourceMethods, ['leanCanvas'])
+    assert.deepStrictEqual(scorecard.scores.crossMethodAgreement.sourceMethods, ['jtbd', 'leanCanvas'])
+    assert.ok(scorecard.scores.painSeverity.rationale)
+    assert.strictEqual(usage.calls, 2)
+  })
+
+  test('keeps the summary when no valid scorecard comes back', async () => {
+    process.env.STRUCTURED_OUTPUT_MAX_REPAIRS = '0'
+    llmService.analyze = async (prompt, options) => ({
+      content: options.responseFormat ? '{"scores": {}}' : 'Summary',
+      provider: 'openai',
+      model: 'gpt-4'
+    })
+
+    const session = {
+      id: 'session-scorecard-failure',
+      apiConfig: { provider: 'openai', model: 'gpt-4' },
+      results: {
+        analysis: { status: 'completed', steps: [{ id: 'ost', result: { content: 'OST content' } }] }
+      },
+      async save() {}
+    }
+
+    try {
+      const result = await generateSynthesisSummary(session, 'x'.repeat(40))
+
+      assert.strictEqual(result.summaryText, 'Summary')
+      assert.strictEqual(session.results.summary.scorecard, null)
+      assert.match(session.results.summary.scorecardError, /is required/)
+    } finally {
+      delete process.env.STRUCTURED_OUTPUT_MAX_REPAIRS
+    }
   })
 })
 
+describe('synthesizeAnalysisRoute', () => {
+  const apiKey = 'x'.repeat(40)
+  let store
+  let queue
+  let outputDir
+  let originalAnalyze
+
+  async function createCompletedSession() {
+    const id = await store.set(null, createSession({
+      apiConfig: { provider: 'openai', model: 'gpt-4' },
+      results: {
+        analysis: {
+          status: 'completed',
+          steps: [
+            { id: 'jtbd', name: 'Jobs To Be Done', status: 'completed', result: { content: 'JTBD content' } },
+            { id: 'ost', name: 'Opportunity Solution Tree', status: 'completed', result: { content: 'OST content' } }
+          ]
+        }
+      }
+    }))
+    const session = await store.get(id)
+    session.save = () => store.set(id, session)
+    return session
+  }
+
+  beforeEach(async () => {
+    store = initSessionStore({ defaultTTLMs: 60000 })
+    queue = initJobQueue({ concurrency: 1 })
+    initArtifactStore()
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-synthesis-test-'))
+    initOutputStorage({ dir: outputDir })
+    originalAnalyze = llmService.analyze
+    llmService.analyze = async (prompt, options) => ({
+      content: options.responseFormat ? renderMockContent(options.metadata.kind, options.metadata) : 'Summary',
+      provider: 'openai',
+      model: 'gpt-4'
+    })
+  })
+
+  afterEach(async () => {
+    llmService.analyze = originalAnalyze
+    queue.destroy()
+    store.destroy()
+    initOutputStorage()
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  test('synthesizes in a background job', async () => {
+    const session = await createCompletedSession()
+
+    const res = createRes()
+    await synthesizeAnalysisRoute({ session, sessionId: session.id, body: { apiKey } }, res)
+    assert.strictEqual(res.statusCode, 202)
+    assert.strictEqual(session.results.jobs.synthesis.id, res.body.data.job.id)
+
+    // A second request while it runs gets the same job
+    const again = createRes()
+    await synthesizeAnalysisRoute({ session, sessionId: session.id, body: { apiKey } }, again)
+    assert.strictEqual(again.body.data.job.id, res.body.data.job.id)
+
+    await waitFor(() => !queue.isActive(res.body.data.job.id))
+    const job = queue.get(res.body.data.job.id)
+    assert.strictEqual(job.status, 'completed')
+    assert.ok(await getOutputStorage().exists(job.result.report.filename))
+    assert.strictEqual(job.result.consistency.error, null)
+
+    const stored = await store.get(session.id)
+    assert.strictEqual(stored.results.jobs.synthesis.status, 'completed')
+    assert.strictEqual(await resolveArtifacts(stored, stored.results.summary.text), 'Summary')
+  })
+
+  test('refuses to synthesize while another job writes the run', async () => {
+    const session = await createCompletedSession()
+    let release
+    queue.enqueue({ type: 'scamper', sessionId: session.id, run: () => new Promise(resolve => { release = resolve }) })
+
+    const res = createRes()
+    await synthesizeAnalysisRoute({ session, sessionId: session.id, body: { apiKey } }, res)
+
+    assert.strictEqual(res.statusCode, 409)
+    assert.strictEqual(session.results.jobs, undefined)
+    release()
+  })
+})
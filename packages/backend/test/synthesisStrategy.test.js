@@ -0,0 +1,37 @@
+/**
+ * Unit tests for the synthesis strategy (digest planning)
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { chunkDocument, MIN_DIGEST_TOKENS } from '../src/synthesisStrategy.js'
+import { buildDigestPrompt } from '../src/synthesisTemplates.js'
+import { estimateTokenCount } from '../src/modelCatalog.js'
+
+describe('synthesisStrategy.chunkDocument', () => {
+  const document = (passages) => ({ number: 1, stepId: 'jtbd', passages })
+
+  test('splits a long document into chunks that fit the prompt budget', () => {
+    const chunks = chunkDocument(document(['A', 'B', 'C', 'D'].map(letter => letter.repeat(4000))), 2500, 800)
+
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.start, chunk.end]), [[0, 2], [2, 4]])
+    assert.deepStrictEqual(chunks.map(chunk => chunk.digestTokens), [400, 400])
+  })
+
+  test('keeps the digests of all chunks within the digest length', () => {
+    // Twenty passages of ~1000 tokens would need ten chunks of 2500 tokens
+    const passages = Array.from({ length: 20 }, (_, index) => String.fromCharCode(65 + index).repeat(4000))
+    const digestTokens = 450
+    const chunks = chunkDocument(document(passages), 2500, digestTokens)
+
+    assert.strictEqual(chunks.length, Math.floor(digestTokens / MIN_DIGEST_TOKENS))
+    assert.ok(chunks.length * chunks[0].digestTokens <= digestTokens)
+    assert.ok(chunks.every(chunk => chunk.digestTokens >= MIN_DIGEST_TOKENS))
+
+    // Every passage is still covered, cut so each chunk's prompt fits
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.start, chunk.end]), [[0, 7], [7, 14], [14, 20]])
+    for (const chunk of chunks) {
+      assert.ok(estimateTokenCount(buildDigestPrompt(chunk, 100)) <= 2500)
+    }
+  })
+})
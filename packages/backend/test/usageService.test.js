@@ -0,0 +1,247 @@
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { estimateCostUsd, getModelPricing, getModelLimits } from '../src/modelCatalog.js'
+import {
+  createUsageEntry,
+  mergeUsage,
+  recordUsage,
+  getAnalysisUsage,
+  getIdeationUsage,
+  getSessionUsage,
+  assertWithinBudget
+} from '../src/usageService.js'
+import { runAnalysis } from '../src/analysisExecutor.js'
+import { createInitialAnalysisState } from '../src/validators/analysisValidator.js'
+
+function createMockSession(id, apiConfig = {}) {
+  return {
+    id,
+    inputs: {
+      validationRequest: {
+        description: 'U'.repeat(500),
+        location: 'Remote',
+        targetCustomer: 'Independent bookkeepers',
+        teamSize: '1-3'
+      }
+    },
+    apiConfig: { provider: 'mock', model: 'mock', ...apiConfig },
+    results: { analysis: createInitialAnalysisState() },
+    async save() {}
+  }
+}
+
+function llmResult(provider, model, promptTokens, completionTokens) {
+  return {
+    provider,
+    model,
+    content: 'ok',
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+  }
+}
+
+describe('modelCatalog', () => {
+  const originalOverrides = process.env.LLM_PRICING_OVERRIDES
+
+  afterEach(() => {
+    if (originalOverrides === undefined) {
+      delete process.env.LLM_PRICING_OVERRIDES
+    } else {
+      process.env.LLM_PRICING_OVERRIDES = originalOverrides
+    }
+  })
+
+  test('prices known models per million tokens', () => {
+    const cost = estimateCostUsd('openai', 'gpt-4', { promptTokens: 1000, completionTokens: 500 })
+    assert.strictEqual(cost, (1000 * 30 + 500 * 60) / 1_000_000)
+  })
+
+  test('treats local and mock models as free and unknown models as unpriced', () => {
+    assert.strictEqual(estimateCostUsd('local', 'llama3', { promptTokens: 1000 }), 0)
+    assert.strictEqual(estimateCostUsd('mock', 'mock', { promptTokens: 1000 }), 0)
+    assert.strictEqual(estimateCostUsd('openai', 'gpt-unknown', { promptTokens: 1000 }), null)
+  })
+
+  test('applies LLM_PRICING_OVERRIDES', () => {
+    process.env.LLM_PRICING_OVERRIDES = JSON.stringify({
+      'local:llama3': { inputPerMTok: 1, outputPerMTok: 2 }
+    })
+    assert.deepStrictEqual(getModelPricing('local', 'llama3'), { inputPerMTok: 1, outputPerMTok: 2 })
+
+    process.env.LLM_PRICING_OVERRIDES = 'not json'
+    assert.deepStrictEqual(getModelPricing('local', 'llama3'), { inputPerMTok: 0, outputPerMTok: 0 })
+  })
+
+  test('lists context windows and output caps, with LLM_MODEL_LIMITS overrides', () => {
+    assert.deepStrictEqual(getModelLimits('openai', 'gpt-4'), { contextWindow: 8192, maxOutputTokens: 2000 })
+    assert.deepStrictEqual(getModelLimits('claude', 'claude-3-haiku'), { contextWindow: 200000, maxOutputTokens: 4096 })
+    assert.deepStrictEqual(getModelLimits('local', 'llama3'), { contextWindow: 8192, maxOutputTokens: 2000 })
+
+    try {
+      process.env.LLM_MODEL_LIMITS = JSON.stringify({
+        'local:llama3': { contextWindow: 32768, maxOutputTokens: 'many' }
+      })
+      assert.deepStrictEqual(getModelLimits('local', 'llama3'), { contextWindow: 32768, maxOutputTokens: 2000 })
+    } finally {
+      delete process.env.LLM_MODEL_LIMITS
+    }
+  })
+})
+
+describe('usageService', () => {
+  const originalMockEnabled = process.env.LLM_MOCK_ENABLED
+
+  beforeEach(() => {
+    process.env.LLM_MOCK_ENABLED = 'true'
+  })
+
+  afterEach(() => {
+    if (originalMockEnabled === undefined) {
+      delete process.env.LLM_MOCK_ENABLED
+    } else {
+      process.env.LLM_MOCK_ENABLED = originalMockEnabled
+    }
+  })
+
+  test('creates usage entries with estimated cost', () => {
+    const entry = createUsageEntry(llmResult('claude', 'claude-3-haiku', 2000, 1000))
+
+    assert.strictEqual(entry.calls, 1)
+    assert.strictEqual(entry.totalTokens, 3000)
+    assert.strictEqual(entry.costUsd, 0.00175)
+    assert.strictEqual(entry.unpricedCalls, 0)
+  })
+
+  test('counts calls to unpriced models without costing them', () => {
+    const entry = createUsageEntry(llmResult('openai', 'gpt-unknown', 100, 100))
+
+    assert.strictEqual(entry.costUsd, 0)
+    assert.strictEqual(entry.unpricedCalls, 1)
+  })
+
+  test('accumulates repeated calls and marks mixed models', () => {
+    const step = {}
+    recordUsage(step, llmResult('openai', 'gpt-4', 100, 50))
+    recordUsage(step, llmResult('openai', 'gpt-4', 100, 50))
+
+    assert.strictEqual(step.usage.calls, 2)
+    assert.strictEqual(step.usage.promptTokens, 200)
+    assert.strictEqual(step.usage.model, 'gpt-4')
+
+    const merged = mergeUsage(step.usage, createUsageEntry(llmResult('openai', 'gpt-3.5-turbo', 10, 10)))
+    assert.strictEqual(merged.model, 'mixed')
+    assert.strictEqual(merged.calls, 3)
+    assert.strictEqual(mergeUsage(null, null), null)
+  })
+
+  test('summarizes usage per analysis step, lens and tool', () => {
+    const gpt4 = createUsageEntry(llmResult('openai', 'gpt-4', 1000, 1000))
+    const session = {
+      results: {
+        analysis: {
+          steps: [
+            { id: 'jtbd', name: 'Jobs-to-be-Done', usage: gpt4 },
+            { id: 'leanCanvas', name: 'Lean Canvas', usage: null }
+          ]
+        },
+        summary: { usage: gpt4 },
+        ideation: {
+          scamper: {
+            lenses: { substitute: { name: 'Substitute', usage: gpt4 } },
+            synthesisUsage: gpt4
+          }
+        }
+      }
+    }
+
+    const analysis = getAnalysisUsage(session)
+    assert.deepStrictEqual(analysis.items.map(item => item.id), ['jtbd', 'synthesis'])
+    assert.strictEqual(analysis.total.calls, 2)
+
+    const scamper = getIdeationUsage(session.results.ideation.scamper, 'scamper')
+    assert.deepStrictEqual(scamper.items.map(item => item.id), ['substitute', 'synthesis'])
+
+    const total = getSessionUsage(session)
+    assert.deepStrictEqual(getIdeationUsage(undefined, 'sit'), { items: [], total: null })
+    assert.strictEqual(total.total.calls, 4)
+    assert.strictEqual(total.total.costUsd, 0.36)
+  })
+
+  test('records usage on each analysis step as it completes', async () => {
+    const session = createMockSession('usage-session')
+
+    const analysis = await runAnalysis(session, undefined)
+
+    assert.strictEqual(analysis.status, 'completed')
+    analysis.steps.forEach(step => {
+      // The prose analysis and its structured output
+      assert.strictEqual(step.usage.calls, 2)
+      assert.ok(step.usage.totalTokens > 0)
+      assert.strictEqual(step.usage.costUsd, 0)
+    })
+    assert.strictEqual(getAnalysisUsage(session).total.calls, analysis.steps.length * 2)
+  })
+})
+
+describe('budget cap', () => {
+  const originalOverrides = process.env.LLM_PRICING_OVERRIDES
+  const originalMockEnabled = process.env.LLM_MOCK_ENABLED
+
+  beforeEach(() => {
+    process.env.LLM_MOCK_ENABLED = 'true'
+  })
+
+  afterEach(() => {
+    if (originalOverrides === undefined) {
+      delete process.env.LLM_PRICING_OVERRIDES
+    } else {
+      process.env.LLM_PRICING_OVERRIDES = originalOverrides
+    }
+    if (originalMockEnabled === undefined) {
+      delete process.env.LLM_MOCK_ENABLED
+    } else {
+      process.env.LLM_MOCK_ENABLED = originalMockEnabled
+    }
+  })
+
+  test('throws once spend reaches the budget', () => {
+    const session = {
+      apiConfig: { budgetUsd: 0.1 },
+      results: {
+        analysis: {
+          steps: [{ id: 'jtbd', usage: createUsageEntry(llmResult('openai', 'gpt-4', 1000, 500)) }]
+        }
+      }
+    }
+
+    assert.doesNotThrow(() => assertWithinBudget(session))
+
+    session.results.analysis.steps[0].usage.costUsd = 0.1
+    assert.throws(
+      () => assertWithinBudget(session),
+      err => err.type === 'BUDGET_EXCEEDED_ERROR' && err.spentUsd === 0.1
+    )
+
+    session.apiConfig.budgetUsd = null
+    assert.doesNotThrow(() => assertWithinBudget(session))
+  })
+
+  test('aborts the analysis run when the budget is exceeded', async () => {
+    // Price the mock model so every call costs more than the budget
+    process.env.LLM_PRICING_OVERRIDES = JSON.stringify({
+      'mock:mock': { inputPerMTok: 1000, outputPerMTok: 1000 }
+    })
+    const session = createMockSession('budget-session', { budgetUsd: 0.01 })
+
+    await assert.rejects(
+      () => runAnalysis(session, undefined),
+      err => err.type === 'BUDGET_EXCEEDED_ERROR'
+    )
+
+    const analysis = session.results.analysis
+    assert.strictEqual(analysis.status, 'failed')
+    assert.match(analysis.error, /Budget of \$0\.01 reached/)
+    assert.strictEqual(analysis.steps[0].status, 'completed')
+    assert.strictEqual(analysis.steps[1].status, 'failed')
+    assert.strictEqual(analysis.steps[2].status, 'pending')
+  })
+})
@@ -54,7 +54,7 @@ function ClarificationFormPage() {
       navigate('/config')
     } catch (error) {
       console.error('Error saving clarification:', error)
-      setSaveError("We couldn't save your details right now. Please try again.")
+      setSaveError(error.conflict ? error.message : "We couldn't save your details right now. Please try again.")
     } finally {
       setIsSaving(false)
     }
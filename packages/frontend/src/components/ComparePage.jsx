@@ -0,0 +1,262 @@
+import { useEffect, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useFormWizard } from '../context/FormWizardProvider'
+import { hasUsableApiKey } from '../constants/providers'
+import './ComparePage.css'
+
+const METHOD_STATUS_LABELS = {
+  changed: 'Changed',
+  unchanged: 'Unchanged',
+  added: 'Only in run B',
+  removed: 'Only in run A'
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : ''
+}
+
+/**
+ * Render word or line diff parts with removed text struck through
+ */
+function DiffText({ parts }) {
+  return parts.map((part, index) => {
+    if (part.type === 'added') {
+      return <ins key={index} className="compare-added">{part.text}</ins>
+    }
+    if (part.type === 'removed') {
+      return <del key={index} className="compare-removed">{part.text}</del>
+    }
+    return <span key={index}>{part.text}</span>
+  })
+}
+
+function RunCard({ label, run }) {
+  return (
+    <div className="compare-run">
+      <span className="compare-run-label">{label}</span>
+      <span className="compare-run-date">{formatDate(run.startedAt || run.createdAt)}</span>
+      {run.current && <span className="compare-run-current">Current</span>}
+      {run.model && <span className="compare-run-model">{run.model}</span>}
+    </div>
+  )
+}
+
+function ComparePage() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const { watch } = useFormWizard()
+
+  const base = searchParams.get('base')
+  const target = searchParams.get('target')
+  const apiKey = watch('config.apiKey')
+  const provider = watch('config.provider')
+
+  const [comparison, setComparison] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [loadError, setLoadError] = useState(null)
+  const [deltaStatus, setDeltaStatus] = useState('idle')
+  const [deltaError, setDeltaError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchComparison = async () => {
+      try {
+        const params = new URLSearchParams({ base: base || '', target: target || '' })
+        const response = await fetch(`/api/comparison?${params}`, {
+          credentials: 'include'
+        })
+        const data = await response.json().catch(() => null)
+        if (cancelled) return
+
+        if (!response.ok || !data?.success) {
+          setLoadError(
+            response.status === 404
+              ? 'One of these validations no longer exists. Pick two runs from your past validations.'
+              : 'We were unable to compare these validations. Please try again.'
+          )
+          return
+        }
+        setComparison(data.data)
+      } catch (err) {
+        if (cancelled) return
+        console.error('Error loading comparison:', err)
+        setLoadError('We were unable to compare these validations. Please try again.')
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    fetchComparison()
+
+    return () => {
+      cancelled = true
+    }
+  }, [base, target])
+
+  const handleGenerateDelta = async () => {
+    setDeltaStatus('generating')
+    setDeltaError(null)
+
+    try {
+      const response = await fetch('/api/comparison/delta', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ base, target, apiKey })
+      })
+      const data = await response.json().catch(() => null)
+
+      if (!response.ok || !data?.success) {
+        setDeltaStatus('error')
+        setDeltaError(data?.message || data?.error || 'We could not summarize the changes. Please try again.')
+        return
+      }
+
+      setComparison(prev => ({ ...prev, delta: data.data.delta }))
+      setDeltaStatus('idle')
+    } catch (err) {
+      console.error('Error generating comparison summary:', err)
+      setDeltaStatus('error')
+      setDeltaError('We could not summarize the changes. Please try again.')
+    }
+  }
+
+  const handleDownload = () => {
+    const params = new URLSearchParams({ base, target })
+    window.open(`/api/comparison/download?${params}`, '_blank', 'noopener,noreferrer')
+  }
+
+  const canGenerateDelta = hasUsableApiKey(provider, apiKey)
+
+  return (
+    <div className="compare-page">
+      <div className="compare-card">
+        <header className="compare-header">
+          <h1>Compare Validations</h1>
+          <p className="compare-subtitle">
+            See how rewording the problem or changing its context shifted the conclusions. Text only in
+            run A is struck through; text only in run B is highlighted.
+          </p>
+        </header>
+
+        {isLoading ? (
+          <div className="compare-loading">
+            <div className="compare-spinner" />
+            <p>Comparing your validations...</p>
+          </div>
+        ) : loadError ? (
+          <div className="compare-error" role="alert">
+            {loadError}
+          </div>
+        ) : (
+          <>
+            <div className="compare-runs">
+              <RunCard label="Run A" run={comparison.base} />
+              <RunCard label="Run B" run={comparison.target} />
+            </div>
+
+            <section className="compare-section" aria-label="Input changes">
+              <h2>Inputs</h2>
+              <dl className="compare-inputs">
+                {comparison.inputs.map(input => (
+                  <div key={input.id} className="compare-input">
+                    <dt>
+                      {input.label}
+                      {!input.changed && <span className="compare-unchanged">Unchanged</span>}
+                    </dt>
+                    <dd>{input.changed ? <DiffText parts={input.diff} /> : input.before || '—'}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+
+            <section className="compare-section" aria-label="What changed and why it matters">
+              <h2>What changed and why it matters</h2>
+              {comparison.delta ? (
+                <div className="compare-delta">
+                  {comparison.delta.text.split(/\n{2,}/).map((paragraph, index) => (
+                    paragraph.trim() && <p key={index}>{paragraph.trim()}</p>
+                  ))}
+                </div>
+              ) : (
+                <p className="compare-note">
+                  {canGenerateDelta
+                    ? 'Generate an AI summary of how the conclusions changed between the two runs.'
+                    : 'Enter your API key on the configuration step to generate an AI summary of the changes.'}
+                </p>
+              )}
+              {deltaError && (
+                <div className="compare-error" role="alert">
+                  {deltaError}
+                </div>
+              )}
+              {canGenerateDelta && (
+                <button
+                  type="button"
+                  className="compare-secondary-button"
+                  onClick={handleGenerateDelta}
+                  disabled={deltaStatus === 'generating'}
+                >
+                  {deltaStatus === 'generating'
+                    ? 'Summarizing...'
+                    : comparison.delta ? 'Regenerate summary' : 'Summarize changes'}
+                </button>
+              )}
+            </section>
+
+            <section className="compare-section" aria-label="Methodology changes">
+              <h2>Methodologies</h2>
+              {[
+                ...comparison.methods,
+                ...(comparison.summary
+                  ? [{
+                      id: 'summary',
+                      name: 'Synthesized summary',
+                      status: comparison.summary.changed ? 'changed' : 'unchanged',
+                      diff: comparison.summary.diff
+                    }]
+                  : [])
+              ].map(method => (
+                <details key={method.id} className="compare-method" open={method.status === 'changed'}>
+                  <summary>
+                    <span className="compare-method-name">{method.name}</span>
+                    <span className={`compare-method-status compare-method-status--${method.status}`}>
+                      {METHOD_STATUS_LABELS[method.status]}
+                    </span>
+                  </summary>
+                  <pre className="compare-diff">
+                    <DiffText parts={method.diff} />
+                  </pre>
+                </details>
+              ))}
+            </section>
+          </>
+        )}
+
+        <div className="compare-actions">
+          {comparison && (
+            <button
+              type="button"
+              className="compare-primary-button"
+              onClick={handleDownload}
+            >
+              Download PDF
+            </button>
+          )}
+          <button
+            type="button"
+            className="compare-secondary-button"
+            onClick={() => navigate('/history')}
+          >
+            Back to past validations
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ComparePage
@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react'
+import './ConsistencyPanel.css'
+
+// Topics of GET /api/analysis/consistency, in display order
+const CLAIM_TOPICS = [
+  { id: 'customer', label: 'Customer' },
+  { id: 'topProblem', label: 'Top problem' },
+  { id: 'rootCause', label: 'Root cause' },
+  { id: 'earlyAdopters', label: 'Early adopters' }
+]
+
+/**
+ * Results page view of the cross-methodology consistency check: per topic,
+ * the contradictions between methodologies with the claims they cite, then
+ * the conclusions shared by several methodologies and those only one makes.
+ * Renders nothing for runs without a check (e.g. a single methodology).
+ */
+function ConsistencyPanel({ steps }) {
+  const [consistency, setConsistency] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchConsistency = async () => {
+      try {
+        const response = await fetch('/api/analysis/consistency', {
+          credentials: 'include'
+        })
+        if (!response.ok) return
+
+        const data = await response.json()
+        if (!cancelled && data.success) {
+          setConsistency(data.data)
+        }
+      } catch (error) {
+        // The check is optional; the rest of the results stand without it
+        console.error('Error loading consistency check:', error)
+      }
+    }
+
+    fetchConsistency()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  if (!consistency) {
+    return null
+  }
+
+  const nameOf = stepId => steps.find(step => step.id === stepId)?.name || stepId
+  const claims = Object.fromEntries(consistency.claims.map(claim => [claim.id, claim]))
+  const topics = CLAIM_TOPICS
+    .map(topic => ({
+      ...topic,
+      contradictions: consistency.contradictions.filter(item => item.topic === topic.id),
+      clusters: consistency.clusters.filter(item => item.topic === topic.id)
+    }))
+    .filter(topic => topic.contradictions.length > 0 || topic.clusters.length > 0)
+
+  return (
+    <section className="consistency-panel" aria-label="Cross-method consistency">
+      <h2>Cross-Method Consistency</h2>
+      <p className="consistency-hint">
+        What each framework concludes about the customer, the top problem, its root cause and
+        early adopters, and where the frameworks disagree.
+      </p>
+
+      {consistency.error ? (
+        <p className="consistency-error" role="alert">
+          The consistency check could not be completed: {consistency.error}
+        </p>
+      ) : (
+        <p className="consistency-counts">
+          {consistency.contradictions.length === 0
+            ? 'No contradictions between the frameworks.'
+            : `${consistency.contradictions.length} contradiction${consistency.contradictions.length === 1 ? '' : 's'} between the frameworks.`}
+        </p>
+      )}
+
+      {topics.map(topic => (
+        <div key={topic.id} className="consistency-topic">
+          <h3>{topic.label}</h3>
+
+          {topic.contradictions.map((contradiction, index) => (
+            <div key={`contradiction-${index}`} className="consistency-contradiction">
+              <p className="consistency-contradiction-summary">{contradiction.summary}</p>
+              <ul>
+                {contradiction.claimIds
+                  .filter(claimId => claims[claimId])
+                  .map(claimId => (
+                    <li key={claimId}>
+                      <strong>{nameOf(claims[claimId].stepId)}:</strong> {claims[claimId].claim}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          ))}
+
+          <ul className="consistency-clusters">
+            {topic.clusters.map((cluster, index) => (
+              <li key={`cluster-${index}`}>
+                <span>{cluster.statement}</span>
+                <span className="consistency-sources">
+                  {cluster.stepIds.length > 1 ? 'Shared by ' : 'Only '}
+                  {cluster.stepIds.map(nameOf).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </section>
+  )
+}
+
+export default ConsistencyPanel
@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react'
 import { useFormContext } from 'react-hook-form'
 import { useNavigate } from 'react-router-dom'
-import { useFormWizard } from '../context/FormWizardProvider'
+import { PROVIDERS, DEFAULT_LOCAL_BASE_URL, requiresApiKey } from '../constants/providers'
+import { VALIDATION_METHODS, ALL_METHOD_IDS } from '../constants/methodologies'
+import { formatUsd, formatTokens, formatDuration } from '../utils/format'
 import './EmailApiConfigPage.css'
 
 const MODEL_OPTIONS = {
@@ -14,30 +16,132 @@ const MODEL_OPTIONS = {
     { value: 'claude-3-opus', label: 'Claude 3 Opus' },
     { value: 'claude-3-sonnet', label: 'Claude 3 Sonnet' },
     { value: 'claude-3-haiku', label: 'Claude 3 Haiku' }
+  ],
+  mock: [
+    { value: 'mock', label: 'Mock (instant)' },
+    { value: 'mock-slow', label: 'Mock (slow, shows progress)' }
   ]
 }
 
 function EmailApiConfigPage() {
   const navigate = useNavigate()
   const { register, watch, setValue, trigger, formState: { errors } } = useFormContext()
-  const { saveToSession } = useFormWizard()
   const [showApiKey, setShowApiKey] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
   const [saveError, setSaveError] = useState(null)
+  const [localModels, setLocalModels] = useState([])
+  const [isDiscovering, setIsDiscovering] = useState(false)
+  const [discoveryError, setDiscoveryError] = useState(null)
+  // Pre-run estimate shown for confirmation before anything is started
+  const [isConfirming, setIsConfirming] = useState(false)
+  const [estimate, setEstimate] = useState(null)
+  const [estimateError, setEstimateError] = useState(null)
+  // Methodologies registered on the backend; the built-in list until loaded
+  const [methodOptions, setMethodOptions] = useState(VALIDATION_METHODS)
 
   // Watch provider to update model options
   const provider = watch('config.provider') || 'openai'
   const model = watch('config.model') || 'gpt-4'
+  const selectedMethods = watch('config.methods')
+  const isLocal = provider === 'local'
+  const providerMeta = PROVIDERS.find(p => p.value === provider) || PROVIDERS[0]
 
-  // Update model when provider changes
+  // Update model when provider changes; local servers accept any model name
   useEffect(() => {
+    if (isLocal) {
+      if (Object.values(MODEL_OPTIONS).flat().some(m => m.value === model)) {
+        setValue('config.model', localModels[0]?.id || '')
+      }
+      return
+    }
+
     const availableModels = MODEL_OPTIONS[provider]
     const currentModelValid = availableModels.some(m => m.value === model)
 
     if (!currentModelValid) {
       setValue('config.model', availableModels[0].value)
     }
-  }, [provider, model, setValue])
+  }, [provider, model, isLocal, localModels, setValue])
+
+  // Load the registered methodologies, which may include custom frameworks
+  useEffect(() => {
+    let cancelled = false
+
+    const loadMethods = async () => {
+      try {
+        const response = await fetch('/api/analysis/methods', { credentials: 'include' })
+        const data = await response.json().catch(() => ({}))
+        const methods = data.data?.methods
+
+        if (!response.ok || !Array.isArray(methods) || methods.length === 0 || cancelled) {
+          return
+        }
+
+        setMethodOptions(methods)
+
+        // Keep "all methods" meaning all of them once custom ones are known
+        const current = watch('config.methods') || []
+        if (current.length === ALL_METHOD_IDS.length && ALL_METHOD_IDS.every(id => current.includes(id))) {
+          setValue('config.methods', methods.map(method => method.id))
+        }
+      } catch (error) {
+        console.error('Error loading methodologies:', error)
+      }
+    }
+
+    loadMethods()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // A different provider, model or method selection invalidates a shown estimate
+  const selectedMethodsKey = (selectedMethods || []).join(',')
+  useEffect(() => {
+    setIsConfirming(false)
+  }, [provider, model, selectedMethodsKey])
+
+  const handleDiscoverModels = async () => {
+    setDiscoveryError(null)
+    setIsDiscovering(true)
+
+    try {
+      const response = await fetch('/api/providers/models', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          provider: 'local',
+          baseUrl: watch('config.baseUrl') || undefined,
+          apiKey: watch('config.apiKey') || undefined
+        })
+      })
+
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        setDiscoveryError(data.error || 'Could not reach the local server.')
+        return
+      }
+
+      const models = data.data?.models || []
+      setLocalModels(models)
+
+      if (models.length === 0) {
+        setDiscoveryError('The server did not report any models.')
+      } else if (!models.some(m => m.id === model)) {
+        setValue('config.model', models[0].id)
+      }
+    } catch (error) {
+      console.error('Error discovering models:', error)
+      setDiscoveryError('Could not reach the local server.')
+    } finally {
+      setIsDiscovering(false)
+    }
+  }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -48,7 +152,10 @@ function EmailApiConfigPage() {
       'config.email',
       'config.provider',
       'config.apiKey',
-      'config.model'
+      'config.model',
+      'config.budgetUsd',
+      'config.methods',
+      ...(isLocal ? ['config.baseUrl'] : [])
     ])
 
     if (!valid) {
@@ -59,37 +166,73 @@ function EmailApiConfigPage() {
       return
     }
 
+    // Estimate calls, cost and duration, then ask for confirmation
+    setEstimate(null)
+    setEstimateError(null)
+    setIsConfirming(true)
+
+    const payload = buildPayload()
+
     try {
-      setIsSaving(true)
+      const response = await fetch('/api/analysis/estimate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        // The estimate never needs the API key
+        body: JSON.stringify({ ...payload, config: { ...payload.config, apiKey: undefined } })
+      })
 
-      const values = {
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        setEstimateError(data.error || 'We could not estimate this run.')
+        return
+      }
+
+      setEstimate(data.data)
+    } catch (error) {
+      console.error('Error estimating run:', error)
+      setEstimateError('We could not estimate this run.')
+    }
+  }
+
+  const buildPayload = () => {
+    const budgetUsd = watch('config.budgetUsd')
+
+    return {
+      problem: {
+        description: watch('problem.description')
+      },
+      clarification: {
+        location: watch('clarification.location'),
+        targetCustomer: watch('clarification.targetCustomer'),
+        teamSize: watch('clarification.teamSize')
+      },
+      config: {
         email: watch('config.email'),
         provider: watch('config.provider'),
-        model: watch('config.model')
-        // API key intentionally excluded from session
-      }
+        model: watch('config.model'),
+        baseUrl: isLocal ? watch('config.baseUrl') || undefined : undefined,
+        budgetUsd: typeof budgetUsd === 'number' ? budgetUsd : undefined,
+        apiKey: watch('config.apiKey')
+      },
+      methods: watch('config.methods')
+    }
+  }
 
-      await saveToSession('config', values)
+  const handleStart = async () => {
+    setSaveError(null)
 
-      const apiKey = watch('config.apiKey')
-      const payload = {
-        problem: {
-          description: watch('problem.description')
-        },
-        clarification: {
-          location: watch('clarification.location'),
-          targetCustomer: watch('clarification.targetCustomer'),
-          teamSize: watch('clarification.teamSize')
-        },
-        config: {
-          email: values.email,
-          provider: values.provider,
-          model: values.model,
-          apiKey
-        }
-      }
+    try {
+      setIsSaving(true)
 
-      // Initialize analysis session
+      const payload = buildPayload()
+      const apiKey = payload.config.apiKey
+
+      // Initialize analysis session; the server stores the config
+      // (without the API key) in the session
       const initResponse = await fetch('/api/analysis/init', {
         method: 'POST',
         headers: {
@@ -103,26 +246,27 @@ function EmailApiConfigPage() {
         throw new Error(`Failed to initialize analysis: ${initResponse.status}`)
       }
 
-      // Fire-and-forget analysis run so the user
-      // immediately sees the progress view.
-      fetch('/api/analysis/run', {
+      // Queue the analysis run; the backend responds 202 immediately and
+      // executes it in the background while the progress view follows along.
+      const runResponse = await fetch('/api/analysis/run', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         credentials: 'include',
         body: JSON.stringify({ apiKey })
-      }).catch(err => {
-        // Log the error; ProcessingPage will surface failures via status polling
-        // eslint-disable-next-line no-console
-        console.error('Error starting analysis run:', err)
       })
 
+      if (!runResponse.ok) {
+        throw new Error(`Failed to start analysis: ${runResponse.status}`)
+      }
+
       // Navigate to processing view to show progress
       navigate('/processing')
     } catch (error) {
       console.error('Error saving config:', error)
       setSaveError("We couldn't save your configuration. Please try again.")
+      setIsConfirming(false)
     } finally {
       setIsSaving(false)
     }
@@ -137,6 +281,11 @@ function EmailApiConfigPage() {
   }
 
   const availableModels = MODEL_OPTIONS[provider] || MODEL_OPTIONS.openai
+  const budgetUsd = watch('config.budgetUsd')
+  const exceedsBudget =
+    typeof budgetUsd === 'number' &&
+    typeof estimate?.total?.costUsd === 'number' &&
+    estimate.total.costUsd > budgetUsd
 
   return (
     <div className="email-api-config-page">
@@ -194,24 +343,21 @@ function EmailApiConfigPage() {
               Choose which AI service will analyze your problem and generate validation questions.
             </p>
             <div className="radio-group">
-              <label className={`radio-option ${provider === 'openai' ? 'selected' : ''}`}>
-                <input
-                  type="radio"
-                  value="openai"
-                  {...register('config.provider', {
-                    required: 'Please choose an AI provider.'
-                  })}
-                />
-                <span className="radio-label">OpenAI</span>
-              </label>
-              <label className={`radio-option ${provider === 'claude' ? 'selected' : ''}`}>
-                <input
-                  type="radio"
-                  value="claude"
-                  {...register('config.provider')}
-                />
-                <span className="radio-label">Claude</span>
-              </label>
+              {PROVIDERS.map(option => (
+                <label
+                  key={option.value}
+                  className={`radio-option ${provider === option.value ? 'selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    value={option.value}
+                    {...register('config.provider', {
+                      required: 'Please choose an AI provider.'
+                    })}
+                  />
+                  <span className="radio-label">{option.label}</span>
+                </label>
+              ))}
             </div>
             {errors.config?.provider && (
               <div className="field-error" role="alert">
@@ -220,55 +366,89 @@ function EmailApiConfigPage() {
             )}
           </fieldset>
 
-          {/* API Key Field */}
-          <div className="form-field">
-            <label htmlFor="apiKey-input" className="field-label">
-              API Key
-            </label>
-            <p className="field-hint">
-              Your {provider === 'openai' ? 'OpenAI' : 'Claude'} API key.
-              This is used only for requests within this session and is never stored permanently.
-            </p>
-            <div className="api-key-wrapper">
+          {/* Local Server URL */}
+          {isLocal && (
+            <div className="form-field">
+              <label htmlFor="baseUrl-input" className="field-label">
+                Server URL
+              </label>
+              <p className="field-hint">
+                Base URL of an OpenAI-compatible server such as Ollama, llama.cpp or vLLM.
+                Leave empty to use the server configured on the backend.
+              </p>
               <input
-                id="apiKey-input"
-                type={showApiKey ? 'text' : 'password'}
-                className={`text-input api-key-input ${errors.config?.apiKey ? 'invalid' : ''}`}
-                {...register('config.apiKey', {
-                  required: 'API key is required.',
-                  minLength: {
-                    value: 20,
-                    message: "This doesn't look like a valid API key. Please double-check and paste again."
+                id="baseUrl-input"
+                type="url"
+                className={`text-input ${errors.config?.baseUrl ? 'invalid' : ''}`}
+                {...register('config.baseUrl', {
+                  pattern: {
+                    value: /^https?:\/\/\S+$/,
+                    message: 'Please enter an http(s) URL.'
                   }
                 })}
-                placeholder={`Paste your ${provider === 'openai' ? 'OpenAI' : 'Claude'} API key`}
-                aria-invalid={errors.config?.apiKey ? 'true' : 'false'}
+                placeholder={DEFAULT_LOCAL_BASE_URL}
+                aria-invalid={errors.config?.baseUrl ? 'true' : 'false'}
               />
-              <button
-                type="button"
-                className="toggle-visibility-btn"
-                onClick={toggleApiKeyVisibility}
-                aria-label={showApiKey ? 'Hide API key' : 'Show API key'}
-              >
-                {showApiKey ? (
-                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24" />
-                    <line x1="1" y1="1" x2="23" y2="23" />
-                  </svg>
-                ) : (
-                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" />
-                    <circle cx="12" cy="12" r="3" />
-                  </svg>
-                )}
-              </button>
+              {errors.config?.baseUrl && (
+                <div className="field-error" role="alert">
+                  {errors.config.baseUrl.message}
+                </div>
+              )}
             </div>
-            {errors.config?.apiKey && (
-              <div className="field-error" role="alert">
-                {errors.config.apiKey.message}
+          )}
+
+          {/* API Key Field (the mock provider needs none) */}
+          {provider !== 'mock' && (
+            <div className="form-field">
+              <label htmlFor="apiKey-input" className="field-label">
+                API Key{isLocal && ' (optional)'}
+              </label>
+              <p className="field-hint">
+                Your {providerMeta.keyLabel} API key.
+                This is used only for requests within this session and is never stored permanently.
+              </p>
+              <div className="api-key-wrapper">
+                <input
+                  id="apiKey-input"
+                  type={showApiKey ? 'text' : 'password'}
+                  className={`text-input api-key-input ${errors.config?.apiKey ? 'invalid' : ''}`}
+                  {...register('config.apiKey', {
+                    validate: value => {
+                      if (!requiresApiKey(provider)) return true
+                      if (!value) return 'API key is required.'
+                      return value.length >= 20 ||
+                        "This doesn't look like a valid API key. Please double-check and paste again."
+                    }
+                  })}
+                  placeholder={`Paste your ${providerMeta.keyLabel} API key`}
+                  aria-invalid={errors.config?.apiKey ? 'true' : 'false'}
+                />
+                <button
+                  type="button"
+                  className="toggle-visibility-btn"
+                  onClick={toggleApiKeyVisibility}
+                  aria-label={showApiKey ? 'Hide API key' : 'Show API key'}
+                >
+                  {showApiKey ? (
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24" />
+                      <line x1="1" y1="1" x2="23" y2="23" />
+                    </svg>
+                  ) : (
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" />
+                      <circle cx="12" cy="12" r="3" />
+                    </svg>
+                  )}
+                </button>
               </div>
-            )}
-          </div>
+              {errors.config?.apiKey && (
+                <div className="field-error" role="alert">
+                  {errors.config.apiKey.message}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Model Selection */}
           <div className="form-field">
@@ -279,20 +459,56 @@ function EmailApiConfigPage() {
               Choose the model used for analyzing your problem.
               Different models offer various trade-offs between speed, cost, and capability.
             </p>
-            <select
-              id="model-input"
-              className={`select-input ${errors.config?.model ? 'invalid' : ''}`}
-              {...register('config.model', {
-                required: 'Please choose a model.'
-              })}
-              aria-invalid={errors.config?.model ? 'true' : 'false'}
-            >
-              {availableModels.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
+            {isLocal ? (
+              <>
+                <div className="model-discovery">
+                  <input
+                    id="model-input"
+                    type="text"
+                    list="local-model-options"
+                    className={`text-input ${errors.config?.model ? 'invalid' : ''}`}
+                    {...register('config.model', {
+                      required: 'Please choose a model.'
+                    })}
+                    placeholder="e.g., llama3.1:8b"
+                    aria-invalid={errors.config?.model ? 'true' : 'false'}
+                  />
+                  <datalist id="local-model-options">
+                    {localModels.map(option => (
+                      <option key={option.id} value={option.id} />
+                    ))}
+                  </datalist>
+                  <button
+                    type="button"
+                    className="back-button"
+                    onClick={handleDiscoverModels}
+                    disabled={isDiscovering}
+                  >
+                    {isDiscovering ? 'Loading...' : 'Load models'}
+                  </button>
+                </div>
+                {discoveryError && (
+                  <div className="field-error" role="alert">
+                    {discoveryError}
+                  </div>
+                )}
+              </>
+            ) : (
+              <select
+                id="model-input"
+                className={`select-input ${errors.config?.model ? 'invalid' : ''}`}
+                {...register('config.model', {
+                  required: 'Please choose a model.'
+                })}
+                aria-invalid={errors.config?.model ? 'true' : 'false'}
+              >
+                {availableModels.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            )}
             {errors.config?.model && (
               <div className="field-error" role="alert">
                 {errors.config.model.message}
@@ -300,23 +516,169 @@ function EmailApiConfigPage() {
             )}
           </div>
 
-          {/* Actions */}
-          <div className="actions">
-            <button
-              type="button"
-              className="back-button"
-              onClick={handleBack}
-            >
-              Back
-            </button>
-            <button
-              type="submit"
-              className="next-button"
-              disabled={isSaving}
-            >
-              {isSaving ? 'Saving...' : 'Save & Continue'}
-            </button>
+          {/* Budget Cap */}
+          <div className="form-field">
+            <label htmlFor="budgetUsd-input" className="field-label">
+              Budget Cap (optional)
+            </label>
+            <p className="field-hint">
+              Maximum estimated spend in USD for this session. Analysis and ideation
+              stop once it is reached.
+            </p>
+            <input
+              id="budgetUsd-input"
+              type="number"
+              min="0.01"
+              max="1000"
+              step="0.01"
+              className={`text-input ${errors.config?.budgetUsd ? 'invalid' : ''}`}
+              {...register('config.budgetUsd', {
+                setValueAs: value => (value === '' || value == null ? '' : Number(value)),
+                validate: value =>
+                  value === '' ||
+                  (value > 0 && value <= 1000) ||
+                  'Please enter an amount between 0.01 and 1000.'
+              })}
+              placeholder="e.g., 5.00"
+              aria-invalid={errors.config?.budgetUsd ? 'true' : 'false'}
+            />
+            {errors.config?.budgetUsd && (
+              <div className="field-error" role="alert">
+                {errors.config.budgetUsd.message}
+              </div>
+            )}
           </div>
+
+          {/* Methodology Selection */}
+          <fieldset className="form-field methods-fieldset">
+            <legend className="field-label">Validation Methods</legend>
+            <p className="field-hint">
+              Choose which frameworks to run. Fewer methods make the analysis faster and
+              cheaper; the summary covers only the ones you select.
+            </p>
+            <div className="checkbox-group">
+              {methodOptions.map(method => (
+                <label
+                  key={method.id}
+                  className={`checkbox-option ${selectedMethods?.includes(method.id) ? 'selected' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    value={method.id}
+                    {...register('config.methods', {
+                      validate: value =>
+                        (Array.isArray(value) && value.length > 0) ||
+                        'Please select at least one method.'
+                    })}
+                  />
+                  <span className="checkbox-text">
+                    <span className="checkbox-label">{method.name}</span>
+                    <span className="checkbox-description">{method.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            {errors.config?.methods && (
+              <div className="field-error" role="alert">
+                {errors.config.methods.message}
+              </div>
+            )}
+          </fieldset>
+
+          {isConfirming ? (
+            <section className="run-estimate" aria-label="Run estimate" aria-live="polite">
+              <h2>Before you start</h2>
+              {!estimate && !estimateError && (
+                <p className="field-hint">Estimating cost and duration...</p>
+              )}
+              {estimateError && (
+                <p className="field-error" role="alert">
+                  {estimateError} You can still start the analysis.
+                </p>
+              )}
+              {estimate && (
+                <>
+                  <table className="run-estimate-table">
+                    <thead>
+                      <tr>
+                        <th scope="col">Phase</th>
+                        <th scope="col">Calls</th>
+                        <th scope="col">Tokens</th>
+                        <th scope="col">Cost</th>
+                        <th scope="col">Time</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {estimate.phases.map(phase => (
+                        <tr key={phase.id}>
+                          <td>{phase.name}</td>
+                          <td>{phase.calls}</td>
+                          <td>{formatTokens(phase.totalTokens)}</td>
+                          <td>{phase.costUsd == null ? 'n/a' : formatUsd(phase.costUsd)}</td>
+                          <td>{formatDuration(phase.durationMs)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <th scope="row">Total</th>
+                        <td>{estimate.total.calls}</td>
+                        <td>{formatTokens(estimate.total.totalTokens)}</td>
+                        <td>
+                          {estimate.total.costUsd == null ? 'n/a' : formatUsd(estimate.total.costUsd)}
+                        </td>
+                        <td>{formatDuration(estimate.total.durationMs)}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                  <p className="field-hint">
+                    Estimates assume typical response lengths; actual usage varies.
+                    {estimate.total.costUsd == null && ' No pricing is available for this model.'}
+                  </p>
+                  {exceedsBudget && (
+                    <p className="field-error" role="alert">
+                      The estimated cost exceeds your budget cap of {formatUsd(budgetUsd)}; the
+                      run will stop once the cap is reached.
+                    </p>
+                  )}
+                </>
+              )}
+              <div className="actions">
+                <button
+                  type="button"
+                  className="back-button"
+                  onClick={() => setIsConfirming(false)}
+                  disabled={isSaving}
+                >
+                  Edit configuration
+                </button>
+                <button
+                  type="button"
+                  className="next-button"
+                  onClick={handleStart}
+                  disabled={isSaving || (!estimate && !estimateError)}
+                >
+                  {isSaving ? 'Starting...' : 'Start analysis'}
+                </button>
+              </div>
+            </section>
+          ) : (
+            <div className="actions">
+              <button
+                type="button"
+                className="back-button"
+                onClick={handleBack}
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                className="next-button"
+              >
+                Review & Start
+              </button>
+            </div>
+          )}
         </form>
       </div>
     </div>
@@ -0,0 +1,279 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useFormWizard } from '../context/FormWizardProvider'
+import { formatCountWord } from '../utils/format'
+import './HistoryPage.css'
+
+const STATUS_LABELS = {
+  pending: 'Not started',
+  queued: 'Queued',
+  'in-progress': 'In progress',
+  completed: 'Completed',
+  'completed-with-errors': 'Completed with errors',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+}
+
+const DESCRIPTION_PREVIEW_CHARS = 180
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : ''
+}
+
+function HistoryPage() {
+  const navigate = useNavigate()
+  const { reloadSession } = useFormWizard()
+
+  const [runs, setRuns] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  // { id, action } of the run being opened or deleted
+  const [busy, setBusy] = useState(null)
+  // IDs of the (at most two) runs picked for comparison
+  const [compareIds, setCompareIds] = useState([])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchHistory = async () => {
+      try {
+        const response = await fetch('/api/history', {
+          credentials: 'include'
+        })
+        const data = await response.json().catch(() => null)
+        if (cancelled) return
+
+        if (!response.ok || !data?.success) {
+          setError('We were unable to load your past validations. Please try again.')
+          return
+        }
+        setRuns(data.data.runs)
+      } catch (err) {
+        if (cancelled) return
+        console.error('Error loading analysis history:', err)
+        setError('We were unable to load your past validations. Please try again.')
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    fetchHistory()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleOpen = async (run) => {
+    if (run.current) {
+      navigate('/results')
+      return
+    }
+
+    setBusy({ id: run.id, action: 'open' })
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/history/${encodeURIComponent(run.id)}/open`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+      const data = await response.json().catch(() => null)
+
+      if (!response.ok) {
+        setError(data?.message || data?.error || 'We could not open this validation. Please try again.')
+        return
+      }
+
+      // The wizard shows the reopened run's inputs
+      await reloadSession()
+      navigate('/results')
+    } catch (err) {
+      console.error('Error opening analysis run:', err)
+      setError('We could not open this validation. Please try again.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDelete = async (run) => {
+    if (!window.confirm('Delete this validation and its reports? This cannot be undone.')) {
+      return
+    }
+
+    setBusy({ id: run.id, action: 'delete' })
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/history/${encodeURIComponent(run.id)}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null)
+        setError(data?.message || data?.error || 'We could not delete this validation. Please try again.')
+        return
+      }
+
+      setRuns(prev => prev.filter(item => item.id !== run.id))
+      setCompareIds(prev => prev.filter(id => id !== run.id))
+    } catch (err) {
+      console.error('Error deleting analysis run:', err)
+      setError('We could not delete this validation. Please try again.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const toggleCompare = (run) => {
+    setCompareIds(prev => {
+      if (prev.includes(run.id)) {
+        return prev.filter(id => id !== run.id)
+      }
+      // Picking a third run replaces the earliest pick
+      return [...prev, run.id].slice(-2)
+    })
+  }
+
+  const handleCompare = () => {
+    // The older run is shown as run A
+    const [base, target] = runs
+      .filter(run => compareIds.includes(run.id))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    navigate(`/compare?base=${encodeURIComponent(base.id)}&target=${encodeURIComponent(target.id)}`)
+  }
+
+  const handleStartNew = async () => {
+    // Opening or deleting runs updates the session; start from its current version
+    await reloadSession()
+    navigate('/problem')
+  }
+
+  const describeIdeation = (ideation) => {
+    const done = [
+      ideation.scamper && 'SCAMPER',
+      ideation.sit && 'SIT'
+    ].filter(Boolean)
+    return done.length > 0 ? `Ideation: ${done.join(', ')}` : null
+  }
+
+  return (
+    <div className="history-page">
+      <div className="history-card">
+        <header className="history-header">
+          <h1>Past Validations</h1>
+          <p className="history-subtitle">
+            Reopen a previous run to review its results, download its reports or continue with
+            ideation. Starting a new analysis keeps the current one here. Select two runs to compare
+            their conclusions.
+          </p>
+        </header>
+
+        {error && (
+          <div className="history-error" role="alert">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="history-loading">
+            <div className="history-spinner" />
+            <p>Loading your past validations...</p>
+          </div>
+        ) : runs.length === 0 ? (
+          <p className="history-empty">
+            No validations yet. Start an analysis and it will be listed here.
+          </p>
+        ) : (
+          <ul className="history-list">
+            {runs.map(run => {
+              const description = run.description.length > DESCRIPTION_PREVIEW_CHARS
+                ? `${run.description.slice(0, DESCRIPTION_PREVIEW_CHARS)}...`
+                : run.description
+              const ideation = describeIdeation(run.ideation)
+
+              return (
+                <li key={run.id} className="history-item">
+                  <div className="history-item-header">
+                    <span className={`history-status history-status--${run.status || 'pending'}`}>
+                      {STATUS_LABELS[run.status] || 'Not started'}
+                    </span>
+                    {run.current && <span className="history-current">Current</span>}
+                    {run.version > 1 && <span className="history-version">Version {run.version}</span>}
+                    <span className="history-date">
+                      {formatDate(run.completedAt || run.startedAt || run.createdAt)}
+                    </span>
+                  </div>
+
+                  <p className="history-description">
+                    {description || 'No description provided'}
+                  </p>
+
+                  <p className="history-meta">
+                    {formatCountWord(run.methods.length)} framework{run.methods.length === 1 ? '' : 's'}
+                    {run.model && ` · ${run.model}`}
+                    {ideation && ` · ${ideation}`}
+                  </p>
+
+                  <div className="history-item-actions">
+                    <button
+                      type="button"
+                      className="history-open-button"
+                      onClick={() => handleOpen(run)}
+                      disabled={busy !== null}
+                    >
+                      {busy?.id === run.id && busy.action === 'open' ? 'Opening...' : 'Open results'}
+                    </button>
+                    <label className="history-compare-toggle">
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(run.id)}
+                        onChange={() => toggleCompare(run)}
+                      />
+                      Compare
+                    </label>
+                    {!run.current && (
+                      <button
+                        type="button"
+                        className="history-delete-button"
+                        onClick={() => handleDelete(run)}
+                        disabled={busy !== null}
+                      >
+                        {busy?.id === run.id && busy.action === 'delete' ? 'Deleting...' : 'Delete'}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+
+        <div className="history-actions">
+          {runs.length > 1 && (
+            <button
+              type="button"
+              className="history-compare-button"
+              onClick={handleCompare}
+              disabled={compareIds.length !== 2}
+            >
+              Compare selected
+            </button>
+          )}
+          <button
+            type="button"
+            className="history-new-button"
+            onClick={handleStartNew}
+          >
+            Start New Analysis
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default HistoryPage
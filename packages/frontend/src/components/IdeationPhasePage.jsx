@@ -1,12 +1,13 @@
 import { useEffect, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useFormWizard } from '../context/FormWizardProvider'
+import { hasUsableApiKey } from '../constants/providers'
 import { IDEATION_TECHNIQUES, TOTAL_TECHNIQUES } from '../constants/ideationTechniques'
 import './IdeationPhasePage.css'
 
 function IdeationPhasePage() {
   const navigate = useNavigate()
-  const { watch } = useFormWizard()
+  const { watch, reloadSession } = useFormWizard()
 
   const [isLoading, setIsLoading] = useState(true)
   const [validationError, setValidationError] = useState(null)
@@ -84,7 +85,9 @@ function IdeationPhasePage() {
     navigate('/results')
   }
 
-  const handleStartNew = () => {
+  const handleStartNew = async () => {
+    // Runs update the session; start from its current version
+    await reloadSession()
     navigate('/problem')
   }
 
@@ -108,7 +111,7 @@ function IdeationPhasePage() {
       }
     }
 
-    if (!apiKey || apiKey.length < 20) {
+    if (!hasUsableApiKey(provider, apiKey)) {
       return {
         disabled: true,
         reason: 'A valid API key is required to run ideation.',
@@ -132,10 +135,11 @@ function IdeationPhasePage() {
     setIsStarting(true)
 
     try {
-      // Execute both SCAMPER and SIT ideation techniques
-      // Run them sequentially to avoid rate limiting issues
+      // Queue both SCAMPER and SIT ideation techniques. Each request
+      // returns 202 Accepted with a background job ID; the backend job
+      // queue limits how many run at once to avoid rate limiting issues.
 
-      // 1. Execute SCAMPER
+      // 1. Queue SCAMPER
       const scamperResponse = await fetch('/api/ideation/scamper', {
         method: 'POST',
         headers: {
@@ -163,7 +167,7 @@ function IdeationPhasePage() {
         return
       }
 
-      // 2. Execute SIT
+      // 2. Queue SIT
       const sitResponse = await fetch('/api/ideation/sit', {
         method: 'POST',
         headers: {
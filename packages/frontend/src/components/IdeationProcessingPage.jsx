@@ -56,7 +56,7 @@ function IdeationProcessingPage() {
           // TODO: Navigate to /ideation-results page when implemented
           // navigate('/ideation-results')
           // For now, show completion message
-        } else if (ideation.status === 'failed') {
+        } else if (ideation.status === 'failed' || ideation.status === 'cancelled') {
           clearInterval(intervalId)
         }
       } catch (err) {
@@ -206,7 +206,7 @@ function IdeationProcessingPage() {
             </div>
           ) : null}
 
-          {status === 'failed' && (
+          {(status === 'failed' || status === 'cancelled') && (
             <div className="ideation-processing-actions">
               <button
                 type="button"
@@ -1,3 +1,4 @@
+import { useState } from 'react'
 import { useFormContext } from 'react-hook-form'
 import { useNavigate } from 'react-router-dom'
 import { useFormWizard } from '../context/FormWizardProvider'
@@ -10,6 +11,7 @@ function ProblemInputPage() {
   const navigate = useNavigate()
   const { register, watch, trigger, formState: { errors } } = useFormContext()
   const { saveToSession } = useFormWizard()
+  const [saveError, setSaveError] = useState(null)
 
   // Watch the problem description field
   const description = watch('problem.description') || ''
@@ -41,6 +43,8 @@ function ProblemInputPage() {
   }
 
   const handleNext = async () => {
+    setSaveError(null)
+
     // Trigger validation
     const valid = await trigger('problem.description')
     if (!valid) return
@@ -53,7 +57,7 @@ function ProblemInputPage() {
       navigate('/clarification')
     } catch (error) {
       console.error('Failed to save problem:', error)
-      // Could show error banner here
+      setSaveError(error.conflict ? error.message : "We couldn't save your problem right now. Please try again.")
     }
   }
 
@@ -71,6 +75,12 @@ function ProblemInputPage() {
           </p>
         </header>
 
+        {saveError && (
+          <div className="save-error" role="alert">
+            {saveError}
+          </div>
+        )}
+
         <div className="input-section">
           <label htmlFor="problem-textarea" className="textarea-label">
             Problem Description
@@ -118,6 +128,13 @@ function ProblemInputPage() {
         </div>
 
         <div className="actions">
+          <button
+            type="button"
+            className="history-link-button"
+            onClick={() => navigate('/history')}
+          >
+            Past validations
+          </button>
           <button
             type="button"
             className="next-button"
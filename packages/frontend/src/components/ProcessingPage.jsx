@@ -1,9 +1,15 @@
 import { useEffect, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
+import { useFormWizard } from '../context/FormWizardProvider'
+import { hasUsableApiKey } from '../constants/providers'
+import { formatCountWord } from '../utils/format'
 import './ProcessingPage.css'
 
 function ProcessingPage() {
   const navigate = useNavigate()
+  const { watch, reloadSession } = useFormWizard()
+  const apiKey = watch('config.apiKey')
+  const provider = watch('config.provider')
 
   const [status, setStatus] = useState('idle')
   const [steps, setSteps] = useState([])
@@ -11,9 +17,33 @@ function ProcessingPage() {
   const [currentStepLabel, setCurrentStepLabel] = useState(null)
   const [error, setError] = useState(null)
 
+  const [jobId, setJobId] = useState(null)
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [liveStepId, setLiveStepId] = useState(null)
+  const [liveText, setLiveText] = useState('')
+  const [isRetrying, setIsRetrying] = useState(false)
+  // Bumped after a retry is queued to reopen the progress feed
+  const [runKey, setRunKey] = useState(0)
+
   useEffect(() => {
     let intervalId
+    let eventSource
     let cancelled = false
+    // Steps may run concurrently; the live output follows one step at a time
+    let followedStepId = null
+
+    const applyAnalysis = (analysis) => {
+      setStatus(analysis.status)
+      setSteps(analysis.steps || [])
+      setCurrentStepIndex(
+        typeof analysis.currentStepIndex === 'number'
+          ? analysis.currentStepIndex
+          : null
+      )
+      setCurrentStepLabel(analysis.currentStepLabel || null)
+      setError(analysis.error || null)
+      setJobId(analysis.jobId || null)
+    }
 
     const fetchStatus = async () => {
       try {
@@ -40,20 +70,12 @@ function ProcessingPage() {
         const data = await response.json()
         const analysis = data.data
 
-        setStatus(analysis.status)
-        setSteps(analysis.steps || [])
-        setCurrentStepIndex(
-          typeof analysis.currentStepIndex === 'number'
-            ? analysis.currentStepIndex
-            : null
-        )
-        setCurrentStepLabel(analysis.currentStepLabel || null)
-        setError(analysis.error || null)
+        applyAnalysis(analysis)
 
         if (analysis.status === 'completed') {
           clearInterval(intervalId)
           navigate('/results')
-        } else if (analysis.status === 'failed') {
+        } else if (analysis.status === 'failed' || analysis.status === 'cancelled') {
           clearInterval(intervalId)
         }
       } catch (err) {
@@ -65,18 +87,136 @@ function ProcessingPage() {
       }
     }
 
-    // Initial fetch immediately
-    fetchStatus()
-    // Then poll every 1.5 seconds
-    intervalId = setInterval(fetchStatus, 1500)
+    const startPolling = () => {
+      if (cancelled || intervalId) return
+      // Initial fetch immediately
+      fetchStatus()
+      // Then poll every 1.5 seconds
+      intervalId = setInterval(fetchStatus, 1500)
+    }
+
+    // Prefer the live SSE feed so the analysis is shown as it is written;
+    // fall back to polling when EventSource is unavailable or the stream drops.
+    const startStream = () => {
+      eventSource = new EventSource('/api/analysis/stream', {
+        withCredentials: true
+      })
+
+      eventSource.addEventListener('snapshot', (event) => {
+        if (cancelled) return
+        const analysis = JSON.parse(event.data)
+        applyAnalysis(analysis)
+
+        if (analysis.status === 'completed') {
+          eventSource.close()
+          navigate('/results')
+        } else if (analysis.status === 'failed' || analysis.status === 'cancelled') {
+          eventSource.close()
+        }
+      })
+
+      eventSource.addEventListener('step', (event) => {
+        if (cancelled) return
+        const step = JSON.parse(event.data)
+
+        setSteps(prev =>
+          prev.map(s =>
+            s.id === step.id
+              ? {
+                  ...s,
+                  status: step.status,
+                  ...(step.attempts !== undefined && { attempts: step.attempts }),
+                  ...(step.lastError !== undefined && { lastError: step.lastError })
+                }
+              : s
+          )
+        )
+
+        if (step.status === 'in-progress') {
+          setCurrentStepIndex(step.index)
+          setCurrentStepLabel(step.label || null)
+          if (!followedStepId) {
+            followedStepId = step.id
+            setLiveStepId(step.id)
+            setLiveText('')
+          }
+        } else if (step.id === followedStepId) {
+          // Switch to whichever running step streams next
+          followedStepId = null
+        }
+      })
+
+      eventSource.addEventListener('retry', (event) => {
+        if (cancelled) return
+        const retry = JSON.parse(event.data)
+
+        setSteps(prev =>
+          prev.map(s =>
+            s.id === retry.id
+              ? { ...s, attempts: retry.attempts, lastError: retry.error }
+              : s
+          )
+        )
+        // The provider call restarts from scratch; drop the partial output
+        if (retry.id === followedStepId) {
+          setLiveText('')
+        }
+      })
+
+      eventSource.addEventListener('delta', (event) => {
+        if (cancelled) return
+        const delta = JSON.parse(event.data)
+        if (!followedStepId) {
+          followedStepId = delta.id
+          setLiveStepId(delta.id)
+          setLiveText(delta.text)
+        } else if (delta.id === followedStepId) {
+          setLiveText(prev => prev + delta.text)
+        }
+      })
+
+      eventSource.addEventListener('status', (event) => {
+        if (cancelled) return
+        const update = JSON.parse(event.data)
+        setStatus(update.status)
+        if (update.error !== undefined) {
+          setError(update.error || null)
+        }
+
+        if (update.status === 'completed') {
+          eventSource.close()
+          navigate('/results')
+        } else if (update.status === 'failed' || update.status === 'cancelled') {
+          eventSource.close()
+        }
+      })
+
+      eventSource.onerror = () => {
+        // The server closes the stream after a terminal status; any other
+        // error (proxy timeout, 404, network) hands over to polling.
+        eventSource.close()
+        if (!cancelled) {
+          startPolling()
+        }
+      }
+    }
+
+    if (typeof window !== 'undefined' && 'EventSource' in window) {
+      startStream()
+    } else {
+      startPolling()
+    }
 
     return () => {
       cancelled = true
+      if (eventSource) {
+        eventSource.close()
+      }
       if (intervalId) {
         clearInterval(intervalId)
       }
     }
-  }, [])
+  }, [runKey])
 
   const totalSteps = steps.length || 5
   const completedCount = steps.filter(step => step.status === 'completed').length
@@ -101,10 +241,69 @@ function ProcessingPage() {
     navigate('/config')
   }
 
-  const handleBackToStart = () => {
+  const handleBackToStart = async () => {
+    // The analysis updates the session; start from its current version
+    await reloadSession()
     navigate('/problem')
   }
 
+  const handleCancel = async () => {
+    if (!jobId) return
+    setIsCancelling(true)
+
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/cancel`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+
+      if (!response.ok && response.status !== 409) {
+        setError('We could not cancel the analysis. Please try again.')
+      }
+    } catch (err) {
+      console.error('Error cancelling analysis:', err)
+      setError('We could not cancel the analysis. Please try again.')
+    } finally {
+      setIsCancelling(false)
+    }
+  }
+
+  const handleRetry = async () => {
+    if (!hasUsableApiKey(provider, apiKey)) {
+      setError('Your API key is no longer available. Please re-enter it on the configuration page.')
+      return
+    }
+
+    setIsRetrying(true)
+
+    try {
+      const response = await fetch('/api/analysis/retry', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ apiKey })
+      })
+
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        setError(data.error || 'We could not retry the analysis. Please try again.')
+        return
+      }
+
+      setError(null)
+      setLiveText('')
+      setRunKey(prev => prev + 1)
+    } catch (err) {
+      console.error('Error retrying analysis:', err)
+      setError('We could not retry the analysis. Please try again.')
+    } finally {
+      setIsRetrying(false)
+    }
+  }
+
   const progressLabelText = `Step ${displayStepNumber} of ${totalSteps}: ${currentStepName}`
 
   return (
@@ -113,8 +312,8 @@ function ProcessingPage() {
         <header className="processing-header">
           <h1>Analyzing Your Problem...</h1>
           <p className="processing-subtitle">
-            We&apos;re running your problem through five expert frameworks to generate a
-            structured validation. This usually takes under a minute.
+            We&apos;re running your problem through {formatCountWord(totalSteps)} expert
+            framework{totalSteps === 1 ? '' : 's'} to generate a structured validation. This usually takes under a minute.
           </p>
         </header>
 
@@ -160,6 +359,18 @@ function ProcessingPage() {
           </div>
         </section>
 
+        {liveText && status === 'in-progress' && (
+          <section
+            className="processing-live-output"
+            aria-label="Live analysis output"
+          >
+            <h2 className="processing-live-title">
+              {steps.find(step => step.id === liveStepId)?.name || 'Current analysis'}
+            </h2>
+            <pre className="processing-live-text">{liveText}</pre>
+          </section>
+        )}
+
         <section className="processing-steps" aria-label="Methodology steps">
           <ul className="processing-step-list">
             {steps.map(step => (
@@ -174,7 +385,11 @@ function ProcessingPage() {
                   {step.status === 'in-progress' && 'In progress'}
                   {step.status === 'completed' && 'Completed'}
                   {step.status === 'failed' && 'Failed'}
+                  {step.attempts > 1 && ` (attempt ${step.attempts})`}
                 </span>
+                {step.status !== 'completed' && step.lastError && (
+                  <span className="processing-step-error">{step.lastError}</span>
+                )}
               </li>
             ))}
           </ul>
@@ -185,16 +400,38 @@ function ProcessingPage() {
             <div className="processing-spinner-wrapper">
               <div className="processing-spinner" />
               <p className="processing-spinner-text">
-                Please keep this tab open while we complete the analysis.
+                The analysis runs in the background, so you can safely refresh this page.
               </p>
+              {jobId && (
+                <button
+                  type="button"
+                  className="processing-secondary-button"
+                  onClick={handleCancel}
+                  disabled={isCancelling}
+                >
+                  {isCancelling ? 'Cancelling...' : 'Cancel analysis'}
+                </button>
+              )}
             </div>
           ) : null}
 
-          {status === 'failed' && (
+          {(status === 'failed' || status === 'cancelled') && (
             <div className="processing-actions">
               <button
                 type="button"
                 className="processing-back-button"
+                onClick={handleRetry}
+                disabled={isRetrying}
+              >
+                {isRetrying
+                  ? 'Retrying...'
+                  : status === 'cancelled'
+                    ? 'Resume analysis'
+                    : 'Retry failed steps'}
+              </button>
+              <button
+                type="button"
+                className="processing-secondary-button"
                 onClick={handleBackToConfig}
               >
                 Back to configuration
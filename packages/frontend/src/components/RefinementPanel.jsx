@@ -0,0 +1,303 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useFormWizard } from '../context/FormWizardProvider'
+import { hasUsableApiKey } from '../constants/providers'
+import { waitForAnalysisJob } from '../utils/analysisJobs'
+import './RefinementPanel.css'
+
+// Limits of POST /api/analysis/init
+const DESCRIPTION_MIN_LENGTH = 500
+const DESCRIPTION_MAX_LENGTH = 2000
+const LOCATION_MIN_LENGTH = 3
+const TARGET_CUSTOMER_MIN_LENGTH = 20
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : ''
+}
+
+function toDraft(suggestion) {
+  return {
+    description: suggestion.description || '',
+    location: suggestion.location || '',
+    targetCustomer: suggestion.targetCustomer || ''
+  }
+}
+
+function validateDraft(draft) {
+  const length = draft.description.trim().length
+  if (length < DESCRIPTION_MIN_LENGTH || length > DESCRIPTION_MAX_LENGTH) {
+    return `The problem statement must be between ${DESCRIPTION_MIN_LENGTH} and ${DESCRIPTION_MAX_LENGTH} characters.`
+  }
+  if (draft.location.trim().length < LOCATION_MIN_LENGTH) {
+    return `The location must be at least ${LOCATION_MIN_LENGTH} characters.`
+  }
+  if (draft.targetCustomer.trim().length < TARGET_CUSTOMER_MIN_LENGTH) {
+    return `The target customer must be at least ${TARGET_CUSTOMER_MIN_LENGTH} characters.`
+  }
+  return null
+}
+
+/**
+ * "Refine" action of the results page: suggests a revised problem
+ * statement from the synthesis, lets the user edit it and starts the
+ * next version of the run. Also lists the earlier versions.
+ */
+function RefinementPanel({ runId, versions, initialSuggestion }) {
+  const navigate = useNavigate()
+  const { watch, setValue } = useFormWizard()
+
+  const apiKey = watch('config.apiKey')
+  const provider = watch('config.provider')
+
+  const [suggestion, setSuggestion] = useState(initialSuggestion)
+  const [draft, setDraft] = useState(initialSuggestion ? toDraft(initialSuggestion) : null)
+  const [status, setStatus] = useState('idle')
+  const [error, setError] = useState(null)
+
+  const current = versions[versions.length - 1]
+  const canCallProvider = hasUsableApiKey(provider, apiKey)
+
+  const handleSuggest = async () => {
+    setStatus('suggesting')
+    setError(null)
+
+    try {
+      const response = await fetch('/api/analysis/refine', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ apiKey })
+      })
+      const data = await response.json().catch(() => null)
+
+      if (!response.ok || !data?.success) {
+        setError(data?.message || data?.error || 'We could not suggest a refined problem statement. Please try again.')
+        return
+      }
+
+      // Suggested in the background; the status carries it once done
+      const analysis = await waitForAnalysisJob('refinement')
+      const refined = analysis.refinement?.suggestion
+      if (!refined) {
+        setError('We could not suggest a refined problem statement. Please try again.')
+        return
+      }
+
+      setSuggestion(refined)
+      setDraft(toDraft(refined))
+    } catch (err) {
+      console.error('Error refining problem statement:', err)
+      setError(err.message || 'We could not suggest a refined problem statement. Please try again.')
+    } finally {
+      setStatus('idle')
+    }
+  }
+
+  const updateDraft = (field) => (event) => {
+    setDraft(prev => ({ ...prev, [field]: event.target.value }))
+  }
+
+  const handleAccept = async () => {
+    const invalid = validateDraft(draft)
+    if (invalid) {
+      setError(invalid)
+      return
+    }
+
+    setStatus('starting')
+    setError(null)
+
+    const budgetUsd = watch('config.budgetUsd')
+    const refined = {
+      description: draft.description.trim(),
+      location: draft.location.trim(),
+      targetCustomer: draft.targetCustomer.trim(),
+      teamSize: current?.teamSize || watch('clarification.teamSize')
+    }
+
+    try {
+      const initResponse = await fetch('/api/analysis/init', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          problem: { description: refined.description },
+          clarification: {
+            location: refined.location,
+            targetCustomer: refined.targetCustomer,
+            teamSize: refined.teamSize
+          },
+          config: {
+            email: watch('config.email'),
+            provider,
+            model: watch('config.model'),
+            baseUrl: provider === 'local' ? watch('config.baseUrl') || undefined : undefined,
+            budgetUsd: typeof budgetUsd === 'number' ? budgetUsd : undefined,
+            apiKey
+          },
+          methods: watch('config.methods'),
+          refinedFrom: runId
+        })
+      })
+
+      if (!initResponse.ok) {
+        const data = await initResponse.json().catch(() => null)
+        const details = data?.details ? Object.values(data.details)[0] : null
+        setError(details || data?.message || data?.error || 'We could not start the refined analysis. Please try again.')
+        setStatus('idle')
+        return
+      }
+
+      const runResponse = await fetch('/api/analysis/run', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ apiKey })
+      })
+
+      if (!runResponse.ok) {
+        throw new Error(`Failed to start analysis: ${runResponse.status}`)
+      }
+
+      // The wizard shows the new version's inputs from now on
+      setValue('problem.description', refined.description)
+      setValue('clarification.location', refined.location)
+      setValue('clarification.targetCustomer', refined.targetCustomer)
+      setValue('clarification.teamSize', refined.teamSize)
+
+      navigate('/processing')
+    } catch (err) {
+      console.error('Error starting refined analysis:', err)
+      setError('We could not start the refined analysis. Please try again.')
+      setStatus('idle')
+    }
+  }
+
+  const handleDiscard = () => {
+    setDraft(null)
+    setError(null)
+  }
+
+  return (
+    <section className="refinement-panel" aria-label="Refine problem statement">
+      <h2>Refine Your Problem Statement</h2>
+
+      {!draft ? (
+        <>
+          <p className="refinement-hint">
+            Turn the findings into a sharper problem statement, then validate it again as version{' '}
+            {(current?.version || 1) + 1}.
+          </p>
+          {canCallProvider ? (
+            <button
+              type="button"
+              className="refinement-primary-button"
+              onClick={suggestion ? () => setDraft(toDraft(suggestion)) : handleSuggest}
+              disabled={status === 'suggesting'}
+            >
+              {status === 'suggesting'
+                ? 'Suggesting...'
+                : suggestion ? 'Review suggestion' : 'Refine'}
+            </button>
+          ) : (
+            <p className="refinement-hint">
+              Re-enter your API key on the configuration step to refine this problem statement.
+            </p>
+          )}
+        </>
+      ) : (
+        <div className="refinement-form">
+          {suggestion?.rationale && (
+            <p className="refinement-rationale">
+              <strong>Why:</strong> {suggestion.rationale}
+            </p>
+          )}
+
+          <label className="refinement-field">
+            <span>Problem statement</span>
+            <textarea
+              rows={8}
+              value={draft.description}
+              onChange={updateDraft('description')}
+              maxLength={DESCRIPTION_MAX_LENGTH}
+            />
+            <span className="refinement-count">
+              {draft.description.trim().length} / {DESCRIPTION_MIN_LENGTH}–{DESCRIPTION_MAX_LENGTH} characters
+            </span>
+          </label>
+
+          <label className="refinement-field">
+            <span>Location / market</span>
+            <input type="text" value={draft.location} onChange={updateDraft('location')} />
+          </label>
+
+          <label className="refinement-field">
+            <span>Target customer</span>
+            <input type="text" value={draft.targetCustomer} onChange={updateDraft('targetCustomer')} />
+          </label>
+
+          <div className="refinement-actions">
+            <button
+              type="button"
+              className="refinement-primary-button"
+              onClick={handleAccept}
+              disabled={status !== 'idle' || !canCallProvider}
+            >
+              {status === 'starting'
+                ? 'Starting...'
+                : `Accept and validate version ${(current?.version || 1) + 1}`}
+            </button>
+            <button
+              type="button"
+              className="refinement-secondary-button"
+              onClick={handleSuggest}
+              disabled={status !== 'idle' || !canCallProvider}
+            >
+              {status === 'suggesting' ? 'Suggesting...' : 'Suggest again'}
+            </button>
+            <button
+              type="button"
+              className="refinement-link-button"
+              onClick={handleDiscard}
+              disabled={status !== 'idle'}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="refinement-error" role="alert">
+          {error}
+        </div>
+      )}
+
+      {versions.length > 1 && (
+        <div className="refinement-versions">
+          <h3>Version History</h3>
+          <ol>
+            {[...versions].reverse().map(version => (
+              <li key={version.runId} className="refinement-version">
+                <div className="refinement-version-header">
+                  <span className="refinement-version-number">Version {version.version}</span>
+                  {version.runId === runId && <span className="refinement-version-current">Current</span>}
+                  <span className="refinement-version-date">{formatDate(version.createdAt)}</span>
+                </div>
+                <p className="refinement-version-description">{version.description}</p>
+                <p className="refinement-version-meta">
+                  {version.location} · {version.targetCustomer}
+                </p>
+                {version.rationale && (
+                  <p className="refinement-version-meta">Refined because: {version.rationale}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default RefinementPanel
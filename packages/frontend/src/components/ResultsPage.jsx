@@ -1,11 +1,24 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useFormWizard } from '../context/FormWizardProvider'
+import { hasUsableApiKey } from '../constants/providers'
+import { formatUsd, formatTokens, formatCountWord } from '../utils/format'
+import { waitForAnalysisJob } from '../utils/analysisJobs'
+import RefinementPanel from './RefinementPanel'
+import ConsistencyPanel from './ConsistencyPanel'
+import SummaryPanel from './SummaryPanel'
 import './ResultsPage.css'
 
+const USAGE_PHASES = [
+  { id: 'analysis', label: 'Validation analysis' },
+  { id: 'scamper', label: 'SCAMPER ideation' },
+  { id: 'sit', label: 'SIT ideation' }
+]
+
 function ResultsPage() {
   const navigate = useNavigate()
-  const { watch } = useFormWizard()
+  const { watch, reloadSession } = useFormWizard()
+  const bundleInputRef = useRef(null)
 
   const [isLoading, setIsLoading] = useState(true)
   const [loadError, setLoadError] = useState(null)
@@ -15,9 +28,17 @@ function ResultsPage() {
   const [emailError, setEmailError] = useState(null)
   const [scamperReportAvailable, setScamperReportAvailable] = useState(false)
   const [sitReportAvailable, setSitReportAvailable] = useState(false)
+  const [usage, setUsage] = useState({ analysis: null, scamper: null, sit: null })
+  // Current run, its problem statement versions and any refinement suggestion
+  const [runInfo, setRunInfo] = useState(null)
+  const [bundleError, setBundleError] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  // Bumped after importing a session so the results are fetched again
+  const [loadCount, setLoadCount] = useState(0)
 
   const email = watch('config.email')
   const apiKey = watch('config.apiKey')
+  const provider = watch('config.provider')
 
   useEffect(() => {
     let cancelled = false
@@ -54,15 +75,28 @@ function ResultsPage() {
 
         setStatus(analysis.status)
         setSteps(analysis.steps || [])
+        setUsage(prev => ({ ...prev, analysis: analysis.usage || null }))
+        setRunInfo({
+          runId: analysis.runId,
+          versions: analysis.versions || [],
+          refinement: analysis.refinement
+        })
 
         if (analysis.status !== 'completed') {
           navigate('/processing', { replace: true })
           return
         }
 
+        // Sessions loaded from a file come with their summary and no API key;
+        // the PDF report is regenerated from it on download
+        if (analysis.summaryAvailable && !hasUsableApiKey(provider, apiKey)) {
+          setIsLoading(false)
+          return
+        }
+
         // Analysis is completed; ensure synthesis summary and PDF report exist
-        // by calling /api/analysis/synthesize with the in-memory API key.
-        if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 20) {
+        // by queuing /api/analysis/synthesize with the in-memory API key.
+        if (!hasUsableApiKey(provider, apiKey)) {
           setLoadError(
             'Analysis is complete, but a valid API key is required to generate your summary report. Please go back to configuration and re-enter your API key.'
           )
@@ -85,11 +119,17 @@ function ResultsPage() {
               synthData?.error ||
               'We were unable to generate your summary report. Please try again.'
             setLoadError(message)
+          } else {
+            // Runs in the background; the final status includes its usage
+            const refreshed = await waitForAnalysisJob('synthesis', { isCancelled: () => cancelled })
+            if (refreshed) {
+              setUsage(prev => ({ ...prev, analysis: refreshed.usage || null }))
+            }
           }
         } catch (error) {
           console.error('Error synthesizing analysis for results page:', error)
           setLoadError(
-            'We were unable to generate your summary report. Please try again.'
+            error.message || 'We were unable to generate your summary report. Please try again.'
           )
         } finally {
           if (!cancelled) {
@@ -124,6 +164,13 @@ function ResultsPage() {
             if (data.data.sitReportAvailable) {
               setSitReportAvailable(true)
             }
+            if (data.data.usage && !cancelled) {
+              setUsage(prev => ({
+                ...prev,
+                scamper: data.data.usage.scamper,
+                sit: data.data.usage.sit
+              }))
+            }
           }
         }
       } catch (error) {
@@ -137,7 +184,7 @@ function ResultsPage() {
     return () => {
       cancelled = true
     }
-  }, [navigate, apiKey])
+  }, [navigate, apiKey, provider, loadCount])
 
   const handleDownload = () => {
     window.open('/api/analysis/report', '_blank', 'noopener,noreferrer')
@@ -179,7 +226,86 @@ function ResultsPage() {
     }
   }
 
-  const handleStartNew = () => {
+  const handleSaveToFile = async () => {
+    setBundleError(null)
+
+    try {
+      const response = await fetch('/api/session/export', {
+        credentials: 'include'
+      })
+      const data = await response.json().catch(() => null)
+
+      if (!response.ok) {
+        setBundleError(data?.message || 'We could not save this session. Please try again.')
+        return
+      }
+
+      const url = URL.createObjectURL(
+        new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+      )
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `validation-${data.exportedAt.slice(0, 10)}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting session:', error)
+      setBundleError('We could not save this session. Please try again.')
+    }
+  }
+
+  const handleLoadFromFile = async (event) => {
+    const file = event.target.files?.[0]
+    // Allow picking the same file again after an error
+    event.target.value = ''
+    if (!file) return
+
+    setBundleError(null)
+    setIsImporting(true)
+
+    try {
+      let bundle
+      try {
+        bundle = JSON.parse(await file.text())
+      } catch {
+        setBundleError('The selected file is not a saved validation session.')
+        return
+      }
+
+      const response = await fetch('/api/session/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(bundle)
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null)
+        const detail = data?.details ? Object.values(data.details)[0] : null
+        setBundleError(
+          detail
+            ? `The selected file could not be loaded: ${detail}`
+            : 'The selected file could not be loaded. Please try again.'
+        )
+        return
+      }
+
+      setScamperReportAvailable(false)
+      setSitReportAvailable(false)
+      setEmailStatus('idle')
+      await reloadSession()
+      setLoadCount(count => count + 1)
+    } catch (error) {
+      console.error('Error importing session:', error)
+      setBundleError('The selected file could not be loaded. Please try again.')
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const handleStartNew = async () => {
+    // Runs update the session; start from its current version
+    await reloadSession()
     navigate('/problem')
   }
 
@@ -188,9 +314,46 @@ function ResultsPage() {
   }
 
   const successfulSteps = steps.filter(step => step.status === 'completed')
+  const usagePhases = USAGE_PHASES.filter(phase => usage[phase.id]?.total)
+  const usageTotal = usagePhases.reduce(
+    (sum, phase) => {
+      const total = usage[phase.id].total
+      return {
+        calls: sum.calls + total.calls,
+        totalTokens: sum.totalTokens + total.totalTokens,
+        costUsd: sum.costUsd + total.costUsd,
+        unpricedCalls: sum.unpricedCalls + total.unpricedCalls
+      }
+    },
+    { calls: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 }
+  )
+
+  const loadFromFileButton = (
+    <button
+      type="button"
+      className="results-secondary-button"
+      onClick={() => bundleInputRef.current?.click()}
+      disabled={isImporting}
+    >
+      {isImporting ? 'Loading...' : 'Load from file'}
+    </button>
+  )
+
+  const bundleErrorAlert = bundleError && (
+    <div className="results-email-error" role="alert">
+      <p>{bundleError}</p>
+    </div>
+  )
 
   return (
     <div className="results-page">
+      <input
+        ref={bundleInputRef}
+        type="file"
+        accept="application/json,.json"
+        hidden
+        onChange={handleLoadFromFile}
+      />
       <div className="results-card">
         {isLoading ? (
           <div className="results-loading">
@@ -210,7 +373,9 @@ function ResultsPage() {
               >
                 Start New Analysis
               </button>
+              {loadFromFileButton}
             </div>
+            {bundleErrorAlert}
           </div>
         ) : (
           <div className="results-content">
@@ -223,8 +388,8 @@ function ResultsPage() {
               </div>
               <h1>Your Problem Validation Report is Ready</h1>
               <p className="results-subtitle">
-                We&apos;ve completed the analysis using five complementary frameworks and
-                generated a summary report you can download or receive via email.
+                We&apos;ve completed the analysis using {formatCountWord(steps.length)} complementary
+                framework{steps.length === 1 ? '' : 's'} and generated a summary report you can download or receive via email.
               </p>
             </div>
 
@@ -241,6 +406,15 @@ function ResultsPage() {
               </p>
             </section>
 
+            {runInfo?.runId && (
+              <RefinementPanel
+                key={runInfo.runId}
+                runId={runInfo.runId}
+                versions={runInfo.versions}
+                initialSuggestion={runInfo.refinement?.suggestion || null}
+              />
+            )}
+
             <section className="results-actions" aria-label="Result actions">
               <button
                 type="button"
@@ -283,6 +457,16 @@ function ResultsPage() {
                     : 'Send to my email'}
               </button>
 
+              <button
+                type="button"
+                className="results-secondary-button"
+                onClick={handleSaveToFile}
+              >
+                Save to file
+              </button>
+
+              {loadFromFileButton}
+
               <button
                 type="button"
                 className="results-link-button"
@@ -290,8 +474,18 @@ function ResultsPage() {
               >
                 Start New Analysis
               </button>
+
+              <button
+                type="button"
+                className="results-link-button"
+                onClick={() => navigate('/history')}
+              >
+                Past validations
+              </button>
             </section>
 
+            {bundleErrorAlert}
+
             {email && (
               <p
                 className="results-email-note"
@@ -328,6 +522,57 @@ function ResultsPage() {
                 ))}
               </ul>
             </section>
+
+            <SummaryPanel key={runInfo?.runId} />
+
+            {steps.length > 1 && <ConsistencyPanel key={runInfo?.runId} steps={steps} />}
+
+            {usagePhases.length > 0 && (
+              <section className="results-usage" aria-label="Token usage and cost">
+                <h2>Usage &amp; Estimated Cost</h2>
+                <table className="results-usage-table">
+                  <thead>
+                    <tr>
+                      <th scope="col">Item</th>
+                      <th scope="col">Calls</th>
+                      <th scope="col">Tokens</th>
+                      <th scope="col">Cost</th>
+                    </tr>
+                  </thead>
+                  {usagePhases.map(phase => (
+                    <tbody key={phase.id}>
+                      <tr className="results-usage-phase">
+                        <th scope="rowgroup" colSpan={4}>
+                          {phase.label}
+                        </th>
+                      </tr>
+                      {usage[phase.id].items.map(item => (
+                        <tr key={item.id}>
+                          <td>{item.name}</td>
+                          <td>{item.calls}</td>
+                          <td>{formatTokens(item.totalTokens)}</td>
+                          <td>{formatUsd(item.costUsd)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  ))}
+                  <tfoot>
+                    <tr>
+                      <th scope="row">Total</th>
+                      <td>{usageTotal.calls}</td>
+                      <td>{formatTokens(usageTotal.totalTokens)}</td>
+                      <td>{formatUsd(usageTotal.costUsd)}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+                <p className="results-usage-note">
+                  Costs are estimates based on list prices and may differ from your provider
+                  invoice.
+                  {usageTotal.unpricedCalls > 0 &&
+                    ` ${usageTotal.unpricedCalls} call(s) used a model without pricing data and are not included.`}
+                </p>
+              </section>
+            )}
           </div>
         )}
       </div>
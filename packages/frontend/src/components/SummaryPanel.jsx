@@ -0,0 +1,140 @@
+import { Fragment, useEffect, useState } from 'react'
+import './SummaryPanel.css'
+
+// Passage labels the synthesis cites, e.g. [2.3] or [1.2, 3.4]
+const CITATION_PATTERN = /\s?\[(\d+\.\d+(?:\s*[,;]\s*\d+\.\d+)*)\]/g
+
+/**
+ * Split a paragraph into text and citation parts. Labels become the
+ * footnote numbers of GET /api/analysis/summary; unknown labels are dropped.
+ */
+function splitCitations(paragraph, citationsByRef) {
+  const parts = []
+  let lastIndex = 0
+
+  for (const match of paragraph.matchAll(CITATION_PATTERN)) {
+    parts.push(paragraph.slice(lastIndex, match.index))
+    lastIndex = match.index + match[0].length
+
+    const cited = match[1]
+      .split(/\s*[,;]\s*/)
+      .map(ref => citationsByRef[ref])
+      .filter(Boolean)
+    if (cited.length > 0) {
+      parts.push(cited)
+    }
+  }
+  parts.push(paragraph.slice(lastIndex))
+
+  return parts
+}
+
+/**
+ * Synthesized summary of the results page. Statements cite passages of
+ * the methodology analyses; clicking a citation shows the cited passage.
+ */
+function SummaryPanel() {
+  const [summary, setSummary] = useState(null)
+  const [selected, setSelected] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchSummary = async () => {
+      try {
+        const response = await fetch('/api/analysis/summary', {
+          credentials: 'include'
+        })
+        if (!response.ok) return
+
+        const data = await response.json()
+        if (!cancelled && data.success) {
+          setSummary(data.data)
+        }
+      } catch (error) {
+        // The PDF report still carries the summary
+        console.error('Error loading summary:', error)
+      }
+    }
+
+    fetchSummary()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  if (!summary) {
+    return null
+  }
+
+  const citationsByRef = Object.fromEntries(summary.citations.map(citation => [citation.ref, citation]))
+  const paragraphs = summary.text
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+
+  const renderParagraph = (paragraph, index) => {
+    const heading = paragraph.match(/^#{1,6}\s+(.*)$/)
+    if (heading && !paragraph.includes('\n')) {
+      return <h3 key={index}>{heading[1]}</h3>
+    }
+
+    return (
+      <p key={index}>
+        {splitCitations(paragraph, citationsByRef).map((part, partIndex) =>
+          typeof part === 'string' ? (
+            <Fragment key={partIndex}>{part}</Fragment>
+          ) : (
+            <sup key={partIndex} className="summary-citation-group">
+              {part.map(citation => (
+                <button
+                  key={citation.number}
+                  type="button"
+                  className={`summary-citation${selected?.number === citation.number ? ' summary-citation-active' : ''}`}
+                  onClick={() => setSelected(selected?.number === citation.number ? null : citation)}
+                  aria-label={`Source ${citation.number}: ${citation.stepName}, passage ${citation.passage}`}
+                >
+                  {citation.number}
+                </button>
+              ))}
+            </sup>
+          )
+        )}
+      </p>
+    )
+  }
+
+  return (
+    <section className="summary-panel" aria-label="Synthesized summary">
+      <h2>Summary</h2>
+      {summary.citations.length > 0 && (
+        <p className="summary-hint">
+          Numbers after a statement cite the analyses it is based on; select one to read the passage.
+        </p>
+      )}
+
+      <div className="summary-text">{paragraphs.map(renderParagraph)}</div>
+
+      {selected && (
+        <aside className="summary-passage" aria-live="polite">
+          <div className="summary-passage-header">
+            <strong>
+              [{selected.number}] {selected.stepName}, passage {selected.passage}
+            </strong>
+            <button
+              type="button"
+              className="summary-passage-close"
+              onClick={() => setSelected(null)}
+            >
+              Close
+            </button>
+          </div>
+          <p>{selected.text}</p>
+        </aside>
+      )}
+    </section>
+  )
+}
+
+export default SummaryPanel
@@ -0,0 +1,36 @@
+/**
+ * Built-in validation methodologies a run can include
+ * Mirrors the backend's built-in methodology modules (ids and order); the
+ * configuration page replaces it with GET /api/analysis/methods, which also
+ * lists custom frameworks.
+ */
+
+export const VALIDATION_METHODS = [
+  {
+    id: 'jtbd',
+    name: 'Jobs-to-be-Done',
+    description: 'Uncovering the underlying job users are trying to accomplish'
+  },
+  {
+    id: 'designThinking',
+    name: 'Design Thinking – Define',
+    description: 'Synthesizing user research into a clear problem definition'
+  },
+  {
+    id: 'leanCanvas',
+    name: 'Lean Problem Validation',
+    description: 'Evaluating problem-customer fit using Lean Canvas framework'
+  },
+  {
+    id: 'rootCause',
+    name: 'Root Cause Analysis',
+    description: 'Identifying true causes using 5 Whys and Fishbone analysis'
+  },
+  {
+    id: 'ost',
+    name: 'Opportunity Solution Tree',
+    description: 'Mapping opportunities from business outcomes to solutions'
+  }
+]
+
+export const ALL_METHOD_IDS = VALIDATION_METHODS.map(method => method.id)
@@ -0,0 +1,34 @@
+/**
+ * AI provider definitions
+ * Used by the configuration page and by pages that re-check the in-memory
+ * API key before calling the backend.
+ */
+
+// The offline mock provider is only offered in development builds
+export const PROVIDERS = [
+  { value: 'openai', label: 'OpenAI', keyLabel: 'OpenAI' },
+  { value: 'claude', label: 'Claude', keyLabel: 'Claude' },
+  { value: 'local', label: 'Local (OpenAI-compatible)', keyLabel: 'local server' },
+  { value: 'mock', label: 'Mock (offline)', keyLabel: 'mock', devOnly: true }
+].filter(provider => !provider.devOnly || import.meta.env.DEV)
+
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1'
+
+/**
+ * Hosted providers need an API key; self-hosted servers usually do not and
+ * the mock provider ignores it.
+ */
+export function requiresApiKey(provider) {
+  return provider !== 'local' && provider !== 'mock'
+}
+
+/**
+ * Whether the in-memory API key is good enough to call the backend.
+ * Mirrors isValidApiKey in the backend llmService.
+ */
+export function hasUsableApiKey(provider, apiKey) {
+  if (!requiresApiKey(provider)) {
+    return true
+  }
+  return typeof apiKey === 'string' && apiKey.length >= 20
+}
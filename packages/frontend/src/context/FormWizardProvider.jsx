@@ -1,5 +1,6 @@
-import { createContext, useContext, useEffect, useState } from 'react'
+import { createContext, useContext, useEffect, useRef, useState } from 'react'
 import { useForm, FormProvider } from 'react-hook-form'
+import { ALL_METHOD_IDS } from '../constants/methodologies'
 
 const FormWizardContext = createContext(null)
 
@@ -14,6 +15,8 @@ export const useFormWizard = () => {
 export function FormWizardProvider({ children }) {
   const [isLoadingSession, setIsLoadingSession] = useState(true)
   const [sessionError, setSessionError] = useState(null)
+  // Session version the form data is based on; sent as If-Match on save
+  const sessionVersionRef = useRef(null)
 
   // Initialize React Hook Form with default values
   const methods = useForm({
@@ -31,6 +34,9 @@ export function FormWizardProvider({ children }) {
         email: '',
         provider: 'openai',
         model: 'gpt-4',
+        baseUrl: '',
+        budgetUsd: '',
+        methods: ALL_METHOD_IDS,
         apiKey: ''
       }
     }
@@ -55,6 +61,7 @@ export function FormWizardProvider({ children }) {
       if (response.ok) {
         const data = await response.json()
         const session = data.session
+        sessionVersionRef.current = session?.version ?? null
 
         // Map session data to form structure
         const formData = {
@@ -70,6 +77,9 @@ export function FormWizardProvider({ children }) {
             email: session?.apiConfig?.email || '',
             provider: session?.apiConfig?.provider || 'openai',
             model: session?.apiConfig?.model || 'gpt-4',
+            baseUrl: session?.apiConfig?.baseUrl || '',
+            budgetUsd: session?.apiConfig?.budgetUsd ?? '',
+            methods: session?.apiConfig?.methods || session?.results?.analysis?.methods || ALL_METHOD_IDS,
             apiKey: '' // Never pre-fill API key from session (security)
           }
         }
@@ -117,35 +127,38 @@ export function FormWizardProvider({ children }) {
           }
           break
 
-        case 'config':
-          // API key intentionally excluded from session storage
-          payload = {
-            apiConfig: {
-              email: data.email,
-              provider: data.provider,
-              model: data.model
-            }
-          }
-          break
-
         default:
           throw new Error(`Unknown section: ${section}`)
       }
 
+      const headers = { 'Content-Type': 'application/json' }
+      if (sessionVersionRef.current != null) {
+        headers['If-Match'] = `"${sessionVersionRef.current}"`
+      }
+
       const response = await fetch('/api/session', {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
+        headers,
         credentials: 'include',
         body: JSON.stringify(payload)
       })
 
+      if (response.status === 409) {
+        // Changed since it was loaded, by another tab or by a run of this
+        // one. Adopt the new version so saving again overwrites it deliberately.
+        const conflict = await response.json()
+        sessionVersionRef.current = conflict.version
+        const error = new Error('Your session has changed since this page was loaded. Check your answers and save again.')
+        error.conflict = true
+        throw error
+      }
+
       if (!response.ok) {
         throw new Error(`Failed to save: ${response.status}`)
       }
 
       const result = await response.json()
+      sessionVersionRef.current = result.session?.version ?? null
       console.log(`${section} saved to session:`, result)
       return result
     } catch (error) {
@@ -7,6 +7,8 @@ import ProcessingPage from './components/ProcessingPage'
 import ResultsPage from './components/ResultsPage'
 import IdeationPhasePage from './components/IdeationPhasePage'
 import IdeationProcessingPage from './components/IdeationProcessingPage'
+import HistoryPage from './components/HistoryPage'
+import ComparePage from './components/ComparePage'
 
 export const router = createBrowserRouter([
   {
@@ -44,6 +46,14 @@ export const router = createBrowserRouter([
       {
         path: 'ideation-processing',
         element: <IdeationProcessingPage />
+      },
+      {
+        path: 'history',
+        element: <HistoryPage />
+      },
+      {
+        path: 'compare',
+        element: <ComparePage />
       }
     ]
   }
@@ -0,0 +1,40 @@
+/**
+ * Background jobs on a completed analysis (synthesis and refinement).
+ * POST /api/analysis/synthesize and /refine answer 202 right away; the job
+ * is followed through `jobs.<type>` of /api/analysis/status.
+ */
+
+const POLL_INTERVAL_MS = 2000
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled']
+
+/**
+ * Poll /api/analysis/status until the job of the given type finishes.
+ * Resolves with the last status payload, or null once `isCancelled()`
+ * returns true. Throws when the job does not complete.
+ *
+ * @param {'synthesis'|'refinement'} type
+ * @param {{ isCancelled?: () => boolean }} [options]
+ * @returns {Promise<object|null>}
+ */
+export async function waitForAnalysisJob(type, { isCancelled = () => false } = {}) {
+  for (;;) {
+    const response = await fetch('/api/analysis/status', { credentials: 'include' })
+    if (isCancelled()) return null
+    if (!response.ok) {
+      throw new Error(`Failed to load analysis status: ${response.status}`)
+    }
+
+    const { data } = await response.json()
+    const job = data.jobs?.[type]
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      if (job && job.status !== 'completed') {
+        throw new Error(job.error || `The ${type} did not complete`)
+      }
+      return data
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS))
+    if (isCancelled()) return null
+  }
+}
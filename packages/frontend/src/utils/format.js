@@ -0,0 +1,36 @@
+/**
+ * Display formatters for token usage, cost and duration figures returned
+ * by the backend.
+ */
+
+/**
+ * Format a USD amount; amounts under a dollar keep four decimals.
+ */
+export function formatUsd(value) {
+  const amount = value || 0
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`
+}
+
+export function formatTokens(value) {
+  return (value || 0).toLocaleString()
+}
+
+/**
+ * Format a duration in milliseconds as a rough "~N min" / "~N s" label.
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000)
+  if (seconds < 60) {
+    return `~${seconds} s`
+  }
+  return `~${Math.round(seconds / 60)} min`
+}
+
+const COUNT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten']
+
+/**
+ * Spell out small counts for running text ("five frameworks").
+ */
+export function formatCountWord(count) {
+  return COUNT_WORDS[count] || String(count)
+}